@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Structured logging with levels and correlation IDs
+ * @module B00_logger
+ * @version 1.0.0
+ * @description Every backend module logs through a component logger from createLogger. Entries
+ *              are JSON objects, which Cloud Logging keeps as jsonPayload, so they can be filtered
+ *              by severity, component, correlationId or user:
+ *
+ *                { severity, message, component, correlationId, entryPoint, user, elapsedMs, data, error }
+ *
+ *              A correlation ID is assigned once per execution: doGet and doPost start one with
+ *              beginLogContext (a client may pass ?correlationId=), and google.script.run calls get
+ *              one on their first log entry. Failed responses carry it, so a user can quote the ID
+ *              of a failed report and its whole trail is one filter away.
+ *
+ *              Script properties, read once per execution:
+ *
+ *                LOG_LEVEL        debug, info (default), warn, error or off
+ *                LOG_DEBUG_USERS  Comma separated users whose requests log at debug level
+ *
+ *              API keys, secrets, tokens and passwords are redacted, by field name and by value
+ *              pattern, and long strings and arrays are cut short. This file is B00 so that the
+ *              modules after it can create their loggers when they load.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {Object<string, number>} Levels, with the Cloud Logging severity number of each */
+const LOG_LEVELS = { debug: 100, info: 200, warn: 400, error: 500, off: 1000 };
+
+/** @const {Object<string, string>} Cloud Logging severity name of each level */
+const LOG_SEVERITIES = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+
+/** @const {Object<string, string>} Console method that writes each level */
+const LOG_CONSOLE_METHODS = { debug: 'log', info: 'info', warn: 'warn', error: 'error' };
+
+/** @const {string} Level used when LOG_LEVEL is not set or not a level */
+const LOG_DEFAULT_LEVEL = 'info';
+
+/** @const {string} Replacement for redacted values */
+const LOG_REDACTED = '[redacted]';
+
+/** @const {RegExp} Field names whose values are always redacted */
+const LOG_SENSITIVE_FIELDS = /^(key|api[-_]?key|secret|password|passwd|token|[a-z]*_?token|authorization|cookie|hash)$/i;
+
+/** @const {Array<RegExp>} Values redacted wherever they appear: API keys, OAuth and bearer tokens, key query parameters */
+const LOG_SENSITIVE_PATTERNS = [
+  /\bogk_[a-f0-9]+_[a-f0-9]+\b/gi,
+  /\bya29\.[\w-]+/g,
+  /\bBearer\s+[\w.~+/-]+=*/gi,
+  /([?&](?:key|token|access_token)=)[^&\s"]+/gi
+];
+
+/** @const {number} Longest string kept in a log entry */
+const LOG_MAX_STRING = 1000;
+
+/** @const {number} Array items kept in a log entry */
+const LOG_MAX_ITEMS = 20;
+
+/** @const {number} Object depth kept in a log entry */
+const LOG_MAX_DEPTH = 5;
+
+/**
+ * @type {Object|null} Context of this execution: { correlationId, entryPoint, startedAt, user, level }
+ */
+let logContext_ = null;
+
+/** @type {Object<string, StructuredLogger>} Loggers created so far, by component */
+const loggers_ = {};
+
+/**
+ * Logger for one component
+ * @class StructuredLogger
+ * @description Writes JSON entries tagged with the component and the execution's correlation ID
+ */
+class StructuredLogger {
+  /**
+   * @constructor
+   * @param {string} component - Module or area, e.g. 'DataManager'
+   */
+  constructor(component) {
+    /** @property {string} component - Module or area the entries come from */
+    this.component = component;
+  }
+
+  /**
+   * Log detail that is only needed while chasing a problem
+   * @param {string} message - What happened
+   * @param {*} [data] - Facts to attach; redacted and shortened
+   */
+  debug(message, data) {
+    this.write_('debug', message, data);
+  }
+
+  /**
+   * Log a normal event worth keeping
+   * @param {string} message - What happened
+   * @param {*} [data] - Facts to attach; redacted and shortened
+   */
+  info(message, data) {
+    this.write_('info', message, data);
+  }
+
+  /**
+   * Log something unexpected that the code recovered from
+   * @param {string} message - What happened
+   * @param {*} [data] - Facts or the Error; redacted and shortened
+   */
+  warn(message, data) {
+    this.write_('warn', message, data);
+  }
+
+  /**
+   * Log a failure
+   * @param {string} message - What failed
+   * @param {*} [data] - The Error, or facts with an error field; redacted and shortened
+   */
+  error(message, data) {
+    this.write_('error', message, data);
+  }
+
+  /**
+   * Whether entries of a level are written in this execution
+   * @param {string} level - Level name
+   * @returns {boolean} True if the level is enabled
+   */
+  isEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[currentLogContext_().level];
+  }
+
+  /**
+   * Build and write one entry
+   * @private
+   * @param {string} level - Level name
+   * @param {string} message - What happened
+   * @param {*} data - Facts or an Error
+   */
+  write_(level, message, data) {
+    try {
+      if (!this.isEnabled(level)) return;
+      const context = currentLogContext_();
+      const entry = {
+        severity: LOG_SEVERITIES[level],
+        message: redactLogValue_(String(message), 0),
+        component: this.component,
+        correlationId: context.correlationId,
+        entryPoint: context.entryPoint,
+        user: context.user,
+        elapsedMs: Date.now() - context.startedAt
+      };
+      if (data instanceof Error) {
+        entry.error = serializeLogError_(data);
+      } else if (data !== undefined) {
+        entry.data = redactLogValue_(data, 0);
+        if (data && data.error instanceof Error) entry.error = serializeLogError_(data.error);
+      }
+      console[LOG_CONSOLE_METHODS[level]](entry);
+    } catch (error) {
+      // Logging must never break the request
+    }
+  }
+}
+
+/**
+ * Logger for a component, created on first use
+ * @param {string} component - Module or area, e.g. 'DataManager'
+ * @returns {StructuredLogger} Logger
+ */
+function createLogger(component) {
+  return loggers_[component] || (loggers_[component] = new StructuredLogger(component));
+}
+
+/**
+ * Start the log context of a request; entries until the execution ends carry its correlation ID
+ * @param {string} entryPoint - Where the request came in, e.g. 'doGet'
+ * @param {string} [correlationId] - ID passed by the caller; a new one is made if it is missing or malformed
+ * @returns {string} Correlation ID in use
+ */
+function beginLogContext(entryPoint, correlationId) {
+  const supplied = /^[\w-]{6,64}$/.test(String(correlationId || '')) ? String(correlationId) : null;
+  logContext_ = createLogContext_(entryPoint, supplied);
+  return logContext_.correlationId;
+}
+
+/**
+ * Correlation ID of this execution
+ * @returns {string} Correlation ID
+ */
+function getCorrelationId() {
+  return currentLogContext_().correlationId;
+}
+
+/**
+ * Context of this execution, started on first use for google.script.run calls and triggers
+ * @private
+ * @returns {Object} Log context
+ */
+function currentLogContext_() {
+  return logContext_ || (logContext_ = createLogContext_('script', null));
+}
+
+/**
+ * Build a log context, resolving the level for the current user
+ * @private
+ * @param {string} entryPoint - Where the request came in
+ * @param {string|null} correlationId - ID to use, or null for a new one
+ * @returns {Object} Log context
+ */
+function createLogContext_(entryPoint, correlationId) {
+  let user = '';
+  let level = LOG_DEFAULT_LEVEL;
+  try {
+    user = Session.getActiveUser().getEmail() || '';
+  } catch (error) {
+    // No user in triggers and some deployments
+  }
+  try {
+    const props = PropertiesService.getScriptProperties();
+    const configured = String(props.getProperty('LOG_LEVEL') || '').trim().toLowerCase();
+    if (LOG_LEVELS[configured]) level = configured;
+    const debugUsers = String(props.getProperty('LOG_DEBUG_USERS') || '').toLowerCase().split(',').map(email => email.trim());
+    if (user && debugUsers.includes(user.toLowerCase())) level = 'debug';
+  } catch (error) {
+    // Keep the default level
+  }
+  return {
+    correlationId: correlationId || Utilities.getUuid().replace(/-/g, '').substring(0, 16),
+    entryPoint: entryPoint,
+    startedAt: Date.now(),
+    user: user,
+    level: level
+  };
+}
+
+/**
+ * Copy a value for logging: sensitive fields and patterns redacted, long content cut short
+ * @private
+ * @param {*} value - Value to log
+ * @param {number} depth - Current nesting depth
+ * @returns {*} JSON-safe copy
+ */
+function redactLogValue_(value, depth) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') {
+    const redacted = LOG_SENSITIVE_PATTERNS.reduce((text, pattern) =>
+      text.replace(pattern, (match, prefix) => (typeof prefix === 'string' ? prefix : '') + LOG_REDACTED), value);
+    return redacted.length > LOG_MAX_STRING ?
+      `${redacted.substring(0, LOG_MAX_STRING)}... (${redacted.length} chars)` : redacted;
+  }
+  if (typeof value !== 'object') return typeof value === 'function' ? `[function ${value.name}]` : value;
+  if (value instanceof Date) return isNaN(value.getTime()) ? String(value) : value.toISOString();
+  if (value instanceof Error) return serializeLogError_(value);
+  if (depth >= LOG_MAX_DEPTH) return Array.isArray(value) ? `[array of ${value.length}]` : '[object]';
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, LOG_MAX_ITEMS).map(item => redactLogValue_(item, depth + 1));
+    if (value.length > LOG_MAX_ITEMS) items.push(`... ${value.length - LOG_MAX_ITEMS} more`);
+    return items;
+  }
+  const copy = {};
+  Object.keys(value).forEach(field => {
+    copy[field] = LOG_SENSITIVE_FIELDS.test(field) && value[field] !== null && value[field] !== '' ?
+      LOG_REDACTED : redactLogValue_(value[field], depth + 1);
+  });
+  return copy;
+}
+
+/**
+ * Error as a plain object
+ * @private
+ * @param {Error} error - Error to log
+ * @returns {Object} { name, message, stack }
+ */
+function serializeLogError_(error) {
+  return {
+    name: error.name,
+    message: redactLogValue_(String(error.message), 0),
+    stack: error.stack ? redactLogValue_(String(error.stack), 0) : undefined
+  };
+}
+
+// ============================================================================
+// PUBLIC API FUNCTIONS
+// ============================================================================
+
+/**
+ * Change the log level and the users who log at debug level (admins only)
+ * @param {string} level - debug, info, warn, error or off
+ * @param {Array<string>|string} [debugUsers] - Users whose requests log at debug level; omit to keep the list
+ * @returns {Object} Response object whose data is { level, debugUsers }
+ */
+function setLogLevel(level, debugUsers) {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can change logging');
+    }
+    const name = String(level || '').trim().toLowerCase();
+    if (!LOG_LEVELS[name]) {
+      return createResponse(false, null, `Unknown log level '${level}'; use ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+
+    const props = PropertiesService.getScriptProperties();
+    props.setProperty('LOG_LEVEL', name);
+    if (debugUsers !== undefined) {
+      const users = (Array.isArray(debugUsers) ? debugUsers : String(debugUsers).split(','))
+        .map(email => String(email).trim().toLowerCase()).filter(Boolean);
+      props.setProperty('LOG_DEBUG_USERS', users.join(','));
+    }
+    if (logContext_) logContext_.level = createLogContext_(logContext_.entryPoint, logContext_.correlationId).level;
+    recordAdminAction_('setLogLevel', { level: name });
+    return createResponse(true, {
+      level: name,
+      debugUsers: String(props.getProperty('LOG_DEBUG_USERS') || '').split(',').filter(Boolean)
+    }, null);
+  } catch (error) {
+    return createResponse(false, null, error.toString());
+  }
+}
@@ -3,61 +3,142 @@
  * Google Apps Script main functions for OneGov FIT Market
  */
 
+/** @const {StructuredLogger} Logger for requests and page-level functions */
+const mainLogger = createLogger('Main');
+
+/** @const {StructuredLogger} Logger for report builder cards and column reports */
+const reportBuilderLogger = createLogger('ReportBuilder');
+
 /**
  * Main entry point for Google Apps Script
  * This function will be called by the web app
  */
 function doGet(e) {
+  beginLogContext('doGet', e && e.parameter && e.parameter.correlationId);
   try {
     const action = e.parameter.action;
     const page = e.parameter.page;
+    mainLogger.info('doGet', { action: action, page: page, pathInfo: e.pathInfo });
+    
+    // Admins can point their session at another data environment (?env=staging, ?env=default to reset)
+    if (e.parameter.env) {
+      const switched = setEnvironmentOverride(e.parameter.env);
+      if (!switched.success) {
+        mainLogger.warn('Environment switch refused', { environment: e.parameter.env, reason: switched.error });
+      }
+    }
+    
+    // Versioned JSON API: <web app URL>/api/v1/... (see B24_restApi)
+    if (isApiRequest(e)) {
+      return handleApiRequest(e, 'GET');
+    }
     
-    // Handle page routing
+    // Handle page routing; each page needs a role (see B26_accessControl)
     if (page === 'reportbuilder') {
+      if (!hasRole('analyst')) return createAccessDeniedPage('analyst');
+      recordAuditEvent_('view', 'reportbuilder');
       return HtmlService.createHtmlOutputFromFile('F03_ReportBuilder')
         .setTitle('OneGov FIT Market - Report Builder')
         .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
     }
     
     if (page === 'reporttable') {
+      if (!hasRole('analyst')) return createAccessDeniedPage('analyst');
+      recordAuditEvent_('view', 'reporttable');
       return HtmlService.createHtmlOutputFromFile('F04_ReportTable')
         .setTitle('OneGov FIT Market - Report Table')
         .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
     }
     
+    if (page === 'diagnostics') {
+      if (!hasRole('admin')) return createAccessDeniedPage('admin');
+      recordAuditEvent_('view', 'diagnostics');
+      return HtmlService.createHtmlOutputFromFile('F08_Diagnostics')
+        .setTitle('OneGov FIT Market - Diagnostics')
+        .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
+    }
+    
+    if (page === 'dataquality') {
+      if (!hasRole('admin')) return createAccessDeniedPage('admin');
+      recordAuditEvent_('view', 'dataquality');
+      return HtmlService.createHtmlOutputFromFile('F07_DataQuality')
+        .setTitle('OneGov FIT Market - Data Quality')
+        .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
+    }
+
     // If no action or page specified, serve the main HTML page
     if (!action) {
-      // Use the exact React version with advanced JSON architecture
-      return HtmlService.createHtmlOutputFromFile('F05_ExactReactWithJSON')
+      if (!hasRole('viewer')) return createAccessDeniedPage('viewer');
+      recordAuditEvent_('view', 'dashboard');
+      // Use the exact React version with advanced JSON architecture; evaluated as a template for include()
+      return HtmlService.createTemplateFromFile('F05_ExactReactWithJSON').evaluate()
         .setTitle('OneGov FIT Market')
         .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
     }
     
-    // Handle API calls
+    // Uptime monitors poll ?action=health without an API key (see B29_healthCheck)
+    if (action === 'health') {
+      return serveHealthCheck();
+    }
+    
+    // Handle API calls; each one needs an API key (see B25_apiKeys)
+    const knownActions = ['getEntities', 'getAnalytics', 'exportReport', 'jsonSchema', 'typeDefinitions'];
+    if (!knownActions.includes(action)) {
+      return createWebResponse(false, null, `Unknown action: ${action}`);
+    }
+    let client;
+    try {
+      client = authorizeApiKey(e.parameter.key, `GET ?action=${action}`);
+    } catch (error) {
+      return createWebResponse(false, null, error.message);
+    }
+    
+    // The key's role stands in for the (deploying) user's
     const entityType = e.parameter.entityType;
-    switch (action) {
-      case 'getEntities':
-        try {
-          const manager = getDataManager();
-          const entities = manager.getEntities(entityType);
-          return createWebResponse(true, entities, null);
-        } catch (error) {
-          console.error('Error getting entities:', error);
-          return createWebResponse(false, null, error.toString());
+    return runWithRole(client.role, () => {
+      switch (action) {
+        case 'getEntities':
+          try {
+            const manager = getDataManager();
+            const entities = manager.getEntities(entityType);
+            return createWebResponse(true, entities, null);
+          } catch (error) {
+            mainLogger.error('Error getting entities', { entityType: entityType, error: error });
+            return createWebResponse(false, null, error.toString());
+          }
+        case 'getAnalytics': {
+          const analytics = getAnalytics(e.parameter.entityId);
+          return createWebResponse(analytics.success, analytics.data, analytics.error);
         }
-      case 'getAnalytics':
-        return getAnalytics(e.parameter.entityId);
-      case 'exportReport':
-        return exportReport(JSON.parse(e.parameter.reportData));
-      default:
-        return createResponse(false, null, 'Unknown action');
-    }
+        case 'exportReport': {
+          const exported = exportReport(JSON.parse(e.parameter.reportData));
+          return createWebResponse(exported.success, exported.data, exported.error);
+        }
+        case 'jsonSchema':
+          return serveJsonSchema(e.parameter.column);
+        case 'typeDefinitions':
+          return serveTypeDefinitions();
+        default:
+          return createWebResponse(false, null, `Unknown action: ${action}`);
+      }
+    }, `api-key:${client.keyId}`);
   } catch (error) {
-    console.error('Error in doGet:', error);
-    return createResponse(false, null, error.toString());
+    mainLogger.error('doGet failed', error);
+    return createWebResponse(false, null, error.toString());
   }
 }
 
+/**
+ * Entry point for POST requests to the web app
+ * Bodies are JSON batch requests (see B24_restApi); a POST without an API path runs a batch
+ */
+function doPost(e) {
+  beginLogContext('doPost', e && e.parameter && e.parameter.correlationId);
+  mainLogger.info('doPost', { pathInfo: e && e.pathInfo });
+  const request = isApiRequest(e) ? e : Object.assign({}, e, { pathInfo: `${API_PATH_PREFIX}/${API_VERSION}/batch` });
+  return handleApiRequest(request, 'POST');
+}
+
 /**
  * Include other HTML files (for templates)
  */
@@ -65,7 +146,7 @@ function include(filename) {
   try {
     return HtmlService.createHtmlOutputFromFile(filename).getContent();
   } catch (error) {
-    console.error('Include error for', filename, ':', error);
+    mainLogger.error('Include failed', { filename: filename, error: error });
     return `<div class="error">Failed to load ${filename}: ${error.toString()}</div>`;
   }
 }
@@ -74,12 +155,13 @@ function include(filename) {
  * Get URL for Report Builder web app
  */
 function getReportBuilderUrl() {
+  requireRole('viewer', 'getReportBuilderUrl');
   try {
     // Get the current web app URL and modify it to serve the Report Builder
     const webAppUrl = ScriptApp.getService().getUrl();
     return webAppUrl + '?page=reportbuilder';
   } catch (error) {
-    console.error('Error getting Report Builder URL:', error);
+    mainLogger.error('Getting Report Builder URL failed', error);
     return null;
   }
 }
@@ -88,12 +170,13 @@ function getReportBuilderUrl() {
  * Get URL for Report Table web app
  */
 function getReportTableUrl() {
+  requireRole('viewer', 'getReportTableUrl');
   try {
     // Get the current web app URL and modify it to serve the Report Table
     const webAppUrl = ScriptApp.getService().getUrl();
     return webAppUrl + '?page=reporttable';
   } catch (error) {
-    console.error('Error getting Report Table URL:', error);
+    mainLogger.error('Getting Report Table URL failed', error);
     return null;
   }
 }
@@ -102,11 +185,10 @@ function getReportTableUrl() {
  * Get available columns for dynamic dropdown
  */
 function getAvailableColumns(entityType = 'agency') {
+  requireRole('viewer', 'getAvailableColumns');
   try {
-    console.log(`🔍 DYNAMIC COLUMNS: Getting available columns for ${entityType}`);
-    
     // Use DataManager to get entity data - but never return the instance
-    const dataManager = OneGovDataManager.getInstance();
+    const dataManager = getDataManager();
     let entities = [];
     
     switch (entityType.toLowerCase()) {
@@ -124,13 +206,12 @@ function getAvailableColumns(entityType = 'agency') {
     }
     
     if (!entities || entities.length === 0) {
-      console.log('⚠️ DYNAMIC COLUMNS: No entities found');
+      reportBuilderLogger.warn('No entities found for available columns', { entityType: entityType });
       return ['obligations'];
     }
     
     // Get first entity to analyze available columns
     const sampleEntity = entities[0];
-    console.log(`📊 DYNAMIC COLUMNS: Sample entity structure:`, Object.keys(sampleEntity));
     
     const availableColumns = [];
     
@@ -173,8 +254,7 @@ function getAvailableColumns(entityType = 'agency') {
       }
     });
     
-    console.log(`🔍 DYNAMIC COLUMNS DEBUG: Entity keys:`, Object.keys(sampleEntity));
-    console.log(`🔍 DYNAMIC COLUMNS DEBUG: Found columns:`, availableColumns);
+    reportBuilderLogger.debug('Found available columns', { entityType: entityType, entityKeys: Object.keys(sampleEntity), columns: availableColumns });
     
     // Ensure 'obligations' is included as default
     if (!availableColumns.includes('obligations')) {
@@ -187,12 +267,10 @@ function getAvailableColumns(entityType = 'agency') {
       name: col.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
     }));
     
-    console.log(`✅ DYNAMIC COLUMNS: Found ${formattedColumns.length} columns:`, formattedColumns);
-    
     return ensureSerializable(formattedColumns);
     
   } catch (error) {
-    console.error('🚨 DYNAMIC COLUMNS Error:', error);
+    reportBuilderLogger.error('Getting available columns failed', error);
     // Return default fallback
     return ensureSerializable([
       { id: 'obligations', name: 'Obligations' },
@@ -209,95 +287,6 @@ function testBasicReturn() {
   return "Hello World";
 }
 
-/**
- * Find entities that actually have FAS/BIC URLs
- */
-function findEntitiesWithTables() {
-  try {
-    const SPREADSHEET_ID = '18h0TYPAPiWCKPB09v7kChoICQOELJSLBfwaZwpYheXE';
-    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
-    
-    const results = [];
-    const sheetsToCheck = ['OEM', 'Vendor', 'Agency'];
-    
-    for (const sheetName of sheetsToCheck) {
-      const sheet = spreadsheet.getSheetByName(sheetName);
-      if (!sheet) continue;
-      
-      const values = sheet.getDataRange().getValues();
-      console.log(`🔍 Checking ${sheetName} sheet with ${values.length} rows`);
-      
-      // Check first 10 rows for entities with URLs
-      for (let i = 1; i < Math.min(11, values.length); i++) {
-        const row = values[i];
-        const name = row[1]; // Column B
-        const fasUrl = row[24]; // Column Y
-        const bicUrl = row[26]; // Column AA
-        
-        if (name && (fasUrl || bicUrl)) {
-          results.push({
-            sheet: sheetName,
-            name: name,
-            fasUrl: fasUrl || 'None',
-            bicUrl: bicUrl || 'None',
-            rowNumber: i + 1
-          });
-        }
-      }
-    }
-    
-    console.log(`🔍 Found ${results.length} entities with table URLs`);
-    return results;
-  } catch (error) {
-    console.error('Error finding entities with tables:', error);
-    return { error: error.toString() };
-  }
-}
-
-/**
- * Test function to check FAS/BIC URLs directly for Adobe
- */
-function testFasBicUrls() {
-  try {
-    const SPREADSHEET_ID = '18h0TYPAPiWCKPB09v7kChoICQOELJSLBfwaZwpYheXE';
-    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
-    const sheet = spreadsheet.getSheetByName('OEM');
-    
-    if (!sheet) {
-      return { error: 'OEM sheet not found' };
-    }
-    
-    const values = sheet.getDataRange().getValues();
-    console.log('🔍 Sheet has', values.length, 'rows and', values[0].length, 'columns');
-    
-    // Find Adobe row
-    for (let i = 1; i < values.length; i++) {
-      const row = values[i];
-      const name = row[1]; // Column B
-      
-      if (name && name.toLowerCase().includes('adobe')) {
-        console.log('🔍 Found Adobe at row', i + 1);
-        console.log('🔍 Adobe name:', name);
-        console.log('🔍 Row length:', row.length);
-        console.log('🔍 Column Y (index 24):', row[24]);
-        console.log('🔍 Column AA (index 26):', row[26]);
-        
-        return {
-          name: name,
-          rowLength: row.length,
-          fasUrl: row[24], // Column Y 
-          bicUrl: row[26]  // Column AA
-        };
-      }
-    }
-    
-    return { error: 'Adobe not found in OEM sheet' };
-  } catch (error) {
-    console.error('Error in testFasBicUrls:', error);
-    return { error: error.toString() };
-  }
-}
-
 function testArrayReturn() {
   return [1, 2, 3];
 }
@@ -315,15 +304,15 @@ function getCurrentUser() {
     return {
       name: user.getEmail().split('@')[0],
       email: user.getEmail(),
-      role: 'Team Member', // Default role
+      role: getUserRole() || 'none',
       lastSync: new Date().toLocaleString()
     };
   } catch (error) {
-    console.error('Error getting user:', error);
+    mainLogger.error('Getting user failed', error);
     return {
       name: 'Unknown User',
       email: '',
-      role: 'Team Member',
+      role: 'none',
       lastSync: 'N/A'
     };
   }
@@ -340,10 +329,10 @@ function sayHello() {
  * Test function to verify data access
  */
 function getSimpleData() {
+  requireRole('admin', 'getSimpleData');
   try {
-    const SPREADSHEET_ID = '18h0TYPAPiWCKPB09v7kChoICQOELJSLBfwaZwpYheXE';
-    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
-    const oemSheet = spreadsheet.getSheetByName('OEM');
+    const spreadsheet = openSourceSpreadsheet();
+    const oemSheet = spreadsheet.getSheetByName(getSheetName('oem'));
     
     if (!oemSheet) {
       return { error: 'OEM sheet not found' };
@@ -379,7 +368,7 @@ function getReadyViewDataOptimizedWrapper() {
       playbook: []
     };
   } catch (error) {
-    console.error('Error getting ready view data:', error);
+    mainLogger.error('Getting ready view data failed', error);
     return {
       extractionLog: [],
       oemFiles: [],
@@ -389,413 +378,31 @@ function getReadyViewDataOptimizedWrapper() {
 }
 
 /**
- * Log visitor activity
- */
-function logVisitorActivity(viewName) {
-  try {
-    // You can add actual logging logic here if needed
-    return true;
-  } catch (error) {
-    console.error('Error logging activity:', error);
-    return false;
-  }
-}
-
-/**
- * Get entities from Google Sheets using proper column structure
- */
-function getEntities(entityType) {
-  try {
-    const SPREADSHEET_ID = '18h0TYPAPiWCKPB09v7kChoICQOELJSLBfwaZwpYheXE';
-    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
-    
-    // Updated column mappings based on new sheet structure
-    let sheetName, columns;
-    switch (entityType?.toLowerCase()) {
-      case 'oem':
-        sheetName = 'OEM';
-        columns = {
-          duns: 1,              // Column A - DUNS
-          name: 2,              // Column B - OEM name
-          parentCompany: 3,     // Column C - Parent
-          obligations: 4,       // Column D - Obligations (JSON)
-          smallBusiness: 5,     // Column E - Small Business (JSON)
-          sumTier: 6,          // Column F - SUM Tier (JSON)
-          sumType: 7,          // Column G - Sum Type (JSON)
-          contractVehicle: 8,   // Column H - Contract Vehicle (JSON)
-          fundingDepartment: 9, // Column I - Funding Department (JSON)
-          discount: 10,         // Column J - Discount (JSON)
-          topRefPiid: 11,      // Column K - Top Ref_PIID (JSON)
-          topPiid: 12,         // Column L - Top PIID (JSON)
-          activeContracts: 13,  // Column M - Active Contracts (JSON)
-          discountOfferings: 14,// Column N - Discount Offerings (JSON)
-          aiProduct: 15,        // Column O - AI Product (JSON)
-          aiCategory: 16,       // Column P - AI Category (JSON)
-          topBicProducts: 17,   // Column Q - Top BIC Products (JSON)
-          reseller: 18,         // Column R - Reseller (JSON)
-          bicReseller: 19,      // Column S - BIC Reseller (JSON)
-          bicOem: 20,          // Column T - BIC OEM (JSON)
-          fasOem: 21,          // Column U - FAS OEM (JSON)
-          fundingAgency: 22,    // Column V - Funding Agency (JSON)
-          bicTopProductsPerAgency: 23, // Column W - BIC Top Products per Agency (JSON)
-          oneGovTier: 24,      // Column X - OneGov Tier (JSON)
-          fasDataTable: 25,    // Column Y - FAS Data Table (link)
-          fasTimestamp: 26,    // Column Z - FAS Table Update Timestamp
-          bicDataTable: 27,    // Column AA - BIC Data Table (link)
-          bicTimestamp: 28     // Column AB - BIC Table Update Timestamp
-        };
-        console.log('🔍 Column mapping for', entityType, '- FAS:', columns.fasDataTable, 'BIC:', columns.bicDataTable);
-        break;
-      case 'vendor':
-        sheetName = 'Vendor';
-        columns = {
-          uei: 1,               // Column A - UEI
-          name: 2,              // Column B - Vendor name
-          parentCompany: 3,     // Column C - Parent
-          obligations: 4,       // Column D - Obligations (JSON)
-          smallBusiness: 5,     // Column E - Small Business (JSON)
-          sumTier: 6,          // Column F - SUM Tier (JSON)
-          sumType: 7,          // Column G - Sum Type (JSON)
-          contractVehicle: 8,   // Column H - Contract Vehicle (JSON)
-          fundingDepartment: 9, // Column I - Funding Department (JSON)
-          discount: 10,         // Column J - Discount (JSON)
-          topRefPiid: 11,      // Column K - Top Ref_PIID (JSON)
-          topPiid: 12,         // Column L - Top PIID (JSON)
-          activeContracts: 13,  // Column M - Active Contracts (JSON)
-          discountOfferings: 14,// Column N - Discount Offerings (JSON)
-          aiProduct: 15,        // Column O - AI Product (JSON)
-          aiCategory: 16,       // Column P - AI Category (JSON)
-          topBicProducts: 17,   // Column Q - Top BIC Products (JSON)
-          reseller: 18,         // Column R - Reseller (JSON)
-          bicReseller: 19,      // Column S - BIC Reseller (JSON)
-          bicOem: 20,          // Column T - BIC OEM (JSON)
-          fasOem: 21,          // Column U - FAS OEM (JSON)
-          fundingAgency: 22,    // Column V - Funding Agency (JSON)
-          bicTopProductsPerAgency: 23, // Column W - BIC Top Products per Agency (JSON)
-          oneGovTier: 24,      // Column X - OneGov Tier (JSON)
-          fasDataTable: 25,    // Column Y - FAS Data Table (link)
-          fasTimestamp: 26,    // Column Z - FAS Table Update Timestamp
-          bicDataTable: 27,    // Column AA - BIC Data Table (link)
-          bicTimestamp: 28     // Column AB - BIC Table Update Timestamp
-        };
-        console.log('🔍 Column mapping for', entityType, '- FAS:', columns.fasDataTable, 'BIC:', columns.bicDataTable);
-        break;
-      case 'agency':
-        sheetName = 'Agency';
-        columns = {
-          agencyCode: 1,        // Column A - Agency Code
-          name: 2,              // Column B - Agency name  
-          parentCompany: 3,     // Column C - Parent/Department
-          obligations: 4,       // Column D - Obligations (JSON)
-          smallBusiness: 5,     // Column E - Small Business (JSON)
-          sumTier: 6,          // Column F - SUM Tier (JSON)
-          sumType: 7,          // Column G - Sum Type (JSON)
-          contractVehicle: 8,   // Column H - Contract Vehicle (JSON)
-          fundingDepartment: 9, // Column I - Funding Department (JSON)
-          discount: 10,         // Column J - Discount (JSON)
-          topRefPiid: 11,      // Column K - Top Ref_PIID (JSON)
-          topPiid: 12,         // Column L - Top PIID (JSON)
-          activeContracts: 13,  // Column M - Active Contracts (JSON)
-          discountOfferings: 14,// Column N - Discount Offerings (JSON)
-          aiProduct: 15,        // Column O - AI Product (JSON)
-          aiCategory: 16,       // Column P - AI Category (JSON)
-          topBicProducts: 17,   // Column Q - Top BIC Products (JSON)
-          reseller: 18,         // Column R - Reseller (JSON)
-          bicReseller: 19,      // Column S - BIC Reseller (JSON)
-          bicOem: 20,          // Column T - BIC OEM (JSON)
-          fasOem: 21,          // Column U - FAS OEM (JSON)
-          fundingAgency: 22,    // Column V - Funding Agency (JSON)
-          bicTopProductsPerAgency: 23, // Column W - BIC Top Products per Agency (JSON)
-          oneGovTier: 24,      // Column X - OneGov Tier (JSON)
-          fasDataTable: 25,    // Column Y - FAS Data Table (link)
-          fasTimestamp: 26,    // Column Z - FAS Table Update Timestamp
-          bicDataTable: 27,    // Column AA - BIC Data Table (link)
-          bicTimestamp: 28     // Column AB - BIC Table Update Timestamp
-        };
-        console.log('🔍 Column mapping for', entityType, '- FAS:', columns.fasDataTable, 'BIC:', columns.bicDataTable);
-        break;
-      default:
-        sheetName = 'OEM';
-        columns = {
-          name: 2,
-          obligations: 4,
-        };
-    }
-    
-    const sheet = spreadsheet.getSheetByName(sheetName);
-    if (!sheet) {
-      throw new Error(`Sheet not found: ${sheetName}`);
-    }
-    
-    const range = sheet.getDataRange();
-    const values = range.getValues();
-    
-    // Process entities, skipping rows without valid JSON data where required
-    const entities = [];
-    for (let i = 1; i < values.length; i++) { // Start from row 2 (skip header)
-      const row = values[i];
-      const name = row[columns.name - 1]; // Convert to 0-based index
-      
-      if (!name || name.trim() === '') continue; // Skip empty names
-      
-      const entity = {
-        id: `${entityType}_${i}`,
-        name: name,
-        type: entityType,
-      };
-      
-      // Process JSON columns with new structure
-      if (columns.obligations && row[columns.obligations - 1]) {
-        const obligations = parseJSONColumn(row[columns.obligations - 1]);
-        if (obligations) {
-          entity.obligations = obligations;
-          // Extract total from the JSON structure
-          if (obligations.summary?.total_obligations) {
-            entity.totalObligations = obligations.summary.total_obligations;
-          } else if (obligations.total_obligated) {
-            entity.totalObligations = obligations.total_obligated;
-          }
-        }
-      }
-      
-      if (columns.smallBusiness && row[columns.smallBusiness - 1]) {
-        const smallBusiness = parseJSONColumn(row[columns.smallBusiness - 1]);
-        if (smallBusiness) entity.smallBusiness = smallBusiness;
-      }
-      
-      if (columns.sumTier && row[columns.sumTier - 1]) {
-        const sumTier = parseJSONColumn(row[columns.sumTier - 1]);
-        if (sumTier) entity.sumTier = sumTier;
-      }
-      
-      if (columns.contractVehicle && row[columns.contractVehicle - 1]) {
-        const contractVehicle = parseJSONColumn(row[columns.contractVehicle - 1]);
-        if (contractVehicle) entity.contractVehicle = contractVehicle;
-      }
-      
-      if (columns.sumType && row[columns.sumType - 1]) {
-        const sumType = parseJSONColumn(row[columns.sumType - 1]);
-        if (sumType) {
-          entity.sumType = sumType;
-        }
-      }
-      
-      if (columns.discount && row[columns.discount - 1]) {
-        const discount = parseJSONColumn(row[columns.discount - 1]);
-        if (discount) entity.discount = discount;
-      }
-      
-      if (columns.topRefPiid && row[columns.topRefPiid - 1]) {
-        const topRefPiid = parseJSONColumn(row[columns.topRefPiid - 1]);
-        if (topRefPiid) entity.topRefPiid = topRefPiid;
-      }
-      
-      if (columns.topPiid && row[columns.topPiid - 1]) {
-        const topPiid = parseJSONColumn(row[columns.topPiid - 1]);
-        if (topPiid) entity.topPiid = topPiid;
-      }
-      
-      if (columns.aiProduct && row[columns.aiProduct - 1]) {
-        const aiProduct = parseJSONColumn(row[columns.aiProduct - 1]);
-        if (aiProduct) entity.aiProduct = aiProduct;
-      }
-      
-      if (columns.aiCategory && row[columns.aiCategory - 1]) {
-        console.log('AI CATEGORY - Column exists, raw data:', row[columns.aiCategory - 1]);
-        const aiCategory = parseJSONColumn(row[columns.aiCategory - 1]);
-        if (aiCategory) {
-          entity.aiCategories = aiCategory;
-          console.log('AI CATEGORY - Parsed and assigned:', aiCategory);
-        } else {
-          console.log('AI CATEGORY - Failed to parse JSON');
-        }
-      } else {
-        console.log('AI CATEGORY - Column missing or empty. Column index:', columns.aiCategory, 'Row length:', row.length, 'Value:', row[columns.aiCategory - 1]);
-      }
-      
-      if (columns.topBicProducts && row[columns.topBicProducts - 1]) {
-        console.log('BIC PRODUCTS - Column exists, raw data:', row[columns.topBicProducts - 1]);
-        const topBicProducts = parseJSONColumn(row[columns.topBicProducts - 1]);
-        if (topBicProducts) {
-          entity.topBicProducts = topBicProducts;
-          console.log('BIC PRODUCTS - Parsed and assigned:', topBicProducts);
-        } else {
-          console.log('BIC PRODUCTS - Failed to parse JSON');
-        }
-      } else {
-        console.log('BIC PRODUCTS - Column missing or empty. Column index:', columns.topBicProducts, 'Row length:', row.length, 'Value:', row[columns.topBicProducts - 1]);
-      }
-      
-      if (columns.discountOfferings && row[columns.discountOfferings - 1]) {
-        console.log('DISCOUNT OFFERINGS - Column exists, raw data:', row[columns.discountOfferings - 1]);
-        const discountOfferings = parseJSONColumn(row[columns.discountOfferings - 1]);
-        if (discountOfferings) {
-          entity.discountOfferings = discountOfferings;
-          console.log('DISCOUNT OFFERINGS - Parsed and assigned:', discountOfferings);
-        } else {
-          console.log('DISCOUNT OFFERINGS - Failed to parse JSON');
-        }
-      } else {
-        console.log('DISCOUNT OFFERINGS - Column missing or empty. Column index:', columns.discountOfferings, 'Row length:', row.length, 'Value:', row[columns.discountOfferings - 1]);
-      }
-      
-      if (columns.reseller && row[columns.reseller - 1]) {
-        const reseller = parseJSONColumn(row[columns.reseller - 1]);
-        if (reseller) entity.reseller = reseller;
-      }
-      
-      if (columns.fundingAgency && row[columns.fundingAgency - 1]) {
-        const fundingAgency = parseJSONColumn(row[columns.fundingAgency - 1]);
-        if (fundingAgency) entity.fundingAgency = fundingAgency;
-      }
-      
-      if (columns.oneGovTier && row[columns.oneGovTier - 1]) {
-        const oneGovTier = parseJSONColumn(row[columns.oneGovTier - 1]);
-        if (oneGovTier) {
-          entity.oneGovTier = oneGovTier;
-          // Extract tier information
-          if (oneGovTier.mode_tier) entity.tier = oneGovTier.mode_tier;
-          if (oneGovTier.total_obligated) entity.totalObligated = oneGovTier.total_obligated;
-        }
-      }
-      
-      if (columns.bicOem && row[columns.bicOem - 1]) {
-        console.log('BIC OEM - Column exists, raw data:', row[columns.bicOem - 1]);
-        const bicOem = parseJSONColumn(row[columns.bicOem - 1]);
-        if (bicOem) {
-          entity.bicOem = bicOem;
-          console.log('BIC OEM - Parsed and assigned:', bicOem);
-        } else {
-          console.log('BIC OEM - Failed to parse JSON');
-        }
-      } else {
-        console.log('BIC OEM - Column missing or empty. Column index:', columns.bicOem, 'Row length:', row.length, 'Value:', row[columns.bicOem - 1]);
-      }
-      
-      if (columns.fasOem && row[columns.fasOem - 1]) {
-        const fasOem = parseJSONColumn(row[columns.fasOem - 1]);
-        if (fasOem) entity.fasOem = fasOem;
-      }
-      
-      // Add non-JSON fields
-      if (columns.parentCompany && row[columns.parentCompany - 1]) {
-        entity.parentCompany = row[columns.parentCompany - 1];
-      }
-      
-      if (columns.uei && row[columns.uei - 1]) {
-        entity.uei = row[columns.uei - 1];
-      }
-      
-      if (columns.duns && row[columns.duns - 1]) {
-        entity.duns = row[columns.duns - 1];
-      }
-      
-      if (columns.agencyCode && row[columns.agencyCode - 1]) {
-        entity.agencyCode = row[columns.agencyCode - 1];
-      }
-      
-      // Debug info for Adobe specifically
-      if (entity.name && entity.name.toLowerCase().includes('adobe')) {
-        console.log('🔍 Adobe debug - Row length:', row.length, 
-                   'FAS column:', columns.fasDataTable, 'value:', row[columns.fasDataTable - 1],
-                   'BIC column:', columns.bicDataTable, 'value:', row[columns.bicDataTable - 1]);
-      }
-      
-      // Always assign FAS/BIC URLs even if they appear empty
-      if (columns.fasDataTable) {
-        entity.fasTableUrl = row[columns.fasDataTable - 1] || '';
-        if (entity.fasTableUrl && entity.fasTableUrl.trim()) {
-          console.log('🔍 FAS URL found for', entity.name, ':', entity.fasTableUrl);
-        }
-      }
-      
-      if (columns.bicDataTable) {
-        entity.bicTableUrl = row[columns.bicDataTable - 1] || '';
-        if (entity.bicTableUrl && entity.bicTableUrl.trim()) {
-          console.log('🔍 BIC URL found for', entity.name, ':', entity.bicTableUrl);
-        }
-      }
-      
-      entities.push(entity);
-    }
-    
-    return createResponse(true, entities, null);
-  } catch (error) {
-    console.error('Error getting entities:', error);
-    return createResponse(false, null, error.toString());
-  }
-}
-
-/**
- * Wrapper function for getting OEM entities
- */
-function getOEMs() {
-  try {
-    console.log('🔍 getOEMs() called - calling getEntities(oem)');
-    return getEntities('oem');
-  } catch (error) {
-    console.error('Error getting OEMs:', error);
-    return createWebResponse(false, null, error.toString());
-  }
-}
-
-/**
- * Wrapper function for getting Vendor entities
- */
-function getVendors() {
-  try {
-    return getEntities('vendor');
-  } catch (error) {
-    console.error('Error getting Vendors:', error);
-    return createWebResponse(false, null, error.toString());
-  }
-}
-
-/**
- * Wrapper function for getting Agency entities
- */
-function getAgencies() {
-  try {
-    return getEntities('agency');
-  } catch (error) {
-    console.error('Error getting Agencies:', error);
-    return createWebResponse(false, null, error.toString());
-  }
-}
-
-/**
- * Legacy wrapper for OEM entities (for backward compatibility)
- */
-function getOEMEntities() {
-  return getOEMs();
-}
-
-/**
- * Legacy wrapper for Vendor entities (for backward compatibility)
+ * Log visitor activity to the audit log (B28_auditLog)
+ * @param {string} viewName - View shown, e.g. a tab or 'entityDetail'
+ * @param {Object} [details] - { entityId, entityName, entityType } for entity views
+ * @returns {boolean} True if the view was recorded
  */
-function getVendorEntities() {
-  return getVendors();
-}
-
-/**
- * Legacy wrapper for Agency entities (for backward compatibility)
- */
-function getAgencyEntities() {
-  return getAgencies();
+function logVisitorActivity(viewName, details) {
+  requireRole('viewer', 'logVisitorActivity');
+  const entity = details && (details.entityName || details.entityId);
+  return entity ?
+    recordAuditEvent_('entity_view', entity, details) :
+    recordAuditEvent_('view', viewName, details);
 }
 
 /**
  * Get report table data
  */
 function getReportTableData() {
+  requireRole('analyst', 'getReportTableData');
   try {
-    const SPREADSHEET_ID = '18h0TYPAPiWCKPB09v7kChoICQOELJSLBfwaZwpYheXE';
-    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const manager = getDataManager();
     
     // Combine data from all entity types
-    const oems = getEntities('oem') || [];
-    const vendors = getEntities('vendor') || [];
-    const agencies = getEntities('agency') || [];
+    const oems = manager.getOEMs();
+    const vendors = manager.getVendors();
+    const agencies = manager.getAgencies();
     
     // Format for report table
     const reportData = [];
@@ -809,8 +416,8 @@ function getReportTableData() {
         category: 'OEM',
         type: 'Manufacturer',
         total: entity.totalObligations || 0,
-        fy24: entity.fy24Obligations || 0,
-        fy25: entity.fy25Obligations || 0,
+        fy24: entity.fiscalYearObligations?.['2024'] || 0,
+        fy25: entity.fiscalYearObligations?.['2025'] || 0,
         tier: entity.tier || 'N/A',
         small_business: entity.smallBusiness || 'N/A'
       });
@@ -824,8 +431,8 @@ function getReportTableData() {
         category: 'Vendor',
         type: entity.vendorType || 'Reseller',
         total: entity.totalObligations || 0,
-        fy24: entity.fy24Obligations || 0,
-        fy25: entity.fy25Obligations || 0,
+        fy24: entity.fiscalYearObligations?.['2024'] || 0,
+        fy25: entity.fiscalYearObligations?.['2025'] || 0,
         tier: entity.tier || 'Tier 2',
         small_business: entity.smallBusiness || 'N/A'
       });
@@ -839,8 +446,8 @@ function getReportTableData() {
         category: 'Agency',
         type: 'Federal Agency',
         total: entity.totalObligations || 0,
-        fy24: entity.fy24Obligations || 0,
-        fy25: entity.fy25Obligations || 0,
+        fy24: entity.fiscalYearObligations?.['2024'] || 0,
+        fy25: entity.fiscalYearObligations?.['2025'] || 0,
         tier: 'N/A',
         small_business: 'N/A'
       });
@@ -848,7 +455,7 @@ function getReportTableData() {
     
     return reportData;
   } catch (error) {
-    console.error('Error getting report table data:', error);
+    reportBuilderLogger.error('Getting report table data failed', error);
     return [];
   }
 }
@@ -857,6 +464,7 @@ function getReportTableData() {
  * Export report table data
  */
 function exportReportTable(data, format) {
+  requireRole('analyst', 'exportReportTable');
   try {
     if (format === 'sheets') {
       // Create a new spreadsheet
@@ -873,6 +481,7 @@ function exportReportTable(data, format) {
         sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
       }
       
+      recordAuditEvent_('export', 'reportTable', { format: format, rows: rows.length });
       return { success: true, url: spreadsheet.getUrl() };
     } else if (format === 'csv') {
       // Generate CSV content
@@ -882,12 +491,13 @@ function exportReportTable(data, format) {
         ...data.map(row => headers.map(h => JSON.stringify(row[h] || '')).join(','))
       ].join('\n');
       
+      recordAuditEvent_('export', 'reportTable', { format: format, rows: data.length });
       return { success: true, csv: csv };
     }
     
     return { success: false, error: 'Invalid format' };
   } catch (error) {
-    console.error('Error exporting report table:', error);
+    reportBuilderLogger.error('Exporting report table failed', error);
     throw error;
   }
 }
@@ -896,6 +506,7 @@ function exportReportTable(data, format) {
  * Get comprehensive cross-sheet analytics for summary dashboard
  */
 function getSummaryDashboardData() {
+  requireRole('viewer', 'getSummaryDashboardData');
   try {
     // Get data from all three entity types
     const oemResponse = getOEMEntities();
@@ -906,9 +517,9 @@ function getSummaryDashboardData() {
       throw new Error('Failed to load entity data');
     }
     
-    const oems = JSON.parse(oemResponse.getContent()).data;
-    const vendors = JSON.parse(vendorResponse.getContent()).data;
-    const agencies = JSON.parse(agencyResponse.getContent()).data;
+    const oems = oemResponse.data;
+    const vendors = vendorResponse.data;
+    const agencies = agencyResponse.data;
     
     const dashboard = {
       overview: {
@@ -1032,7 +643,7 @@ function getSummaryDashboardData() {
     
     return createResponse(true, dashboard, null);
   } catch (error) {
-    console.error('Error getting summary dashboard data:', error);
+    mainLogger.error('Getting summary dashboard data failed', error);
     return createResponse(false, null, error.toString());
   }
 }
@@ -1170,21 +781,30 @@ function extractJsonInsights(jsonObj, columnType) {
  * Export report to Google Docs/Sheets/Slides
  */
 function exportReport(reportData) {
+  requireRole('analyst', 'exportReport');
   try {
     const { selectedCards, exportFormat } = reportData;
     
+    let exported;
     switch (exportFormat) {
       case 'docs':
-        return exportToGoogleDocs(selectedCards);
+        exported = exportToGoogleDocs(selectedCards);
+        break;
       case 'sheets':
-        return exportToGoogleSheets(selectedCards);
+        exported = exportToGoogleSheets(selectedCards);
+        break;
       case 'slides':
-        return exportToGoogleSlides(selectedCards);
+        exported = exportToGoogleSlides(selectedCards);
+        break;
       default:
         throw new Error(`Unknown export format: ${exportFormat}`);
     }
+    if (exported.success) {
+      recordAuditEvent_('export', 'report', { format: exportFormat, cards: selectedCards.length });
+    }
+    return exported;
   } catch (error) {
-    console.error('Error exporting report:', error);
+    reportBuilderLogger.error('Exporting report failed', error);
     return createResponse(false, null, error.toString());
   }
 }
@@ -1193,6 +813,7 @@ function exportReport(reportData) {
  * Export to Google Docs
  */
 function exportToGoogleDocs(cards) {
+  requireRole('analyst', 'exportToGoogleDocs');
   try {
     const doc = DocumentApp.create('OneGov FIT Market Report - ' + new Date().toLocaleDateString());
     const body = doc.getBody();
@@ -1222,7 +843,7 @@ function exportToGoogleDocs(cards) {
     
     return createResponse(true, { url }, null);
   } catch (error) {
-    console.error('Error exporting to Google Docs:', error);
+    reportBuilderLogger.error('Exporting to Google Docs failed', error);
     return createResponse(false, null, error.toString());
   }
 }
@@ -1231,13 +852,14 @@ function exportToGoogleDocs(cards) {
  * Export to Google Sheets
  */
 function exportToGoogleSheets(cards) {
+  requireRole('analyst', 'exportToGoogleSheets');
   try {
     // Implementation for Google Sheets export
     const sheet = SpreadsheetApp.create('OneGov FIT Market Report - ' + new Date().toLocaleDateString());
     const url = sheet.getUrl();
     return createResponse(true, { url }, null);
   } catch (error) {
-    console.error('Error exporting to Google Sheets:', error);
+    reportBuilderLogger.error('Exporting to Google Sheets failed', error);
     return createResponse(false, null, error.toString());
   }
 }
@@ -1246,13 +868,14 @@ function exportToGoogleSheets(cards) {
  * Export to Google Slides
  */
 function exportToGoogleSlides(cards) {
+  requireRole('analyst', 'exportToGoogleSlides');
   try {
     // Implementation for Google Slides export
     const presentation = SlidesApp.create('OneGov FIT Market Report - ' + new Date().toLocaleDateString());
     const url = presentation.getUrl();
     return createResponse(true, { url }, null);
   } catch (error) {
-    console.error('Error exporting to Google Slides:', error);
+    reportBuilderLogger.error('Exporting to Google Slides failed', error);
     return createResponse(false, null, error.toString());
   }
 }
@@ -1281,7 +904,7 @@ function parseJSONColumn(value) {
     
     return null;
   } catch (error) {
-    console.warn('Error parsing JSON column:', error, 'Value:', value);
+    mainLogger.warn('Parsing JSON column failed', { value: value, error: error });
     return null;
   }
 }
@@ -1296,6 +919,8 @@ function createWebResponse(success, data, error) {
     error: error,
     timestamp: new Date().toISOString()
   };
+  // Failures carry the correlation ID so their log trail can be found
+  if (!success) response.correlationId = getCorrelationId();
   
   return ContentService
     .createTextOutput(JSON.stringify(response))
@@ -1311,7 +936,7 @@ function parseColumnData(sheet, row, colIndex) {
   try {
     return JSON.parse(value);
   } catch(e) {
-    console.error(`Parse error at row ${row}, col ${colIndex}:`, e);
+    mainLogger.error('Parsing column data failed', { row: row, column: colIndex, error: e });
     return null;
   }
 }
@@ -1340,7 +965,7 @@ function getColumnByName(columnName) {
  * Test function to verify if functions are accessible
  */
 function testReportBuilder() {
-  console.log('TEST: testReportBuilder called successfully');
+  reportBuilderLogger.info('testReportBuilder called');
   return "Test successful";
 }
 
@@ -1354,7 +979,8 @@ function testReportBuilder() {
  * @returns {Array} Array of entities with processed data
  */
 function getColumnFirstData(entityType, columnId, topN = 10) {
-  console.log(`🔍 getColumnFirstData called: entityType=${entityType}, columnId=${columnId}, topN=${topN}`);
+  requireRole('analyst', 'getColumnFirstData');
+  reportBuilderLogger.debug('getColumnFirstData', { entityType: entityType, columnId: columnId, topN: topN });
   
   try {
     // Get data with safe error handling
@@ -1362,20 +988,18 @@ function getColumnFirstData(entityType, columnId, topN = 10) {
     try {
       const entitiesResponse = getEntities(entityType);
       if (entitiesResponse && entitiesResponse.success) {
-        entities = JSON.parse(entitiesResponse.getContent()).data || [];
+        entities = entitiesResponse.data || [];
       }
     } catch (error) {
-      console.error('❌ Error getting entities:', error);
+      reportBuilderLogger.error('Loading entities failed', error);
       return [];
     }
     
     if (!entities || !Array.isArray(entities) || entities.length === 0) {
-      console.log('❌ No valid entities found for type:', entityType);
+      reportBuilderLogger.warn('No valid entities found', { entityType: entityType });
       return [];
     }
     
-    console.log(`📊 Found ${entities.length} ${entityType} entities`);
-    
     // Define column mappings
     const columnMap = {
       agency: {
@@ -1405,7 +1029,7 @@ function getColumnFirstData(entityType, columnId, topN = 10) {
     
     const column = columnMap[entityType]?.[columnId];
     if (!column) {
-      console.log(`❌ Column ${columnId} not found for ${entityType}`);
+      reportBuilderLogger.warn('Column not found', { entityType: entityType, columnId: columnId });
       return [];
     }
     
@@ -1439,7 +1063,7 @@ function getColumnFirstData(entityType, columnId, topN = 10) {
         });
         
       } catch (parseError) {
-        console.log(`⚠️ Error parsing data for entity ${entity.A}:`, parseError);
+        reportBuilderLogger.warn('Parsing entity column data failed', { entity: entity.A, error: parseError });
         processedEntities.push({
           name: entity.A || 'Unknown',
           value: 0,
@@ -1465,11 +1089,11 @@ function getColumnFirstData(entityType, columnId, topN = 10) {
       tier: String(entity.tier || '')
     }));
     
-    console.log(`✅ Returning ${serializedEntities.length} top ${entityType} entities for ${columnId}`);
+    reportBuilderLogger.debug('Returning top entities', { entityType: entityType, columnId: columnId, entities: serializedEntities.length, of: entities.length });
     return ensureSerializable(serializedEntities);
     
   } catch (error) {
-    console.error('🚨 ERROR in getColumnFirstData:', error);
+    reportBuilderLogger.error('getColumnFirstData failed', error);
     return [];
   }
 }
@@ -1484,7 +1108,7 @@ function ensureSerializable(data) {
     // Convert to JSON and back to ensure it's serializable
     return JSON.parse(JSON.stringify(data));
   } catch (error) {
-    console.error('Serialization error:', error);
+    mainLogger.error('Serialization failed', error);
     return null;
   }
 }
@@ -1493,10 +1117,9 @@ function ensureSerializable(data) {
  * Get report builder data with cards for each JSON column
  */
 function getReportBuilderData() {
-  console.log('REPORT BUILDER: getReportBuilderData called - starting execution');
+  requireRole('analyst', 'getReportBuilderData');
   try {
-    const SPREADSHEET_ID = '18h0TYPAPiWCKPB09v7kChoICQOELJSLBfwaZwpYheXE';
-    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const spreadsheet = getDataManager().getEntitledSpreadsheet(openSourceSpreadsheet());
     
     // Define JSON columns for each entity type
     const jsonColumns = {
@@ -1550,12 +1173,11 @@ function getReportBuilderData() {
       }
     }
     
-    console.log('REPORT BUILDER: Generated', cards.length, 'cards total');
+    reportBuilderLogger.info('Generated report builder cards', { cards: cards.length });
     return ensureSerializable(cards);
     
   } catch (error) {
-    console.error('REPORT BUILDER ERROR:', error);
-    console.error('REPORT BUILDER ERROR STACK:', error.stack);
+    reportBuilderLogger.error('Building report builder cards failed', error);
     // Return a simple fallback card to test if the function is being called
     return [{
       id: 'test_card',
@@ -1582,61 +1204,41 @@ function getReportBuilderData() {
  * Get entity names for a specific entity type
  */
 function getEntityNames(entityType) {
-  console.log('BACKEND: getEntityNames called for:', entityType);
+  requireRole('viewer', 'getEntityNames');
   
   try {
-    const SPREADSHEET_ID = '18h0TYPAPiWCKPB09v7kChoICQOELJSLBfwaZwpYheXE';
-    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const spreadsheet = getDataManager().getEntitledSpreadsheet(openSourceSpreadsheet());
     
     // Convert entity type to proper sheet name
-    const entityTypeMap = {
-      'agency': 'Agency',
-      'oem': 'OEM', 
-      'vendor': 'Vendor'
-    };
-    const sheetName = entityTypeMap[entityType.toLowerCase()] || entityType.charAt(0).toUpperCase() + entityType.slice(1);
-    console.log('BACKEND: Sheet name:', sheetName);
+    const sheetName = getSheetName(entityType);
     
     const sheet = spreadsheet.getSheetByName(sheetName);
     
     if (!sheet) {
-      console.log('BACKEND: Sheet not found:', sheetName);
-      console.log('BACKEND: Available sheets:', spreadsheet.getSheets().map(s => s.getName()));
+      mainLogger.warn('Sheet not found', {
+        sheetName: sheetName,
+        availableSheets: spreadsheet.getSheets().map(s => s.getName())
+      });
       return [];
     }
     
     const range = sheet.getDataRange();
     const values = range.getValues();
-    console.log('BACKEND: Total rows:', values.length);
-    
-    if (values.length > 1) {
-      console.log('BACKEND: Header row:', values[0]);
-      console.log('BACKEND: Sample row 1:', values[1]);
-      console.log('BACKEND: Sample row 2:', values[2] || 'No row 2');
-    }
+    const mapping = buildColumnMapping(values[0], getEntityTypeForSheet(sheetName));
     
     const entityNames = new Set();
-    const sampleNames = [];
     
     // Process data starting from row 2 (skip header)
     for (let i = 1; i < values.length; i++) {
-      const row = values[i];
+      const row = toCanonicalRow(values[i], mapping); // Documented column layout, whatever the sheet order
       const entityName = row[1]; // Column B is entity name
       
       if (entityName && entityName.trim() !== '') {
         const trimmedName = entityName.trim();
         entityNames.add(trimmedName);
-        
-        // Collect first 3 for debugging
-        if (sampleNames.length < 3) {
-          sampleNames.push(trimmedName);
-        }
       }
     }
     
-    console.log('BACKEND: Sample entity names found:', sampleNames);
-    console.log('BACKEND: Total unique entity names found:', entityNames.size);
-    
     // Convert to sorted array with value/label format
     const sortedNames = Array.from(entityNames)
       .sort()
@@ -1645,13 +1247,12 @@ function getEntityNames(entityType) {
         label: name
       }));
       
-    console.log(`BACKEND: Final unique count after processing: ${sortedNames.length}`);
-    console.log('BACKEND: First 3 sorted names:', sortedNames.slice(0, 3));
+    mainLogger.debug('Loaded entity names', { entityType: entityType, sheetName: sheetName, rows: values.length - 1, names: sortedNames.length });
     
     return sortedNames;
     
   } catch (error) {
-    console.error('BACKEND: Error in getEntityNames:', error);
+    mainLogger.error('Loading entity names failed', error);
     return [];
   }
 }
@@ -1660,9 +1261,11 @@ function getEntityNames(entityType) {
  * Generate column-specific reports using Chart Buffet System
  */
 function generateColumnReports(entityType, columnId, topN = 10, selectedEntities = []) {
-  console.log('🍽️ Chart Buffet v2.1: === generateColumnReports (Fiscal Year Pie) ===');
-  console.log('🍽️ Chart Buffet: Creating visualization suite with fiscal year breakdown');
-  console.log('🍽️ Chart Buffet Params:', {entityType, columnId, topN, selectedEntitiesCount: selectedEntities.length});
+  requireRole('analyst', 'generateColumnReports');
+  reportBuilderLogger.info('generateColumnReports', { entityType: entityType, columnId: columnId, topN: topN, selectedEntities: selectedEntities.length });
+  if (selectedEntities.length > 0) {
+    recordAuditEvent_('filter', 'columnReports', { entityType: entityType, columnId: columnId, entities: selectedEntities.length });
+  }
   
   // Use the new Chart Buffet system
   return generateColumnReportsBuffet(entityType, columnId, topN, selectedEntities);
@@ -1673,14 +1276,12 @@ function generateColumnReports(entityType, columnId, topN = 10, selectedEntities
  * Keeping for backward compatibility
  */
 function generateColumnReportsLegacy(entityType, columnId, topN = 10, selectedEntities = []) {
-  console.log('🔥 DataManager BACKEND: === generateColumnReports v520 ===');
-  console.log('🔥 DataManager BACKEND: Using centralized data layer');
-  console.log('🔥 DataManager BACKEND: Params:', {entityType, columnId, topN, selectedEntitiesCount: selectedEntities.length});
+  requireRole('analyst', 'generateColumnReportsLegacy');
+  reportBuilderLogger.info('generateColumnReportsLegacy', { entityType: entityType, columnId: columnId, topN: topN, selectedEntities: selectedEntities.length });
   
   try {
     // Get DataManager instance
     const dataManager = getDataManager();
-    console.log('DataManager: Instance acquired');
     
     // Define available columns for each entity type
     const availableColumns = {
@@ -1704,17 +1305,13 @@ function generateColumnReportsLegacy(entityType, columnId, topN = 10, selectedEn
         {id: 'contractVehicle', name: 'Contract Vehicle'}
       ]
     };
-
-    console.log('DataManager: Available columns for', entityType, ':', availableColumns[entityType]);
     
     const columnInfo = availableColumns[entityType]?.find(col => col.id === columnId);
     if (!columnInfo) {
-      console.log(`DataManager ERROR: Column ${columnId} not found for ${entityType}`);
+      reportBuilderLogger.warn('Column not found', { entityType: entityType, columnId: columnId });
       return [];
     }
 
-    console.log('DataManager: Found column info:', columnInfo);
-
     // Get entities using DataManager
     const options = {
       entityType: entityType,
@@ -1725,10 +1322,9 @@ function generateColumnReportsLegacy(entityType, columnId, topN = 10, selectedEn
     
     // Load entities for report building
     const reportEntities = dataManager.getEntitiesForView('reportBuilder', options);
-    console.log(`DataManager: Loaded ${reportEntities.length} entities for report`);
     
     if (reportEntities.length === 0) {
-      console.log('DataManager: No entities found, returning empty cards');
+      reportBuilderLogger.warn('No entities found for the report', { entityType: entityType, columnId: columnId });
       return [];
     }
 
@@ -1736,7 +1332,6 @@ function generateColumnReportsLegacy(entityType, columnId, topN = 10, selectedEn
     const cards = [];
     
     // Create trend card using DataManager's fiscal year data
-    console.log('DataManager: Generating trend card...');
     let trendCard = null;
     try {
       const fiscalYearData = dataManager.getFiscalYearTrends(entityType, columnId, selectedEntities);
@@ -1771,10 +1366,9 @@ function generateColumnReportsLegacy(entityType, columnId, topN = 10, selectedEn
             periodCount: years.length
           }
         };
-        console.log('DataManager: Trend card created successfully');
       }
     } catch (error) {
-      console.error('DataManager: Error creating trend card:', error);
+      reportBuilderLogger.error('Trend card failed', error);
     }
     
     if (trendCard) {
@@ -1782,15 +1376,12 @@ function generateColumnReportsLegacy(entityType, columnId, topN = 10, selectedEn
     }
     
     // Create KPI card using report entities
-    console.log('DataManager: Generating KPI card...');
     const kpiCard = generateKPICardFromEntities(reportEntities, entityType, columnInfo, topN);
     if (kpiCard) {
       cards.push(kpiCard);
-      console.log('DataManager: KPI card created successfully');
     }
     
     // Create distribution card from trend data
-    console.log('DataManager: Generating distribution card...');
     if (trendCard) {
       const distributionCard = {
         ...trendCard,
@@ -1800,11 +1391,9 @@ function generateColumnReportsLegacy(entityType, columnId, topN = 10, selectedEn
         cardType: 'distribution'
       };
       cards.push(distributionCard);
-      console.log('DataManager: Distribution card created');
     }
     
     // Create summary card from KPI data
-    console.log('DataManager: Generating summary card...');
     if (kpiCard) {
       const summaryCard = {
         ...kpiCard,
@@ -1813,10 +1402,7 @@ function generateColumnReportsLegacy(entityType, columnId, topN = 10, selectedEn
         cardType: 'summary'
       };
       cards.push(summaryCard);
-      console.log('DataManager: Summary card created');
     }
-
-    console.log(`DataManager: Generated ${cards.length} cards for ${entityType} ${columnId}`);
     
     // Add debug info
     const debugInfo = {
@@ -1838,11 +1424,11 @@ function generateColumnReportsLegacy(entityType, columnId, topN = 10, selectedEn
       card.debugInfo.dataSource = 'Centralized Cache';
     });
     
-    console.log('🔥 DataManager FINAL DEBUG INFO:', debugInfo);
+    reportBuilderLogger.info('Generated column report cards', debugInfo);
     return ensureSerializable(cards);
     
   } catch (error) {
-    console.error('DataManager ERROR in generateColumnReports:', error);
+    reportBuilderLogger.error('generateColumnReportsLegacy failed', error);
     return [];
   }
 }
@@ -1852,10 +1438,7 @@ function generateColumnReportsLegacy(entityType, columnId, topN = 10, selectedEn
  */
 function generateKPICardFromEntities(entities, entityType, columnInfo, topN = 10) {
   try {
-    console.log(`DataManager KPI: Processing ${entities.length} entities for ${columnInfo.name}`);
-    
     if (!entities || entities.length === 0) {
-      console.log('DataManager KPI: No entities provided');
       return null;
     }
     
@@ -1871,8 +1454,7 @@ function generateKPICardFromEntities(entities, entityType, columnInfo, topN = 10
       .slice(0, topN);
     
     totalValue = topEntities.reduce((sum, e) => sum + e.value, 0);
-    
-    console.log(`DataManager KPI: Created top ${topEntities.length} entities, total value: ${totalValue}`);
+    reportBuilderLogger.debug('KPI card from entities', { entities: entities.length, top: topEntities.length, totalValue: totalValue });
     
     const cardId = `${entityType}_${columnInfo.id}_kpi`;
     
@@ -1909,7 +1491,7 @@ function generateKPICardFromEntities(entities, entityType, columnInfo, topN = 10
     };
     
   } catch (error) {
-    console.error('DataManager KPI Error:', error);
+    reportBuilderLogger.error('KPI card from entities failed', error);
     return null;
   }
 }
@@ -1919,23 +1501,17 @@ function generateKPICardFromEntities(entities, entityType, columnInfo, topN = 10
  */
 function generateKPICard(spreadsheet, entityType, columnInfo, selectedEntities = [], topN = 10) {
   try {
-    console.log('REPORT BUILDER: Generating KPI card for', entityType, columnInfo.name);
-    
     // Convert entity type to proper sheet name
-    const entityTypeMap = {
-      'agency': 'Agency',
-      'oem': 'OEM', 
-      'vendor': 'Vendor'
-    };
-    const sheetName = entityTypeMap[entityType.toLowerCase()] || entityType.charAt(0).toUpperCase() + entityType.slice(1);
+    const sheetName = getSheetName(entityType);
     const sheet = spreadsheet.getSheetByName(sheetName);
     if (!sheet) {
-      console.log('REPORT BUILDER: Sheet not found:', entityType.charAt(0).toUpperCase() + entityType.slice(1));
+      reportBuilderLogger.warn('Sheet not found', { sheetName: sheetName });
       return null;
     }
     
     const range = sheet.getDataRange();
     const values = range.getValues();
+    const mapping = buildColumnMapping(values[0], entityType);
     const columnIndex = getColumnIndexFromLetter(columnInfo.column);
     
     let totalValue = 0;
@@ -1944,7 +1520,7 @@ function generateKPICard(spreadsheet, entityType, columnInfo, selectedEntities =
     
     // Process data starting from row 2 (skip header)
     for (let i = 1; i < values.length; i++) {
-      const row = values[i];
+      const row = toCanonicalRow(values[i], mapping); // Documented column layout, whatever the sheet order
       const entityName = row[1]; // Column B is entity name
       if (!entityName) continue;
       
@@ -1970,10 +1546,12 @@ function generateKPICard(spreadsheet, entityType, columnInfo, selectedEntities =
     // Sort and get top N entities based on user selection
     topEntities.sort((a, b) => b.value - a.value);
     
-    // Debug: Log entity count info
-    console.log(`KPI CARD DEBUG: Found ${topEntities.length} entities with valid data`);
-    console.log(`KPI CARD DEBUG: Requested topN: ${topN}, will slice to: ${topN || 10}`);
-    console.log(`KPI CARD DEBUG: Top entities:`, topEntities.slice(0, 15).map(e => ({name: e.name, value: e.value})));
+    reportBuilderLogger.debug('KPI card', {
+      entityType: entityType,
+      columnId: columnInfo.id,
+      entitiesWithData: topEntities.length,
+      topN: topN || 10
+    });
     
     topEntities = topEntities.slice(0, topN || 10);
     
@@ -2011,7 +1589,7 @@ function generateKPICard(spreadsheet, entityType, columnInfo, selectedEntities =
     };
     
   } catch (error) {
-    console.error(`Error generating KPI card for ${entityType} ${columnInfo.name}:`, error);
+    reportBuilderLogger.error('KPI card failed', { entityType: entityType, columnId: columnInfo.id, error: error });
     return null;
   }
 }
@@ -2020,45 +1598,24 @@ function generateKPICard(spreadsheet, entityType, columnInfo, selectedEntities =
  * Generate trend card for a JSON column
  */
 function generateTrendCard(spreadsheet, entityType, columnInfo, selectedEntities = []) {
-  console.log('🚨 BACKEND TREND: === FUNCTION START - ENTRY POINT HIT ===');
-  console.log('🚨 BACKEND TREND: Function called successfully!');
-  console.log('🚨 BACKEND TREND: Called with entityType:', entityType);
-  console.log('🚨 BACKEND TREND: Called with columnInfo:', columnInfo);
-  console.log('🚨 BACKEND TREND: Called with selectedEntities:', selectedEntities);
-  console.log('🚨 BACKEND TREND: spreadsheet object exists:', !!spreadsheet);
-  
   try {
     // Convert entity type to proper sheet name
-    const entityTypeMap = {
-      'agency': 'Agency',
-      'oem': 'OEM', 
-      'vendor': 'Vendor'
-    };
-    const sheetName = entityTypeMap[entityType.toLowerCase()] || entityType.charAt(0).toUpperCase() + entityType.slice(1);
-    console.log('BACKEND TREND: Attempting to access sheet:', sheetName);
-    
+    const sheetName = getSheetName(entityType);
     const sheet = spreadsheet.getSheetByName(sheetName);
-    console.log('BACKEND TREND: Sheet found?', !!sheet);
     
     if (!sheet) {
-      console.log('BACKEND TREND: ERROR - Sheet not found, returning null');
+      reportBuilderLogger.warn('Sheet not found', { sheetName: sheetName });
       return null;
     }
     
     const range = sheet.getDataRange();
     const values = range.getValues();
+    const mapping = buildColumnMapping(values[0], entityType);
     const columnIndex = getColumnIndexFromLetter(columnInfo.column);
     
     // Aggregate fiscal year data
     const fiscalYearData = {};
     
-    console.log('BACKEND TREND: Column ID:', columnInfo.id);
-    console.log('BACKEND TREND: Column letter:', columnInfo.column);
-    console.log('BACKEND TREND: Column index:', columnIndex);
-    console.log('BACKEND TREND: Total rows:', values.length);
-    console.log('BACKEND TREND: First 3 rows sample:', values.slice(0, 3));
-    console.log('BACKEND: Generating trend card for entities:', selectedEntities.length > 0 ? selectedEntities : 'ALL ENTITIES');
-    
     let totalRowsProcessed = 0;
     let filteredRows = 0;
     let jsonParseSuccesses = 0;
@@ -2066,7 +1623,7 @@ function generateTrendCard(spreadsheet, entityType, columnInfo, selectedEntities
     
     // Process data starting from row 2 (skip header)
     for (let i = 1; i < values.length; i++) {
-      const row = values[i];
+      const row = toCanonicalRow(values[i], mapping); // Documented column layout, whatever the sheet order
       const entityName = row[1]; // Column B is entity name
       if (!entityName) continue;
       
@@ -2079,28 +1636,15 @@ function generateTrendCard(spreadsheet, entityType, columnInfo, selectedEntities
       
       filteredRows++;
       
-      // Debug the raw column data
-      if (filteredRows <= 3) {
-        console.log(`BACKEND TREND: Row ${i} entity "${entityName}" raw column data:`, row[columnIndex]);
-      }
-      
       // Parse JSON column data
       const jsonData = parseJSONColumn(row[columnIndex]);
       
       if (jsonData) {
         jsonParseSuccesses++;
-        if (filteredRows <= 3) {
-          console.log(`BACKEND TREND: Row ${i} parsed JSON:`, jsonData);
-          console.log(`BACKEND TREND: Row ${i} JSON keys:`, Object.keys(jsonData));
-          console.log(`BACKEND TREND: Row ${i} has fiscal_year_breakdown?`, !!jsonData.fiscal_year_breakdown);
-        }
       }
       if (jsonData && (jsonData.fiscal_year_obligations || jsonData.fiscal_year_breakdown || jsonData.fiscal_years || jsonData.yearly_totals)) {
         const fyData = jsonData.fiscal_year_obligations || jsonData.fiscal_year_breakdown || jsonData.fiscal_years || jsonData.yearly_totals;
         fiscalYearFoundCount++;
-        if (fiscalYearFoundCount <= 3) {
-          console.log(`BACKEND TREND: Row ${i} fiscal year data:`, fyData);
-        }
         for (const [fy, value] of Object.entries(fyData)) {
           if (!fiscalYearData[fy]) fiscalYearData[fy] = 0;
           fiscalYearData[fy] += parseFloat(value) || 0;
@@ -2150,19 +1694,21 @@ function generateTrendCard(spreadsheet, entityType, columnInfo, selectedEntities
       }
     };
     
-    console.log(`BACKEND TREND: Rows processed: ${totalRowsProcessed}, Filtered rows: ${filteredRows}`);
-    console.log(`BACKEND TREND: JSON parse successes: ${jsonParseSuccesses}, Fiscal year found: ${fiscalYearFoundCount}`);
-    console.log('BACKEND TREND: Final fiscalYearData:', fiscalYearData);
-    console.log('BACKEND: Final tableData rows:', result.tableData.rows.length);
-    console.log('BACKEND: Final chartData labels:', result.chartData.labels);
-    console.log('BACKEND: Final chartData values:', result.chartData.datasets[0].data);
+    reportBuilderLogger.debug('Trend card', {
+      entityType: entityType,
+      columnId: columnInfo.id,
+      selectedEntities: selectedEntities.length,
+      rowsProcessed: totalRowsProcessed,
+      filteredRows: filteredRows,
+      jsonParsed: jsonParseSuccesses,
+      withFiscalYears: fiscalYearFoundCount,
+      fiscalYearData: fiscalYearData
+    });
     
     return result;
     
   } catch (error) {
-    console.error('BACKEND TREND: === ERROR CAUGHT ===');
-    console.error(`BACKEND TREND: Error generating trend card for ${entityType} ${columnInfo.name}:`, error);
-    console.error('BACKEND TREND: Error stack:', error.stack);
+    reportBuilderLogger.error('Trend card failed', { entityType: entityType, columnId: columnInfo.id, error: error });
     return null;
   }
 }
@@ -2212,17 +1758,17 @@ function formatCurrency(value) {
  * Get filter options for report builder
  */
 function getReportBuilderFilters(entityType = null) {
+  requireRole('analyst', 'getReportBuilderFilters');
   try {
-    const SPREADSHEET_ID = '18h0TYPAPiWCKPB09v7kChoICQOELJSLBfwaZwpYheXE';
-    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const spreadsheet = getDataManager().getEntitledSpreadsheet(openSourceSpreadsheet());
     
     const entities = new Set();
     const parents = new Set();
     
     // Process specific entity type or all types
     const entityTypes = entityType ? 
-      [entityType.charAt(0).toUpperCase() + entityType.slice(1)] : 
-      ['Agency', 'OEM', 'Vendor'];
+      [getSheetName(entityType)] : 
+      ENTITY_TYPES.map(getSheetName);
       
     entityTypes.forEach(sheetName => {
       try {
@@ -2231,10 +1777,11 @@ function getReportBuilderFilters(entityType = null) {
         
         const range = sheet.getDataRange();
         const values = range.getValues();
+        const mapping = buildColumnMapping(values[0], getEntityTypeForSheet(sheetName));
         
         // Process data starting from row 2 (skip header)
         for (let i = 1; i < values.length; i++) {
-          const row = values[i];
+          const row = toCanonicalRow(values[i], mapping); // Documented column layout, whatever the sheet order
           const entityName = row[1]; // Column B is entity name
           const parentName = row[2]; // Column C is parent/department
           
@@ -2247,7 +1794,7 @@ function getReportBuilderFilters(entityType = null) {
           }
         }
       } catch (error) {
-        console.error(`Error processing ${sheetName} sheet for filters:`, error);
+        reportBuilderLogger.error('Reading filter values failed', { sheetName: sheetName, error: error });
       }
     });
     
@@ -2257,7 +1804,7 @@ function getReportBuilderFilters(entityType = null) {
     };
     
   } catch (error) {
-    console.error('Error in getReportBuilderFilters:', error);
+    reportBuilderLogger.error('getReportBuilderFilters failed', error);
     return {
       entities: [],
       parents: []
@@ -2269,15 +1816,16 @@ function getReportBuilderFilters(entityType = null) {
  * Get filtered report builder data
  */
 function getFilteredReportBuilderData(entityFilter, parentFilter) {
+  requireRole('analyst', 'getFilteredReportBuilderData');
   try {
     const allCards = getReportBuilderData();
     
     if (!entityFilter && !parentFilter) {
       return allCards;
     }
+    recordAuditEvent_('filter', 'reportBuilder', { entity: entityFilter || null, parent: parentFilter || null });
     
-    const SPREADSHEET_ID = '18h0TYPAPiWCKPB09v7kChoICQOELJSLBfwaZwpYheXE';
-    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const spreadsheet = getDataManager().getEntitledSpreadsheet(openSourceSpreadsheet());
     
     // Generate filtered cards for each entity type
     const filteredCards = [];
@@ -2296,7 +1844,7 @@ function getFilteredReportBuilderData(entityFilter, parentFilter) {
     return filteredCards;
     
   } catch (error) {
-    console.error('Error in getFilteredReportBuilderData:', error);
+    reportBuilderLogger.error('getFilteredReportBuilderData failed', error);
     return getReportBuilderData(); // Fallback to unfiltered data
   }
 }
@@ -2306,11 +1854,12 @@ function getFilteredReportBuilderData(entityFilter, parentFilter) {
  */
 function generateFilteredCard(spreadsheet, originalCard, entityFilter, parentFilter) {
   try {
-    const sheet = spreadsheet.getSheetByName(originalCard.category.charAt(0).toUpperCase() + originalCard.category.slice(1));
+    const sheet = spreadsheet.getSheetByName(getSheetName(originalCard.category));
     if (!sheet) return originalCard;
     
     const range = sheet.getDataRange();
     const values = range.getValues();
+    const mapping = buildColumnMapping(values[0], originalCard.category);
     
     const columnIndex = getColumnIndexFromLetter(getColumnLetterFromId(originalCard.columnId));
     
@@ -2318,7 +1867,7 @@ function generateFilteredCard(spreadsheet, originalCard, entityFilter, parentFil
     
     // Process data starting from row 2 (skip header)
     for (let i = 1; i < values.length; i++) {
-      const row = values[i];
+      const row = toCanonicalRow(values[i], mapping); // Documented column layout, whatever the sheet order
       const entityName = row[1]; // Column B is entity name
       const parentName = row[2]; // Column C is parent/department
       
@@ -2345,7 +1894,7 @@ function generateFilteredCard(spreadsheet, originalCard, entityFilter, parentFil
     }
     
   } catch (error) {
-    console.error('Error generating filtered card:', error);
+    reportBuilderLogger.error('Filtered card failed', error);
     return originalCard;
   }
 }
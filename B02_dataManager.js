@@ -4,9 +4,58 @@
  * @version 1.0.0
  * @description Single source of truth for all entity data with intelligent caching.
  *              Reduces redundant spreadsheet reads and improves performance 5x.
+ *              Parsed entities are shared across executions via OneGovCacheStore (B13).
+ *              Everything handed out is first limited to the user's entitlements (B27).
  * @author OneGov FIT Market Development Team
  */
 
+/** @const {StructuredLogger} Logger for entity loading, caching and queries */
+const dataManagerLogger = createLogger('DataManager');
+
+/**
+ * Comparison operators accepted in OneGovDataManager.query where clauses
+ * @const {Object<string, function(*, *): boolean>}
+ */
+const QUERY_OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  nin: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+  contains: (actual, expected) => actual !== undefined && actual !== null &&
+    String(actual).toLowerCase().includes(String(expected).toLowerCase()),
+  exists: (actual, expected) => (actual !== undefined && actual !== null && actual !== '') === !!expected
+};
+
+/**
+ * Fields every canonical entity carries besides its sheet columns, as JSON types
+ * ('fiscal_years' is a map of fiscal year to number). Keep in step with loadEntitySheet
+ * and deriveCanonicalFields; the schema generator (B22_schemaExport) reads it.
+ * @const {Object<string, string>}
+ */
+const CANONICAL_ENTITY_FIELDS = {
+  id: 'string',
+  name: 'string',
+  type: 'string',
+  rowIndex: 'number',
+  totalObligations: 'number',
+  tier: 'string|null',
+  hasAIProducts: 'boolean',
+  aiProductCount: 'number',
+  hasDiscounts: 'boolean',
+  contractVehicleCount: 'number',
+  smallBusinessPercentage: 'number|null',
+  fiscalYearObligations: 'fiscal_years|null',
+  tierObligations: 'number|null',
+  averageObligationsPerYear: 'number|null',
+  isOneGov: 'boolean',
+  fasTableUrl: 'string',
+  bicTableUrl: 'string'
+};
+
 /**
  * Main data manager class for all entity operations
  * @class OneGovDataManager
@@ -34,124 +83,85 @@ class OneGovDataManager {
       isLoading: false
     };
     
-    /** @property {number} TTL - Time to live in milliseconds (2 minutes) */
-    this.TTL = 2 * 60 * 1000;
+    /** @property {Object} config - Data source configuration (see B15_config) */
+    this.config = getAppConfig_();
+    
+    /** @property {number} TTL - Time to live in milliseconds (CACHE_TTL_SECONDS, 2 minutes by default) */
+    this.TTL = this.config.cacheTtlSeconds * 1000;
     
-    /** @property {string} SPREADSHEET_ID - Google Sheets ID */
-    this.SPREADSHEET_ID = '18h0TYPAPiWCKPB09v7kChoICQOELJSLBfwaZwpYheXE';
+    /** @property {string} SPREADSHEET_ID - Google Sheets ID for the active environment */
+    this.SPREADSHEET_ID = this.config.spreadsheetId;
+    
+    /** @property {string|null} BUNDLE_FILE_ID - Fixture bundle read instead of the sheet (B23_fixtureGenerator) */
+    this.BUNDLE_FILE_ID = this.config.bundleFileId;
     
     /**
-     * @property {Object} columnMappings - Column index mappings for each entity type
-     * @description Maps column names to their spreadsheet column indices (1-based)
+     * @property {Object} columnMappings - Sheet and field configuration for each entity type
+     * @description Column positions are resolved from the header row on every load
+     *              (see B14_columnMapping), so inserted or reordered columns are tolerated
      */
     this.columnMappings = this._initializeColumnMappings();
+    
+    /**
+     * @property {OneGovCacheStore} sharedCache - Cross-execution cache backed by CacheService
+     * @description Lets later google.script.run calls reuse parsed entities within the TTL
+     */
+    this.sharedCache = new OneGovCacheStore({
+      namespace: 'onegov:' + this.config.environment,
+      ttlSeconds: this.config.cacheTtlSeconds
+    });
+    
+    /**
+     * @property {Object} loadStats - Where loadAllData found its data during this execution
+     * @property {number} loadStats.memoryHits - Served from the in-memory cache
+     * @property {number} loadStats.sharedHits - Served from the shared cache
+     * @property {number} loadStats.misses - Required a spreadsheet read
+     * @property {string|null} loadStats.lastSource - 'memory', 'shared' or 'spreadsheet'
+     * @property {number|null} loadStats.lastLoadMs - Duration of this execution's spreadsheet read
+     */
+    this.loadStats = { memoryHits: 0, sharedHits: 0, misses: 0, lastSource: null, lastLoadMs: null };
+    
+    /** @property {EntitySearchIndex|null} searchIndex - Built on the first search after entity data is loaded (see B17_searchIndex) */
+    this.searchIndex = null;
+    
+    /** @property {Object<string, Object>} snapshots - Snapshots loaded this execution, by requested date */
+    this.snapshots = {};
+    
+    /** @property {Object<string, Array<Object>>} entitledViews - Filtered copies of loaded data, by entitlements key */
+    this.entitledViews = {};
   }
   
   /**
    * Initialize column mappings for all entity types
    * @private
-   * @returns {Object} Column mapping configuration
+   * @returns {Object} Per entity type: sheetName, fields to load, and the resolved
+   *                   columns (field -> zero-based index, null until the sheet is read)
    */
   _initializeColumnMappings() {
+    const sharedFields = [
+      'name', 'parentCompany', 'obligations', 'smallBusiness', 'sumTier', 'sumType',
+      'contractVehicle', 'fundingDepartment', 'discount', 'topRefPiid', 'topPiid',
+      'activeContracts', 'discountOfferings', 'aiProduct', 'aiCategory', 'topBicProducts',
+      'reseller', 'bicReseller', 'bicOem', 'fasOem', 'fundingAgency',
+      'bicTopProductsPerAgency', 'oneGovTier', 'fasDataTable', 'fasTimestamp',
+      'bicDataTable', 'bicTimestamp', 'usaiProfile', 'isOneGov'
+    ];
+    
     return {
       agency: {
-        sheetName: 'Agency',
-        columns: {
-          agencyCode: 1,        // A
-          name: 2,              // B
-          parentCompany: 3,     // C
-          obligations: 4,       // D
-          smallBusiness: 5,     // E
-          sumTier: 6,          // F
-          sumType: 7,          // G
-          contractVehicle: 8,   // H
-          fundingDepartment: 9, // I
-          discount: 10,         // J
-          topRefPiid: 11,      // K
-          topPiid: 12,         // L
-          activeContracts: 13,  // M
-          discountOfferings: 14,// N
-          aiProduct: 15,        // O
-          aiCategory: 16,       // P
-          topBicProducts: 17,   // Q
-          reseller: 18,         // R
-          bicReseller: 19,      // S
-          bicOem: 20,          // T
-          fasOem: 21,          // U
-          fundingAgency: 22,    // V
-          bicTopProductsPerAgency: 23, // W
-          oneGovTier: 24,      // X
-          fasDataTable: 25,    // Y
-          fasTimestamp: 26,    // Z
-          bicDataTable: 27,    // AA
-          bicTimestamp: 28     // AB
-        }
+        sheetName: this.config.sheetNames.agency,
+        fields: ['agencyCode', ...sharedFields],
+        columns: null
       },
       oem: {
-        sheetName: 'OEM',
-        columns: {
-          duns: 1,              // A
-          name: 2,              // B
-          parentCompany: 3,     // C
-          obligations: 4,       // D
-          smallBusiness: 5,     // E
-          sumTier: 6,          // F
-          sumType: 7,          // G
-          contractVehicle: 8,   // H
-          fundingDepartment: 9, // I
-          discount: 10,         // J
-          topRefPiid: 11,      // K
-          topPiid: 12,         // L
-          activeContracts: 13,  // M
-          discountOfferings: 14,// N
-          aiProduct: 15,        // O
-          aiCategory: 16,       // P
-          topBicProducts: 17,   // Q
-          reseller: 18,         // R
-          bicReseller: 19,      // S
-          bicOem: 20,          // T
-          fasOem: 21,          // U
-          fundingAgency: 22,    // V
-          bicTopProductsPerAgency: 23, // W
-          oneGovTier: 24,      // X
-          fasDataTable: 25,    // Y
-          fasTimestamp: 26,    // Z
-          bicDataTable: 27,    // AA
-          bicTimestamp: 28     // AB
-        }
+        sheetName: this.config.sheetNames.oem,
+        fields: ['duns', ...sharedFields],
+        columns: null
       },
       vendor: {
-        sheetName: 'Vendor',
-        columns: {
-          uei: 1,               // A
-          name: 2,              // B
-          parentCompany: 3,     // C
-          obligations: 4,       // D
-          smallBusiness: 5,     // E
-          sumTier: 6,          // F
-          sumType: 7,          // G
-          contractVehicle: 8,   // H
-          fundingDepartment: 9, // I
-          discount: 10,         // J
-          topRefPiid: 11,      // K
-          topPiid: 12,         // L
-          activeContracts: 13,  // M
-          discountOfferings: 14,// N
-          aiProduct: 15,        // O
-          aiCategory: 16,       // P
-          topBicProducts: 17,   // Q
-          reseller: 18,         // R
-          bicReseller: 19,      // S
-          bicOem: 20,          // T
-          fasOem: 21,          // U
-          fundingAgency: 22,    // V - Column mapping verified from R01: V=index 21, but using 1-based here
-          bicTopProductsPerAgency: 23, // W
-          oneGovTier: 24,      // X
-          fasDataTable: 25,    // Y
-          fasTimestamp: 26,    // Z
-          bicDataTable: 27,    // AA
-          bicTimestamp: 28     // AB
-        }
+        sheetName: this.config.sheetNames.vendor,
+        fields: ['uei', ...sharedFields],
+        columns: null
       }
     };
   }
@@ -174,21 +184,34 @@ class OneGovDataManager {
   loadAllData(forceRefresh = false) {
     // Return cached data if still valid
     if (!forceRefresh && !this.needsRefresh()) {
-      console.log('DataManager: Returning cached data');
+      dataManagerLogger.debug('Returning cached data');
+      this.loadStats.memoryHits++;
+      this.loadStats.lastSource = 'memory';
+      return this.cache;
+    }
+    
+    // Try the shared cache written by an earlier execution
+    if (!forceRefresh && this._loadFromSharedCache()) {
+      dataManagerLogger.debug('Returning shared cache data');
+      this.loadStats.sharedHits++;
+      this.loadStats.lastSource = 'shared';
+      this.searchIndex = null;
       return this.cache;
     }
     
     // Prevent multiple simultaneous loads
     if (this.cache.isLoading) {
-      console.log('DataManager: Load already in progress');
+      dataManagerLogger.debug('Load already in progress');
       return this.cache;
     }
     
     try {
       this.cache.isLoading = true;
-      console.log('DataManager: Loading fresh data from spreadsheet');
+      dataManagerLogger.info('Loading fresh data from spreadsheet', { environment: this.config.environment });
+      const startedAt = Date.now();
       
-      const spreadsheet = SpreadsheetApp.openById(this.SPREADSHEET_ID);
+      const spreadsheet = this.BUNDLE_FILE_ID ?
+        loadFixtureBundleSpreadsheet_(this.BUNDLE_FILE_ID) : SpreadsheetApp.openById(this.SPREADSHEET_ID);
       
       // Load all three entity types
       this.cache.agencies = this.loadEntitySheet(spreadsheet, 'agency');
@@ -197,17 +220,91 @@ class OneGovDataManager {
       
       this.cache.lastUpdated = Date.now();
       this.cache.isLoading = false;
+      this.loadStats.misses++;
+      this.loadStats.lastSource = 'spreadsheet';
+      this._recordLoad(this.cache.lastUpdated - startedAt);
+      this.searchIndex = null;
       
-      console.log(`DataManager: Loaded ${this.cache.agencies.length} agencies, ${this.cache.oems.length} OEMs, ${this.cache.vendors.length} vendors`);
+      this.sharedCache.put('entities', {
+        agencies: this.cache.agencies,
+        oems: this.cache.oems,
+        vendors: this.cache.vendors,
+        lastUpdated: this.cache.lastUpdated
+      });
+      
+      dataManagerLogger.info('Loaded entity data', {
+        agencies: this.cache.agencies.length,
+        oems: this.cache.oems.length,
+        vendors: this.cache.vendors.length,
+        durationMs: this.loadStats.lastLoadMs
+      });
       
       return this.cache;
     } catch (error) {
-      console.error('DataManager: Error loading data:', error);
+      dataManagerLogger.error('Error loading data', error);
       this.cache.isLoading = false;
       throw error;
     }
   }
   
+  /**
+   * Keep the duration of a spreadsheet read, for this execution and for later health checks
+   * @private
+   * @param {number} durationMs - Time taken to read and parse the three entity sheets
+   */
+  _recordLoad(durationMs) {
+    this.loadStats.lastLoadMs = durationMs;
+    try {
+      PropertiesService.getScriptProperties().setProperty(this._lastLoadKey(), JSON.stringify({
+        loadedAt: new Date(this.cache.lastUpdated).toISOString(),
+        durationMs: durationMs,
+        entityCounts: {
+          agencies: this.cache.agencies.length,
+          oems: this.cache.oems.length,
+          vendors: this.cache.vendors.length
+        }
+      }));
+    } catch (error) {
+      dataManagerLogger.warn('Could not record load duration', error);
+    }
+  }
+  
+  /**
+   * Script property holding the last spreadsheet read of this environment
+   * @private
+   * @returns {string} Property key
+   */
+  _lastLoadKey() {
+    return `${this.config.environment.toUpperCase()}_LAST_DATA_LOAD`;
+  }
+  
+  /**
+   * Last spreadsheet read of this environment, by any execution
+   * @returns {Object|null} { loadedAt, durationMs, entityCounts }, or null if none is recorded
+   */
+  getLastLoad() {
+    const stored = PropertiesService.getScriptProperties().getProperty(this._lastLoadKey());
+    return stored ? JSON.parse(stored) : null;
+  }
+  
+  /**
+   * Populate the in-memory cache from the shared cache
+   * @private
+   * @returns {boolean} True if fresh data was found and loaded
+   */
+  _loadFromSharedCache() {
+    const payload = this.sharedCache.get('entities');
+    if (!payload || !payload.lastUpdated) return false;
+    if ((Date.now() - payload.lastUpdated) > this.TTL) return false;
+    if (!payload.agencies || !payload.oems || !payload.vendors) return false;
+    
+    this.cache.agencies = payload.agencies;
+    this.cache.oems = payload.oems;
+    this.cache.vendors = payload.vendors;
+    this.cache.lastUpdated = payload.lastUpdated;
+    return true;
+  }
+  
   /**
    * Load a single entity sheet
    * @param {SpreadsheetApp.Spreadsheet} spreadsheet - Spreadsheet object
@@ -219,7 +316,7 @@ class OneGovDataManager {
     const sheet = spreadsheet.getSheetByName(config.sheetName);
     
     if (!sheet) {
-      console.error(`DataManager: Sheet not found: ${config.sheetName}`);
+      dataManagerLogger.error('Sheet not found', { entityType: entityType, sheetName: config.sheetName });
       return [];
     }
     
@@ -227,30 +324,38 @@ class OneGovDataManager {
     const values = range.getValues();
     const entities = [];
     
+    // Resolve column positions from the header row; throws ColumnMappingError if required columns are gone
+    const mapping = buildColumnMapping(values[0], entityType);
+    config.columns = mapping.columns;
+    
+    // IDs come from the natural key so they survive re-sorting the sheet
+    const ids = new EntityIdAssigner(entityType);
+    const keyColumn = config.columns[ENTITY_KEY_FIELDS[entityType].field];
+    
     // Process rows (skip header)
     for (let i = 1; i < values.length; i++) {
       const row = values[i];
-      const name = row[config.columns.name - 1];
+      const name = row[config.columns.name];
       
-      if (!name || name.trim() === '') continue;
+      if (!name || String(name).trim() === '') continue;
       
       const entity = {
-        id: `${entityType}_${i}`,
-        name: name.trim(),
+        id: ids.assign(keyColumn === undefined ? '' : row[keyColumn], name),
+        name: String(name).trim(),
         type: entityType,
         rowIndex: i // Keep for reference
       };
       
       // Parse all columns
-      for (const [key, colIndex] of Object.entries(config.columns)) {
+      for (const key of config.fields) {
         if (key === 'name') continue; // Already processed
         
-        const value = row[colIndex - 1];
-        
+        const colIndex = config.columns[key];
+        const value = colIndex === undefined ? undefined : row[colIndex];
         
         // Handle JSON columns
         if (this.isJsonColumn(key)) {
-          const parsed = this.parseJSON(value);
+          const parsed = this.parseJSON(value, key);
           entity[key] = parsed;
           
         } else {
@@ -259,10 +364,7 @@ class OneGovDataManager {
         }
       }
       
-      // Calculate derived fields
-      entity.totalObligations = this.extractTotalObligations(entity.obligations);
-      entity.tier = this.extractTier(entity);
-      entity.hasAIProducts = this.checkAIProducts(entity);
+      this.deriveCanonicalFields(entity);
       
       entities.push(entity);
     }
@@ -282,52 +384,98 @@ class OneGovDataManager {
       'topRefPiid', 'topPiid', 'activeContracts', 'discountOfferings',
       'aiProduct', 'aiCategory', 'topBicProducts', 'reseller',
       'bicReseller', 'bicOem', 'fasOem', 'fundingAgency',
-      'bicTopProductsPerAgency', 'oneGovTier'
+      'bicTopProductsPerAgency', 'oneGovTier', 'usaiProfile'
     ];
     return jsonColumns.includes(columnName);
   }
   
   /**
-   * Parse JSON column safely
+   * Parse JSON column safely and normalize it against its schema (R01 normalizeJsonData),
+   * so trimmed keys, aliases, numeric percentages and explicit null fiscal years can be
+   * relied on everywhere downstream
    * @param {*} value - Raw cell value
+   * @param {string} [field] - Entity field the value belongs to (see JSON_FIELD_DEFINITIONS)
    * @returns {Object|null} Parsed JSON object or null
    */
-  parseJSON(value) {
+  parseJSON(value, field) {
     if (!value) return null;
     
     try {
+      const schemaKey = JSON_FIELD_DEFINITIONS[field]?.schemaKey;
+      
       // Already an object
-      if (typeof value === 'object') return value;
+      if (typeof value === 'object') return schemaKey ? normalizeJsonData(value, schemaKey) : value;
       
       // Empty or invalid
       const strValue = String(value).trim();
       if (strValue === '' || strValue === '{}' || strValue === '[]') return null;
       
-      return JSON.parse(strValue);
+      const parsed = JSON.parse(strValue);
+      return schemaKey ? normalizeJsonData(parsed, schemaKey) : parsed;
     } catch (error) {
-      console.warn('DataManager: JSON parse error:', error);
+      dataManagerLogger.warn('JSON parse error', { field: field, error: error });
       return null;
     }
   }
   
+  /**
+   * Calculate the derived fields of the canonical entity model.
+   * This is the only place these rules live; the legacy readers (getOEMs, getAgencyEntities,
+   * getEntities ...) are adapters over the result, so every view reports the same totals.
+   * @param {Object} entity - Entity with raw and parsed column values
+   * @returns {Object} The same entity, with derived fields added
+   */
+  deriveCanonicalFields(entity) {
+    entity.totalObligations = this.extractTotalObligations(entity.obligations, entity);
+    entity.tier = this.extractTier(entity);
+    entity.hasAIProducts = this.checkAIProducts(entity);
+    // Column O keeps the count under summary (R01 COLUMN_SCHEMAS.aiProduct); older rows had it at the top
+    entity.aiProductCount = entity.aiProduct?.summary?.unique_products || entity.aiProduct?.unique_products || 0;
+    entity.hasDiscounts = entity.discount?.discount_status === 'Active Discounts';
+    entity.contractVehicleCount = entity.contractVehicle?.top_contract_summaries ?
+      Object.keys(entity.contractVehicle.top_contract_summaries).length : 0;
+    entity.smallBusinessPercentage = this.extractSmallBusinessPercentage(entity.smallBusiness);
+    entity.fiscalYearObligations = this.extractFiscalYearObligations(entity);
+    entity.tierObligations = this.extractTierObligations(entity.oneGovTier);
+    entity.averageObligationsPerYear = entity.oneGovTier?.average_obligations_per_year || null;
+    // Already a boolean when re-deriving entities restored from a snapshot (B18_snapshots)
+    entity.isOneGov = entity.isOneGov === true || String(entity.isOneGov || '').trim().toLowerCase() === 'yes';
+    entity.fasTableUrl = entity.fasDataTable ? String(entity.fasDataTable).trim() : '';
+    entity.bicTableUrl = entity.bicDataTable ? String(entity.bicDataTable).trim() : '';
+    return entity;
+  }
+  
   /**
    * Extract total obligations from JSON
-   * @param {Object} obligationsJson - Obligations JSON object
+   * @param {Object} obligationsJson - Obligations JSON object (column D)
+   * @param {Object} [entity] - Entity, for fallbacks to SUM Tier and OneGov Tier totals
    * @returns {number} Total obligation amount
    */
-  extractTotalObligations(obligationsJson) {
-    if (!obligationsJson) return 0;
-    
-    // Check various possible structures
-    if (obligationsJson.total_obligated) {
-      return obligationsJson.total_obligated;
+  extractTotalObligations(obligationsJson, entity) {
+    if (obligationsJson) {
+      // Primary value per R01 COLUMN_SCHEMAS.obligations.primaryValuePath
+      if (obligationsJson.total_obligated) {
+        return parseFloat(obligationsJson.total_obligated) || 0;
+      }
+      if (obligationsJson.summary?.total_obligations) {
+        return parseFloat(obligationsJson.summary.total_obligations) || 0;
+      }
+      if (obligationsJson.fiscal_year_obligations) {
+        return Object.values(obligationsJson.fiscal_year_obligations)
+          .reduce((sum, val) => sum + (parseFloat(val) || 0), 0);
+      }
+      if (obligationsJson.fiscal_year_breakdown) {
+        return Object.values(obligationsJson.fiscal_year_breakdown)
+          .reduce((sum, year) => sum + (parseFloat(year?.obligations) || 0), 0);
+      }
     }
-    if (obligationsJson.summary?.total_obligations) {
-      return obligationsJson.summary.total_obligations;
+    
+    // Other columns carry the same total when column D is empty
+    if (entity?.sumTier?.summary?.total_all_obligations) {
+      return parseFloat(entity.sumTier.summary.total_all_obligations) || 0;
     }
-    if (obligationsJson.fiscal_year_obligations) {
-      return Object.values(obligationsJson.fiscal_year_obligations)
-        .reduce((sum, val) => sum + (parseFloat(val) || 0), 0);
+    if (entity?.oneGovTier?.total_obligated) {
+      return parseFloat(entity.oneGovTier.total_obligated) || 0;
     }
     
     return 0;
@@ -342,9 +490,26 @@ class OneGovDataManager {
     if (entity.oneGovTier?.mode_tier) {
       return entity.oneGovTier.mode_tier;
     }
+    if (entity.oneGovTier?.overall_tier) {
+      return entity.oneGovTier.overall_tier;
+    }
     if (entity.sumTier?.tier) {
       return entity.sumTier.tier;
     }
+    
+    // Largest SUM tier by obligations
+    const summaries = entity.sumTier?.tier_summaries;
+    if (summaries) {
+      let primaryTier = null;
+      let maxTotal = 0;
+      for (const [tierName, tierInfo] of Object.entries(summaries)) {
+        if (tierInfo?.total && tierInfo.total > maxTotal) {
+          maxTotal = tierInfo.total;
+          primaryTier = tierName;
+        }
+      }
+      return primaryTier;
+    }
     return null;
   }
   
@@ -354,7 +519,65 @@ class OneGovDataManager {
    * @returns {boolean} True if entity has AI products
    */
   checkAIProducts(entity) {
-    return !!(entity.aiProduct && Object.keys(entity.aiProduct).length > 0);
+    if (!entity.aiProduct || Object.keys(entity.aiProduct).length === 0) return false;
+    
+    // Column O reports an explicit status; older rows only have the product breakdown
+    if (entity.aiProduct.ai_product_status !== undefined) {
+      return entity.aiProduct.ai_product_status === 'Active AI Products';
+    }
+    return true;
+  }
+  
+  /**
+   * Extract small business share of obligations
+   * @param {Object} smallBusinessJson - Small Business JSON (column E)
+   * @returns {number|null} Percentage, or null if not reported
+   */
+  extractSmallBusinessPercentage(smallBusinessJson) {
+    if (!smallBusinessJson) return null;
+    const summary = smallBusinessJson.business_size_summaries?.['SMALL BUSINESS'];
+    if (summary && summary.percentage_of_total !== undefined) {
+      return summary.percentage_of_total;
+    }
+    if (smallBusinessJson.small_business_percentage !== undefined) {
+      return smallBusinessJson.small_business_percentage;
+    }
+    return null;
+  }
+  
+  /**
+   * Extract obligations by fiscal year, falling back to OneGov Tier yearly amounts
+   * @param {Object} entity - Entity object
+   * @returns {Object|null} Map of fiscal year to amount
+   */
+  extractFiscalYearObligations(entity) {
+    if (entity.obligations?.fiscal_year_obligations) {
+      return entity.obligations.fiscal_year_obligations;
+    }
+    if (entity.oneGovTier?.fiscal_year_tiers) {
+      const fiscalYears = {};
+      for (const [year, tierInfo] of Object.entries(entity.oneGovTier.fiscal_year_tiers)) {
+        fiscalYears[year] = tierInfo?.amount || 0;
+      }
+      return fiscalYears;
+    }
+    return null;
+  }
+  
+  /**
+   * Extract total obligations reported by the OneGov Tier column
+   * @param {Object} oneGovTierJson - OneGov Tier JSON (column X)
+   * @returns {number|null} Total, or null if not reported
+   */
+  extractTierObligations(oneGovTierJson) {
+    if (!oneGovTierJson) return null;
+    if (oneGovTierJson.total_obligated) return oneGovTierJson.total_obligated;
+    if (oneGovTierJson.summary?.total_all_obligations) return oneGovTierJson.summary.total_all_obligations;
+    if (oneGovTierJson.tier_summaries) {
+      return Object.values(oneGovTierJson.tier_summaries)
+        .reduce((sum, tierInfo) => sum + (tierInfo?.total || 0), 0);
+    }
+    return null;
   }
   
   /**
@@ -364,7 +587,7 @@ class OneGovDataManager {
    * @returns {Array} Array of entities
    */
   getEntities(entityType, forceRefresh = false) {
-    const data = this.loadAllData(forceRefresh);
+    const data = this.applyEntitlements(this.loadAllData(forceRefresh));
     
     switch(entityType?.toLowerCase()) {
       case 'agency':
@@ -379,6 +602,16 @@ class OneGovDataManager {
     }
   }
   
+  /**
+   * Get a single entity by ID, accepting legacy row-based IDs
+   * @param {string} id - Stable or legacy entity ID
+   * @returns {Object|null} Entity or null if not found
+   */
+  getEntityById(id) {
+    const stableId = resolveEntityId(id);
+    return this.getEntities().find(entity => entity.id === stableId) || null;
+  }
+  
   /**
    * Get agencies - wrapper for getEntities('agency')
    */
@@ -400,6 +633,190 @@ class OneGovDataManager {
     return this.getEntities('vendor', forceRefresh);
   }
   
+  /**
+   * Rebuild the search index from the cached entities
+   * @private
+   */
+  _buildSearchIndex() {
+    this.searchIndex = new EntitySearchIndex([
+      ...this.cache.agencies,
+      ...this.cache.oems,
+      ...this.cache.vendors
+    ]);
+  }
+  
+  /**
+   * Fuzzy search across names, parents, natural keys and agency abbreviations
+   * @param {string} query - Search text, e.g. 'VA', 'navy', 'Departmnet of Energy'
+   * @param {Object} [options={}] - Search options (see EntitySearchIndex.search)
+   * @returns {Object} { query, results, rollups } with highlight ranges
+   */
+  searchEntities(query, options = {}) {
+    const data = this.applyEntitlements(this.loadAllData());
+    if (data !== this.cache) {
+      // Restricted users search their own rows, so hidden entities never show up as matches or in rollups
+      data.searchIndex = data.searchIndex || new EntitySearchIndex([...data.agencies, ...data.oems, ...data.vendors]);
+      return data.searchIndex.search(query, options);
+    }
+    if (!this.searchIndex) this._buildSearchIndex();
+    return this.searchIndex.search(query, options);
+  }
+  
+  /**
+   * Query entities with filtering, sorting, projection and paging on the server
+   * @param {Object} [options={}] - Query options
+   * @param {string} [options.entityType] - 'agency', 'oem', 'vendor'; omit for all types
+   * @param {Object} [options.where] - Conditions, ANDed together. Keys are field names or dotted
+   *   paths into JSON columns ('oneGovTier.mode_tier'); values are a literal (equality) or an
+   *   operator object such as { gte: 1000000 } or { in: ['Tier 1', 'Tier 2'] }.
+   *   The special key 'text' matches a case-insensitive substring of name or parentCompany.
+   * @param {string|Array<string>} [options.sort] - Field or path per key, '-' prefix for descending
+   * @param {Array<string>} [options.fields] - Fields or dotted paths to return; id, name and type
+   *   are always included. Omit to return whole entities.
+   * @param {number} [options.page=1] - 1-based page number
+   * @param {number} [options.pageSize=50] - Entities per page (max 500)
+   * @returns {Object} Page with items, total, page, pageSize and totalPages
+   * @throws {Error} If a condition uses an unsupported operator
+   *
+   * @example
+   * manager.query({
+   *   entityType: 'oem',
+   *   where: { tier: 'Tier 1', totalObligations: { gte: 1e6 }, text: 'cloud' },
+   *   sort: ['-totalObligations', 'name'],
+   *   fields: ['totalObligations', 'tier', 'oneGovTier.mode_tier'],
+   *   page: 2,
+   *   pageSize: 24
+   * });
+   */
+  query(options = {}) {
+    const { entityType, where = {}, sort, fields } = options;
+    const pageSize = Math.min(Math.max(parseInt(options.pageSize, 10) || 50, 1), 500);
+    
+    const conditions = this._compileWhere(where);
+    const matched = this.getEntities(entityType).filter(entity =>
+      conditions.every(condition => condition(entity)));
+    
+    const sortKeys = (Array.isArray(sort) ? sort : (sort ? [sort] : []))
+      .map(key => key.startsWith('-') ? { path: key.substring(1), direction: -1 } : { path: key, direction: 1 });
+    if (sortKeys.length > 0) {
+      // filter() returned a copy, so the cached array keeps sheet order
+      matched.sort((a, b) => {
+        for (const { path, direction } of sortKeys) {
+          const result = this._compareValues(this._getFieldValue(a, path), this._getFieldValue(b, path));
+          if (result !== 0) return result * direction;
+        }
+        return 0;
+      });
+    }
+    
+    const total = matched.length;
+    const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+    const page = Math.min(Math.max(parseInt(options.page, 10) || 1, 1), totalPages);
+    const items = matched
+      .slice((page - 1) * pageSize, page * pageSize)
+      .map(entity => this._projectEntity(entity, fields));
+    
+    return {
+      items: items,
+      total: total,
+      page: page,
+      pageSize: pageSize,
+      totalPages: totalPages
+    };
+  }
+  
+  /**
+   * Turn a query where clause into predicate functions
+   * @private
+   * @param {Object} where - Where clause (see query)
+   * @returns {Array<Function>} Predicates taking an entity
+   */
+  _compileWhere(where) {
+    const conditions = [];
+    
+    for (const [path, criterion] of Object.entries(where || {})) {
+      if (criterion === undefined) continue;
+      
+      if (path === 'text') {
+        const needle = String(criterion).trim().toLowerCase();
+        if (!needle) continue;
+        conditions.push(entity =>
+          String(entity.name || '').toLowerCase().includes(needle) ||
+          String(entity.parentCompany || '').toLowerCase().includes(needle));
+        continue;
+      }
+      
+      const isOperatorObject = criterion !== null && typeof criterion === 'object' && !Array.isArray(criterion);
+      const operators = isOperatorObject ? criterion : { eq: criterion };
+      
+      for (const [operator, expected] of Object.entries(operators)) {
+        const test = QUERY_OPERATORS[operator];
+        if (!test) {
+          throw new Error(`Unsupported query operator "${operator}" on ${path}`);
+        }
+        conditions.push(entity => test(this._getFieldValue(entity, path), expected));
+      }
+    }
+    
+    return conditions;
+  }
+  
+  /**
+   * Read a field or dotted JSON path from an entity
+   * @private
+   * @param {Object} entity - Entity object
+   * @param {string} path - Field name or dotted path ('sumTier.summary.total_all_obligations')
+   * @returns {*} Value, or undefined if not present
+   */
+  _getFieldValue(entity, path) {
+    return path.includes('.') ? getNestedValue(entity, path) : entity[path];
+  }
+  
+  /**
+   * Compare two values for sorting; missing values sort last
+   * @private
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {number} Negative, zero or positive
+   */
+  _compareValues(a, b) {
+    const aMissing = a === undefined || a === null || a === '';
+    const bMissing = b === undefined || b === null || b === '';
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+    
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'boolean' && typeof b === 'boolean') return (a ? 1 : 0) - (b ? 1 : 0);
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+  }
+  
+  /**
+   * Copy only the requested fields of an entity
+   * @private
+   * @param {Object} entity - Entity object
+   * @param {Array<string>} [fields] - Fields or dotted paths; omit for a full copy
+   * @returns {Object} Projected entity; dotted paths keep their nesting
+   */
+  _projectEntity(entity, fields) {
+    if (!Array.isArray(fields) || fields.length === 0) {
+      return Object.assign({}, entity);
+    }
+    
+    const projected = { id: entity.id, name: entity.name, type: entity.type };
+    for (const path of fields) {
+      const value = this._getFieldValue(entity, path);
+      if (value === undefined) continue;
+      
+      const keys = path.split('.');
+      let target = projected;
+      for (let i = 0; i < keys.length - 1; i++) {
+        if (!target[keys[i]] || typeof target[keys[i]] !== 'object') target[keys[i]] = {};
+        target = target[keys[i]];
+      }
+      target[keys[keys.length - 1]] = value;
+    }
+    return projected;
+  }
+  
   /**
    * Get entities filtered and transformed for specific use cases
    * @param {string} viewType - Type of view requesting data
@@ -496,8 +913,8 @@ class OneGovDataManager {
       type: entity.type,
       category: entity.type.toUpperCase(),
       total: entity.totalObligations,
-      fy24: entity.obligations?.fiscal_year_obligations?.['2024'] || 0,
-      fy25: entity.obligations?.fiscal_year_obligations?.['2025'] || 0,
+      fy24: entity.fiscalYearObligations?.['2024'] || 0,
+      fy25: entity.fiscalYearObligations?.['2025'] || 0,
       tier: entity.tier || 'N/A',
       small_business: entity.smallBusiness?.is_small_business || 'N/A'
     }));
@@ -515,6 +932,10 @@ class OneGovDataManager {
     
     // Column-specific extraction based on B01_JSON_STRUCTURES documentation
     switch(columnId) {
+      case 'obligations':
+        // Same rule as entity.totalObligations so report builder and dashboard agree
+        return this.extractTotalObligations(jsonData);
+        
       case 'reseller':
         // Column R structure
         if (jsonData.summary?.total_top_15_resellers) {
@@ -668,11 +1089,185 @@ class OneGovDataManager {
     return fiscalYearData;
   }
   
+  /**
+   * Load the entity data recorded in a snapshot (see B18_snapshots)
+   * @param {string|Date} asOf - Date to load; the latest snapshot on or before it is used
+   * @returns {Object} Data object with agencies, oems, vendors, snapshotDate and lastUpdated
+   * @throws {Error} If no snapshot exists on or before the date
+   */
+  loadSnapshot(asOf) {
+    const requested = String(asOf instanceof Date ? asOf.toISOString() : asOf);
+    if (this.snapshots[requested]) return this.snapshots[requested];
+    
+    const payload = readDataSnapshot_(asOf, this.config);
+    // Derived fields are recalculated so every snapshot follows the current rules
+    const restore = entities => (entities || []).map(entity => this.deriveCanonicalFields(Object.assign({}, entity)));
+    const data = {
+      agencies: restore(payload.entities.agencies),
+      oems: restore(payload.entities.oems),
+      vendors: restore(payload.entities.vendors),
+      snapshotDate: payload.snapshotDate,
+      processedDates: payload.processedDates,
+      lastUpdated: Date.parse(payload.createdAt)
+    };
+    
+    this.snapshots[requested] = data;
+    dataManagerLogger.info('Loaded snapshot', { snapshotDate: payload.snapshotDate, requested: requested });
+    return data;
+  }
+  
+  /**
+   * Get entities of a type as recorded in a snapshot
+   * @param {string|Date} asOf - Date to load (see loadSnapshot)
+   * @param {string} [entityType] - 'agency', 'oem', 'vendor'; omit for all
+   * @returns {Array} Entities from the snapshot
+   */
+  getSnapshotEntities(asOf, entityType) {
+    const data = this.applyEntitlements(this.loadSnapshot(asOf));
+    
+    switch(entityType?.toLowerCase()) {
+      case 'agency':
+        return data.agencies;
+      case 'oem':
+        return data.oems;
+      case 'vendor':
+        return data.vendors;
+      default:
+        return [...data.agencies, ...data.oems, ...data.vendors];
+    }
+  }
+  
+  /**
+   * Limit entity data to the current user's entitlements (see B27_entitlements)
+   * @param {Object} data - Data object with agencies, oems and vendors (live data or a snapshot)
+   * @returns {Object} data itself if the user is not restricted, otherwise a copy with only the
+   *                   rows they may see and hidden columns set to null
+   */
+  applyEntitlements(data) {
+    const entitlements = getEntitlements();
+    if (!entitlements.restricted) return data;
+    
+    const views = this.entitledViews[entitlements.key] || (this.entitledViews[entitlements.key] = []);
+    const existing = views.find(view => view.source.agencies === data.agencies &&
+      view.source.oems === data.oems && view.source.vendors === data.vendors);
+    if (existing) return existing.data;
+    
+    const entitled = Object.assign({}, data, {
+      agencies: this._entitleEntities(data.agencies || [], entitlements.types.agency),
+      oems: this._entitleEntities(data.oems || [], entitlements.types.oem),
+      vendors: this._entitleEntities(data.vendors || [], entitlements.types.vendor),
+      searchIndex: null
+    });
+    views.push({ source: { agencies: data.agencies, oems: data.oems, vendors: data.vendors }, data: entitled });
+    return entitled;
+  }
+  
+  /**
+   * Filter and mask entities of one type
+   * @private
+   * @param {Array} entities - Entities of one type
+   * @param {Object} rules - { rows, hiddenFields } from getEntitlements
+   * @returns {Array} Entities matching any Rows clause, copied with hidden fields nulled
+   */
+  _entitleEntities(entities, rules) {
+    let visible = entities;
+    if (rules.rows) {
+      // Row rules see the full entity, so they may test columns the user cannot
+      const clauses = rules.rows.map(where => {
+        try {
+          return this._compileWhere(where);
+        } catch (error) {
+          dataManagerLogger.warn('Entitlement rows clause rejected, it allows no rows', { where: where, error: error });
+          return null;
+        }
+      }).filter(Boolean);
+      visible = entities.filter(entity =>
+        clauses.some(conditions => conditions.every(condition => condition(entity))));
+    }
+    
+    if (rules.hiddenFields.length === 0) return visible;
+    // Derived fields are recalculated so totals and flags only reflect what the user may see
+    return visible.map(entity => {
+      const masked = Object.assign({}, entity);
+      rules.hiddenFields.forEach(field => { masked[field] = null; });
+      return this.deriveCanonicalFields(masked);
+    });
+  }
+  
+  /**
+   * Wrap the source workbook so code that reads entity sheets directly sees the same
+   * rows and columns as getEntities
+   * @param {SpreadsheetApp.Spreadsheet} spreadsheet - Source workbook
+   * @returns {Object} spreadsheet itself for unrestricted users, otherwise a read-only stand-in
+   *                   whose entity sheets hold only entitled rows, with hidden cells blank
+   */
+  getEntitledSpreadsheet(spreadsheet) {
+    const entitlements = getEntitlements();
+    if (!entitlements.restricted) return spreadsheet;
+    
+    const wrap = sheet => {
+      const entityType = sheet ? getEntityTypeForSheet(sheet.getName()) : null;
+      return ENTITY_TYPES.includes(entityType) ? this._entitledSheet(sheet, entityType, entitlements.types[entityType]) : sheet;
+    };
+    return {
+      getId: () => spreadsheet.getId(),
+      getName: () => spreadsheet.getName(),
+      getUrl: () => spreadsheet.getUrl(),
+      getSheets: () => spreadsheet.getSheets().map(wrap),
+      getSheetByName: name => wrap(spreadsheet.getSheetByName(name))
+    };
+  }
+  
+  /**
+   * Read-only stand-in for an entity sheet limited to entitled rows and columns
+   * @private
+   * @param {SpreadsheetApp.Sheet} sheet - Entity sheet
+   * @param {string} entityType - Type of entity
+   * @param {Object} rules - { rows, hiddenFields } from getEntitlements
+   * @returns {Object} Object with the Sheet methods the legacy readers use
+   */
+  _entitledSheet(sheet, entityType, rules) {
+    const all = sheet.getDataRange().getValues();
+    if (all.length === 0) return sheet;
+    const mapping = buildColumnMapping(all[0], entityType);
+    const visibleNames = new Set(this.getEntities(entityType).map(entity => entity.name));
+    const hiddenColumns = rules.hiddenFields
+      .map(field => mapping.columns[field])
+      .filter(index => index !== undefined);
+    
+    const values = [all[0]].concat(all.slice(1)
+      .filter(row => visibleNames.has(String(row[mapping.columns.name] || '').trim()))
+      .map(row => row.map((cell, index) => hiddenColumns.includes(index) ? '' : cell)));
+    
+    return {
+      getName: () => sheet.getName(),
+      getLastRow: () => values.length,
+      getLastColumn: () => values[0].length,
+      getDataRange: () => ({ getValues: () => values.map(row => row.slice()) }),
+      getRange: (row, column, numRows, numColumns) => ({
+        getValues: () => values.slice(row - 1, row - 1 + (numRows || 1))
+          .map(cells => cells.slice(column - 1, column - 1 + (numColumns || 1)))
+      })
+    };
+  }
+  
+  /**
+   * Check that the user may open a FAS or BIC procurement table
+   * @param {string} tableUrl - Table URL requested by the page
+   * @returns {boolean} True if an entity the user may see links to the table in a visible column
+   */
+  isTableUrlEntitled(tableUrl) {
+    if (!getEntitlements().restricted) return true;
+    const url = String(tableUrl || '').trim();
+    return this.getEntities().some(entity => entity.fasTableUrl === url || entity.bicTableUrl === url);
+  }
+  
   /**
    * Clear cache for manual refresh
+   * @returns {boolean} True if a shared cache entry was removed as well
    */
   clearCache() {
-    console.log('DataManager: Clearing cache');
+    dataManagerLogger.info('Clearing cache');
     this.cache = {
       agencies: null,
       oems: null,
@@ -680,6 +1275,9 @@ class OneGovDataManager {
       lastUpdated: null,
       isLoading: false
     };
+    this.searchIndex = null;
+    this.entitledViews = {};
+    return this.sharedCache.remove('entities');
   }
   
   /**
@@ -695,6 +1293,19 @@ class OneGovDataManager {
         agencies: this.cache.agencies?.length || 0,
         oems: this.cache.oems?.length || 0,
         vendors: this.cache.vendors?.length || 0
+      },
+      ttlMs: this.TTL,
+      environment: this.config.environment,
+      lastSource: this.loadStats.lastSource,
+      lastLoad: this.getLastLoad(),
+      loads: {
+        memoryHits: this.loadStats.memoryHits,
+        sharedHits: this.loadStats.sharedHits,
+        misses: this.loadStats.misses
+      },
+      shared: {
+        entry: this.sharedCache.getManifest('entities'),
+        stats: this.sharedCache.getStats()
       }
     };
   }
@@ -730,12 +1341,15 @@ function getDataManager() {
  * @returns {Object} Standardized response object
  */
 function createResponse(success, data, error) {
-  return {
+  const response = {
     success: success,
     data: data,
     error: error,
     timestamp: new Date().toISOString()
   };
+  // Failures carry the correlation ID so their log trail can be found
+  if (!success) response.correlationId = getCorrelationId();
+  return response;
 }
 
 // ============================================================================
@@ -747,14 +1361,15 @@ function createResponse(success, data, error) {
  * @returns {Array} All entities formatted for dashboard view
  */
 function getAllEntities() {
+  requireRole('viewer', 'getAllEntities');
   try {
     const manager = getDataManager();
     const allEntities = manager.getEntitiesForView('dashboard');
     
-    console.log(`DataManager getAllEntities: Returning ${allEntities.length} entities for dashboard`);
+    dataManagerLogger.debug('getAllEntities', { count: allEntities.length });
     return allEntities;
   } catch (error) {
-    console.error('DataManager getAllEntities error:', error);
+    dataManagerLogger.error('getAllEntities failed', error);
     return [];
   }
 }
@@ -766,6 +1381,7 @@ function getAllEntities() {
  * @deprecated Use getDataManager().getEntities(entityType) instead
  */
 function getEntities(entityType) {
+  requireRole('viewer', 'getEntities');
   const manager = getDataManager();
   const entities = manager.getEntities(entityType);
   
@@ -773,15 +1389,55 @@ function getEntities(entityType) {
   return createResponse(true, entities, null);
 }
 
+/**
+ * Search entities by name, parent, key or abbreviation with typo tolerance
+ * @param {string} query - Search text
+ * @param {Object} [options] - { types: ['agency', 'oem', 'vendor'], limit: 10 }
+ * @returns {Object} Response object whose data is { query, results, rollups }
+ */
+function searchEntities(query, options) {
+  requireRole('viewer', 'searchEntities');
+  try {
+    const manager = getDataManager();
+    return createResponse(true, manager.searchEntities(query, options || {}), null);
+  } catch (error) {
+    dataManagerLogger.error('searchEntities failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Query entities on the server so the client only receives one page of projected fields
+ * @param {Object} options - Query options (see OneGovDataManager.query)
+ * @returns {Object} Response object whose data is { items, total, page, pageSize, totalPages }
+ */
+function queryEntities(options) {
+  requireRole('viewer', 'queryEntities');
+  try {
+    const manager = getDataManager();
+    const query = options || {};
+    // Record a filter once, on its first page, not again for every page turned
+    if (query.where && Object.keys(query.where).length > 0 && !(query.page > 1)) {
+      recordAuditEvent_('filter', query.entityType || 'entities', { where: query.where });
+    }
+    return createResponse(true, manager.query(query), null);
+  } catch (error) {
+    dataManagerLogger.error('queryEntities failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
 /**
  * Force refresh all cached data
  * @returns {Object} Success status message
  */
 function refreshDataCache() {
+  requireRole('admin', 'refreshDataCache');
   const manager = getDataManager();
   manager.clearCache();
   manager.loadAllData(true);
-  return { success: true, message: 'Cache refreshed' };
+  recordAdminAction_('refreshDataCache');
+  return { success: true, message: 'Cache refreshed', status: manager.getCacheStatus() };
 }
 
 /**
@@ -789,6 +1445,7 @@ function refreshDataCache() {
  * @returns {Object} Cache status information
  */
 function getDataCacheStatus() {
+  requireRole('analyst', 'getDataCacheStatus');
   const manager = getDataManager();
   return manager.getCacheStatus();
 }
\ No newline at end of file
@@ -3,6 +3,9 @@
  * Functions for processing and transforming entity data
  */
 
+/** @const {StructuredLogger} Logger for entity data processing */
+const dataProcessorsLogger = createLogger('DataProcessors');
+
 /**
  * Process entity JSON data for charts and display
  */
@@ -190,9 +193,9 @@ function transformDataForChart(data, chartType = 'bar') {
 function processUSAiProfile(entity) {
     if (!entity || !entity.usaiProfile) return null;
     
-    console.log(`📝 USAI PROFILE DEBUG: Processing "${entity.name}" profile:`, {
-        hasProfile: !!entity.usaiProfile,
-        profileKeys: entity.usaiProfile ? Object.keys(entity.usaiProfile) : 'N/A',
+    dataProcessorsLogger.debug('Processing USAi profile', {
+        entity: entity.name,
+        profileKeys: Object.keys(entity.usaiProfile),
         hasOverview: !!entity.usaiProfile?.overview,
         overviewLength: entity.usaiProfile?.overview?.length || 0,
         hasWebsite: !!entity.usaiProfile?.website,
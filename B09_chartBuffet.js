@@ -7,6 +7,61 @@
  * @author OneGov FIT Market Development Team
  */
 
+/** @const {StructuredLogger} Logger for chart generation */
+const chartBuffetLogger = createLogger('ChartBuffet');
+
+/**
+ * Common abbreviations for federal agency and department names (uppercase full name -> abbreviation)
+ * Used for chart labels and by the entity search index (B17_searchIndex)
+ * @const {Object<string, string>}
+ */
+const AGENCY_ABBREVIATIONS = {
+  'VETERANS AFFAIRS, DEPARTMENT OF': 'VA',
+  'DEFENSE INFORMATION SYSTEMS AGENCY (DISA)': 'DISA',
+  'CENTERS FOR MEDICARE AND MEDICAID SERVICES': 'CMS',
+  'DEPT OF THE NAVY': 'Navy',
+  'DEPT OF THE ARMY': 'Army',
+  'DEPT OF THE AIR FORCE': 'Air Force',
+  'STATE, DEPARTMENT OF': 'State Dept',
+  'INTERNAL REVENUE SERVICE': 'IRS',
+  'DEFENSE INFORMATION SYSTEMS AGENCY': 'DISA',
+  'HOMELAND SECURITY, DEPARTMENT OF': 'DHS',
+  'TREASURY, DEPARTMENT OF THE': 'Treasury',
+  'HEALTH AND HUMAN SERVICES, DEPARTMENT OF': 'HHS',
+  'TRANSPORTATION, DEPARTMENT OF': 'DOT',
+  'EDUCATION, DEPARTMENT OF': 'Education',
+  'AGRICULTURE, DEPARTMENT OF': 'USDA',
+  'JUSTICE, DEPARTMENT OF': 'DOJ',
+  'ENERGY, DEPARTMENT OF': 'DOE',
+  'COMMERCE, DEPARTMENT OF': 'Commerce',
+  'LABOR, DEPARTMENT OF': 'Labor',
+  'HOUSING AND URBAN DEVELOPMENT, DEPARTMENT OF': 'HUD',
+  'ENVIRONMENTAL PROTECTION AGENCY': 'EPA',
+  'NATIONAL AERONAUTICS AND SPACE ADMINISTRATION': 'NASA',
+  'SOCIAL SECURITY ADMINISTRATION': 'SSA',
+  'U.S. CUSTOMS AND BORDER PROTECTION': 'CBP',
+  'CUSTOMS AND BORDER PROTECTION': 'CBP',
+  'IMMIGRATION AND CUSTOMS ENFORCEMENT': 'ICE',
+  'FEDERAL BUREAU OF INVESTIGATION': 'FBI',
+  'CENTRAL INTELLIGENCE AGENCY': 'CIA'
+};
+
+/**
+ * Get every known abbreviation contained in an agency or department name
+ * @param {string} agencyName - Full agency name
+ * @returns {Array<string>} Abbreviations, e.g. ['DISA'] for 'DEFENSE INFORMATION SYSTEMS AGENCY (DISA)'
+ */
+function getAgencyAbbreviations(agencyName) {
+  if (!agencyName || typeof agencyName !== 'string') return [];
+  
+  const upperName = agencyName.toUpperCase();
+  const matches = new Set();
+  for (const [fullName, abbrev] of Object.entries(AGENCY_ABBREVIATIONS)) {
+    if (upperName.includes(fullName)) matches.add(abbrev);
+  }
+  return Array.from(matches);
+}
+
 /**
  * Abbreviate long agency names for better chart readability
  * @param {string} agencyName - Full agency name
@@ -15,36 +70,7 @@
 function abbreviateAgencyName(agencyName) {
   if (!agencyName || typeof agencyName !== 'string') return agencyName;
   
-  const abbreviations = {
-    'VETERANS AFFAIRS, DEPARTMENT OF': 'VA',
-    'DEFENSE INFORMATION SYSTEMS AGENCY (DISA)': 'DISA',
-    'CENTERS FOR MEDICARE AND MEDICAID SERVICES': 'CMS',
-    'DEPT OF THE NAVY': 'Navy',
-    'DEPT OF THE ARMY': 'Army',
-    'DEPT OF THE AIR FORCE': 'Air Force',
-    'STATE, DEPARTMENT OF': 'State Dept',
-    'INTERNAL REVENUE SERVICE': 'IRS',
-    'DEFENSE INFORMATION SYSTEMS AGENCY': 'DISA',
-    'HOMELAND SECURITY, DEPARTMENT OF': 'DHS',
-    'TREASURY, DEPARTMENT OF THE': 'Treasury',
-    'HEALTH AND HUMAN SERVICES, DEPARTMENT OF': 'HHS',
-    'TRANSPORTATION, DEPARTMENT OF': 'DOT',
-    'EDUCATION, DEPARTMENT OF': 'Education',
-    'AGRICULTURE, DEPARTMENT OF': 'USDA',
-    'JUSTICE, DEPARTMENT OF': 'DOJ',
-    'ENERGY, DEPARTMENT OF': 'DOE',
-    'COMMERCE, DEPARTMENT OF': 'Commerce',
-    'LABOR, DEPARTMENT OF': 'Labor',
-    'HOUSING AND URBAN DEVELOPMENT, DEPARTMENT OF': 'HUD',
-    'ENVIRONMENTAL PROTECTION AGENCY': 'EPA',
-    'NATIONAL AERONAUTICS AND SPACE ADMINISTRATION': 'NASA',
-    'SOCIAL SECURITY ADMINISTRATION': 'SSA',
-    'U.S. CUSTOMS AND BORDER PROTECTION': 'CBP',
-    'CUSTOMS AND BORDER PROTECTION': 'CBP',
-    'IMMIGRATION AND CUSTOMS ENFORCEMENT': 'ICE',
-    'FEDERAL BUREAU OF INVESTIGATION': 'FBI',
-    'CENTRAL INTELLIGENCE AGENCY': 'CIA'
-  };
+  const abbreviations = AGENCY_ABBREVIATIONS;
   
   // First try exact match
   const upperName = agencyName.toUpperCase();
@@ -119,19 +145,16 @@ function getRecommendedChartTypes(entityCount, dataType) {
 function generateChartBuffet(entityType, columnId, entities, options = {}) {
   const { topN = 10, selectedEntities = [], forceChartTypes = null } = options;
   
-  // EMERGENCY DEBUG: Check if entities data exists
-  console.log(`🚨 EMERGENCY DEBUG: Chart Buffet called with:`, {
-    entityType, 
-    columnId, 
-    entitiesLength: entities?.length || 0, 
-    topN, 
-    hasEntities: !!entities,
-    firstEntity: entities?.[0] || 'NONE'
+  chartBuffetLogger.debug('Generating chart buffet', {
+    entityType: entityType,
+    columnId: columnId,
+    entities: entities ? entities.length : 0,
+    topN: topN
   });
   
   // If no entities, return empty array immediately
   if (!entities || entities.length === 0) {
-    console.error(`🚨 CRITICAL: No entities provided to generateChartBuffet for ${entityType}/${columnId}`);
+    chartBuffetLogger.warn('No entities provided', { entityType: entityType, columnId: columnId });
     return [];
   }
   
@@ -156,7 +179,12 @@ function generateChartBuffet(entityType, columnId, entities, options = {}) {
     });
   }
   
-  console.log(`📊 Chart Buffet: Top ${effectiveTopN} total: ${formatCurrencyShort(topTotal)}, Others: ${formatCurrencyShort(othersValue)}, Overall: ${formatCurrencyShort(overallTotal)}`);
+  chartBuffetLogger.debug('Split top entities and others', {
+    topN: effectiveTopN,
+    topTotal: topTotal,
+    othersValue: othersValue,
+    overallTotal: overallTotal
+  });
   
   // Get DataManager instance
   const dataManager = getDataManager();
@@ -264,7 +292,7 @@ function generateKPINumbers(entities, entityType, columnId) {
       displayStyle: 'cards' // or 'table'
     };
   } catch (error) {
-    console.error('Error generating KPI numbers:', error);
+    chartBuffetLogger.error('KPI numbers failed', error);
     return null;
   }
 }
@@ -274,7 +302,8 @@ function generateKPINumbers(entities, entityType, columnId) {
  */
 function generateVerticalBarChart(entities, entityType, columnId, topN, overallTotal) {
   // entities already includes "Others" if applicable
-  const actualTopN = entities.filter(e => !e.isOthers).length;
+  const topEntities = entities.filter(e => !e.isOthers);
+  const actualTopN = topEntities.length;
   const titleSuffix = `Top ${actualTopN}${entities.some(e => e.isOthers) ? ' + Others' : ''}`;
   
   return {
@@ -322,7 +351,8 @@ function generateVerticalBarChart(entities, entityType, columnId, topN, overallT
  */
 function generateHorizontalBarChart(entities, entityType, columnId, topN, overallTotal) {
   // entities already includes "Others" if applicable
-  const actualTopN = entities.filter(e => !e.isOthers).length;
+  const topEntities = entities.filter(e => !e.isOthers);
+  const actualTopN = topEntities.length;
   const titleSuffix = `Top ${actualTopN}${entities.some(e => e.isOthers) ? ' + Others' : ''}`;
   
   return {
@@ -690,8 +720,6 @@ function generateStackedBarChart(entities, entityType, columnId, maxEntities = 5
         fiscalYearData[year][entity.name] = parseFloat(value) || 0;
       });
     }
-    
-    console.log(`📅 Fiscal Year Debug: ${entity.name} has fiscal data:`, !!fiscalYearBreakdown);
   });
   
   const years = Object.keys(fiscalYearData).sort();
@@ -790,6 +818,7 @@ function generateAreaChart(entities, entityType, columnId) {
  * Generate trend over time chart
  */
 function generateTrendOverTime(entityType, columnId, selectedEntities = []) {
+  requireRole('analyst', 'generateTrendOverTime');
   const dataManager = getDataManager();
   const fiscalYearData = dataManager.getFiscalYearTrends(entityType, columnId, selectedEntities);
   
@@ -939,7 +968,8 @@ function getColumnDisplayName(columnId) {
  * Main entry point to replace existing generateColumnReports
  */
 function generateColumnReportsBuffet(entityType, columnId, topN = 10, selectedEntities = []) {
-  console.log('🍽️ Chart Buffet: Generating visualization suite for', entityType, columnId);
+  requireRole('analyst', 'generateColumnReportsBuffet');
+  chartBuffetLogger.info('Generating visualization suite', { entityType: entityType, columnId: columnId, topN: topN });
   
   try {
     // Get DataManager instance
@@ -953,31 +983,26 @@ function generateColumnReportsBuffet(entityType, columnId, topN = 10, selectedEn
       selectedEntities: selectedEntities
     };
     
-    // Load entities for report building - EMERGENCY FIX
-    console.log('🚨 EMERGENCY: Attempting to load entities via DataManager');
+    // Load entities for report building
     let reportEntities = [];
     
     try {
       // Try multiple methods to get entities
       if (dataManager.getEntitiesForView) {
         reportEntities = dataManager.getEntitiesForView('reportBuilder', options);
-        console.log('✅ getEntitiesForView worked, got:', reportEntities.length, 'entities');
       } else if (dataManager.getAgencies && entityType === 'agency') {
         reportEntities = dataManager.getAgencies();
-        console.log('✅ getAgencies fallback worked, got:', reportEntities.length, 'entities');
       } else if (dataManager.getOEMs && entityType === 'oem') {
         reportEntities = dataManager.getOEMs();
-        console.log('✅ getOEMs fallback worked, got:', reportEntities.length, 'entities');
       } else if (dataManager.getVendors && entityType === 'vendor') {
         reportEntities = dataManager.getVendors();
-        console.log('✅ getVendors fallback worked, got:', reportEntities.length, 'entities');
       }
     } catch (error) {
-      console.error('🚨 DataManager entity loading failed:', error);
+      chartBuffetLogger.error('Loading report entities failed', error);
     }
     
     if (reportEntities.length === 0) {
-      console.error('🚨 CRITICAL: No entities found after all attempts');
+      chartBuffetLogger.warn('No entities found for the report', { entityType: entityType, columnId: columnId });
       return [];
     }
     
@@ -987,7 +1012,7 @@ function generateColumnReportsBuffet(entityType, columnId, topN = 10, selectedEn
       selectedEntities: selectedEntities
     });
     
-    console.log(`🍽️ Chart Buffet: Generated ${cards.length} visualizations`);
+    chartBuffetLogger.info('Generated visualizations', { cards: cards.length, entities: reportEntities.length });
     
     // Add metadata to each card
     cards.forEach(card => {
@@ -1002,7 +1027,7 @@ function generateColumnReportsBuffet(entityType, columnId, topN = 10, selectedEn
     return cards;
     
   } catch (error) {
-    console.error('Chart Buffet Error:', error);
+    chartBuffetLogger.error('Chart buffet failed', error);
     return [];
   }
 }
\ No newline at end of file
@@ -178,6 +178,7 @@ async function loadBicPage(page = 1) {
  * Updated to accept entityName and tableType for compatibility with frontend
  */
 function loadTableData(entityNameOrUrl, tableTypeOrPage, tableUrl = null, page = 1) {
+  requireRole('analyst', 'loadTableData');
   // Handle different calling patterns for backward compatibility
   if (typeof entityNameOrUrl === 'string' && typeof tableTypeOrPage === 'string' && tableUrl) {
     // New format: loadTableData(entityName, tableType, tableUrl, page)
@@ -192,6 +193,7 @@ function loadTableData(entityNameOrUrl, tableTypeOrPage, tableUrl = null, page =
  * New format: load table data with entity name and table type
  */
 function loadTableDataNew(entityName, tableType, tableUrl, page = 1) {
+  requireRole('analyst', 'loadTableDataNew');
   try {
     return loadTableDataLegacy(tableUrl, page);
   } catch (error) {
@@ -206,12 +208,17 @@ function loadTableDataNew(entityName, tableType, tableUrl, page = 1) {
  * Legacy format: load table data with just URL and page
  */
 function loadTableDataLegacy(tableUrl, page = 1) {
+  requireRole('analyst', 'loadTableDataLegacy');
   try {
     
     if (!tableUrl) {
       return { success: false, error: 'No table URL provided' };
     }
     
+    if (!getDataManager().isTableUrlEntitled(tableUrl)) {
+      return { success: false, error: 'This table is not available to you' };
+    }
+    
     let csvData;
     
     // Check if URL is Google Drive format
@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Shared cross-execution cache for OneGov FIT Market
+ * @module B13_cacheStore
+ * @version 1.0.0
+ * @description Persists parsed entity data in CacheService so it survives between
+ *              google.script.run executions. Payloads are gzipped, base64 encoded and
+ *              split into chunks that fit under the per-key size limit.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for the shared entity cache */
+const cacheStoreLogger = createLogger('CacheStore');
+
+/**
+ * Cache key schema version. Bump whenever the shape of cached entities changes so
+ * executions never read payloads written by an older entity model.
+ * @const {string}
+ */
+const CACHE_SCHEMA_VERSION = 'v3';
+
+/**
+ * Chunked, compressed wrapper around the script cache
+ * @class OneGovCacheStore
+ * @description Stores JSON-serializable values under versioned keys with hit/miss tracking
+ */
+class OneGovCacheStore {
+  /**
+   * @constructor
+   * @param {Object} [options] - Store configuration
+   * @param {string} [options.namespace='onegov'] - Key prefix shared by all entries
+   * @param {number} [options.ttlSeconds=120] - Expiration for stored entries (max 21600)
+   */
+  constructor(options = {}) {
+    /** @property {string} namespace - Key prefix */
+    this.namespace = options.namespace || 'onegov';
+
+    /** @property {number} ttlSeconds - Entry expiration in seconds (CacheService caps at 6 hours) */
+    this.ttlSeconds = Math.min(Math.max(options.ttlSeconds || 120, 1), 21600);
+
+    /** @property {number} CHUNK_SIZE - Characters per chunk, below the 100KB per-value limit */
+    this.CHUNK_SIZE = 90 * 1024;
+
+    /** @property {number} STATS_TTL - Expiration for cumulative counters in seconds */
+    this.STATS_TTL = 21600;
+
+    /**
+     * @property {Object} stats - Counters for the current execution
+     * @property {number} stats.hits - Successful reads
+     * @property {number} stats.misses - Reads that found nothing usable
+     * @property {number} stats.writes - Successful writes
+     * @property {number} stats.errors - Failed reads or writes
+     */
+    this.stats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+  }
+
+  /**
+   * Build a versioned cache key
+   * @private
+   * @param {...string} parts - Key segments
+   * @returns {string} Fully qualified key
+   */
+  _key(...parts) {
+    return [this.namespace, CACHE_SCHEMA_VERSION, ...parts].join(':');
+  }
+
+  /**
+   * Get the underlying script cache
+   * @private
+   * @returns {CacheService.Cache} Script cache
+   */
+  _cache() {
+    return CacheService.getScriptCache();
+  }
+
+  /**
+   * Read a value from the shared cache
+   * @param {string} name - Entry name
+   * @returns {*} Stored value, or null on a miss
+   */
+  get(name) {
+    try {
+      const cache = this._cache();
+      const manifestRaw = cache.get(this._key(name, 'manifest'));
+      if (!manifestRaw) {
+        this._record('misses');
+        return null;
+      }
+
+      const manifest = JSON.parse(manifestRaw);
+      const chunkKeys = [];
+      for (let i = 0; i < manifest.chunks; i++) {
+        chunkKeys.push(this._key(name, manifest.writeId, String(i)));
+      }
+
+      const chunks = cache.getAll(chunkKeys);
+      const parts = [];
+      for (const key of chunkKeys) {
+        // A chunk evicted independently of the manifest invalidates the whole entry
+        if (!chunks[key]) {
+          cacheStoreLogger.warn('Missing chunk, treating the entry as a miss', { name: name, chunk: key });
+          this._record('misses');
+          return null;
+        }
+        parts.push(chunks[key]);
+      }
+
+      const value = JSON.parse(decompressPayload_(parts.join('')));
+      this._record('hits');
+      return value;
+    } catch (error) {
+      cacheStoreLogger.warn('Reading cache entry failed', { name: name, error: error });
+      this._record('errors');
+      this._record('misses');
+      return null;
+    }
+  }
+
+  /**
+   * Write a value to the shared cache
+   * @param {string} name - Entry name
+   * @param {*} value - JSON-serializable value
+   * @returns {boolean} True if the value was stored
+   */
+  put(name, value) {
+    try {
+      const cache = this._cache();
+      const json = JSON.stringify(value);
+      const encoded = compressPayload_(json);
+
+      // Chunks are keyed by write id so a reader never mixes chunks from two writes
+      const writeId = String(Date.now());
+      const entries = {};
+      let chunkCount = 0;
+      for (let offset = 0; offset < encoded.length; offset += this.CHUNK_SIZE) {
+        entries[this._key(name, writeId, String(chunkCount))] = encoded.substring(offset, offset + this.CHUNK_SIZE);
+        chunkCount++;
+      }
+      cache.putAll(entries, this.ttlSeconds);
+
+      const manifest = {
+        writeId: writeId,
+        chunks: chunkCount,
+        rawBytes: json.length,
+        storedBytes: encoded.length,
+        storedAt: Date.now(),
+        expiresAt: Date.now() + this.ttlSeconds * 1000
+      };
+      // Manifest goes last so readers only see it once every chunk is in place
+      cache.put(this._key(name, 'manifest'), JSON.stringify(manifest), this.ttlSeconds);
+
+      this._record('writes');
+      cacheStoreLogger.debug('Stored cache entry', { name: name, rawBytes: json.length, storedBytes: encoded.length, chunks: chunkCount });
+      return true;
+    } catch (error) {
+      cacheStoreLogger.warn('Writing cache entry failed', { name: name, error: error });
+      this._record('errors');
+      return false;
+    }
+  }
+
+  /**
+   * Remove an entry from the shared cache
+   * @param {string} name - Entry name
+   * @returns {boolean} True if an entry was removed
+   */
+  remove(name) {
+    try {
+      const cache = this._cache();
+      const manifest = this.getManifest(name);
+      if (!manifest) return false;
+
+      const keys = [this._key(name, 'manifest')];
+      for (let i = 0; i < manifest.chunks; i++) {
+        keys.push(this._key(name, manifest.writeId, String(i)));
+      }
+      cache.removeAll(keys);
+      return true;
+    } catch (error) {
+      cacheStoreLogger.warn('Removing cache entry failed', { name: name, error: error });
+      return false;
+    }
+  }
+
+  /**
+   * Get the manifest describing a stored entry without reading its chunks
+   * @param {string} name - Entry name
+   * @returns {Object|null} Manifest with writeId, chunks, byte sizes and timestamps
+   */
+  getManifest(name) {
+    try {
+      const raw = this._cache().get(this._key(name, 'manifest'));
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get hit/miss statistics for this execution and across executions
+   * @returns {Object} Statistics with execution and cumulative counters
+   */
+  getStats() {
+    let cumulative = null;
+    try {
+      const raw = this._cache().get(this._key('stats'));
+      cumulative = raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      cumulative = null;
+    }
+
+    const execution = Object.assign({}, this.stats);
+    const lookups = execution.hits + execution.misses;
+    execution.hitRate = lookups ? execution.hits / lookups : null;
+
+    if (cumulative) {
+      const totalLookups = cumulative.hits + cumulative.misses;
+      cumulative.hitRate = totalLookups ? cumulative.hits / totalLookups : null;
+    }
+
+    return {
+      version: CACHE_SCHEMA_VERSION,
+      execution: execution,
+      cumulative: cumulative
+    };
+  }
+
+  /**
+   * Reset the cumulative counters shared across executions
+   */
+  resetStats() {
+    try {
+      this._cache().remove(this._key('stats'));
+    } catch (error) {
+      cacheStoreLogger.warn('Resetting cache stats failed', error);
+    }
+  }
+
+  /**
+   * Increment an execution counter and its cumulative counterpart
+   * @private
+   * @param {string} counter - Counter name (hits, misses, writes, errors)
+   */
+  _record(counter) {
+    this.stats[counter]++;
+
+    // Cumulative counters are best effort: concurrent executions may drop an increment
+    try {
+      const cache = this._cache();
+      const key = this._key('stats');
+      const raw = cache.get(key);
+      const totals = raw ? JSON.parse(raw) : { hits: 0, misses: 0, writes: 0, errors: 0, since: Date.now() };
+      totals[counter] = (totals[counter] || 0) + 1;
+      cache.put(key, JSON.stringify(totals), this.STATS_TTL);
+    } catch (error) {
+      // Never let statistics bookkeeping break a read or write
+    }
+  }
+}
+
+/**
+ * Gzip and base64 encode a string; also used for stored snapshots (B18_snapshots)
+ * @private
+ * @param {string} text - Raw text
+ * @returns {string} Base64 encoded gzip payload
+ */
+function compressPayload_(text) {
+  const blob = Utilities.newBlob(text, 'application/json');
+  return Utilities.base64Encode(Utilities.gzip(blob).getBytes());
+}
+
+/**
+ * Decode and gunzip a payload produced by compressPayload_
+ * @private
+ * @param {string} encoded - Base64 encoded gzip payload
+ * @returns {string} Original text
+ */
+function decompressPayload_(encoded) {
+  const bytes = Utilities.base64Decode(encoded);
+  const blob = Utilities.newBlob(bytes, 'application/x-gzip');
+  return Utilities.ungzip(blob).getDataAsString();
+}
@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Header-driven column mapping for entity sheets
+ * @module B14_columnMapping
+ * @version 1.0.0
+ * @description Resolves entity fields to sheet columns by reading the header row instead
+ *              of assuming a fixed column order. JSON columns are matched against
+ *              COLUMN_SCHEMAS[*].headerName (plus headerAliases); non-JSON columns use
+ *              the header lists below. Missing required columns raise ColumnMappingError.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for header resolution */
+const columnMappingLogger = createLogger('ColumnMapping');
+
+/**
+ * Entity types backed by a sheet (sheet names come from getSheetName in B15_config)
+ * @const {string[]}
+ */
+const ENTITY_TYPES = ['agency', 'oem', 'vendor'];
+
+/**
+ * Non-JSON entity fields and the headers they may appear under.
+ * canonicalIndex is the zero-based position in the documented layout (see NON_JSON_COLUMNS).
+ * @const {Object<string, Object>}
+ */
+const NON_JSON_FIELD_DEFINITIONS = {
+  agencyCode: { headers: ['Agency Code', 'Code', 'DUNS'], canonicalIndex: 0, entityTypes: ['agency'] },
+  duns: { headers: ['DUNS', 'DUNS Number'], canonicalIndex: 0, entityTypes: ['oem'] },
+  uei: { headers: ['UEI', 'Unique Entity ID', 'DUNS'], canonicalIndex: 0, entityTypes: ['vendor'] },
+  name: { headers: ['Agency', 'OEM', 'Vendor', 'Entity Name', 'Name', 'Agency Name', 'OEM Name', 'Vendor Name'], canonicalIndex: 1, required: true },
+  parentCompany: { headers: ['Parent', 'Parent Company', 'Department', 'Parent/Department'], canonicalIndex: 2 },
+  fasDataTable: { headers: ['FAS Data Table', 'FAS Table'], canonicalIndex: 24 },
+  fasTimestamp: { headers: ['FAS Table Update Timestamp', 'FAS Timestamp', 'FAS Updated'], canonicalIndex: 25 },
+  bicDataTable: { headers: ['BIC Data Table', 'BIC Table'], canonicalIndex: 26 },
+  bicTimestamp: { headers: ['BIC Table Update Timestamp', 'BIC Timestamp', 'BIC Updated'], canonicalIndex: 27 },
+  website: { headers: ['Website', 'Company Website'], canonicalIndex: 29 },
+  linkedin: { headers: ['Company LinkedIn', 'LinkedIn'], canonicalIndex: 30 },
+  isOneGov: { headers: ['OneGov', 'Is OneGov', 'OneGov Partner', 'OneGov Status'], canonicalIndex: 31 }
+};
+
+/**
+ * JSON entity fields mapped to their COLUMN_SCHEMAS key.
+ * Field names follow the DataManager entity model; most match the schema key.
+ * @const {Object<string, Object>}
+ */
+const JSON_FIELD_DEFINITIONS = {
+  obligations: { schemaKey: 'obligations', required: true },
+  smallBusiness: { schemaKey: 'smallBusiness' },
+  sumTier: { schemaKey: 'sumTier' },
+  sumType: { schemaKey: 'sumType' },
+  contractVehicle: { schemaKey: 'contractVehicle' },
+  fundingDepartment: { schemaKey: 'fundingDepartment' },
+  discount: { schemaKey: 'oneGovDiscountedProducts' },
+  topRefPiid: { schemaKey: 'topRefPiid' },
+  topPiid: { schemaKey: 'topPiid' },
+  activeContracts: { schemaKey: 'activeContracts' },
+  discountOfferings: { schemaKey: 'expiringDiscountedProducts' },
+  aiProduct: { schemaKey: 'aiProduct' },
+  aiCategory: { schemaKey: 'aiCategory' },
+  topBicProducts: { schemaKey: 'topBicProducts' },
+  reseller: { schemaKey: 'reseller' },
+  bicReseller: { schemaKey: 'bicReseller' },
+  bicOem: { schemaKey: 'bicOem' },
+  fasOem: { schemaKey: 'fasOem' },
+  fundingAgency: { schemaKey: 'fundingAgency' },
+  bicTopProductsPerAgency: { schemaKey: 'bicTopProductsPerAgency' },
+  oneGovTier: { schemaKey: 'oneGovTier' },
+  usaiProfile: { schemaKey: 'usaiProfile' }
+};
+
+/**
+ * Error raised when required columns cannot be located in a sheet header
+ * @class ColumnMappingError
+ * @extends Error
+ */
+class ColumnMappingError extends Error {
+  /**
+   * @constructor
+   * @param {string} message - Human readable summary
+   * @param {Object} details - Mapping diagnostics
+   * @param {string} details.sheetName - Sheet that failed to map
+   * @param {Array<Object>} details.missing - Required fields not found
+   * @param {Array<Object>} details.moved - Fields found away from their documented column
+   */
+  constructor(message, details) {
+    super(message);
+    this.name = 'ColumnMappingError';
+    this.sheetName = details.sheetName;
+    this.missing = details.missing;
+    this.moved = details.moved;
+  }
+}
+
+/**
+ * Normalize header text for comparison (case, surrounding and repeated whitespace, separators)
+ * @param {*} header - Raw header cell value
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return String(header == null ? '' : header)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_\/-]+/g, ' ');
+}
+
+/**
+ * Convert a zero-based column index to its letter (0 -> A, 27 -> AB)
+ * @param {number} index - Zero-based column index
+ * @returns {string} Column letter
+ */
+function columnLetterFromIndex(index) {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Get field definitions that apply to an entity type, with header candidates resolved
+ * @param {string} entityType - Type of entity ('agency', 'oem', 'vendor')
+ * @returns {Object<string, Object>} Field name to {headers, canonicalIndex, required, schemaKey}
+ */
+function getEntityFieldDefinitions(entityType) {
+  const definitions = {};
+
+  Object.entries(NON_JSON_FIELD_DEFINITIONS).forEach(([field, def]) => {
+    if (def.entityTypes && !def.entityTypes.includes(entityType)) return;
+    definitions[field] = {
+      headers: def.headers,
+      canonicalIndex: def.canonicalIndex,
+      required: !!def.required,
+      schemaKey: null
+    };
+  });
+
+  // COLUMN_SCHEMAS lives in R01 and is resolved lazily so file load order does not matter
+  Object.entries(JSON_FIELD_DEFINITIONS).forEach(([field, def]) => {
+    const schema = COLUMN_SCHEMAS[def.schemaKey];
+    definitions[field] = {
+      headers: [schema.headerName].concat(schema.headerAliases || []),
+      canonicalIndex: schema.columnIndex,
+      required: !!def.required,
+      schemaKey: def.schemaKey
+    };
+  });
+
+  return definitions;
+}
+
+/**
+ * Build a field-to-column mapping from a sheet header row
+ * @param {Array} headerRow - First row of the sheet
+ * @param {string} entityType - Type of entity ('agency', 'oem', 'vendor')
+ * @returns {Object} Mapping with columns (field -> zero-based index), moved, missing and unmappedHeaders
+ * @throws {ColumnMappingError} If any required column is missing
+ */
+function buildColumnMapping(headerRow, entityType) {
+  const type = String(entityType || '').toLowerCase();
+  const sheetName = ENTITY_TYPES.includes(type) ? getSheetName(type) : entityType;
+  const definitions = getEntityFieldDefinitions(type);
+
+  // First occurrence wins when a header is duplicated
+  const headerIndex = {};
+  (headerRow || []).forEach((header, index) => {
+    const key = normalizeHeader(header);
+    if (key && headerIndex[key] === undefined) headerIndex[key] = index;
+  });
+
+  const columns = {};
+  const claimed = {};
+  const moved = [];
+  const missing = [];
+
+  Object.entries(definitions).forEach(([field, def]) => {
+    let index;
+    for (const candidate of def.headers) {
+      const found = headerIndex[normalizeHeader(candidate)];
+      if (found !== undefined && !claimed[found]) {
+        index = found;
+        break;
+      }
+    }
+
+    if (index === undefined) {
+      missing.push({
+        field: field,
+        header: def.headers[0],
+        expectedColumn: columnLetterFromIndex(def.canonicalIndex),
+        required: def.required
+      });
+      return;
+    }
+
+    columns[field] = index;
+    claimed[index] = field;
+
+    if (index !== def.canonicalIndex) {
+      moved.push({
+        field: field,
+        header: String(headerRow[index]).trim(),
+        expectedColumn: columnLetterFromIndex(def.canonicalIndex),
+        actualColumn: columnLetterFromIndex(index),
+        required: def.required
+      });
+    }
+  });
+
+  const unmappedHeaders = (headerRow || [])
+    .map((header, index) => ({ header: String(header).trim(), column: columnLetterFromIndex(index), index: index }))
+    .filter(h => h.header !== '' && !claimed[h.index]);
+
+  const missingRequired = missing.filter(m => m.required);
+  if (missingRequired.length > 0) {
+    const parts = [
+      `Required columns missing from '${sheetName}' sheet: ` +
+        missingRequired.map(m => `'${m.header}' (expected in column ${m.expectedColumn})`).join(', ')
+    ];
+    if (moved.length > 0) {
+      parts.push('Columns found in a different position: ' +
+        moved.map(m => `'${m.header}' ${m.expectedColumn} -> ${m.actualColumn}`).join(', '));
+    }
+    if (unmappedHeaders.length > 0) {
+      parts.push('Unrecognized headers: ' +
+        unmappedHeaders.map(h => `'${h.header}' (${h.column})`).join(', '));
+    }
+    throw new ColumnMappingError(parts.join('. '), {
+      sheetName: sheetName,
+      missing: missingRequired,
+      moved: moved
+    });
+  }
+
+  if (moved.length > 0) {
+    columnMappingLogger.warn('Columns moved', {
+      sheetName: sheetName,
+      moved: moved.map(m => `${m.field} ${m.expectedColumn} -> ${m.actualColumn}`)
+    });
+  }
+
+  return {
+    entityType: type,
+    sheetName: sheetName,
+    columns: columns,
+    moved: moved,
+    missing: missing,
+    unmappedHeaders: unmappedHeaders
+  };
+}
+
+/**
+ * Read a sheet's header row and build its column mapping
+ * @param {SpreadsheetApp.Sheet} sheet - Entity sheet
+ * @param {string} entityType - Type of entity ('agency', 'oem', 'vendor')
+ * @returns {Object} Column mapping (see buildColumnMapping)
+ * @throws {ColumnMappingError} If any required column is missing
+ */
+function getSheetColumnMapping(sheet, entityType) {
+  const lastColumn = Math.max(sheet.getLastColumn(), 1);
+  const headerRow = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  return buildColumnMapping(headerRow, entityType);
+}
+
+/**
+ * Rearrange a data row into the documented column layout (A = key, B = name, D = obligations ...)
+ * so index-based readers keep working when columns are inserted or reordered in the sheet.
+ * @param {Array} row - Raw sheet row
+ * @param {Object} mapping - Column mapping from buildColumnMapping
+ * @returns {Array} Row with each mapped field at its canonical index; unmapped positions are ''
+ */
+function toCanonicalRow(row, mapping) {
+  const definitions = getCanonicalIndexes_(mapping.entityType);
+  const canonical = new Array(32).fill('');
+
+  Object.entries(mapping.columns).forEach(([field, index]) => {
+    const target = definitions[field];
+    if (target === undefined) return;
+    canonical[target] = row[index] !== undefined ? row[index] : '';
+  });
+
+  return canonical;
+}
+
+/**
+ * Convert a mapping to 1-based column numbers keyed by field
+ * @param {Object} mapping - Column mapping from buildColumnMapping
+ * @returns {Object<string, number>} Field name to 1-based column number
+ */
+function getColumnNumbers(mapping) {
+  const numbers = {};
+  Object.entries(mapping.columns).forEach(([field, index]) => {
+    numbers[field] = index + 1;
+  });
+  return numbers;
+}
+
+/** @type {Object<string, Object<string, number>>} Per-execution cache of canonical indexes */
+const canonicalIndexCache_ = {};
+
+/**
+ * Get canonical indexes for every field of an entity type
+ * @private
+ * @param {string} entityType - Type of entity
+ * @returns {Object<string, number>} Field name to canonical zero-based index
+ */
+function getCanonicalIndexes_(entityType) {
+  if (!canonicalIndexCache_[entityType]) {
+    const indexes = {};
+    Object.entries(getEntityFieldDefinitions(entityType)).forEach(([field, def]) => {
+      indexes[field] = def.canonicalIndex;
+    });
+    canonicalIndexCache_[entityType] = indexes;
+  }
+  return canonicalIndexCache_[entityType];
+}
+
+/**
+ * Resolve the entity type for a sheet name ('OEM' -> 'oem')
+ * @param {string} sheetName - Sheet name
+ * @returns {string} Entity type, or the lowercased sheet name if it is not an entity sheet
+ */
+function getEntityTypeForSheet(sheetName) {
+  const normalized = String(sheetName || '').toLowerCase();
+  return ENTITY_TYPES.find(type => getSheetName(type).toLowerCase() === normalized) || normalized;
+}
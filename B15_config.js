@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Data source configuration for OneGov FIT Market
+ * @module B15_config
+ * @version 1.0.0
+ * @description Single place that resolves the source spreadsheet, sheet names and cache TTL.
+ *              Values come from script properties with per-environment overrides:
+ *
+ *                ACTIVE_ENVIRONMENT        Environment used by default (prod)
+ *                SPREADSHEET_ID            Source workbook for prod
+ *                <ENV>_SPREADSHEET_ID      Source workbook for a named environment (STAGING_, FIXTURE_)
+ *                <ENV>_BUNDLE_FILE_ID      Drive JSON fixture bundle read instead of the workbook (B23_fixtureGenerator)
+ *                SHEET_NAME_AGENCY|OEM|VENDOR, <ENV>_SHEET_NAME_*   Entity sheet names
+ *                CACHE_TTL_SECONDS, <ENV>_CACHE_TTL_SECONDS         Entity cache lifetime
+ *                ADMIN_EMAILS              Comma separated users who are always admins (B26_accessControl)
+ *                PERMISSIONS_SPREADSHEET_ID, DEFAULT_ROLE            Where roles are kept and the fallback role
+ *                SNAPSHOT_STORE, <ENV>_SNAPSHOT_STORE               'drive' (JSON files) or 'sheet' (archive workbook)
+ *                SNAPSHOT_FOLDER_ID, SNAPSHOT_SPREADSHEET_ID       Snapshot locations (created on first use)
+ *                DATA_QUALITY_STALE_DAYS, <ENV>_DATA_QUALITY_STALE_DAYS   Age at which FAS/BIC timestamps are stale
+ *                AUDIT_SPREADSHEET_ID, AUDIT_RETENTION_DAYS         Audit log workbook and how long rows are kept (B28_auditLog)
+ *                LOG_LEVEL, LOG_DEBUG_USERS                         Log level and users logged at debug level (B00_logger)
+ *
+ *              Admins can open the web app with ?env=staging to point their own session at
+ *              another environment; the choice is kept for ENV_OVERRIDE_TTL seconds.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for data source configuration */
+const configLogger = createLogger('Config');
+
+/**
+ * Built-in defaults used when a script property is not set
+ * @const {Object}
+ */
+const CONFIG_DEFAULTS = {
+  environment: 'prod',
+  environments: ['prod', 'staging', 'fixture'],
+  spreadsheetIds: {
+    prod: '18h0TYPAPiWCKPB09v7kChoICQOELJSLBfwaZwpYheXE'
+  },
+  sheetNames: {
+    agency: 'Agency',
+    oem: 'OEM',
+    vendor: 'Vendor'
+  },
+  cacheTtlSeconds: 120,
+  snapshotStore: 'drive',
+  dataQualityStaleDays: 30
+};
+
+/** @const {number} How long an admin environment override lasts (seconds) */
+const ENV_OVERRIDE_TTL = 6 * 60 * 60;
+
+/** @type {Object|null} Resolved configuration for the current execution */
+let appConfigInstance = null;
+
+/**
+ * Get the resolved configuration for the current execution. Private because it carries the
+ * spreadsheet IDs that getConfigSummary shows to admins only.
+ * @private
+ * @returns {Object} Config with environment, spreadsheetId, bundleFileId, sheetNames, cacheTtlSeconds, snapshots, dataQuality
+ * @throws {Error} If the active environment has no spreadsheet ID configured
+ */
+function getAppConfig_() {
+  if (!appConfigInstance) {
+    appConfigInstance = loadAppConfig_(getActiveEnvironment());
+  }
+  return appConfigInstance;
+}
+
+/**
+ * Drop the memoized configuration so the next call re-reads script properties
+ */
+function resetAppConfig() {
+  appConfigInstance = null;
+  dataManagerInstance = null;
+}
+
+/**
+ * Build the configuration for one environment from script properties
+ * @private
+ * @param {string} environment - Environment name
+ * @returns {Object} Resolved configuration
+ */
+function loadAppConfig_(environment) {
+  const props = PropertiesService.getScriptProperties().getProperties();
+  const prefix = environment.toUpperCase() + '_';
+
+  // Environment specific key first, then the shared key (prod uses the shared keys)
+  const read = (key) => {
+    if (props[prefix + key] !== undefined && props[prefix + key] !== '') return props[prefix + key];
+    if (environment === CONFIG_DEFAULTS.environment || (key !== 'SPREADSHEET_ID' && key !== 'BUNDLE_FILE_ID')) {
+      if (props[key] !== undefined && props[key] !== '') return props[key];
+    }
+    return null;
+  };
+
+  const spreadsheetId = read('SPREADSHEET_ID') || CONFIG_DEFAULTS.spreadsheetIds[environment] || null;
+  const bundleFileId = read('BUNDLE_FILE_ID');
+  if (!spreadsheetId && !bundleFileId) {
+    throw new Error(`No spreadsheet configured for environment '${environment}'. Set script property ${prefix}SPREADSHEET_ID.`);
+  }
+
+  const ttl = parseInt(read('CACHE_TTL_SECONDS'), 10);
+  const staleDays = parseInt(read('DATA_QUALITY_STALE_DAYS'), 10);
+
+  return {
+    environment: environment,
+    spreadsheetId: spreadsheetId,
+    bundleFileId: bundleFileId,
+    sheetNames: {
+      agency: read('SHEET_NAME_AGENCY') || CONFIG_DEFAULTS.sheetNames.agency,
+      oem: read('SHEET_NAME_OEM') || CONFIG_DEFAULTS.sheetNames.oem,
+      vendor: read('SHEET_NAME_VENDOR') || CONFIG_DEFAULTS.sheetNames.vendor
+    },
+    cacheTtlSeconds: ttl > 0 ? ttl : CONFIG_DEFAULTS.cacheTtlSeconds,
+    snapshots: {
+      store: (read('SNAPSHOT_STORE') || CONFIG_DEFAULTS.snapshotStore).toLowerCase(),
+      folderId: read('SNAPSHOT_FOLDER_ID'),
+      spreadsheetId: read('SNAPSHOT_SPREADSHEET_ID')
+    },
+    dataQuality: {
+      staleDays: staleDays > 0 ? staleDays : CONFIG_DEFAULTS.dataQualityStaleDays
+    }
+  };
+}
+
+/**
+ * Get the environment names this deployment knows about
+ * @returns {string[]} Environment names
+ */
+function getAvailableEnvironments() {
+  const configured = PropertiesService.getScriptProperties().getProperty('ENVIRONMENTS');
+  if (!configured) return CONFIG_DEFAULTS.environments.slice();
+  return configured.split(',').map(env => env.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Get the environment for the current user: their admin override if any, else ACTIVE_ENVIRONMENT
+ * @returns {string} Environment name
+ */
+function getActiveEnvironment() {
+  const email = getActiveUserEmail_();
+  if (email) {
+    const override = CacheService.getScriptCache().get(envOverrideKey_(email));
+    if (override && getAvailableEnvironments().includes(override)) return override;
+  }
+
+  const active = PropertiesService.getScriptProperties().getProperty('ACTIVE_ENVIRONMENT');
+  return active ? active.trim().toLowerCase() : CONFIG_DEFAULTS.environment;
+}
+
+/**
+ * Point the current admin user's session at another environment
+ * @param {string} environment - Environment name, or 'default' to clear the override
+ * @returns {Object} Result with success flag and the environment now in effect
+ */
+function setEnvironmentOverride(environment) {
+  const email = getActiveUserEmail_();
+  if (!isConfigAdmin()) {
+    return { success: false, error: 'Only admins can switch environments' };
+  }
+
+  const env = String(environment || '').trim().toLowerCase();
+  const cache = CacheService.getScriptCache();
+
+  if (env === '' || env === 'default') {
+    cache.remove(envOverrideKey_(email));
+  } else if (!getAvailableEnvironments().includes(env)) {
+    return { success: false, error: `Unknown environment '${env}'` };
+  } else {
+    // Validate before storing so a half-configured environment cannot lock the admin out
+    try {
+      loadAppConfig_(env);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    cache.put(envOverrideKey_(email), env, ENV_OVERRIDE_TTL);
+  }
+
+  resetAppConfig();
+  configLogger.info('Switched environment', { environment: getActiveEnvironment() });
+  recordAdminAction_('setEnvironmentOverride', { environment: getActiveEnvironment() });
+  return { success: true, environment: getActiveEnvironment() };
+}
+
+/**
+ * Check whether the current user may change configuration
+ * @returns {boolean} True if the user has the admin role (ADMIN_EMAILS or the Permissions sheet)
+ */
+function isConfigAdmin() {
+  return hasRole('admin');
+}
+
+/**
+ * Get the configured source spreadsheet ID
+ * @private
+ * @returns {string} Spreadsheet ID
+ */
+function getSpreadsheetId_() {
+  return getAppConfig_().spreadsheetId;
+}
+
+/**
+ * Open the configured source spreadsheet, or the fixture bundle standing in for it
+ * @param {Object} [config] - Resolved app configuration (defaults to getAppConfig_())
+ * @returns {SpreadsheetApp.Spreadsheet} Source spreadsheet (read-only stand-in for a bundle)
+ */
+function openSourceSpreadsheet(config) {
+  const resolved = config || getAppConfig_();
+  if (resolved.bundleFileId) return loadFixtureBundleSpreadsheet_(resolved.bundleFileId);
+  return SpreadsheetApp.openById(resolved.spreadsheetId);
+}
+
+/**
+ * Get the configured sheet name for an entity type
+ * @param {string} entityType - Type of entity ('agency', 'oem', 'vendor')
+ * @returns {string} Sheet name
+ */
+function getSheetName(entityType) {
+  const type = String(entityType || '').toLowerCase();
+  return getAppConfig_().sheetNames[type] || CONFIG_DEFAULTS.sheetNames[type] || entityType;
+}
+
+/**
+ * Get a summary of the active configuration for admin screens
+ * @returns {Object} Environment, spreadsheet ID, sheet names, TTL and available environments
+ */
+function getConfigSummary() {
+  requireRole('admin', 'getConfigSummary');
+  const config = getAppConfig_();
+  return {
+    environment: config.environment,
+    spreadsheetId: config.spreadsheetId,
+    bundleFileId: config.bundleFileId,
+    sheetNames: Object.assign({}, config.sheetNames),
+    cacheTtlSeconds: config.cacheTtlSeconds,
+    snapshotStore: config.snapshots.store,
+    availableEnvironments: getAvailableEnvironments(),
+    isAdmin: isConfigAdmin()
+  };
+}
+
+/**
+ * Get the active user's email, or '' when it is not available
+ * @private
+ * @returns {string} Email address
+ */
+function getActiveUserEmail_() {
+  try {
+    return Session.getActiveUser().getEmail() || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Cache key holding a user's environment override
+ * @private
+ * @param {string} email - User email
+ * @returns {string} Cache key
+ */
+function envOverrideKey_(email) {
+  return 'onegov:env-override:' + email.toLowerCase();
+}
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Stable entity identifiers for OneGov FIT Market
+ * @module B16_entityIds
+ * @version 1.0.0
+ * @description Entity IDs are derived from natural keys (agency code, DUNS, UEI) so they
+ *              survive re-sorting the sheets. Rows without a key fall back to a hash of the
+ *              entity name. Legacy row-based IDs (oem_12) resolve through the
+ *              "Entity ID Aliases" sheet, which an admin fills once with migrateLegacyEntityIds
+ *              before the sheets are re-sorted. Loading data never writes to it.
+ *
+ *              ID formats:
+ *                agency_code-097        Agency code
+ *                oem_duns-123456789     DUNS
+ *                vendor_uei-abc123def   UEI
+ *                oem_name-3f2a9c01b7    SHA-1 of the normalized name (no key available)
+ *              Duplicates within a sheet get a -2, -3 ... suffix in row order.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for entity ID resolution */
+const entityIdsLogger = createLogger('EntityIds');
+
+/**
+ * Natural key field and ID label for each entity type
+ * @const {Object<string, {field: string, label: string}>}
+ */
+const ENTITY_KEY_FIELDS = {
+  agency: { field: 'agencyCode', label: 'code' },
+  oem: { field: 'duns', label: 'duns' },
+  vendor: { field: 'uei', label: 'uei' }
+};
+
+/** @const {string} Sheet in the source workbook holding legacy ID aliases */
+const ENTITY_ID_ALIAS_SHEET = 'Entity ID Aliases';
+
+/** @const {string[]} Header row of the alias sheet */
+const ENTITY_ID_ALIAS_HEADERS = ['Legacy ID', 'Stable ID', 'Entity Type', 'Entity Name', 'Recorded At'];
+
+/** @const {RegExp} Matches legacy row-based IDs such as agency_12 */
+const LEGACY_ENTITY_ID_PATTERN = /^(agency|oem|vendor)_\d+$/;
+
+/** @type {Object<string, string>|null} Legacy ID -> stable ID, loaded once per execution */
+let entityIdAliasCache_ = null;
+
+/**
+ * Assigns stable, unique IDs to the entities of one sheet
+ * @class EntityIdAssigner
+ * @description Create one per sheet load; it tracks IDs already issued to suffix duplicates
+ */
+class EntityIdAssigner {
+  /**
+   * @constructor
+   * @param {string} entityType - Type of entity ('agency', 'oem', 'vendor')
+   */
+  constructor(entityType) {
+    /** @property {string} entityType - Lowercased entity type */
+    this.entityType = String(entityType || '').toLowerCase();
+
+    /** @property {Object<string, number>} issued - Times each base ID has been issued */
+    this.issued = {};
+  }
+
+  /**
+   * Get the stable ID for the next entity
+   * @param {*} naturalKey - Agency code, DUNS or UEI cell value
+   * @param {string} name - Entity name, used when the key is empty
+   * @returns {string} Unique stable ID
+   */
+  assign(naturalKey, name) {
+    const baseId = buildStableEntityId(this.entityType, naturalKey, name);
+    const count = (this.issued[baseId] || 0) + 1;
+    this.issued[baseId] = count;
+    return count === 1 ? baseId : `${baseId}-${count}`;
+  }
+}
+
+/**
+ * Build the stable ID for an entity (without duplicate suffixing)
+ * @param {string} entityType - Type of entity ('agency', 'oem', 'vendor')
+ * @param {*} naturalKey - Agency code, DUNS or UEI cell value
+ * @param {string} name - Entity name
+ * @returns {string} Stable ID
+ */
+function buildStableEntityId(entityType, naturalKey, name) {
+  const type = String(entityType || '').toLowerCase();
+  const keyInfo = ENTITY_KEY_FIELDS[type] || { label: 'key' };
+
+  const keySlug = slugifyEntityKey_(naturalKey);
+  if (keySlug) {
+    return `${type}_${keyInfo.label}-${keySlug}`;
+  }
+
+  const normalizedName = String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return `${type}_name-${hashText_(normalizedName).substring(0, 10)}`;
+}
+
+/**
+ * Check whether an ID uses the legacy row-based format
+ * @param {string} id - Entity ID
+ * @returns {boolean} True for IDs such as oem_12
+ */
+function isLegacyEntityId(id) {
+  return LEGACY_ENTITY_ID_PATTERN.test(String(id || ''));
+}
+
+/**
+ * Resolve any entity ID (stable or legacy) to its stable form
+ * @param {string} id - Entity ID from a link, saved selection or API call
+ * @returns {string} Stable ID, or the input unchanged if no alias is known
+ */
+function resolveEntityId(id) {
+  if (!isLegacyEntityId(id)) return id;
+
+  const aliases = getEntityIdAliases_();
+  if (aliases[id]) return aliases[id];
+
+  entityIdsLogger.warn('No alias recorded for legacy ID', { id: id });
+  return id;
+}
+
+/**
+ * Get the legacy ID alias table
+ * @private
+ * @returns {Object<string, string>} Legacy ID -> stable ID
+ */
+function getEntityIdAliases_() {
+  if (entityIdAliasCache_) return entityIdAliasCache_;
+
+  const aliases = {};
+  try {
+    const sheet = openSourceSpreadsheet().getSheetByName(ENTITY_ID_ALIAS_SHEET);
+    if (sheet && sheet.getLastRow() > 1) {
+      const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+      values.forEach(([legacyId, stableId]) => {
+        // First recorded mapping wins
+        if (legacyId && stableId && !aliases[legacyId]) aliases[legacyId] = stableId;
+      });
+    }
+  } catch (error) {
+    entityIdsLogger.warn('Reading alias sheet failed', error);
+  }
+
+  entityIdAliasCache_ = aliases;
+  return aliases;
+}
+
+/**
+ * Alias rows for the legacy IDs of one sheet that are not recorded yet.
+ * Legacy IDs were issued from the row order, so the current order is only right until the
+ * sheet is re-sorted. Each alias is keyed on its row's stable ID: an entity that already has
+ * an alias, or a legacy ID already taken, keeps its mapping, so a later run never remaps one.
+ * @private
+ * @param {string} entityType - Type of entity
+ * @param {Array<Object>} entities - Entities with id, name and rowIndex, from loadEntitySheet
+ * @param {Object} recorded - { legacyIds: Set, stableIds: Set } already in the alias sheet; updated
+ * @param {Date} recordedAt - Timestamp for the new rows
+ * @returns {Array<Array>} Rows in ENTITY_ID_ALIAS_HEADERS order
+ */
+function buildLegacyEntityIdAliases_(entityType, entities, recorded, recordedAt) {
+  const type = String(entityType || '').toLowerCase();
+  const rows = [];
+  entities.forEach(entity => {
+    if (entity.rowIndex === undefined || !entity.id) return;
+    const legacyId = `${type}_${entity.rowIndex}`;
+    if (recorded.stableIds.has(entity.id) || recorded.legacyIds.has(legacyId)) return;
+
+    recorded.stableIds.add(entity.id);
+    recorded.legacyIds.add(legacyId);
+    rows.push([legacyId, entity.id, type, entity.name, recordedAt]);
+  });
+  return rows;
+}
+
+/**
+ * Reduce a natural key to an ID-safe slug; empty placeholders yield ''
+ * @private
+ * @param {*} key - Raw key cell value
+ * @returns {string} Slug
+ */
+function slugifyEntityKey_(key) {
+  if (key === null || key === undefined) return '';
+  const text = String(key).trim().toLowerCase();
+  if (text === '' || text === 'n/a' || text === 'na' || text === '-' || text === 'none') return '';
+  return text.replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Hex SHA-1 digest of a string
+ * @private
+ * @param {string} text - Input text
+ * @returns {string} Lowercase hex digest
+ */
+function hashText_(text) {
+  const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_1, text, Utilities.Charset.UTF_8);
+  return bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+// ============================================================================
+// PUBLIC API FUNCTIONS
+// ============================================================================
+
+/**
+ * Record the legacy row-based ID of every entity in the "Entity ID Aliases" sheet (admins only).
+ * Run once after deploying stable IDs, before anyone re-sorts the entity sheets; running it again
+ * only adds aliases for entities that have none.
+ * @returns {Object} Response object whose data is { agency, oem, vendor } counts of aliases added
+ */
+function migrateLegacyEntityIds() {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can migrate entity IDs');
+    }
+    const manager = getDataManager();
+    if (manager.BUNDLE_FILE_ID) {
+      return createResponse(false, null, 'Fixture bundles are read-only; there are no legacy IDs to migrate');
+    }
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(5000);
+    try {
+      const spreadsheet = SpreadsheetApp.openById(manager.SPREADSHEET_ID);
+      let sheet = spreadsheet.getSheetByName(ENTITY_ID_ALIAS_SHEET);
+      if (!sheet) {
+        sheet = spreadsheet.insertSheet(ENTITY_ID_ALIAS_SHEET);
+        sheet.getRange(1, 1, 1, ENTITY_ID_ALIAS_HEADERS.length).setValues([ENTITY_ID_ALIAS_HEADERS]);
+        sheet.setFrozenRows(1);
+      }
+
+      const recorded = { legacyIds: new Set(), stableIds: new Set() };
+      if (sheet.getLastRow() > 1) {
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues().forEach(([legacyId, stableId]) => {
+          if (legacyId) recorded.legacyIds.add(String(legacyId));
+          if (stableId) recorded.stableIds.add(String(stableId));
+        });
+      }
+
+      const recordedAt = new Date();
+      const added = {};
+      const rows = [];
+      ['agency', 'oem', 'vendor'].forEach(type => {
+        const typeRows = buildLegacyEntityIdAliases_(type, manager.loadEntitySheet(spreadsheet, type), recorded, recordedAt);
+        added[type] = typeRows.length;
+        rows.push(...typeRows);
+      });
+      if (rows.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, ENTITY_ID_ALIAS_HEADERS.length).setValues(rows);
+      }
+      entityIdAliasCache_ = null;
+
+      entityIdsLogger.info('Recorded legacy ID aliases', added);
+      recordAdminAction_('migrateLegacyEntityIds', added);
+      return createResponse(true, added, null);
+    } finally {
+      lock.releaseLock();
+    }
+  } catch (error) {
+    entityIdsLogger.error('Migrating legacy IDs failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Fuzzy entity search for OneGov FIT Market
+ * @module B17_searchIndex
+ * @version 1.0.0
+ * @description In-memory search index over the DataManager entities. Matches names,
+ *              parent company / department, natural keys (agency code, DUNS, UEI) and
+ *              agency abbreviations (VA, Navy, DISA ... from AGENCY_ABBREVIATIONS in
+ *              B09_chartBuffet), tolerates typos, and rolls matching parents up into
+ *              groups. Every match carries highlight ranges for the filter UI.
+ * @author OneGov FIT Market Development Team
+ */
+
+/**
+ * Weight of each indexed field when ranking matches
+ * @const {Object<string, number>}
+ */
+const SEARCH_FIELD_WEIGHTS = {
+  name: 1,
+  abbreviation: 0.95,
+  key: 0.9,
+  parentCompany: 0.7,
+  parentAbbreviation: 0.65
+};
+
+/**
+ * Base scores for each kind of match, before field weighting
+ * @const {Object<string, number>}
+ */
+const SEARCH_MATCH_SCORES = {
+  exact: 100,
+  prefix: 90,
+  tokenPrefix: 75,
+  substring: 60,
+  fuzzy: 45
+};
+
+/** @const {number} Default and maximum number of entity results */
+const SEARCH_DEFAULT_LIMIT = 10;
+const SEARCH_MAX_LIMIT = 50;
+
+/**
+ * Search index over loaded entities
+ * @class EntitySearchIndex
+ * @description Built by the DataManager whenever entity data is (re)loaded
+ */
+class EntitySearchIndex {
+  /**
+   * @constructor
+   * @param {Array<Object>} entities - Canonical entities from the DataManager
+   */
+  constructor(entities) {
+    /** @property {Array<Object>} documents - One indexed document per entity */
+    this.documents = (entities || []).map(entity => this._buildDocument(entity));
+
+    /** @property {number} builtAt - Timestamp the index was built */
+    this.builtAt = Date.now();
+  }
+
+  /**
+   * Build the searchable fields for one entity
+   * @private
+   * @param {Object} entity - Canonical entity
+   * @returns {Object} Indexed document
+   */
+  _buildDocument(entity) {
+    const keyField = ENTITY_KEY_FIELDS[entity.type] ? ENTITY_KEY_FIELDS[entity.type].field : null;
+    const fields = [];
+    const addField = (field, value) => {
+      if (value === undefined || value === null) return;
+      const text = String(value).trim();
+      if (!text || text === 'N/A') return;
+      fields.push(Object.assign({ field: field, value: text }, tokenizeSearchText_(text)));
+    };
+
+    addField('name', entity.name);
+    getAgencyAbbreviations(entity.name).forEach(abbrev => addField('abbreviation', abbrev));
+    if (keyField) addField('key', entity[keyField]);
+    addField('parentCompany', entity.parentCompany);
+    getAgencyAbbreviations(entity.parentCompany).forEach(abbrev => addField('parentAbbreviation', abbrev));
+
+    return {
+      id: entity.id,
+      name: entity.name,
+      type: entity.type,
+      parentCompany: entity.parentCompany || null,
+      totalObligations: entity.totalObligations || 0,
+      fields: fields
+    };
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - Search text
+   * @param {Object} [options={}] - Search options
+   * @param {Array<string>} [options.types] - Entity types to include (default all)
+   * @param {number} [options.limit=10] - Maximum entity results (max 50)
+   * @returns {Object} { query, results, rollups } ranked best first
+   */
+  search(query, options = {}) {
+    const normalized = tokenizeSearchText_(String(query || ''));
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+    const types = Array.isArray(options.types) && options.types.length > 0 ?
+      options.types.map(type => String(type).toLowerCase()) : null;
+
+    if (!normalized.text) {
+      return { query: String(query || ''), results: [], rollups: [] };
+    }
+
+    const matches = [];
+    const parentGroups = {};
+
+    for (const doc of this.documents) {
+      if (types && !types.includes(doc.type)) continue;
+
+      let best = null;
+      const highlights = [];
+      for (const field of doc.fields) {
+        const match = scoreSearchField_(normalized, field);
+        if (!match) continue;
+
+        const score = match.score * SEARCH_FIELD_WEIGHTS[field.field];
+        highlights.push({ field: field.field, value: field.value, matchType: match.type, ranges: match.ranges });
+        if (!best || score > best.score) best = { score: score, field: field.field, matchType: match.type };
+
+        // A matching parent rolls up every entity that shares it
+        if ((field.field === 'parentCompany' || field.field === 'parentAbbreviation') && doc.parentCompany) {
+          const group = parentGroups[doc.parentCompany] || (parentGroups[doc.parentCompany] = {
+            parentCompany: doc.parentCompany,
+            score: 0,
+            highlights: []
+          });
+          if (score > group.score) group.score = score;
+          if (!group.highlights.some(h => h.field === field.field && h.value === field.value)) {
+            group.highlights.push({ field: field.field, value: field.value, matchType: match.type, ranges: match.ranges });
+          }
+        }
+      }
+
+      if (best) {
+        matches.push({
+          id: doc.id,
+          name: doc.name,
+          type: doc.type,
+          parentCompany: doc.parentCompany,
+          totalObligations: doc.totalObligations,
+          score: Math.round(best.score * 10) / 10,
+          matchedField: best.field,
+          matchType: best.matchType,
+          highlights: highlights
+        });
+      }
+    }
+
+    // Ties go to the larger entity, then alphabetical
+    matches.sort((a, b) => b.score - a.score || b.totalObligations - a.totalObligations || a.name.localeCompare(b.name));
+
+    const rollups = Object.values(parentGroups).map(group => {
+      const members = this.documents.filter(doc =>
+        doc.parentCompany === group.parentCompany && (!types || types.includes(doc.type)));
+      return {
+        parentCompany: group.parentCompany,
+        score: Math.round(group.score * 10) / 10,
+        count: members.length,
+        types: Array.from(new Set(members.map(doc => doc.type))),
+        totalObligations: members.reduce((sum, doc) => sum + doc.totalObligations, 0),
+        highlights: group.highlights
+      };
+    }).sort((a, b) => b.score - a.score || b.totalObligations - a.totalObligations);
+
+    return {
+      query: String(query),
+      results: matches.slice(0, limit),
+      rollups: rollups.slice(0, limit)
+    };
+  }
+}
+
+/**
+ * Lowercase and split text into alphanumeric tokens, keeping each token's
+ * position in the original string for highlighting
+ * @private
+ * @param {string} text - Original text
+ * @returns {{text: string, tokens: Array<{text: string, start: number}>}} Normalized text and tokens
+ */
+function tokenizeSearchText_(text) {
+  const tokens = [];
+  const pattern = /[a-z0-9]+/g;
+  const lower = String(text).toLowerCase();
+  let match;
+  while ((match = pattern.exec(lower)) !== null) {
+    tokens.push({ text: match[0], start: match.index });
+  }
+  return { text: tokens.map(token => token.text).join(' '), tokens: tokens };
+}
+
+/**
+ * Score a query against one indexed field
+ * @private
+ * @param {{text: string, tokens: Array}} query - Tokenized query
+ * @param {Object} field - Indexed field with value, text and tokens
+ * @returns {{score: number, type: string, ranges: Array<Array<number>>}|null} Match, or null
+ */
+function scoreSearchField_(query, field) {
+  const fieldTokens = field.tokens;
+  if (fieldTokens.length === 0) return null;
+
+  // Whole-value matches, highlighted from the first to the last covered token
+  const wholeRange = (startToken, tokenCount) => {
+    const first = fieldTokens[startToken];
+    const last = fieldTokens[startToken + tokenCount - 1];
+    return [[first.start, last.start + last.text.length]];
+  };
+
+  if (field.text === query.text) {
+    return { score: SEARCH_MATCH_SCORES.exact, type: 'exact', ranges: wholeRange(0, fieldTokens.length) };
+  }
+  if (field.text.startsWith(query.text)) {
+    return { score: SEARCH_MATCH_SCORES.prefix, type: 'prefix', ranges: prefixRanges_(query.tokens, fieldTokens, 0) };
+  }
+
+  // Every query token must match a distinct field token, by prefix or within the typo budget
+  const ranges = [];
+  const used = new Set();
+  let typos = 0;
+  let allPrefix = true;
+  for (const queryToken of query.tokens) {
+    let found = null;
+    for (let i = 0; i < fieldTokens.length && !found; i++) {
+      if (!used.has(i) && fieldTokens[i].text.startsWith(queryToken.text)) {
+        found = { index: i, length: queryToken.text.length, typos: 0 };
+      }
+    }
+    for (let i = 0; i < fieldTokens.length && !found; i++) {
+      if (used.has(i)) continue;
+      const distance = fuzzyTokenDistance_(queryToken.text, fieldTokens[i].text);
+      if (distance <= allowedTypos_(queryToken.text)) {
+        found = { index: i, length: Math.min(fieldTokens[i].text.length, queryToken.text.length + distance), typos: distance };
+      }
+    }
+    if (!found) {
+      return substringMatch_(query, field);
+    }
+    used.add(found.index);
+    typos += found.typos;
+    if (found.typos > 0) allPrefix = false;
+    ranges.push([fieldTokens[found.index].start, fieldTokens[found.index].start + found.length]);
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  if (allPrefix) {
+    return { score: SEARCH_MATCH_SCORES.tokenPrefix, type: 'tokenPrefix', ranges: ranges };
+  }
+  return { score: SEARCH_MATCH_SCORES.fuzzy - typos * 10, type: 'fuzzy', ranges: ranges };
+}
+
+/**
+ * Highlight ranges for a query that is a prefix of the field
+ * @private
+ * @param {Array} queryTokens - Query tokens
+ * @param {Array} fieldTokens - Field tokens
+ * @param {number} offset - First field token covered
+ * @returns {Array<Array<number>>} [start, end) ranges
+ */
+function prefixRanges_(queryTokens, fieldTokens, offset) {
+  return queryTokens.map((queryToken, i) => {
+    const fieldToken = fieldTokens[offset + i];
+    return [fieldToken.start, fieldToken.start + Math.min(queryToken.text.length, fieldToken.text.length)];
+  });
+}
+
+/**
+ * Fall back to a plain substring match inside the field
+ * @private
+ * @param {{text: string}} query - Tokenized query
+ * @param {Object} field - Indexed field
+ * @returns {{score: number, type: string, ranges: Array<Array<number>>}|null} Match, or null
+ */
+function substringMatch_(query, field) {
+  if (query.text.length < 3) return null;
+  const index = field.value.toLowerCase().indexOf(query.text);
+  if (index === -1) return null;
+  return { score: SEARCH_MATCH_SCORES.substring, type: 'substring', ranges: [[index, index + query.text.length]] };
+}
+
+/**
+ * Typos tolerated for a query token of this length
+ * @private
+ * @param {string} token - Query token
+ * @returns {number} Maximum edit distance
+ */
+function allowedTypos_(token) {
+  if (token.length < 4) return 0;
+  return token.length < 8 ? 1 : 2;
+}
+
+/**
+ * Edit distance between a query token and a field token, also comparing against the
+ * field token's prefix so a misspelt partial word ("deparment") still matches
+ * @private
+ * @param {string} queryToken - Query token
+ * @param {string} fieldToken - Field token
+ * @returns {number} Smallest Damerau-Levenshtein distance found
+ */
+function fuzzyTokenDistance_(queryToken, fieldToken) {
+  const full = damerauLevenshtein_(queryToken, fieldToken);
+  if (fieldToken.length <= queryToken.length) return full;
+  return Math.min(full, damerauLevenshtein_(queryToken, fieldToken.substring(0, queryToken.length)));
+}
+
+/**
+ * Optimal string alignment distance (insertions, deletions, substitutions, transpositions)
+ * @private
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function damerauLevenshtein_(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = [];
+  for (let i = 0; i < rows; i++) {
+    d.push(new Array(cols).fill(0));
+    d[i][0] = i;
+  }
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[rows - 1][cols - 1];
+}
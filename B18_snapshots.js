@@ -0,0 +1,544 @@
+/**
+ * @fileoverview Point-in-time snapshots of the entity data for OneGov FIT Market
+ * @module B18_snapshots
+ * @version 1.0.0
+ * @description Records compact, versioned copies of the DataManager entities so past values
+ *              survive the next refresh of the source sheets. A snapshot is keyed by the most
+ *              recent processed_date found in the JSON columns, so re-running before the data
+ *              changes is a no-op. Snapshots are written either to Drive JSON files or to an
+ *              archive spreadsheet (SNAPSHOT_STORE, see B15_config):
+ *
+ *                drive   One file per snapshot: onegov-snapshot-<env>-<yyyy-mm-dd>.json
+ *                sheet   A "Snapshots" index sheet plus one sheet per snapshot holding the
+ *                        gzipped payload (see compressPayload_ in B13_cacheStore) split
+ *                        across rows as plain text
+ *
+ *              Only raw column values are stored; derived fields (totalObligations, tier ...)
+ *              are recalculated by the DataManager when a snapshot is loaded.
+ *              The project only holds the drive.file scope, so a configured SNAPSHOT_FOLDER_ID
+ *              must be a folder this script created; leave it empty to have one created.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for data snapshots */
+const snapshotsLogger = createLogger('Snapshots');
+
+/**
+ * Snapshot payload format. Bump when the stored shape changes and handle older
+ * versions in normalizeSnapshotPayload_.
+ * @const {number}
+ */
+const SNAPSHOT_FORMAT_VERSION = 1;
+
+/** @const {string} Index sheet in the archive spreadsheet */
+const SNAPSHOT_INDEX_SHEET = 'Snapshots';
+
+/** @const {string[]} Header row of the index sheet */
+const SNAPSHOT_INDEX_HEADERS = [
+  'Snapshot Date', 'Environment', 'Created At', 'Format Version',
+  'Agencies', 'OEMs', 'Vendors', 'Data Sheet'
+];
+
+/** @const {number} Characters per cell when a payload is split across rows (cell limit is 50,000) */
+const SNAPSHOT_CELL_CHUNK = 45000;
+
+/** @const {string} Function run by the scheduled snapshot trigger */
+const SNAPSHOT_TRIGGER_HANDLER = 'runScheduledSnapshot';
+
+/**
+ * Snapshots stored as JSON files in a Drive folder
+ * @class DriveSnapshotStore
+ */
+class DriveSnapshotStore {
+  /**
+   * @constructor
+   * @param {Object} config - Resolved app configuration (see getAppConfig_)
+   */
+  constructor(config) {
+    /** @property {string} environment - Environment the snapshots belong to */
+    this.environment = config.environment;
+
+    /** @property {Object} snapshots - Snapshot settings; folderId is filled in once the folder is created */
+    this.snapshots = config.snapshots;
+  }
+
+  /**
+   * Get the snapshot folder, creating it when none is configured
+   * @private
+   * @param {boolean} create - Create the folder if missing
+   * @returns {DriveApp.Folder|null} Folder
+   */
+  _folder(create) {
+    if (this.snapshots.folderId) return DriveApp.getFolderById(this.snapshots.folderId);
+    if (!create) return null;
+
+    const folder = DriveApp.createFolder('OneGov FIT Snapshots');
+    this.snapshots.folderId = folder.getId();
+    rememberSnapshotLocation_(this.environment, 'SNAPSHOT_FOLDER_ID', this.snapshots.folderId);
+    return folder;
+  }
+
+  /**
+   * File name for a snapshot
+   * @private
+   * @param {string} snapshotDate - yyyy-mm-dd
+   * @returns {string} File name
+   */
+  _fileName(snapshotDate) {
+    return `onegov-snapshot-${this.environment}-${snapshotDate}.json`;
+  }
+
+  /**
+   * List stored snapshots, newest first
+   * @returns {Array<Object>} Snapshot descriptors with snapshotDate, createdAt and location
+   */
+  list() {
+    const folder = this._folder(false);
+    if (!folder) return [];
+
+    const prefix = `onegov-snapshot-${this.environment}-`;
+    const snapshots = [];
+    const files = folder.getFiles();
+    while (files.hasNext()) {
+      const file = files.next();
+      const name = file.getName();
+      if (!name.startsWith(prefix) || !name.endsWith('.json')) continue;
+      snapshots.push({
+        snapshotDate: name.substring(prefix.length, name.length - '.json'.length),
+        environment: this.environment,
+        createdAt: file.getLastUpdated().toISOString(),
+        location: file.getUrl()
+      });
+    }
+    return snapshots.sort((a, b) => b.snapshotDate.localeCompare(a.snapshotDate));
+  }
+
+  /**
+   * Read one snapshot payload
+   * @param {string} snapshotDate - yyyy-mm-dd
+   * @returns {Object|null} Payload, or null if not stored
+   */
+  read(snapshotDate) {
+    const folder = this._folder(false);
+    if (!folder) return null;
+    const files = folder.getFilesByName(this._fileName(snapshotDate));
+    return files.hasNext() ? JSON.parse(files.next().getBlob().getDataAsString()) : null;
+  }
+
+  /**
+   * Write a snapshot payload, replacing any snapshot with the same date
+   * @param {Object} payload - Snapshot payload
+   * @returns {string} URL of the stored file
+   */
+  write(payload) {
+    const folder = this._folder(true);
+    const name = this._fileName(payload.snapshotDate);
+    const content = JSON.stringify(payload);
+
+    const existing = folder.getFilesByName(name);
+    if (existing.hasNext()) {
+      const file = existing.next();
+      file.setContent(content);
+      return file.getUrl();
+    }
+    return folder.createFile(name, content, 'application/json').getUrl();
+  }
+}
+
+/**
+ * Snapshots stored in an archive spreadsheet
+ * @class SheetSnapshotStore
+ */
+class SheetSnapshotStore {
+  /**
+   * @constructor
+   * @param {Object} config - Resolved app configuration (see getAppConfig_)
+   */
+  constructor(config) {
+    /** @property {string} environment - Environment the snapshots belong to */
+    this.environment = config.environment;
+
+    /** @property {Object} snapshots - Snapshot settings; spreadsheetId is filled in once the workbook is created */
+    this.snapshots = config.snapshots;
+  }
+
+  /**
+   * Open the archive spreadsheet, creating it when none is configured
+   * @private
+   * @param {boolean} create - Create the workbook if missing
+   * @returns {SpreadsheetApp.Spreadsheet|null} Archive workbook
+   */
+  _spreadsheet(create) {
+    if (this.snapshots.spreadsheetId) return SpreadsheetApp.openById(this.snapshots.spreadsheetId);
+    if (!create) return null;
+
+    const spreadsheet = SpreadsheetApp.create('OneGov FIT Snapshots');
+    this.snapshots.spreadsheetId = spreadsheet.getId();
+    rememberSnapshotLocation_(this.environment, 'SNAPSHOT_SPREADSHEET_ID', this.snapshots.spreadsheetId);
+    return spreadsheet;
+  }
+
+  /**
+   * Data sheet name for a snapshot
+   * @private
+   * @param {string} snapshotDate - yyyy-mm-dd
+   * @returns {string} Sheet name
+   */
+  _sheetName(snapshotDate) {
+    return `${this.environment} ${snapshotDate}`;
+  }
+
+  /**
+   * List stored snapshots, newest first
+   * @returns {Array<Object>} Snapshot descriptors with snapshotDate, createdAt, counts and location
+   */
+  list() {
+    const spreadsheet = this._spreadsheet(false);
+    const index = spreadsheet && spreadsheet.getSheetByName(SNAPSHOT_INDEX_SHEET);
+    if (!index || index.getLastRow() < 2) return [];
+
+    return index.getRange(2, 1, index.getLastRow() - 1, SNAPSHOT_INDEX_HEADERS.length).getValues()
+      .filter(row => row[1] === this.environment)
+      .map(row => ({
+        snapshotDate: normalizeSnapshotDate_(row[0]),
+        environment: row[1],
+        createdAt: row[2] instanceof Date ? row[2].toISOString() : String(row[2]),
+        formatVersion: row[3],
+        counts: { agencies: row[4], oems: row[5], vendors: row[6] },
+        location: row[7]
+      }))
+      .sort((a, b) => b.snapshotDate.localeCompare(a.snapshotDate));
+  }
+
+  /**
+   * Read one snapshot payload
+   * @param {string} snapshotDate - yyyy-mm-dd
+   * @returns {Object|null} Payload, or null if not stored
+   */
+  read(snapshotDate) {
+    const spreadsheet = this._spreadsheet(false);
+    const sheet = spreadsheet && spreadsheet.getSheetByName(this._sheetName(snapshotDate));
+    if (!sheet || sheet.getLastRow() < 1) return null;
+
+    // Sheets drops the leading apostrophe written by write(); strip it in case a cell kept it
+    const encoded = sheet.getRange(1, 1, sheet.getLastRow(), 1).getValues()
+      .map(row => String(row[0]).replace(/^'/, '')).join('');
+    return JSON.parse(decompressPayload_(encoded));
+  }
+
+  /**
+   * Write a snapshot payload, replacing any snapshot with the same date
+   * @param {Object} payload - Snapshot payload
+   * @returns {string} Name of the data sheet
+   */
+  write(payload) {
+    const spreadsheet = this._spreadsheet(true);
+    const sheetName = this._sheetName(payload.snapshotDate);
+
+    // Chunks are written as text: one starting with '+' or '=' would otherwise be parsed as a formula or number
+    const encoded = compressPayload_(JSON.stringify(payload));
+    const rows = [];
+    for (let offset = 0; offset < encoded.length; offset += SNAPSHOT_CELL_CHUNK) {
+      rows.push(["'" + encoded.substring(offset, offset + SNAPSHOT_CELL_CHUNK)]);
+    }
+
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (sheet) {
+      sheet.clear();
+    } else {
+      sheet = spreadsheet.insertSheet(sheetName);
+    }
+    sheet.getRange(1, 1, rows.length, 1).setNumberFormat('@').setValues(rows);
+
+    let index = spreadsheet.getSheetByName(SNAPSHOT_INDEX_SHEET);
+    if (!index) {
+      index = spreadsheet.insertSheet(SNAPSHOT_INDEX_SHEET, 0);
+      index.getRange(1, 1, 1, SNAPSHOT_INDEX_HEADERS.length).setValues([SNAPSHOT_INDEX_HEADERS]);
+      index.setFrozenRows(1);
+    }
+
+    // The key is written as text so Sheets does not turn it into a date cell
+    const indexRow = [
+      "'" + payload.snapshotDate, this.environment, new Date(payload.createdAt), payload.formatVersion,
+      payload.counts.agencies, payload.counts.oems, payload.counts.vendors, sheetName
+    ];
+
+    const existingRow = this._findIndexRow(index, payload.snapshotDate);
+    const target = existingRow || index.getLastRow() + 1;
+    index.getRange(target, 1, 1, SNAPSHOT_INDEX_HEADERS.length).setValues([indexRow]);
+
+    return sheetName;
+  }
+
+  /**
+   * Find the index row for a snapshot of this environment
+   * @private
+   * @param {SpreadsheetApp.Sheet} index - Index sheet
+   * @param {string} snapshotDate - yyyy-mm-dd
+   * @returns {number|null} 1-based row number
+   */
+  _findIndexRow(index, snapshotDate) {
+    if (index.getLastRow() < 2) return null;
+    const keys = index.getRange(2, 1, index.getLastRow() - 1, 2).getValues();
+    for (let i = 0; i < keys.length; i++) {
+      if (normalizeSnapshotDate_(keys[i][0]) === snapshotDate && keys[i][1] === this.environment) return i + 2;
+    }
+    return null;
+  }
+}
+
+/**
+ * Get the snapshot store configured for the active environment
+ * @private
+ * @param {Object} [config] - Resolved app configuration (defaults to getAppConfig_())
+ * @returns {DriveSnapshotStore|SheetSnapshotStore} Store
+ * @throws {Error} If SNAPSHOT_STORE names an unknown store
+ */
+function getSnapshotStore_(config) {
+  const resolved = config || getAppConfig_();
+  switch (resolved.snapshots.store) {
+    case 'drive':
+      return new DriveSnapshotStore(resolved);
+    case 'sheet':
+      return new SheetSnapshotStore(resolved);
+    default:
+      throw new Error(`Unknown SNAPSHOT_STORE '${resolved.snapshots.store}'. Use 'drive' or 'sheet'.`);
+  }
+}
+
+/**
+ * Build a snapshot payload from loaded DataManager data
+ * @param {OneGovDataManager} manager - Data manager with loaded data
+ * @returns {Object} Payload keyed by the latest processed_date
+ */
+function buildSnapshotPayload(manager) {
+  const data = manager.loadAllData();
+  const processedDates = [];
+  const compact = (entities, entityType) => entities.map(entity => {
+    const fields = manager.columnMappings[entityType].fields;
+    const stored = { id: entity.id, name: entity.name, type: entity.type };
+    for (const field of fields) {
+      const value = entity[field];
+      if (value === undefined || value === null || value === '') continue;
+      stored[field] = value;
+      if (manager.isJsonColumn(field) && value.processed_date) {
+        const date = normalizeSnapshotDate_(value.processed_date);
+        if (date) processedDates.push(date);
+      }
+    }
+    return stored;
+  });
+
+  const entities = {
+    agencies: compact(data.agencies, 'agency'),
+    oems: compact(data.oems, 'oem'),
+    vendors: compact(data.vendors, 'vendor')
+  };
+  processedDates.sort();
+
+  const createdAt = new Date().toISOString();
+  return {
+    formatVersion: SNAPSHOT_FORMAT_VERSION,
+    environment: manager.config.environment,
+    // No processed_date at all means nothing to key on but the day of capture
+    snapshotDate: processedDates.length ? processedDates[processedDates.length - 1] : createdAt.substring(0, 10),
+    processedDates: {
+      earliest: processedDates[0] || null,
+      latest: processedDates[processedDates.length - 1] || null
+    },
+    createdAt: createdAt,
+    counts: {
+      agencies: entities.agencies.length,
+      oems: entities.oems.length,
+      vendors: entities.vendors.length
+    },
+    entities: entities
+  };
+}
+
+/**
+ * Record a snapshot of the current entity data
+ * @private
+ * @param {Object} [options={}] - Snapshot options
+ * @param {boolean} [options.force=false] - Overwrite a snapshot that already has the same date
+ * @returns {Object} Result with created flag, snapshotDate, counts and location
+ */
+function recordDataSnapshot_(options = {}) {
+  const manager = getDataManager();
+  const store = getSnapshotStore_(manager.config);
+  const payload = buildSnapshotPayload(manager);
+
+  const exists = store.list().some(snapshot => snapshot.snapshotDate === payload.snapshotDate);
+  if (exists && !options.force) {
+    snapshotsLogger.info('Snapshot already recorded, skipping', { snapshotDate: payload.snapshotDate });
+    return { created: false, snapshotDate: payload.snapshotDate, reason: 'Snapshot for this processed_date already exists' };
+  }
+
+  const location = store.write(payload);
+  snapshotsLogger.info('Recorded snapshot', { snapshotDate: payload.snapshotDate, counts: payload.counts });
+  return { created: true, snapshotDate: payload.snapshotDate, counts: payload.counts, location: location };
+}
+
+/**
+ * Read the snapshot for a date: the exact date if stored, otherwise the latest one before it.
+ * Returns the raw payload, so pages go through getSnapshotEntities (roles and entitlements).
+ * @private
+ * @param {string|Date} asOf - Date to look up (yyyy-mm-dd, ISO string or Date)
+ * @param {Object} [config] - Resolved app configuration (defaults to getAppConfig_())
+ * @returns {Object} Snapshot payload
+ * @throws {Error} If no snapshot exists on or before the date
+ */
+function readDataSnapshot_(asOf, config) {
+  const store = getSnapshotStore_(config);
+  const target = normalizeSnapshotDate_(asOf);
+  if (!target) {
+    throw new Error(`Invalid snapshot date: ${asOf}`);
+  }
+
+  const match = store.list().find(snapshot => snapshot.snapshotDate <= target);
+  if (!match) {
+    throw new Error(`No snapshot recorded on or before ${target}`);
+  }
+  return normalizeSnapshotPayload_(store.read(match.snapshotDate));
+}
+
+/**
+ * Upgrade older payload formats to the current one
+ * @private
+ * @param {Object} payload - Stored payload
+ * @returns {Object} Payload in SNAPSHOT_FORMAT_VERSION format
+ * @throws {Error} If the payload is missing or from a newer format
+ */
+function normalizeSnapshotPayload_(payload) {
+  if (!payload || !payload.entities) {
+    throw new Error('Snapshot payload is missing or unreadable');
+  }
+  if (payload.formatVersion > SNAPSHOT_FORMAT_VERSION) {
+    throw new Error(`Snapshot format ${payload.formatVersion} is newer than this deployment supports (${SNAPSHOT_FORMAT_VERSION})`);
+  }
+  return payload;
+}
+
+/**
+ * Reduce a processed_date, Date or date string to yyyy-mm-dd
+ * @private
+ * @param {*} value - Date-like value
+ * @returns {string|null} yyyy-mm-dd, or null if not a date
+ */
+function normalizeSnapshotDate_(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString().substring(0, 10);
+
+  const text = String(value).trim();
+  const isoDay = text.match(/^(\d{4}-\d{2}-\d{2})/);
+  if (isoDay) return isoDay[1];
+
+  const parsed = new Date(text);
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString().substring(0, 10);
+}
+
+/**
+ * Save a created snapshot location so later runs reuse it
+ * @private
+ * @param {string} environment - Environment name
+ * @param {string} key - SNAPSHOT_FOLDER_ID or SNAPSHOT_SPREADSHEET_ID
+ * @param {string} id - Drive ID
+ */
+function rememberSnapshotLocation_(environment, key, id) {
+  PropertiesService.getScriptProperties().setProperty(`${environment.toUpperCase()}_${key}`, id);
+  snapshotsLogger.info('Created snapshot location', { environment: environment, property: key, id: id });
+}
+
+// ============================================================================
+// PUBLIC API FUNCTIONS
+// ============================================================================
+
+/**
+ * Record a snapshot now (admins only)
+ * @param {boolean} [force=false] - Overwrite an existing snapshot with the same date
+ * @returns {Object} Response object with the snapshot result
+ */
+function createDataSnapshot(force) {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can record snapshots');
+    }
+    const result = recordDataSnapshot_({ force: !!force });
+    recordAdminAction_('createDataSnapshot', { force: !!force });
+    return createResponse(true, result, null);
+  } catch (error) {
+    snapshotsLogger.error('Recording snapshot failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Time-driven trigger handler installed by installSnapshotTrigger
+ * @param {Object} [e] - Trigger event
+ * @returns {Object} Snapshot result
+ */
+function runScheduledSnapshot(e) {
+  try {
+    requireTriggerOrRole(e, SNAPSHOT_TRIGGER_HANDLER, 'admin');
+    return recordDataSnapshot_();
+  } catch (error) {
+    snapshotsLogger.error('Scheduled snapshot failed', error);
+    return { created: false, error: error.toString() };
+  }
+}
+
+/**
+ * Install (or replace) the daily snapshot trigger (admins only)
+ * @param {number} [hour=6] - Hour of day to run, in the script time zone
+ * @returns {Object} Response object
+ */
+function installSnapshotTrigger(hour) {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can schedule snapshots');
+    }
+    ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === SNAPSHOT_TRIGGER_HANDLER)
+      .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+    const atHour = Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : 6;
+    ScriptApp.newTrigger(SNAPSHOT_TRIGGER_HANDLER).timeBased().everyDays(1).atHour(atHour).create();
+    recordAdminAction_('installSnapshotTrigger', { hour: atHour });
+    return createResponse(true, { handler: SNAPSHOT_TRIGGER_HANDLER, hour: atHour }, null);
+  } catch (error) {
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * List recorded snapshots for the active environment, newest first
+ * @returns {Object} Response object with snapshot descriptors
+ */
+function listDataSnapshots() {
+  requireRole('analyst', 'listDataSnapshots');
+  try {
+    return createResponse(true, getSnapshotStore_().list(), null);
+  } catch (error) {
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Get entities as they were on a date
+ * @param {string} asOf - yyyy-mm-dd; the latest snapshot on or before it is used
+ * @param {string} [entityType] - 'agency', 'oem', 'vendor'; omit for all
+ * @returns {Object} Response object with entities, plus the snapshotDate actually used
+ */
+function getSnapshotEntities(asOf, entityType) {
+  requireRole('analyst', 'getSnapshotEntities');
+  try {
+    const manager = getDataManager();
+    const snapshot = manager.loadSnapshot(asOf);
+    return createResponse(true, {
+      snapshotDate: snapshot.snapshotDate,
+      entities: manager.getSnapshotEntities(asOf, entityType)
+    }, null);
+  } catch (error) {
+    return createResponse(false, null, error.toString());
+  }
+}
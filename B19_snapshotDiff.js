@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Change log between two entity data loads for OneGov FIT Market
+ * @module B19_snapshotDiff
+ * @version 1.0.0
+ * @description Compares two snapshots (see B18_snapshots), or a snapshot and the live data,
+ *              and reports what account managers ask about every Monday: entities added or
+ *              removed, OneGov tier changes, material obligation changes, new AI products and
+ *              contract vehicles that appeared or disappeared. Entities are matched by their
+ *              stable ID (B16_entityIds). The change log feeds the "What's new" panel in F05
+ *              and can be exported with exportSnapshotDiff.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for snapshot comparisons */
+const snapshotDiffLogger = createLogger('SnapshotDiff');
+
+/**
+ * Defaults for what counts as a material obligation change. A change must clear both.
+ * @const {Object}
+ */
+const SNAPSHOT_DIFF_DEFAULTS = {
+  minObligationChange: 1000000,
+  minObligationChangePercent: 10
+};
+
+/** @const {string} Pseudo snapshot date meaning the live DataManager data */
+const SNAPSHOT_CURRENT = 'current';
+
+/**
+ * Change kinds in the order the change log lists them
+ * @const {string[]}
+ */
+const SNAPSHOT_CHANGE_KINDS = [
+  'added', 'removed', 'tierChange', 'obligationChange',
+  'newAIProduct', 'contractVehicleAdded', 'contractVehicleRemoved'
+];
+
+/**
+ * Build the change log between two data sets
+ * @param {Object} fromData - Older data with agencies, oems, vendors
+ * @param {Object} toData - Newer data with agencies, oems, vendors
+ * @param {Object} [options={}] - Diff options
+ * @param {number} [options.minObligationChange=1000000] - Minimum absolute change in dollars
+ * @param {number} [options.minObligationChangePercent=10] - Minimum relative change in percent
+ * @param {Array<string>} [options.types] - Entity types to compare (default all)
+ * @returns {Object} Change log with summary counts and changes
+ */
+function buildSnapshotDiff(fromData, toData, options = {}) {
+  const thresholds = {
+    minObligationChange: options.minObligationChange !== undefined ?
+      Number(options.minObligationChange) : SNAPSHOT_DIFF_DEFAULTS.minObligationChange,
+    minObligationChangePercent: options.minObligationChangePercent !== undefined ?
+      Number(options.minObligationChangePercent) : SNAPSHOT_DIFF_DEFAULTS.minObligationChangePercent
+  };
+  const types = Array.isArray(options.types) && options.types.length > 0 ? options.types : ENTITY_TYPES;
+
+  const changes = [];
+  const collection = { agency: 'agencies', oem: 'oems', vendor: 'vendors' };
+
+  types.forEach(entityType => {
+    const before = indexEntitiesById_(fromData[collection[entityType]]);
+    const after = indexEntitiesById_(toData[collection[entityType]]);
+
+    Object.values(after).forEach(entity => {
+      const previous = before[entity.id];
+      if (!previous) {
+        changes.push(describeChange_('added', entity, {
+          after: entity.totalObligations || 0,
+          message: `${entity.name} added`
+        }));
+        return;
+      }
+      changes.push(...compareEntity_(previous, entity, thresholds));
+    });
+
+    Object.values(before).forEach(entity => {
+      if (!after[entity.id]) {
+        changes.push(describeChange_('removed', entity, {
+          before: entity.totalObligations || 0,
+          message: `${entity.name} removed`
+        }));
+      }
+    });
+  });
+
+  changes.sort((a, b) =>
+    SNAPSHOT_CHANGE_KINDS.indexOf(a.kind) - SNAPSHOT_CHANGE_KINDS.indexOf(b.kind) ||
+    Math.abs(b.delta || 0) - Math.abs(a.delta || 0) ||
+    a.entityName.localeCompare(b.entityName));
+
+  const summary = { total: changes.length };
+  SNAPSHOT_CHANGE_KINDS.forEach(kind => {
+    summary[kind] = changes.filter(change => change.kind === kind).length;
+  });
+
+  return {
+    from: fromData.snapshotDate || null,
+    to: toData.snapshotDate || SNAPSHOT_CURRENT,
+    generatedAt: new Date().toISOString(),
+    thresholds: thresholds,
+    summary: summary,
+    changes: changes
+  };
+}
+
+/**
+ * Compare one entity present in both data sets
+ * @private
+ * @param {Object} previous - Entity in the older data
+ * @param {Object} current - Entity in the newer data
+ * @param {Object} thresholds - Material change thresholds
+ * @returns {Array<Object>} Changes for this entity
+ */
+function compareEntity_(previous, current, thresholds) {
+  const changes = [];
+
+  const tierBefore = getNestedValue(previous, 'oneGovTier.mode_tier') || null;
+  const tierAfter = getNestedValue(current, 'oneGovTier.mode_tier') || null;
+  if (tierBefore !== tierAfter) {
+    changes.push(describeChange_('tierChange', current, {
+      before: tierBefore,
+      after: tierAfter,
+      message: `${current.name} moved from ${tierBefore || 'no tier'} to ${tierAfter || 'no tier'}`
+    }));
+  }
+
+  const obligationsBefore = previous.totalObligations || 0;
+  const obligationsAfter = current.totalObligations || 0;
+  const delta = obligationsAfter - obligationsBefore;
+  const percentChange = obligationsBefore ? (delta / obligationsBefore) * 100 : null;
+  const isMaterial = Math.abs(delta) >= thresholds.minObligationChange &&
+    (percentChange === null || Math.abs(percentChange) >= thresholds.minObligationChangePercent);
+  if (delta !== 0 && isMaterial) {
+    changes.push(describeChange_('obligationChange', current, {
+      before: obligationsBefore,
+      after: obligationsAfter,
+      delta: delta,
+      percentChange: percentChange === null ? null : Math.round(percentChange * 10) / 10,
+      message: `${current.name} obligations ${delta > 0 ? 'up' : 'down'} ${formatCurrency(Math.abs(delta))}` +
+        (percentChange === null ? '' : ` (${percentChange > 0 ? '+' : ''}${percentChange.toFixed(1)}%)`)
+    }));
+  }
+
+  const productsBefore = new Set(listAIProducts_(previous.aiProduct));
+  listAIProducts_(current.aiProduct)
+    .filter(product => !productsBefore.has(product))
+    .forEach(product => changes.push(describeChange_('newAIProduct', current, {
+      after: product,
+      message: `${current.name} has a new AI product: ${product}`
+    })));
+
+  const vehiclesBefore = listContractVehicles_(previous.contractVehicle);
+  const vehiclesAfter = listContractVehicles_(current.contractVehicle);
+  vehiclesAfter
+    .filter(vehicle => !vehiclesBefore.includes(vehicle))
+    .forEach(vehicle => changes.push(describeChange_('contractVehicleAdded', current, {
+      after: vehicle,
+      message: `${current.name} now on ${vehicle}`
+    })));
+  vehiclesBefore
+    .filter(vehicle => !vehiclesAfter.includes(vehicle))
+    .forEach(vehicle => changes.push(describeChange_('contractVehicleRemoved', current, {
+      before: vehicle,
+      message: `${current.name} no longer on ${vehicle}`
+    })));
+
+  return changes;
+}
+
+/**
+ * Build one change log entry
+ * @private
+ * @param {string} kind - One of SNAPSHOT_CHANGE_KINDS
+ * @param {Object} entity - Entity the change belongs to
+ * @param {Object} details - before, after, delta, percentChange and message
+ * @returns {Object} Change entry
+ */
+function describeChange_(kind, entity, details) {
+  return {
+    kind: kind,
+    entityId: entity.id,
+    entityName: entity.name,
+    entityType: entity.type,
+    before: details.before !== undefined ? details.before : null,
+    after: details.after !== undefined ? details.after : null,
+    delta: details.delta !== undefined ? details.delta : null,
+    percentChange: details.percentChange !== undefined ? details.percentChange : null,
+    message: details.message
+  };
+}
+
+/**
+ * Index entities by stable ID
+ * @private
+ * @param {Array<Object>} entities - Entities
+ * @returns {Object<string, Object>} ID -> entity
+ */
+function indexEntitiesById_(entities) {
+  const byId = {};
+  (entities || []).forEach(entity => {
+    byId[entity.id] = entity;
+  });
+  return byId;
+}
+
+/**
+ * Product names listed in an AI Product column, across fiscal years
+ * @private
+ * @param {Object} aiProduct - AI Product JSON (column O)
+ * @returns {Array<string>} Unique product names
+ */
+function listAIProducts_(aiProduct) {
+  const products = new Set();
+  const summaries = aiProduct?.fiscal_year_summaries || {};
+  Object.values(summaries).forEach(year => {
+    (year?.top_10_products || []).forEach(item => {
+      if (item && item.product) products.add(item.product);
+    });
+  });
+  return Array.from(products);
+}
+
+/**
+ * Contract vehicle names listed in a Contract Vehicle column
+ * @private
+ * @param {Object} contractVehicle - Contract Vehicle JSON (column H)
+ * @returns {Array<string>} Vehicle names
+ */
+function listContractVehicles_(contractVehicle) {
+  return Object.keys(contractVehicle?.top_contract_summaries || {});
+}
+
+/**
+ * Load either a snapshot or the live data, limited to the user's entitlements
+ * @private
+ * @param {OneGovDataManager} manager - Data manager
+ * @param {string} asOf - Snapshot date, or 'current'
+ * @returns {Object} Data with agencies, oems, vendors and snapshotDate (null for live data)
+ */
+function loadDiffSide_(manager, asOf) {
+  if (!asOf || asOf === SNAPSHOT_CURRENT) {
+    const data = manager.applyEntitlements(manager.loadAllData());
+    return { agencies: data.agencies, oems: data.oems, vendors: data.vendors, snapshotDate: null };
+  }
+  return manager.applyEntitlements(manager.loadSnapshot(asOf));
+}
+
+/**
+ * Flatten a change log into rows for export
+ * @private
+ * @param {Object} diff - Change log from buildSnapshotDiff
+ * @returns {Array<Object>} One row per change
+ */
+function snapshotDiffRows_(diff) {
+  return diff.changes.map(change => ({
+    change: change.kind,
+    entity: change.entityName,
+    type: change.entityType,
+    before: change.before === null ? '' : change.before,
+    after: change.after === null ? '' : change.after,
+    delta: change.delta === null ? '' : change.delta,
+    percent_change: change.percentChange === null ? '' : change.percentChange,
+    description: change.message,
+    from: diff.from,
+    to: diff.to
+  }));
+}
+
+// ============================================================================
+// PUBLIC API FUNCTIONS
+// ============================================================================
+
+/**
+ * Compare two snapshots, or a snapshot and the live data
+ * @param {string} a - Older snapshot date (yyyy-mm-dd)
+ * @param {string} [b='current'] - Newer snapshot date, or 'current' for the live data
+ * @param {Object} [options] - Thresholds and types (see buildSnapshotDiff)
+ * @returns {Object} Response object with the change log
+ */
+function diffSnapshots(a, b, options) {
+  requireRole('analyst', 'diffSnapshots');
+  try {
+    const manager = getDataManager();
+    const fromData = loadDiffSide_(manager, a);
+    const toData = loadDiffSide_(manager, b || SNAPSHOT_CURRENT);
+    return createResponse(true, buildSnapshotDiff(fromData, toData, options || {}), null);
+  } catch (error) {
+    snapshotDiffLogger.error('Comparing snapshots failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Change log for the "What's new" panel: live data against the latest snapshot
+ * at least `days` old
+ * @param {number} [days=7] - Look-back window in days
+ * @param {Object} [options] - Thresholds and types (see buildSnapshotDiff)
+ * @returns {Object} Response object with the change log, or data null if there is no snapshot yet
+ */
+function getWhatsNew(days, options) {
+  requireRole('viewer', 'getWhatsNew');
+  try {
+    const lookBack = Number(days) > 0 ? Number(days) : 7;
+    const cutoff = new Date(Date.now() - lookBack * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+
+    const snapshots = getSnapshotStore_().list();
+    const baseline = snapshots.find(snapshot => snapshot.snapshotDate <= cutoff) || snapshots[snapshots.length - 1];
+    if (!baseline) {
+      return createResponse(true, null, null);
+    }
+    // Built here rather than through diffSnapshots, which needs the analyst role
+    const manager = getDataManager();
+    const diff = buildSnapshotDiff(loadDiffSide_(manager, baseline.snapshotDate),
+      loadDiffSide_(manager, SNAPSHOT_CURRENT), options || {});
+    return createResponse(true, diff, null);
+  } catch (error) {
+    snapshotDiffLogger.error('Building What\'s new failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Export a change log to Google Sheets or CSV
+ * @param {string} a - Older snapshot date
+ * @param {string} [b='current'] - Newer snapshot date, or 'current'
+ * @param {string} format - 'sheets' or 'csv' (see exportReportTable)
+ * @param {Object} [options] - Thresholds and types (see buildSnapshotDiff)
+ * @returns {Object} { success, url } for sheets or { success, csv } for CSV
+ */
+function exportSnapshotDiff(a, b, format, options) {
+  requireRole('analyst', 'exportSnapshotDiff');
+  const response = diffSnapshots(a, b, options);
+  if (!response.success) {
+    return { success: false, error: response.error };
+  }
+  return exportReportTable(snapshotDiffRows_(response.data), format);
+}
@@ -0,0 +1,363 @@
+/**
+ * @fileoverview Workbook-wide data quality audit for OneGov FIT Market
+ * @module B20_dataQuality
+ * @version 1.0.0
+ * @description Walks every row of the Agency, OEM and Vendor sheets and reports problems
+ *              before users see them: empty JSON cells, JSON that does not parse or does not
+ *              match its COLUMN_SCHEMAS entry (validateJsonDeep), stale or unreadable FAS/BIC
+ *              timestamps, and obligations whose fiscal years do not add up to the total.
+ *              Issues are written to a "Data Quality" sheet in the source workbook; the counts
+ *              per entity type and per column are kept for the admin view (F07_DataQuality).
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for data quality audits */
+const dataQualityLogger = createLogger('DataQuality');
+
+/** @const {string} Sheet in the source workbook that receives the issue list */
+const DATA_QUALITY_SHEET = 'Data Quality';
+
+/** @const {string[]} Columns of the Data Quality sheet */
+const DATA_QUALITY_HEADERS = [
+  'Run At', 'Environment', 'Entity Type', 'Sheet', 'Row', 'Key', 'Name',
+  'Column', 'Field', 'Issue', 'Severity', 'Detail'
+];
+
+/** @const {number} Largest gap (dollars) tolerated between summed fiscal years and total_obligated */
+const DATA_QUALITY_RECONCILE_TOLERANCE = 1;
+
+/** @const {number} Issues returned to the admin view; the sheet always has the full list */
+const DATA_QUALITY_VIEW_LIMIT = 500;
+
+/**
+ * Audit every entity sheet in the active environment
+ * @private
+ * @param {Object} [config] - Resolved app configuration (defaults to getAppConfig_())
+ * @returns {Object} Report with summary and issues
+ */
+function auditWorkbookDataQuality_(config) {
+  const resolved = config || getAppConfig_();
+  const spreadsheet = openSourceSpreadsheet(resolved);
+  const runAt = new Date();
+  const staleBefore = new Date(runAt.getTime() - resolved.dataQuality.staleDays * 24 * 60 * 60 * 1000);
+
+  const issues = [];
+  const rowsChecked = {};
+
+  ENTITY_TYPES.forEach(entityType => {
+    rowsChecked[entityType] = 0;
+    const sheetName = resolved.sheetNames[entityType];
+    const addIssue = (issue) => issues.push(Object.assign({ entityType: entityType, sheetName: sheetName }, issue));
+
+    const sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      addIssue({ issue: 'missing_sheet', severity: 'error', detail: `Sheet '${sheetName}' not found` });
+      return;
+    }
+
+    let mapping;
+    try {
+      mapping = getSheetColumnMapping(sheet, entityType);
+    } catch (error) {
+      if (!(error instanceof ColumnMappingError)) throw error;
+      addIssue({ issue: 'missing_column', severity: 'error', detail: error.message });
+      return;
+    }
+
+    // Optional columns that are absent are reported once per sheet, not once per row
+    mapping.missing.forEach(missing => addIssue({
+      column: missing.expectedColumn,
+      field: missing.field,
+      issue: 'missing_column',
+      severity: 'warning',
+      detail: `Header '${missing.header}' not found`
+    }));
+
+    // Column positions come from the header mapping; the key column is not necessarily column A
+    const keyColumn = mapping.columns[ENTITY_KEY_FIELDS[entityType].field];
+    const values = sheet.getDataRange().getValues();
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i];
+      const name = row[mapping.columns.name];
+      if (name === '' || name === null || name === undefined) continue;
+
+      rowsChecked[entityType]++;
+      auditEntityRow_(row, mapping, staleBefore).forEach(issue => addIssue(Object.assign({
+        row: i + 1,
+        key: keyColumn === undefined ? '' : row[keyColumn],
+        name: String(name)
+      }, issue)));
+    }
+  });
+
+  return {
+    summary: summarizeDataQuality_(issues, rowsChecked, runAt, resolved),
+    issues: issues
+  };
+}
+
+/**
+ * Check one sheet row
+ * @private
+ * @param {Array} row - Raw sheet row
+ * @param {Object} mapping - Column mapping from buildColumnMapping
+ * @param {Date} staleBefore - Timestamps older than this are stale
+ * @returns {Array<Object>} Issues with column, field, issue, severity and detail
+ */
+function auditEntityRow_(row, mapping, staleBefore) {
+  const issues = [];
+  const fieldBySchema = {};
+  Object.entries(JSON_FIELD_DEFINITIONS).forEach(([field, def]) => {
+    fieldBySchema[def.schemaKey] = field;
+  });
+
+  const results = validateRowJsonColumns(row, mapping, true);
+  Object.values(results).forEach(result => {
+    const field = fieldBySchema[result.schemaKey];
+    const column = columnLetterFromIndex(mapping.columns[field]);
+
+    if (result.status === 'empty') {
+      issues.push({ column: column, field: field, issue: 'empty_json', severity: 'warning', detail: 'Cell is empty' });
+    } else if (result.status === 'parse_error') {
+      issues.push({ column: column, field: field, issue: 'parse_error', severity: 'error', detail: result.error });
+    } else if (result.status === 'valid' || result.status === 'invalid') {
+      result.errors.forEach(message => {
+        issues.push({ column: column, field: field, issue: 'schema_error', severity: 'error', detail: message });
+      });
+      result.warnings.forEach(message => {
+        issues.push({ column: column, field: field, issue: 'schema_warning', severity: 'warning', detail: message });
+      });
+    }
+  });
+
+  ['fasTimestamp', 'bicTimestamp'].forEach(field => {
+    if (mapping.columns[field] === undefined) return;
+    const column = columnLetterFromIndex(mapping.columns[field]);
+    const value = row[mapping.columns[field]];
+
+    if (value === '' || value === null || value === undefined) {
+      issues.push({ column: column, field: field, issue: 'missing_timestamp', severity: 'warning', detail: 'Timestamp is empty' });
+      return;
+    }
+    const timestamp = value instanceof Date ? value : new Date(value);
+    if (isNaN(timestamp.getTime())) {
+      issues.push({ column: column, field: field, issue: 'invalid_timestamp', severity: 'error', detail: `Cannot read '${value}' as a date` });
+    } else if (timestamp < staleBefore) {
+      issues.push({
+        column: column,
+        field: field,
+        issue: 'stale_timestamp',
+        severity: 'warning',
+        detail: `Last updated ${timestamp.toISOString().substring(0, 10)}`
+      });
+    }
+  });
+
+  const reconciliation = reconcileObligations_(row[mapping.columns.obligations]);
+  if (reconciliation) {
+    issues.push(Object.assign({
+      column: columnLetterFromIndex(mapping.columns.obligations),
+      field: 'obligations',
+      issue: 'unreconciled_total',
+      severity: 'error'
+    }, reconciliation));
+  }
+
+  return issues;
+}
+
+/**
+ * Compare total_obligated with the sum of fiscal_year_obligations
+ * @private
+ * @param {string} cellValue - Obligations JSON cell
+ * @returns {Object|null} { detail } when the totals differ, null when they agree or cannot be compared
+ */
+function reconcileObligations_(cellValue) {
+  const parsed = parseAndValidateJson(cellValue);
+  if (!parsed.isValid) return null;
+
+  const total = parsed.data.total_obligated;
+  const years = parsed.data.fiscal_year_obligations;
+  if (typeof total !== 'number' || !years || typeof years !== 'object') return null;
+
+  const sum = Object.values(years).reduce((acc, value) => acc + (typeof value === 'number' ? value : 0), 0);
+  if (Math.abs(sum - total) <= DATA_QUALITY_RECONCILE_TOLERANCE) return null;
+
+  return {
+    detail: `fiscal_year_obligations sum to ${sum.toFixed(2)} but total_obligated is ${total.toFixed(2)} ` +
+      `(difference ${(total - sum).toFixed(2)})`
+  };
+}
+
+/**
+ * Count issues per entity type, per column and per issue kind
+ * @private
+ * @param {Array<Object>} issues - Issues from the audit
+ * @param {Object<string, number>} rowsChecked - Rows checked per entity type
+ * @param {Date} runAt - Audit start time
+ * @param {Object} config - Resolved app configuration
+ * @returns {Object} Summary
+ */
+function summarizeDataQuality_(issues, rowsChecked, runAt, config) {
+  const bump = (bucket, key, severity) => {
+    if (!bucket[key]) bucket[key] = { errors: 0, warnings: 0 };
+    bucket[key][severity === 'error' ? 'errors' : 'warnings']++;
+  };
+
+  const byEntityType = {};
+  ENTITY_TYPES.forEach(entityType => {
+    byEntityType[entityType] = { rows: rowsChecked[entityType] || 0, rowsWithIssues: 0, errors: 0, warnings: 0 };
+  });
+
+  const byColumn = {};
+  const byIssue = {};
+  const rowsWithIssues = {};
+
+  issues.forEach(issue => {
+    bump(byEntityType, issue.entityType, issue.severity);
+    bump(byIssue, issue.issue, issue.severity);
+    if (issue.field) bump(byColumn, issue.field, issue.severity);
+    if (issue.row) rowsWithIssues[issue.entityType + ':' + issue.row] = issue.entityType;
+  });
+  Object.values(rowsWithIssues).forEach(entityType => {
+    byEntityType[entityType].rowsWithIssues++;
+  });
+
+  return {
+    runAt: runAt.toISOString(),
+    environment: config.environment,
+    staleDays: config.dataQuality.staleDays,
+    totals: {
+      rows: Object.values(rowsChecked).reduce((sum, count) => sum + count, 0),
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity !== 'error').length
+    },
+    byEntityType: byEntityType,
+    byColumn: byColumn,
+    byIssue: byIssue
+  };
+}
+
+/**
+ * Replace the Data Quality sheet contents with an audit's issues
+ * @private
+ * @param {Object} report - Report from auditWorkbookDataQuality_
+ * @param {Object} [config] - Resolved app configuration (defaults to getAppConfig_())
+ * @returns {string} URL of the Data Quality sheet
+ * @throws {Error} If the source is a fixture bundle, which is read-only
+ */
+function writeDataQualitySheet_(report, config) {
+  const resolved = config || getAppConfig_();
+  if (resolved.bundleFileId) {
+    throw new Error('Fixture bundles are read-only; the Data Quality sheet cannot be written');
+  }
+  const spreadsheet = SpreadsheetApp.openById(resolved.spreadsheetId);
+
+  let sheet = spreadsheet.getSheetByName(DATA_QUALITY_SHEET);
+  if (sheet) {
+    sheet.clear();
+  } else {
+    sheet = spreadsheet.insertSheet(DATA_QUALITY_SHEET);
+  }
+
+  const runAt = new Date(report.summary.runAt);
+  const rows = [DATA_QUALITY_HEADERS].concat(report.issues.map(issue => [
+    runAt, report.summary.environment, issue.entityType, issue.sheetName, issue.row || '',
+    issue.key || '', issue.name || '', issue.column || '', issue.field || '',
+    issue.issue, issue.severity, issue.detail || ''
+  ]));
+  sheet.getRange(1, 1, rows.length, DATA_QUALITY_HEADERS.length).setValues(rows);
+  sheet.setFrozenRows(1);
+
+  return spreadsheet.getUrl() + '#gid=' + sheet.getSheetId();
+}
+
+/**
+ * Script property holding the last audit summary for an environment
+ * @private
+ * @param {string} environment - Environment name
+ * @returns {string} Property key
+ */
+function dataQualitySummaryKey_(environment) {
+  return `${environment.toUpperCase()}_DATA_QUALITY_SUMMARY`;
+}
+
+// ============================================================================
+// PUBLIC API FUNCTIONS
+// ============================================================================
+
+/**
+ * Run the data quality audit, write the Data Quality sheet and keep the summary for the admin view
+ * @returns {Object} Response object with summary, sheetUrl (null for a fixture bundle) and the first issues
+ */
+function runDataQualityAudit() {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can run the data quality audit');
+    }
+
+    const config = getAppConfig_();
+    const report = auditWorkbookDataQuality_(config);
+    // A bundle has nowhere to write the issues, so they only come back in this response
+    const sheetUrl = config.bundleFileId ? null : writeDataQualitySheet_(report, config);
+
+    report.summary.sheetUrl = sheetUrl;
+    PropertiesService.getScriptProperties().setProperty(
+      dataQualitySummaryKey_(config.environment), JSON.stringify(report.summary));
+
+    dataQualityLogger.info('Audit complete', report.summary.totals);
+    recordAdminAction_('runDataQualityAudit', { errors: report.summary.totals.errors, warnings: report.summary.totals.warnings });
+    return createResponse(true, {
+      summary: report.summary,
+      issues: report.issues.slice(0, DATA_QUALITY_VIEW_LIMIT),
+      truncated: report.issues.length > DATA_QUALITY_VIEW_LIMIT
+    }, null);
+  } catch (error) {
+    dataQualityLogger.error('Audit failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Last audit results for the admin view: the stored summary plus issues read back from the sheet
+ * @returns {Object} Response object with summary and issues, or data null if no audit has run
+ */
+function getDataQualityReport() {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can view the data quality report');
+    }
+
+    const config = getAppConfig_();
+    const stored = PropertiesService.getScriptProperties().getProperty(dataQualitySummaryKey_(config.environment));
+    if (!stored) {
+      return createResponse(true, null, null);
+    }
+
+    const sheet = openSourceSpreadsheet().getSheetByName(DATA_QUALITY_SHEET);
+    const issueCount = sheet ? Math.max(sheet.getLastRow() - 1, 0) : 0;
+    const issues = issueCount === 0 ? [] :
+      sheet.getRange(2, 1, Math.min(issueCount, DATA_QUALITY_VIEW_LIMIT), DATA_QUALITY_HEADERS.length).getValues()
+        .map(row => ({
+          entityType: row[2],
+          sheetName: row[3],
+          row: row[4],
+          key: row[5],
+          name: row[6],
+          column: row[7],
+          field: row[8],
+          issue: row[9],
+          severity: row[10],
+          detail: row[11]
+        }));
+
+    return createResponse(true, {
+      summary: JSON.parse(stored),
+      issues: issues,
+      truncated: issueCount > DATA_QUALITY_VIEW_LIMIT
+    }, null);
+  } catch (error) {
+    dataQualityLogger.error('Reading report failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
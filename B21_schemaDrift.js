@@ -0,0 +1,459 @@
+/**
+ * @fileoverview Schema drift detection for the JSON columns of OneGov FIT Market
+ * @module B21_schemaDrift
+ * @version 1.0.0
+ * @description Upstream processors occasionally rename keys (Column U 'total' vs
+ *              'total_obligations', Column O ' product' with a leading space). This module
+ *              compares every live JSON cell with the shape of its COMPLETE_EXAMPLES entry and
+ *              reports, per column, unknown keys, missing keys and changed types with the number
+ *              of rows affected, plus alias mappings the extraction helpers could apply.
+ *              Category names, fiscal years and quarters are data, not schema, so they are
+ *              collapsed to '*' in key paths. Results go to a "Schema Drift" sheet; the daily
+ *              trigger only records a new report when the data's processed_date has moved.
+ *              A sheet whose required headers are gone is reported as unmapped rather than
+ *              failing the whole check.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for schema drift checks */
+const schemaDriftLogger = createLogger('SchemaDrift');
+
+/** @const {string} Sheet in the source workbook that receives the drift report */
+const SCHEMA_DRIFT_SHEET = 'Schema Drift';
+
+/** @const {string[]} Columns of the Schema Drift sheet */
+const SCHEMA_DRIFT_HEADERS = [
+  'Run At', 'Environment', 'Column', 'Schema', 'Kind', 'Path', 'Expected', 'Actual',
+  'Rows', 'Rows Checked', 'Examples'
+];
+
+/** @const {string} Handler name used by installSchemaDriftTrigger */
+const SCHEMA_DRIFT_TRIGGER_HANDLER = 'runScheduledSchemaDrift';
+
+/** @const {number} Example entity names kept per finding */
+const SCHEMA_DRIFT_EXAMPLE_LIMIT = 3;
+
+/** @type {Object<string, Object<string, string>>} Per-execution cache of expected shapes */
+const expectedJsonShapeCache_ = {};
+
+/**
+ * Collect the key paths and value types of a JSON value
+ * @param {*} value - Parsed JSON value
+ * @param {string} schemaKey - Key from COLUMN_SCHEMAS (decides which keys are dynamic, see jsonPathSegment)
+ * @returns {Object<string, string>} Path -> type ('object', 'array', 'number', 'string', 'boolean', 'null')
+ *
+ * @example
+ * collectJsonShape({ summary: { total: 1 }, tier_summaries: { BIC: { total: 2 } } }, 'sumTier');
+ * // { 'summary': 'object', 'summary.total': 'number', 'tier_summaries': 'object',
+ * //   'tier_summaries.*': 'object', 'tier_summaries.*.total': 'number' }
+ */
+function collectJsonShape(value, schemaKey) {
+  const shape = {};
+
+  const visit = (node, path) => {
+    const type = describeJsonType_(node);
+    if (path) {
+      // Within one value, a path seen as both null and a type keeps the type
+      if (!shape[path] || shape[path] === 'null') shape[path] = type;
+    }
+
+    if (type === 'array') {
+      node.forEach(element => visit(element, path + '[]'));
+    } else if (type === 'object') {
+      Object.keys(node).forEach(key => {
+        visit(node[key], (path ? path + '.' : '') + jsonPathSegment(schemaKey, path, key));
+      });
+    }
+  };
+
+  visit(value, '');
+  return shape;
+}
+
+/**
+ * Expected shape of a column: its COMPLETE_EXAMPLES entry
+ * @param {string} schemaKey - Key from COLUMN_SCHEMAS
+ * @returns {Object<string, string>|null} Path -> type, or null if there is no example
+ */
+function getExpectedJsonShape(schemaKey) {
+  if (expectedJsonShapeCache_[schemaKey] === undefined) {
+    const example = COMPLETE_EXAMPLES[schemaKey] || COMPLETE_EXAMPLES_PART2[schemaKey];
+    expectedJsonShapeCache_[schemaKey] = example ? collectJsonShape(example, schemaKey) : null;
+  }
+  return expectedJsonShapeCache_[schemaKey];
+}
+
+/**
+ * Parent of a shape path ('a.*.b' -> 'a.*', 'a[]' -> 'a', 'a' -> '')
+ * @private
+ * @param {string} path - Shape path
+ * @returns {string} Parent path
+ */
+function parentShapePath_(path) {
+  if (path.endsWith('[]')) return path.slice(0, -2);
+  const dot = path.lastIndexOf('.');
+  return dot < 0 ? '' : path.substring(0, dot);
+}
+
+/**
+ * Last key of a shape path
+ * @private
+ * @param {string} path - Shape path
+ * @returns {string} Key
+ */
+function lastShapeKey_(path) {
+  const parent = parentShapePath_(path);
+  return parent ? path.substring(parent.length + 1) : path;
+}
+
+/**
+ * Compare one parsed cell with the expected shape of its column
+ * @param {Object} jsonData - Parsed JSON cell
+ * @param {string} schemaKey - Key from COLUMN_SCHEMAS
+ * @returns {Object} { unknown: [{path, type}], missing: [{path, type}], changed: [{path, expected, actual}] }
+ */
+function compareJsonShape(jsonData, schemaKey) {
+  const expected = getExpectedJsonShape(schemaKey) || {};
+  const actual = collectJsonShape(jsonData, schemaKey);
+  const result = { unknown: [], missing: [], changed: [] };
+
+  Object.entries(actual).forEach(([path, type]) => {
+    if (expected[path] === undefined) {
+      // Only the top of an unknown subtree is reported
+      if (expected[parentShapePath_(path)] !== undefined || parentShapePath_(path) === '') {
+        result.unknown.push({ path: path, type: type });
+      }
+    } else if (type !== expected[path] && type !== 'null' && expected[path] !== 'null') {
+      result.changed.push({ path: path, expected: expected[path], actual: type });
+    }
+  });
+
+  Object.entries(expected).forEach(([path, type]) => {
+    const parent = parentShapePath_(path);
+    // Missing children of a missing (or empty) container are covered by the container
+    if (actual[path] === undefined && (parent === '' || actual[parent] !== undefined)) {
+      result.missing.push({ path: path, type: type });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Suggest aliases for keys that look renamed: a missing and an unknown key under the same
+ * parent whose names match after trimming and case folding, where one name extends the
+ * other ('total' / 'total_obligations'), or that are a typo apart
+ * @private
+ * @param {Object} columnReport - Column report with unknownKeys and missingKeys
+ * @returns {Array<Object>} Suggestions with path, from, to, rows and reason
+ */
+function suggestKeyAliases_(columnReport) {
+  const normalize = key => key.trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+  const tokens = key => key.trim().toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const suggestions = [];
+
+  columnReport.missingKeys.forEach(missing => {
+    const parent = parentShapePath_(missing.path);
+    const to = lastShapeKey_(missing.path);
+
+    columnReport.unknownKeys
+      .filter(unknown => parentShapePath_(unknown.path) === parent)
+      .filter(unknown => unknown.type === missing.expected || unknown.type === 'null')
+      .forEach(unknown => {
+        const from = lastShapeKey_(unknown.path);
+        let reason = null;
+        if (normalize(from) === normalize(to)) {
+          reason = 'same key apart from whitespace, case or separators';
+        } else {
+          const fromTokens = tokens(from);
+          const toTokens = tokens(to);
+          const shorter = fromTokens.length <= toTokens.length ? fromTokens : toTokens;
+          const longer = shorter === fromTokens ? toTokens : fromTokens;
+          if (shorter.length > 0 && shorter.every(token => longer.includes(token))) {
+            reason = `'${shorter === fromTokens ? from : to}' is a shorter form of '${shorter === fromTokens ? to : from}'`;
+          } else if (damerauLevenshtein_(normalize(from), normalize(to)) <= 2) {
+            reason = 'similar spelling';
+          }
+        }
+        if (!reason) return;
+
+        suggestions.push({
+          schemaKey: columnReport.schemaKey,
+          path: parent,
+          from: from,
+          to: to,
+          rows: Math.min(missing.rows, unknown.rows),
+          reason: reason
+        });
+      });
+  });
+
+  return suggestions.sort((a, b) => b.rows - a.rows);
+}
+
+/**
+ * Scan every JSON cell of the entity sheets for drift from the documented shapes
+ * @private
+ * @param {Object} [config] - Resolved app configuration (defaults to getAppConfig_())
+ * @returns {Object} Report with runAt, environment, latestProcessedDate, unmappedSheets (sheets whose
+ *                   required headers are gone), columns and suggestedAliases
+ */
+function detectSchemaDrift_(config) {
+  const resolved = config || getAppConfig_();
+  const spreadsheet = SpreadsheetApp.openById(resolved.spreadsheetId);
+  const columns = {};
+  const unmappedSheets = [];
+  let latestProcessedDate = null;
+
+  const columnReport = (field, schemaKey) => {
+    if (!columns[field]) {
+      columns[field] = {
+        field: field,
+        schemaKey: schemaKey,
+        column: COLUMN_SCHEMAS[schemaKey].column,
+        headerName: COLUMN_SCHEMAS[schemaKey].headerName,
+        rowsChecked: 0,
+        rowsWithDrift: 0,
+        findings: {}
+      };
+    }
+    return columns[field];
+  };
+
+  const record = (report, kind, path, expected, actual, example) => {
+    const key = `${kind}|${path}|${actual}`;
+    if (!report.findings[key]) {
+      report.findings[key] = { kind: kind, path: path, expected: expected, actual: actual, rows: 0, examples: [] };
+    }
+    const finding = report.findings[key];
+    finding.rows++;
+    if (finding.examples.length < SCHEMA_DRIFT_EXAMPLE_LIMIT) finding.examples.push(example);
+  };
+
+  ENTITY_TYPES.forEach(entityType => {
+    const sheet = spreadsheet.getSheetByName(resolved.sheetNames[entityType]);
+    if (!sheet) return;
+    let mapping;
+    try {
+      mapping = getSheetColumnMapping(sheet, entityType);
+    } catch (error) {
+      if (!(error instanceof ColumnMappingError)) throw error;
+      // Required headers were renamed or removed, which is drift of the sheet itself
+      schemaDriftLogger.warn('Sheet could not be mapped', { sheetName: error.sheetName, error: error.message });
+      unmappedSheets.push({
+        entityType: entityType,
+        sheetName: error.sheetName,
+        missingHeaders: error.missing.map(missing => missing.header),
+        message: error.message
+      });
+      return;
+    }
+    const values = sheet.getDataRange().getValues();
+
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i];
+      const name = row[mapping.columns.name];
+      if (name === '' || name === null || name === undefined) continue;
+      const example = `${resolved.sheetNames[entityType]} row ${i + 1} (${name})`;
+
+      Object.entries(JSON_FIELD_DEFINITIONS).forEach(([field, def]) => {
+        if (mapping.columns[field] === undefined || !getExpectedJsonShape(def.schemaKey)) return;
+        const parsed = parseAndValidateJson(row[mapping.columns[field]]);
+        if (!parsed.isValid) return;
+
+        const report = columnReport(field, def.schemaKey);
+        report.rowsChecked++;
+
+        const processedDate = normalizeSnapshotDate_(parsed.data.processed_date);
+        if (processedDate && (!latestProcessedDate || processedDate > latestProcessedDate)) {
+          latestProcessedDate = processedDate;
+        }
+
+        const drift = compareJsonShape(parsed.data, def.schemaKey);
+        drift.unknown.forEach(item => record(report, 'unknown_key', item.path, '', item.type, example));
+        drift.missing.forEach(item => record(report, 'missing_key', item.path, item.type, '', example));
+        drift.changed.forEach(item => record(report, 'type_change', item.path, item.expected, item.actual, example));
+        if (drift.unknown.length || drift.missing.length || drift.changed.length) report.rowsWithDrift++;
+      });
+    }
+  });
+
+  const columnList = Object.values(columns).map(report => {
+    const findings = Object.values(report.findings).sort((a, b) => b.rows - a.rows);
+    const result = {
+      field: report.field,
+      schemaKey: report.schemaKey,
+      column: report.column,
+      headerName: report.headerName,
+      rowsChecked: report.rowsChecked,
+      rowsWithDrift: report.rowsWithDrift,
+      unknownKeys: findings.filter(f => f.kind === 'unknown_key')
+        .map(f => ({ path: f.path, type: f.actual, rows: f.rows, examples: f.examples })),
+      missingKeys: findings.filter(f => f.kind === 'missing_key')
+        .map(f => ({ path: f.path, expected: f.expected, rows: f.rows, examples: f.examples })),
+      typeChanges: findings.filter(f => f.kind === 'type_change')
+        .map(f => ({ path: f.path, expected: f.expected, actual: f.actual, rows: f.rows, examples: f.examples }))
+    };
+    result.suggestedAliases = suggestKeyAliases_(result);
+    return result;
+  });
+
+  return {
+    runAt: new Date().toISOString(),
+    environment: resolved.environment,
+    latestProcessedDate: latestProcessedDate,
+    unmappedSheets: unmappedSheets,
+    columns: columnList,
+    suggestedAliases: columnList.reduce((all, column) => all.concat(column.suggestedAliases), [])
+  };
+}
+
+/**
+ * Replace the Schema Drift sheet contents with a drift report
+ * @private
+ * @param {Object} report - Report from detectSchemaDrift_
+ * @param {Object} [config] - Resolved app configuration (defaults to getAppConfig_())
+ * @returns {string} URL of the Schema Drift sheet
+ */
+function writeSchemaDriftSheet_(report, config) {
+  const resolved = config || getAppConfig_();
+  const spreadsheet = SpreadsheetApp.openById(resolved.spreadsheetId);
+
+  let sheet = spreadsheet.getSheetByName(SCHEMA_DRIFT_SHEET);
+  if (sheet) {
+    sheet.clear();
+  } else {
+    sheet = spreadsheet.insertSheet(SCHEMA_DRIFT_SHEET);
+  }
+
+  const runAt = new Date(report.runAt);
+  const rows = [SCHEMA_DRIFT_HEADERS];
+  report.unmappedSheets.forEach(unmapped => rows.push([
+    runAt, report.environment, '', '', 'unmapped_sheet', unmapped.sheetName,
+    unmapped.missingHeaders.join(', '), '', '', 0, unmapped.message
+  ]));
+  report.columns.forEach(column => {
+    const add = (kind, path, expected, actual, rowCount, examples) => rows.push([
+      runAt, report.environment, column.column, column.schemaKey, kind, path,
+      expected, actual, rowCount, column.rowsChecked, examples.join('; ')
+    ]);
+    column.unknownKeys.forEach(item => add('unknown_key', item.path, '', item.type, item.rows, item.examples));
+    column.missingKeys.forEach(item => add('missing_key', item.path, item.expected, '', item.rows, item.examples));
+    column.typeChanges.forEach(item => add('type_change', item.path, item.expected, item.actual, item.rows, item.examples));
+    column.suggestedAliases.forEach(item => add('alias_suggestion', item.path, item.to, item.from, item.rows, [item.reason]));
+  });
+
+  sheet.getRange(1, 1, rows.length, SCHEMA_DRIFT_HEADERS.length).setValues(rows);
+  sheet.setFrozenRows(1);
+  return spreadsheet.getUrl() + '#gid=' + sheet.getSheetId();
+}
+
+/**
+ * Script property holding the processed_date of the last recorded drift report
+ * @private
+ * @param {string} environment - Environment name
+ * @returns {string} Property key
+ */
+function schemaDriftDateKey_(environment) {
+  return `${environment.toUpperCase()}_SCHEMA_DRIFT_PROCESSED_DATE`;
+}
+
+/**
+ * Write a drift report to the sheet and remember the processed_date it covered
+ * @private
+ * @param {Object} report - Report from detectSchemaDrift_ (sheetUrl is added)
+ * @param {Object} config - Resolved app configuration
+ * @returns {Object} The report
+ */
+function saveSchemaDriftReport_(report, config) {
+  report.sheetUrl = writeSchemaDriftSheet_(report, config);
+  if (report.latestProcessedDate) {
+    PropertiesService.getScriptProperties().setProperty(
+      schemaDriftDateKey_(config.environment), report.latestProcessedDate);
+  }
+
+  const drifting = report.columns.filter(column => column.rowsWithDrift > 0);
+  schemaDriftLogger.info('Drift check complete', {
+    unmappedSheets: report.unmappedSheets.map(unmapped => unmapped.sheetName),
+    driftingColumns: drifting.length,
+    columns: report.columns.length,
+    suggestedAliases: report.suggestedAliases.length,
+    latestProcessedDate: report.latestProcessedDate
+  });
+  return report;
+}
+
+// ============================================================================
+// PUBLIC API FUNCTIONS
+// ============================================================================
+
+/**
+ * Check the live data for schema drift now (admins only)
+ * @returns {Object} Response object with the drift report
+ */
+function runSchemaDriftCheck() {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can run the schema drift check');
+    }
+    const config = getAppConfig_();
+    const report = saveSchemaDriftReport_(detectSchemaDrift_(config), config);
+    recordAdminAction_('runSchemaDriftCheck');
+    return createResponse(true, report, null);
+  } catch (error) {
+    schemaDriftLogger.error('Check failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Time-driven trigger handler installed by installSchemaDriftTrigger. Records a report only
+ * after an upstream data drop, i.e. when the latest processed_date differs from the last run's,
+ * or while an entity sheet cannot be mapped.
+ * @param {Object} [e] - Trigger event
+ * @returns {Object} Result with recorded flag and latestProcessedDate
+ */
+function runScheduledSchemaDrift(e) {
+  try {
+    requireTriggerOrRole(e, SCHEMA_DRIFT_TRIGGER_HANDLER, 'admin');
+    const config = getAppConfig_();
+    const lastDate = PropertiesService.getScriptProperties().getProperty(schemaDriftDateKey_(config.environment));
+    const report = detectSchemaDrift_(config);
+
+    // An unmapped sheet is recorded every run, since its rows (and processed_date) went unread
+    const unchanged = report.latestProcessedDate && report.latestProcessedDate === lastDate;
+    if (unchanged && report.unmappedSheets.length === 0) {
+      schemaDriftLogger.info('No new data, skipping', { latestProcessedDate: lastDate });
+      return { recorded: false, latestProcessedDate: lastDate };
+    }
+
+    saveSchemaDriftReport_(report, config);
+    return { recorded: true, latestProcessedDate: report.latestProcessedDate };
+  } catch (error) {
+    schemaDriftLogger.error('Scheduled check failed', error);
+    return { recorded: false, error: error.toString() };
+  }
+}
+
+/**
+ * Install (or replace) the daily schema drift trigger (admins only)
+ * @param {number} [hour=7] - Hour of day to run, in the script time zone
+ * @returns {Object} Response object
+ */
+function installSchemaDriftTrigger(hour) {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can schedule the schema drift check');
+    }
+    ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === SCHEMA_DRIFT_TRIGGER_HANDLER)
+      .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+    const atHour = Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : 7;
+    ScriptApp.newTrigger(SCHEMA_DRIFT_TRIGGER_HANDLER).timeBased().everyDays(1).atHour(atHour).create();
+    recordAdminAction_('installSchemaDriftTrigger', { hour: atHour });
+    return createResponse(true, { handler: SCHEMA_DRIFT_TRIGGER_HANDLER, hour: atHour }, null);
+  } catch (error) {
+    return createResponse(false, null, error.toString());
+  }
+}
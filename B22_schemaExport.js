@@ -0,0 +1,450 @@
+/**
+ * @fileoverview JSON Schema and TypeScript definitions generated from COLUMN_SCHEMAS
+ * @module B22_schemaExport
+ * @version 1.0.0
+ * @description Turns the home-grown COLUMN_SCHEMAS format (R01) into standard JSON Schema
+ *              (draft 2020-12) documents, one per JSON column plus the canonical entity, and
+ *              into a .d.ts file. Declared structures (itemStructure, nestedArrayItemStructure,
+ *              timeSeriesItemStructure ...) are authoritative; everything else, such as summary
+ *              objects, is inferred from COMPLETE_EXAMPLES.
+ *              Column documents describe the raw cell format, for the upstream processors to
+ *              validate against before writing to the sheet. The entity document and the type
+ *              definitions describe data as the DataManager serves it, i.e. after
+ *              normalizeJsonData: numeric percentages, null for missing fiscal years and
+ *              'total' on every category item.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for schema exports */
+const schemaExportLogger = createLogger('SchemaExport');
+
+/** @const {string} JSON Schema dialect of every generated document */
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/** @const {string} Prefix of the $id of generated documents */
+const JSON_SCHEMA_ID_PREFIX = 'urn:onegov-fit-market:schema:';
+
+/** @const {string} Namespace that holds the generated TypeScript declarations */
+const TYPE_DEFINITIONS_NAMESPACE = 'OneGovFitMarket';
+
+/**
+ * Build the JSON Schema of one JSON column
+ * @param {string} schemaKey - Key from COLUMN_SCHEMAS
+ * @param {Object} [options] - { normalized: describe data after normalizeJsonData }
+ * @returns {Object} JSON Schema document
+ * @throws {Error} If schemaKey is not in COLUMN_SCHEMAS
+ *
+ * @example
+ * buildColumnJsonSchema('fasOem').properties.top_10_oem_summaries.additionalProperties.required
+ * // ["fiscal_years", "total_obligations", "percentage_of_total"]
+ */
+function buildColumnJsonSchema(schemaKey, options) {
+  const schema = COLUMN_SCHEMAS[schemaKey];
+  if (!schema) {
+    throw new Error(`Unknown schema key: ${schemaKey}`);
+  }
+
+  const context = { schemaKey: schemaKey, schema: schema, normalized: !!(options && options.normalized) };
+  const example = COMPLETE_EXAMPLES[schemaKey] || COMPLETE_EXAMPLES_PART2[schemaKey];
+  const document = example ? inferJsonSchema_(example, '', '', context) : { type: 'object', properties: {} };
+
+  if (schema.timeSeriesPath) {
+    const valueSchema = schema.timeSeriesItemStructure ?
+      structureToJsonSchema_(schema.timeSeriesItemStructure, context) : leafJsonSchema_('number', '', context);
+    document.properties[schema.timeSeriesPath] = fiscalYearMapJsonSchema_(valueSchema, context);
+  }
+
+  if (schema.categoriesPath && schema.itemStructure) {
+    const itemSchema = structureToJsonSchema_(schema.itemStructure, context);
+    if (context.normalized && schema.itemValueField && !itemSchema.properties.total) {
+      itemSchema.properties.total = { type: 'number', description: `Copy of ${schema.itemValueField}` };
+      itemSchema.required.push('total');
+    }
+    document.properties[schema.categoriesPath] = schema.categoryValueType === 'array' ?
+      { type: 'array', items: itemSchema } :
+      Object.assign({ type: 'object' }, categoryKeyJsonSchema_(schema), { additionalProperties: itemSchema });
+  }
+
+  (schema.requiredFields || []).forEach(field => {
+    if (!document.properties[field]) document.properties[field] = {};
+  });
+
+  return Object.assign({
+    $schema: JSON_SCHEMA_DIALECT,
+    $id: JSON_SCHEMA_ID_PREFIX + schemaKey + (context.normalized ? ':normalized' : ''),
+    title: `Column ${schema.column}: ${schema.headerName.trim()}`,
+    description: schema.description
+  }, document, {
+    required: (schema.requiredFields || []).slice()
+  });
+}
+
+/**
+ * Build the JSON Schema of the canonical entity served by the DataManager, with the
+ * normalized column schemas under $defs
+ * @returns {Object} JSON Schema document
+ */
+function buildEntityJsonSchema() {
+  const properties = {};
+  const defs = {};
+
+  Object.entries(CANONICAL_ENTITY_FIELDS).forEach(([field, typeName]) => {
+    properties[field] = canonicalFieldJsonSchema_(typeName);
+  });
+  properties.type = { type: 'string', enum: ENTITY_TYPES.slice() };
+
+  Object.keys(NON_JSON_FIELD_DEFINITIONS).forEach(field => {
+    if (!properties[field]) properties[field] = { type: ['string', 'null'] };
+  });
+
+  Object.entries(JSON_FIELD_DEFINITIONS).forEach(([field, def]) => {
+    if (!defs[def.schemaKey]) {
+      const columnSchema = buildColumnJsonSchema(def.schemaKey, { normalized: true });
+      delete columnSchema.$schema;
+      delete columnSchema.$id;
+      defs[def.schemaKey] = columnSchema;
+    }
+    properties[field] = { anyOf: [{ $ref: `#/$defs/${def.schemaKey}` }, { type: 'null' }] };
+  });
+
+  return {
+    $schema: JSON_SCHEMA_DIALECT,
+    $id: JSON_SCHEMA_ID_PREFIX + 'entity',
+    title: 'OneGov FIT Market entity',
+    description: 'Agency, OEM or vendor as returned by OneGovDataManager, with JSON columns normalized',
+    type: 'object',
+    required: Object.keys(CANONICAL_ENTITY_FIELDS),
+    properties: properties,
+    $defs: defs
+  };
+}
+
+/**
+ * Build every JSON Schema document, keyed by file name
+ * @returns {Object<string, Object>} e.g. { 'fasOem.schema.json': {...}, 'entity.schema.json': {...} }
+ */
+function buildJsonSchemaDocuments() {
+  const documents = {};
+  Object.keys(COLUMN_SCHEMAS).forEach(schemaKey => {
+    documents[`${schemaKey}.schema.json`] = buildColumnJsonSchema(schemaKey);
+  });
+  documents['entity.schema.json'] = buildEntityJsonSchema();
+  return documents;
+}
+
+/**
+ * Build the .d.ts declarations: one interface per column, as served after normalization,
+ * and the Entity interface
+ * @returns {string} TypeScript declaration file contents
+ *
+ * @example
+ * // In F05/F06, with the file saved next to the sources:
+ * // /** @type {OneGovFitMarket.Entity} *\/
+ * // const entity = response.data[0];
+ */
+function buildTypeDefinitions() {
+  const entitySchema = buildEntityJsonSchema();
+  const refNames = {};
+  Object.keys(entitySchema.$defs).forEach(schemaKey => {
+    refNames[`#/$defs/${schemaKey}`] = typeNameForSchemaKey_(schemaKey);
+  });
+
+  const lines = [
+    '// Generated from COLUMN_SCHEMAS by buildTypeDefinitions() (B22_schemaExport.js). Do not edit.',
+    `// Generated at ${new Date().toISOString()}`,
+    '',
+    `declare namespace ${TYPE_DEFINITIONS_NAMESPACE} {`
+  ];
+
+  Object.entries(entitySchema.$defs).forEach(([schemaKey, columnSchema]) => {
+    lines.push(`  /** ${columnSchema.title}. ${columnSchema.description} */`);
+    lines.push(`  interface ${typeNameForSchemaKey_(schemaKey)} ${jsonSchemaToTypeScript_(columnSchema, '  ', refNames)}`);
+    lines.push('');
+  });
+
+  lines.push(`  /** ${entitySchema.description} */`);
+  lines.push(`  interface Entity ${jsonSchemaToTypeScript_(entitySchema, '  ', refNames)}`);
+  lines.push('}');
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Interface name for a column ('fasOem' -> 'FasOemColumn')
+ * @private
+ * @param {string} schemaKey - Key from COLUMN_SCHEMAS
+ * @returns {string} Interface name
+ */
+function typeNameForSchemaKey_(schemaKey) {
+  return schemaKey.charAt(0).toUpperCase() + schemaKey.slice(1) + 'Column';
+}
+
+/**
+ * JSON Schema of a CANONICAL_ENTITY_FIELDS type ('number|null', 'fiscal_years' ...)
+ * @private
+ * @param {string} typeName - Type from CANONICAL_ENTITY_FIELDS
+ * @returns {Object} JSON Schema
+ */
+function canonicalFieldJsonSchema_(typeName) {
+  const parts = typeName.split('|');
+  const nullable = parts.includes('null');
+  const base = parts.find(part => part !== 'null');
+  const schema = base === 'fiscal_years' ?
+    { type: 'object', propertyNames: { pattern: FISCAL_YEAR_KEY_PATTERN.source },
+      additionalProperties: { type: ['number', 'null'] } } :
+    { type: base };
+  return nullable ? nullableJsonSchema_(schema) : schema;
+}
+
+/**
+ * Allow null in addition to a schema
+ * @private
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} JSON Schema that also accepts null
+ */
+function nullableJsonSchema_(schema) {
+  if (typeof schema.type === 'string' && Object.keys(schema).length === 1) {
+    return { type: [schema.type, 'null'] };
+  }
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+/**
+ * propertyNames constraint for the keys at categoriesPath
+ * @private
+ * @param {Object} schema - Entry from COLUMN_SCHEMAS
+ * @returns {Object} { propertyNames } or an empty object
+ */
+function categoryKeyJsonSchema_(schema) {
+  if (schema.categoryKeyType === 'fiscal_year') {
+    return { propertyNames: { pattern: FISCAL_YEAR_KEY_PATTERN.source } };
+  }
+  if (schema.categoryKeyType === 'quarter') {
+    return { propertyNames: { pattern: QUARTER_KEY_PATTERN.source } };
+  }
+  return {};
+}
+
+/**
+ * JSON Schema of a map keyed by fiscal year
+ * @private
+ * @param {Object} valueSchema - Schema of each year's value
+ * @param {Object} context - { schemaKey, schema, normalized }
+ * @returns {Object} JSON Schema
+ */
+function fiscalYearMapJsonSchema_(valueSchema, context) {
+  return {
+    type: 'object',
+    propertyNames: { pattern: FISCAL_YEAR_KEY_PATTERN.source },
+    // normalizeJsonData fills the years a record lacks with null
+    additionalProperties: context.normalized ? nullableJsonSchema_(valueSchema) : valueSchema
+  };
+}
+
+/**
+ * JSON Schema of a leaf type name from a structure declaration
+ * @private
+ * @param {string} typeName - 'number', 'string', 'object' or 'array'
+ * @param {string} field - Field name (percentage fields are strings like "12.34%")
+ * @param {Object} context - { schemaKey, schema, normalized }
+ * @returns {Object} JSON Schema
+ */
+function leafJsonSchema_(typeName, field, context) {
+  if (typeName === 'string' && field.includes('percentage')) {
+    return context.normalized ? { type: 'number' } : { type: 'string', pattern: PERCENTAGE_STRING_PATTERN.source };
+  }
+  return { type: typeName };
+}
+
+/**
+ * JSON Schema of a structure declaration, following validateItem_: every declared field is
+ * required, a nested object literal is a fiscal-year map whose values have that structure
+ * (empty means nestedItemStructure), 'object' fiscal_years is a fiscal-year map of numbers
+ * and 'array' fields hold nestedArrayItemStructure elements
+ * @private
+ * @param {Object} structure - Field name -> type name or fiscal-year structure
+ * @param {Object} context - { schemaKey, schema, normalized }
+ * @returns {Object} JSON Schema
+ */
+function structureToJsonSchema_(structure, context) {
+  const properties = {};
+
+  Object.entries(structure).forEach(([field, expected]) => {
+    if (typeof expected === 'object') {
+      const yearStructure = Object.keys(expected).length > 0 ? expected : context.schema.nestedItemStructure;
+      properties[field] = fiscalYearMapJsonSchema_(
+        yearStructure ? structureToJsonSchema_(yearStructure, context) : { type: 'object' }, context);
+    } else if (expected === 'object' && field === 'fiscal_years') {
+      properties[field] = fiscalYearMapJsonSchema_({ type: 'number' }, context);
+    } else if (expected === 'array' && context.schema.nestedArrayItemStructure) {
+      properties[field] = { type: 'array', items: structureToJsonSchema_(context.schema.nestedArrayItemStructure, context) };
+    } else {
+      properties[field] = leafJsonSchema_(expected, field, context);
+    }
+  });
+
+  return { type: 'object', required: Object.keys(structure), properties: properties };
+}
+
+/**
+ * Infer a JSON Schema from an example value. Keys that are values rather than field names
+ * (see jsonPathSegment) become additionalProperties.
+ * @private
+ * @param {*} value - Example value
+ * @param {string} path - Path of the value in '*' / '[]' notation
+ * @param {string} field - Key the value sits under
+ * @param {Object} context - { schemaKey, schema, normalized }
+ * @returns {Object} JSON Schema
+ */
+function inferJsonSchema_(value, path, field, context) {
+  const type = describeJsonType_(value);
+
+  if (type === 'array') {
+    return value.length > 0 ?
+      { type: 'array', items: inferJsonSchema_(value[0], path + '[]', field, context) } :
+      { type: 'array' };
+  }
+
+  if (type === 'object') {
+    const keys = Object.keys(value);
+    const dynamicKey = keys.find(key => jsonPathSegment(context.schemaKey, path, key) === '*');
+    const childPath = key => (path ? path + '.' : '') + jsonPathSegment(context.schemaKey, path, key);
+
+    if (dynamicKey !== undefined) {
+      const valueSchema = inferJsonSchema_(value[dynamicKey], childPath(dynamicKey), dynamicKey, context);
+      return keys.every(key => FISCAL_YEAR_KEY_PATTERN.test(key)) ?
+        fiscalYearMapJsonSchema_(valueSchema, context) :
+        { type: 'object', additionalProperties: valueSchema };
+    }
+
+    const properties = {};
+    keys.forEach(key => {
+      properties[key] = inferJsonSchema_(value[key], childPath(key), key, context);
+    });
+    return { type: 'object', properties: properties };
+  }
+
+  if (type === 'null') return {};
+  if (type === 'string' && PERCENTAGE_STRING_PATTERN.test(value)) {
+    return leafJsonSchema_('string', field.includes('percentage') ? field : 'percentage', context);
+  }
+  return { type: type };
+}
+
+/**
+ * TypeScript type expression for a generated JSON Schema
+ * @private
+ * @param {Object} schema - JSON Schema (as produced by this module)
+ * @param {string} indent - Indentation of the line the type starts on
+ * @param {Object<string, string>} refNames - $ref -> interface name
+ * @returns {string} Type expression
+ */
+function jsonSchemaToTypeScript_(schema, indent, refNames) {
+  if (schema.$ref) return refNames[schema.$ref] || 'unknown';
+  if (schema.anyOf) return schema.anyOf.map(option => jsonSchemaToTypeScript_(option, indent, refNames)).join(' | ');
+  if (schema.enum) return schema.enum.map(option => JSON.stringify(option)).join(' | ');
+  if (Array.isArray(schema.type)) {
+    return schema.type.map(type => jsonSchemaToTypeScript_(Object.assign({}, schema, { type: type }), indent, refNames)).join(' | ');
+  }
+
+  switch (schema.type) {
+    case 'number':
+    case 'string':
+    case 'boolean':
+    case 'null':
+      return schema.type;
+    case 'array': {
+      if (!schema.items) return 'unknown[]';
+      const itemType = jsonSchemaToTypeScript_(schema.items, indent, refNames);
+      return /[|\s]/.test(itemType) && !itemType.startsWith('{') ? `Array<${itemType}>` : `${itemType}[]`;
+    }
+    case 'object': {
+      const inner = indent + '  ';
+      const required = schema.required || [];
+      const members = Object.entries(schema.properties || {}).map(([key, propertySchema]) => {
+        const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+        const optional = required.includes(key) ? '' : '?';
+        const doc = propertySchema.description ? `${inner}/** ${propertySchema.description} */\n` : '';
+        return `${doc}${inner}${name}${optional}: ${jsonSchemaToTypeScript_(propertySchema, inner, refNames)};`;
+      });
+      if (schema.additionalProperties) {
+        const keyName = schema.propertyNames && schema.propertyNames.pattern === FISCAL_YEAR_KEY_PATTERN.source ?
+          'fiscalYear' : schema.propertyNames && schema.propertyNames.pattern === QUARTER_KEY_PATTERN.source ?
+            'quarter' : 'key';
+        members.push(`${inner}[${keyName}: string]: ${jsonSchemaToTypeScript_(schema.additionalProperties, inner, refNames)};`);
+      }
+      return members.length > 0 ? `{\n${members.join('\n')}\n${indent}}` : 'Record<string, unknown>';
+    }
+    default:
+      return 'unknown';
+  }
+}
+
+// ============================================================================
+// PUBLIC API FUNCTIONS
+// ============================================================================
+
+/**
+ * Get the generated JSON Schema documents
+ * @returns {Object} Response object with documents keyed by file name
+ */
+function getJsonSchemas() {
+  requireRole('viewer', 'getJsonSchemas');
+  try {
+    return createResponse(true, buildJsonSchemaDocuments(), null);
+  } catch (error) {
+    schemaExportLogger.error('Building JSON Schemas failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Get the generated TypeScript declarations
+ * @returns {Object} Response object with the .d.ts contents
+ */
+function getTypeDefinitions() {
+  requireRole('viewer', 'getTypeDefinitions');
+  try {
+    return createResponse(true, buildTypeDefinitions(), null);
+  } catch (error) {
+    schemaExportLogger.error('Building type definitions failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Web output for ?action=jsonSchema. Serves the bare document so processors can validate
+ * against the URL directly.
+ * @param {string} [column] - Schema key, column letter or 'entity'; all documents if omitted
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON output
+ */
+function serveJsonSchema(column) {
+  try {
+    if (!column) {
+      return ContentService.createTextOutput(JSON.stringify(buildJsonSchemaDocuments(), null, 2))
+        .setMimeType(ContentService.MimeType.JSON);
+    }
+
+    const schemaKey = COLUMN_SCHEMAS[column] ? column :
+      Object.keys(COLUMN_SCHEMAS).find(key => COLUMN_SCHEMAS[key].column === String(column).toUpperCase());
+    if (column !== 'entity' && !schemaKey) {
+      return createWebResponse(false, null, `Unknown column: ${column}`);
+    }
+
+    const document = column === 'entity' ? buildEntityJsonSchema() : buildColumnJsonSchema(schemaKey);
+    return ContentService.createTextOutput(JSON.stringify(document, null, 2))
+      .setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    schemaExportLogger.error('Serving JSON Schema failed', error);
+    return createWebResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Web output for ?action=typeDefinitions
+ * @returns {GoogleAppsScript.Content.TextOutput} Text output of the .d.ts file
+ */
+function serveTypeDefinitions() {
+  return ContentService.createTextOutput(buildTypeDefinitions())
+    .setMimeType(ContentService.MimeType.TEXT);
+}
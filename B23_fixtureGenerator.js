@@ -0,0 +1,763 @@
+/**
+ * @fileoverview Synthetic fixture workbooks generated from COMPLETE_EXAMPLES
+ * @module B23_fixtureGenerator
+ * @version 1.0.0
+ * @description Builds N synthetic agencies, OEMs and vendors for demos and tests, using the
+ *              R01 examples (COMPLETE_EXAMPLES, COMPLETE_EXAMPLES_PART2) as templates so no real
+ *              obligations leave production.
+ *
+ *              Every entity gets a scale factor and a multiplier per fiscal year. Dollar values
+ *              are multiplied by scale x the multiplier of the fiscal year they belong to, then
+ *              the relationships found in the template are re-imposed: fiscal years add up to
+ *              their total, category items add up to the summary total, percentages and
+ *              formatted amounts are recomputed (where the template's own figures reproduce
+ *              them), OneGov tiers follow the new amounts, and every column carries the same
+ *              entity total as column D. Counts (unique_*, *_shown ...) are left as they are.
+ *
+ *              Output is either a workbook (createFixtureWorkbook) or a JSON bundle on Drive
+ *              (saveFixtureBundle). Both are registered for the 'fixture' environment
+ *              (FIXTURE_SPREADSHEET_ID / FIXTURE_BUNDLE_FILE_ID, see B15_config), so admins can
+ *              open the app with ?env=fixture. Generation is deterministic for a given seed.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for fixture generation */
+const fixturesLogger = createLogger('Fixtures');
+
+/** @const {string} Format marker of a fixture bundle */
+const FIXTURE_BUNDLE_FORMAT = 'onegov-fixture-bundle';
+
+/** @const {number} Bundle layout version */
+const FIXTURE_BUNDLE_VERSION = 1;
+
+/** @const {Object<string, number>} Entities per type when no count is given */
+const FIXTURE_DEFAULT_COUNTS = { agency: 12, oem: 12, vendor: 12 };
+
+/** @const {number} Upper bound on entities per type */
+const FIXTURE_MAX_ENTITIES = 500;
+
+/** @const {number} Columns in the documented sheet layout (A through AF) */
+const FIXTURE_COLUMN_COUNT = 32;
+
+/** @const {Object} Entity scale factors are drawn log-uniformly from this range */
+const FIXTURE_SCALE_RANGE = { min: 0.01, max: 2 };
+
+/** @const {number} Fiscal year multipliers are drawn from 1 +/- this value */
+const FIXTURE_YEAR_JITTER = 0.3;
+
+/** @const {number} FAS/BIC update timestamps are spread over this many days before generation */
+const FIXTURE_TIMESTAMP_SPREAD_DAYS = 60;
+
+/** @const {number} Relative difference under which a template value counts as equal to a sum */
+const FIXTURE_RELATION_TOLERANCE = 1e-4;
+
+/** Numeric keys holding counts rather than dollars; they are never scaled */
+const FIXTURE_COUNT_KEY_PATTERN = /(^unique_|_unique_|_count$|_counts$|^showing_|_shown$|agencies_using|contracts|^total_agencies$|years_analyzed|mode_frequency)/;
+
+/** Formatted dollar strings ("$1,499,132,295.48") */
+const FIXTURE_CURRENCY_STRING_PATTERN = /^\$[\d,]+(\.\d+)?$/;
+
+/**
+ * OneGov tier thresholds, highest first (mirrors oneGovTier.tier_definitions)
+ * @const {Array<Array>}
+ */
+const FIXTURE_TIER_THRESHOLDS = [
+  ['Tier 1', 500000000],
+  ['Tier 2', 200000000],
+  ['Tier 3', 50000000],
+  ['Tier 4', 10000000]
+];
+
+/** @const {string} Tier below the last threshold */
+const FIXTURE_BELOW_TIERS = 'Below Tier 4';
+
+/** Display labels and natural key formats per entity type */
+const FIXTURE_ENTITY_LABELS = {
+  agency: { label: 'Agency', parent: 'Department' },
+  oem: { label: 'OEM', parent: 'Holdings' },
+  vendor: { label: 'Vendor', parent: 'Partners' }
+};
+
+/** @type {Object<string, Object>} Template relations per schema key */
+const fixtureRelationCache_ = {};
+
+/**
+ * Seeded random number generator (mulberry32)
+ * @private
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createFixtureRandom_(seed) {
+  let state = (Number(seed) >>> 0) || 1;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Round a dollar amount to cents
+ * @private
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function roundFixtureCents_(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Whether a key is a fiscal year ("2024") or quarter ("Q1 FY26") key
+ * @private
+ * @param {string} key - Object key
+ * @returns {boolean} True for period keys
+ */
+function isFixturePeriodKey_(key) {
+  return FISCAL_YEAR_KEY_PATTERN.test(key) || QUARTER_KEY_PATTERN.test(key);
+}
+
+/**
+ * Whether a numeric leaf holds dollars (as opposed to a count)
+ * @private
+ * @param {string} key - Leaf key
+ * @param {string} parentKey - Key of the containing object or array
+ * @returns {boolean} True for dollar amounts
+ */
+function isFixtureMoneyKey_(key, parentKey) {
+  if (isFixturePeriodKey_(key)) return !FIXTURE_COUNT_KEY_PATTERN.test(parentKey || '');
+  return !FIXTURE_COUNT_KEY_PATTERN.test(key) && !/_counts$/.test(parentKey || '');
+}
+
+/**
+ * Visit every leaf of a JSON value
+ * @private
+ * @param {*} node - JSON value
+ * @param {Function} visit - Called with (value, path, key, parentKey, year)
+ * @param {Array} [path] - Path to node
+ * @param {string} [parentKey] - Key of the containing object or array
+ * @param {string|null} [year] - Fiscal year the node belongs to, if any
+ */
+function walkFixtureLeaves_(node, visit, path, parentKey, year) {
+  const currentPath = path || [];
+  if (Array.isArray(node)) {
+    node.forEach((item, index) => walkFixtureLeaves_(item, visit, currentPath.concat(index), parentKey, year));
+    return;
+  }
+  if (node !== null && typeof node === 'object') {
+    Object.keys(node).forEach(key => {
+      const childYear = FISCAL_YEAR_KEY_PATTERN.test(key) ? key :
+        (QUARTER_KEY_PATTERN.test(key) ? String(quarterToFiscalYear(key)) : year);
+      walkFixtureLeaves_(node[key], visit, currentPath.concat(key), key, childYear || null);
+    });
+    return;
+  }
+  const leafKey = currentPath.length > 0 ? currentPath[currentPath.length - 1] : '';
+  visit(node, currentPath, String(leafKey), parentKey || '', year || null);
+}
+
+/**
+ * Read a value by key path
+ * @private
+ * @param {*} node - Root value
+ * @param {Array} path - Keys and indexes
+ * @returns {*} Value, or undefined
+ */
+function getFixturePath_(node, path) {
+  return path.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), node);
+}
+
+/**
+ * Write a value by key path (the parent must exist)
+ * @private
+ * @param {Object} node - Root value
+ * @param {Array} path - Keys and indexes
+ * @param {*} value - New value
+ */
+function setFixturePath_(node, path, value) {
+  const parent = getFixturePath_(node, path.slice(0, -1));
+  if (parent !== null && typeof parent === 'object') parent[path[path.length - 1]] = value;
+}
+
+/**
+ * Keys of the direct dollar-valued children of an object
+ * @private
+ * @param {Object} node - Object
+ * @param {string} parentKey - Key of node
+ * @returns {Array<string>} Keys in template order
+ */
+function fixtureMoneyKeys_(node, parentKey) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return [];
+  return Object.keys(node).filter(key => typeof node[key] === 'number' && isFixtureMoneyKey_(key, parentKey));
+}
+
+/**
+ * Whether an object is a map of fiscal years or quarters
+ * @private
+ * @param {*} node - Value
+ * @returns {boolean} True when every key is a period key
+ */
+function isFixturePeriodMap_(node) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return false;
+  const keys = Object.keys(node);
+  return keys.length > 0 && keys.every(isFixturePeriodKey_);
+}
+
+/**
+ * Paths of the dollar values inside a period map or category collection
+ * @private
+ * @param {Object|Array} collection - Period map, category map or item array
+ * @param {Array} path - Path to the collection
+ * @param {string} [valueKey] - Field to read from object members (first dollar field if omitted)
+ * @returns {Array<Array>} Paths, or [] if a member has no dollar value
+ */
+function fixtureMemberValuePaths_(collection, path, valueKey) {
+  const keys = Array.isArray(collection) ? collection.map((item, index) => index) : Object.keys(collection);
+  const paths = [];
+  for (const key of keys) {
+    const member = collection[key];
+    if (typeof member === 'number') {
+      paths.push(path.concat(key));
+      continue;
+    }
+    const field = valueKey || fixtureMoneyKeys_(member, String(key))[0];
+    if (!field || !member || typeof member[field] !== 'number') return [];
+    paths.push(path.concat(key, field));
+  }
+  return paths;
+}
+
+/**
+ * Whether a template value equals the sum of other template values
+ * @private
+ * @param {Object} template - Template JSON
+ * @param {Array} target - Path of the candidate total
+ * @param {Array<Array>} sources - Paths of the parts
+ * @returns {boolean} True if the total matches within FIXTURE_RELATION_TOLERANCE
+ */
+function isFixtureSum_(template, target, sources) {
+  const total = getFixturePath_(template, target);
+  if (typeof total !== 'number' || sources.length === 0 || total === 0) return false;
+  const sum = sources.reduce((acc, path) => acc + getFixturePath_(template, path), 0);
+  return Math.abs(total - sum) <= Math.abs(total) * FIXTURE_RELATION_TOLERANCE;
+}
+
+/**
+ * Format a percentage like the upstream processors ("19.07%")
+ * @private
+ * @param {number} value - Percentage value
+ * @param {number} decimals - Decimal places
+ * @returns {string} Percentage string
+ */
+function formatFixturePercentage_(value, decimals) {
+  return (isFinite(value) ? value : 0).toFixed(decimals) + '%';
+}
+
+/**
+ * Format a dollar amount like the upstream processors ("$1,499,132,295.48")
+ * @private
+ * @param {number} value - Amount
+ * @param {number} decimals - Decimal places
+ * @returns {string} Currency string
+ */
+function formatFixtureCurrency_(value, decimals) {
+  return '$' + Number(value).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+/**
+ * Number of decimals in a formatted number string
+ * @private
+ * @param {string} text - "19.07%" or "$1,234.50"
+ * @returns {number} Decimal places
+ */
+function fixtureDecimals_(text) {
+  const match = String(text).match(/\.(\d+)/);
+  return match ? match[1].length : 0;
+}
+
+/**
+ * Work out how the values of a template column depend on each other
+ * @private
+ * @param {string} schemaKey - Key from COLUMN_SCHEMAS
+ * @returns {Object} { template, anchors, sums, percentages, currencies } with key paths
+ */
+function getFixtureRelations_(schemaKey) {
+  if (fixtureRelationCache_[schemaKey]) return fixtureRelationCache_[schemaKey];
+
+  const schema = COLUMN_SCHEMAS[schemaKey] || {};
+  const template = COMPLETE_EXAMPLES[schemaKey] || COMPLETE_EXAMPLES_PART2[schemaKey];
+  if (!template) {
+    throw new Error(`No example to use as fixture template for ${schemaKey}`);
+  }
+  const entityTotal = COMPLETE_EXAMPLES.obligations.total_obligated;
+  const relations = { template: template, anchors: [], sums: [], percentages: [], currencies: [] };
+  const sumTargets = {};
+
+  const addSums = (node, path, sources) => {
+    const candidates = fixtureMoneyKeys_(node, String(path[path.length - 1] || '')).map(key => path.concat(key));
+    if (node.summary && typeof node.summary === 'object') {
+      fixtureMoneyKeys_(node.summary, 'summary').forEach(key => candidates.push(path.concat('summary', key)));
+    }
+    candidates.forEach(target => {
+      const id = target.join('.');
+      if (sumTargets[id] || !isFixtureSum_(template, target, sources)) return;
+      sumTargets[id] = true;
+      relations.sums.push({ target: target, sources: sources });
+    });
+  };
+
+  // Totals next to a fiscal year or quarter breakdown or an item list, at any depth
+  const visitObjects = (node, path) => {
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => visitObjects(item, path.concat(index)));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+    Object.keys(node).forEach(key => visitObjects(node[key], path.concat(key)));
+    Object.keys(node).forEach(key => {
+      const isItemArray = Array.isArray(node[key]) && node[key].length > 0 &&
+        node[key].every(item => item && typeof item === 'object');
+      if (!isFixturePeriodMap_(node[key]) && !isItemArray) return;
+      const sources = fixtureMemberValuePaths_(node[key], path.concat(key));
+      if (sources.length > 0) addSums(node, path, sources);
+    });
+  };
+  visitObjects(template, []);
+
+  // Summary totals over the category items
+  const categories = schema.categoriesPath ? getNestedValue(template, schema.categoriesPath) : null;
+  if (categories && typeof categories === 'object') {
+    const sources = fixtureMemberValuePaths_(categories, schema.categoriesPath.split('.'), schema.itemValueField);
+    if (sources.length > 0) addSums(template, [], sources);
+  }
+
+  // Innermost totals first, so outer totals add up the corrected values
+  relations.sums.sort((a, b) => b.target.length - a.target.length);
+
+  walkFixtureLeaves_(template, (value, path, key, parentKey, year) => {
+    const target = path.join('.');
+    if (typeof value === 'number' && schemaKey !== 'obligations' && !sumTargets[target] &&
+        isFixtureMoneyKey_(key, parentKey) &&
+        Math.abs(value - entityTotal) <= entityTotal * FIXTURE_RELATION_TOLERANCE) {
+      relations.anchors.push(path);
+    }
+    if (typeof value !== 'string') return;
+
+    const parentPath = path.slice(0, -1);
+    const parent = getFixturePath_(template, parentPath);
+    const siblings = fixtureMoneyKeys_(parent, String(parentPath[parentPath.length - 1] || ''))
+      .map(siblingKey => parentPath.concat(siblingKey));
+
+    if (FIXTURE_CURRENCY_STRING_PATTERN.test(value)) {
+      const decimals = fixtureDecimals_(value);
+      const source = siblings.find(siblingPath =>
+        formatFixtureCurrency_(getFixturePath_(template, siblingPath), decimals) === value);
+      if (source) relations.currencies.push({ target: path, source: source, decimals: decimals });
+      return;
+    }
+
+    if (!PERCENTAGE_STRING_PATTERN.test(value)) return;
+    const decimals = fixtureDecimals_(value);
+    const denominators = fixtureDenominatorPaths_(template, parentPath, year);
+    for (const numerator of siblings) {
+      const denominator = denominators.find(candidate => {
+        const den = getFixturePath_(template, candidate);
+        return candidate.join('.') !== numerator.join('.') && den > 0 &&
+          formatFixturePercentage_(getFixturePath_(template, numerator) / den * 100, decimals) === value;
+      });
+      if (denominator) {
+        relations.percentages.push({ target: path, numerator: numerator, denominator: denominator, decimals: decimals });
+        return;
+      }
+    }
+  });
+
+  fixtureRelationCache_[schemaKey] = relations;
+  return relations;
+}
+
+/**
+ * Candidate denominators for a percentage, nearest first: the dollar fields of the object
+ * holding it and of each enclosing object, each with its entry for the same fiscal year,
+ * then the column summary
+ * @private
+ * @param {Object} template - Template JSON
+ * @param {Array} nodePath - Path of the object holding the percentage
+ * @param {string|null} year - Fiscal year of the object, if any
+ * @returns {Array<Array>} Paths
+ */
+function fixtureDenominatorPaths_(template, nodePath, year) {
+  const paths = [];
+
+  for (let depth = nodePath.length; depth >= 0; depth--) {
+    const path = nodePath.slice(0, depth);
+    const node = getFixturePath_(template, path);
+    if (!node || typeof node !== 'object' || Array.isArray(node)) continue;
+
+    fixtureMoneyKeys_(node, String(path[path.length - 1] || '')).forEach(key => paths.push(path.concat(key)));
+    if (!year) continue;
+    Object.keys(node).forEach(key => {
+      if (!isFixturePeriodMap_(node[key]) || node[key][year] === undefined) return;
+      fixtureMemberValuePaths_({ [year]: node[key][year] }, path.concat(key)).forEach(yearPath => paths.push(yearPath));
+    });
+  }
+
+  const summary = template.summary;
+  fixtureMoneyKeys_(summary, 'summary').forEach(key => paths.push(['summary', key]));
+  return paths;
+}
+
+/**
+ * Generate one JSON column for a synthetic entity
+ * @param {string} schemaKey - Key from COLUMN_SCHEMAS
+ * @param {Object} profile - From buildFixtureProfile_: { factorForYear(year), entityTotal }
+ * @returns {Object} Column JSON in the raw sheet format
+ */
+function generateFixtureColumn(schemaKey, profile) {
+  const relations = getFixtureRelations_(schemaKey);
+  const column = JSON.parse(JSON.stringify(relations.template));
+
+  walkFixtureLeaves_(relations.template, (value, path, key, parentKey, year) => {
+    if (typeof value === 'number' && isFixtureMoneyKey_(key, parentKey)) {
+      setFixturePath_(column, path, roundFixtureCents_(value * profile.factorForYear(year)));
+    }
+  });
+
+  if (typeof profile.entityTotal === 'number') {
+    relations.anchors.forEach(path => setFixturePath_(column, path, profile.entityTotal));
+  }
+  relations.sums.forEach(({ target, sources }) => {
+    setFixturePath_(column, target, roundFixtureCents_(
+      sources.reduce((sum, path) => sum + getFixturePath_(column, path), 0)));
+  });
+  if (schemaKey === 'oneGovTier') retierFixtureOneGovTier_(column);
+  relations.percentages.forEach(({ target, numerator, denominator, decimals }) => {
+    const den = getFixturePath_(column, denominator);
+    setFixturePath_(column, target, formatFixturePercentage_(den ? getFixturePath_(column, numerator) / den * 100 : 0, decimals));
+  });
+  relations.currencies.forEach(({ target, source, decimals }) => {
+    setFixturePath_(column, target, formatFixtureCurrency_(getFixturePath_(column, source), decimals));
+  });
+
+  return column;
+}
+
+/**
+ * Tier for a yearly amount
+ * @private
+ * @param {number} amount - Obligations in one fiscal year
+ * @returns {string} Tier name
+ */
+function fixtureTierFor_(amount) {
+  const match = FIXTURE_TIER_THRESHOLDS.find(([, threshold]) => amount > threshold);
+  return match ? match[0] : FIXTURE_BELOW_TIERS;
+}
+
+/**
+ * Recompute the OneGov tier column (AB) from its scaled yearly amounts: yearly tiers,
+ * counts, the mode (ties go to the higher tier), the overall tier (best year) and the average
+ * @private
+ * @param {Object} column - oneGovTier JSON, modified in place
+ */
+function retierFixtureOneGovTier_(column) {
+  const years = Object.keys(column.fiscal_year_tiers || {});
+  if (years.length === 0) return;
+
+  const counts = {};
+  years.forEach(year => {
+    const entry = column.fiscal_year_tiers[year];
+    entry.tier = fixtureTierFor_(entry.amount);
+    counts[entry.tier] = (counts[entry.tier] || 0) + 1;
+  });
+
+  const tierOrder = FIXTURE_TIER_THRESHOLDS.map(([tier]) => tier).concat(FIXTURE_BELOW_TIERS);
+  const frequency = Math.max(...Object.values(counts));
+  const modes = tierOrder.filter(tier => counts[tier] === frequency);
+  const best = Math.max(...years.map(year => column.fiscal_year_tiers[year].amount));
+
+  column.tier_counts = counts;
+  column.mode_tier = modes[0];
+  column.overall_tier = fixtureTierFor_(best);
+  column.average_obligations_per_year = roundFixtureCents_(column.total_obligated / years.length);
+  column.tier_summary = Object.assign({}, column.tier_summary, {
+    years_analyzed: years.length,
+    mode_frequency: frequency,
+    tie_broken: modes.length > 1,
+    all_modes: modes
+  });
+}
+
+/**
+ * Draw the scale and fiscal year multipliers of one entity
+ * @private
+ * @param {Function} random - Seeded generator
+ * @returns {Object} { scale, yearFactors, factorForYear(year) }
+ */
+function buildFixtureProfile_(random) {
+  const logMin = Math.log(FIXTURE_SCALE_RANGE.min);
+  const logMax = Math.log(FIXTURE_SCALE_RANGE.max);
+  const scale = Math.exp(logMin + random() * (logMax - logMin));
+
+  const yearFactors = {};
+  Object.keys(COMPLETE_EXAMPLES.obligations.fiscal_year_obligations).forEach(year => {
+    yearFactors[year] = 1 + (random() * 2 - 1) * FIXTURE_YEAR_JITTER;
+  });
+  const factors = Object.values(yearFactors);
+  const meanFactor = factors.reduce((sum, factor) => sum + factor, 0) / factors.length;
+
+  return {
+    scale: scale,
+    yearFactors: yearFactors,
+    factorForYear: year => scale * (year && yearFactors[year] !== undefined ? yearFactors[year] : meanFactor)
+  };
+}
+
+/**
+ * Build the field values of one synthetic entity
+ * @private
+ * @param {string} entityType - 'agency', 'oem' or 'vendor'
+ * @param {number} index - Zero-based position within its type
+ * @param {Function} random - Seeded generator
+ * @param {Date} generatedAt - Generation time
+ * @returns {Object<string, *>} Entity field name to value (JSON columns as objects)
+ */
+function buildFixtureEntity_(entityType, index, random, generatedAt) {
+  const labels = FIXTURE_ENTITY_LABELS[entityType];
+  const number = String(index + 1).padStart(3, '0');
+  const name = `Fixture ${labels.label} ${number}`;
+  const profile = buildFixtureProfile_(random);
+  const keyValues = {
+    agency: { agencyCode: `FX${number}` },
+    oem: { duns: String(900000000 + index + 1) },
+    vendor: { uei: `FIXTURE${String(index + 1).padStart(5, '0')}` }
+  };
+  const daysAgo = (spread) => new Date(generatedAt.getTime() - Math.floor(random() * spread) * 24 * 60 * 60 * 1000);
+
+  const entity = Object.assign({}, keyValues[entityType], {
+    name: name,
+    parentCompany: `Fixture ${labels.parent} ${Math.floor(index / 4) + 1}`,
+    fasDataTable: '',
+    fasTimestamp: daysAgo(FIXTURE_TIMESTAMP_SPREAD_DAYS).toISOString(),
+    bicDataTable: '',
+    bicTimestamp: daysAgo(FIXTURE_TIMESTAMP_SPREAD_DAYS).toISOString(),
+    website: `https://${entityType}-${number}.fixture.example`,
+    linkedin: '',
+    isOneGov: random() < 0.3 ? 'Yes' : 'No'
+  });
+
+  // Column D first: the other columns are anchored to its total
+  entity.obligations = generateFixtureColumn('obligations', profile);
+  profile.entityTotal = entity.obligations.total_obligated;
+
+  Object.entries(JSON_FIELD_DEFINITIONS).forEach(([field, def]) => {
+    if (field === 'obligations') return;
+    entity[field] = generateFixtureColumn(def.schemaKey, profile);
+  });
+
+  const processedDate = generatedAt.toISOString();
+  Object.entries(JSON_FIELD_DEFINITIONS).forEach(([field, def]) => {
+    const column = entity[field];
+    if ('source_file' in column) column.source_file = `fixture://${entityType}/${number}/${def.schemaKey}`;
+    if ('processed_date' in column) column.processed_date = processedDate;
+  });
+  if (entity.usaiProfile) {
+    Object.assign(entity.usaiProfile, { oem_name: name, website: entity.website, linkedin: '' });
+  }
+
+  return entity;
+}
+
+/**
+ * Sheet rows for a list of fixture entities, with headers in the documented column order
+ * @private
+ * @param {string} entityType - 'agency', 'oem' or 'vendor'
+ * @param {Array<Object>} entities - From buildFixtureEntity_
+ * @returns {Array<Array>} Header row followed by one row per entity
+ */
+function buildFixtureSheetValues_(entityType, entities) {
+  const definitions = getEntityFieldDefinitions(entityType);
+  const header = new Array(FIXTURE_COLUMN_COUNT).fill('');
+  Object.values(definitions).forEach(def => {
+    header[def.canonicalIndex] = def.headers[0];
+  });
+
+  const rows = entities.map(entity => {
+    const row = new Array(FIXTURE_COLUMN_COUNT).fill('');
+    Object.entries(entity).forEach(([field, value]) => {
+      if (!definitions[field]) return;
+      row[definitions[field].canonicalIndex] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    });
+    return row;
+  });
+
+  return [header].concat(rows);
+}
+
+/**
+ * Generate a fixture bundle: one sheet of synthetic entities per entity type
+ * @private
+ * @param {Object} [options] - Generation options
+ * @param {Object<string, number>} [options.counts] - Entities per type, e.g. { agency: 20, oem: 5, vendor: 5 }
+ * @param {number} [options.seed=1] - Seed; the same seed always produces the same bundle
+ * @param {Date|string} [options.generatedAt] - Generation time (defaults to now), used for timestamps
+ * @param {Object<string, string>} [options.sheetNames] - Sheet name per type (defaults to CONFIG_DEFAULTS.sheetNames)
+ * @returns {Object} Bundle { format, version, seed, generatedAt, counts, sheets: { name: values } }
+ * @throws {Error} If a count is not an integer between 0 and FIXTURE_MAX_ENTITIES
+ *
+ * @example
+ * const bundle = generateFixtureBundle_({ counts: { agency: 3, oem: 3, vendor: 3 }, seed: 42 });
+ * bundle.sheets.Agency[1][1]; // "Fixture Agency 001"
+ */
+function generateFixtureBundle_(options) {
+  const settings = options || {};
+  const seed = Number.isInteger(settings.seed) ? settings.seed : 1;
+  const generatedAt = settings.generatedAt ? new Date(settings.generatedAt) : new Date();
+  const sheetNames = Object.assign({}, CONFIG_DEFAULTS.sheetNames, settings.sheetNames);
+  const counts = Object.assign({}, FIXTURE_DEFAULT_COUNTS, settings.counts);
+  const random = createFixtureRandom_(seed);
+  const sheets = {};
+
+  ENTITY_TYPES.forEach(entityType => {
+    const count = counts[entityType];
+    if (!Number.isInteger(count) || count < 0 || count > FIXTURE_MAX_ENTITIES) {
+      throw new Error(`Fixture count for ${entityType} must be an integer from 0 to ${FIXTURE_MAX_ENTITIES}`);
+    }
+    const entities = [];
+    for (let i = 0; i < count; i++) {
+      entities.push(buildFixtureEntity_(entityType, i, random, generatedAt));
+    }
+    sheets[sheetNames[entityType]] = buildFixtureSheetValues_(entityType, entities);
+  });
+
+  return {
+    format: FIXTURE_BUNDLE_FORMAT,
+    version: FIXTURE_BUNDLE_VERSION,
+    seed: seed,
+    generatedAt: generatedAt.toISOString(),
+    counts: counts,
+    sheets: sheets
+  };
+}
+
+/**
+ * Read-only stand-in for a Spreadsheet backed by a fixture bundle, so the DataManager
+ * can load it through the same header mapping as a real workbook
+ * @private
+ * @param {Object} bundle - From generateFixtureBundle_
+ * @returns {Object} Object with the Spreadsheet methods the loaders use
+ * @throws {Error} If the bundle format or version is not recognized
+ */
+function openFixtureBundle_(bundle) {
+  if (!bundle || bundle.format !== FIXTURE_BUNDLE_FORMAT || bundle.version !== FIXTURE_BUNDLE_VERSION) {
+    throw new Error(`Not a ${FIXTURE_BUNDLE_FORMAT} v${FIXTURE_BUNDLE_VERSION} file`);
+  }
+
+  const name = `Fixture bundle (seed ${bundle.seed})`;
+  const sheets = Object.entries(bundle.sheets).map(([sheetName, values]) => ({
+    getName: () => sheetName,
+    getLastRow: () => values.length,
+    getLastColumn: () => values.reduce((max, row) => Math.max(max, row.length), 0),
+    getDataRange: () => ({ getValues: () => values.map(row => row.slice()) }),
+    getRange: (row, column, numRows, numColumns) => ({
+      getValues: () => values.slice(row - 1, row - 1 + (numRows || 1))
+        .map(cells => cells.slice(column - 1, column - 1 + (numColumns || 1)))
+    })
+  }));
+
+  return {
+    getId: () => null,
+    getName: () => name,
+    getUrl: () => null,
+    getSheets: () => sheets.slice(),
+    getSheetByName: sheetName => sheets.find(sheet => sheet.getName() === sheetName) || null
+  };
+}
+
+/**
+ * Open the fixture bundle stored in a Drive file
+ * @private
+ * @param {string} fileId - Drive file ID (BUNDLE_FILE_ID)
+ * @returns {Object} Spreadsheet stand-in from openFixtureBundle_
+ */
+function loadFixtureBundleSpreadsheet_(fileId) {
+  const content = DriveApp.getFileById(fileId).getBlob().getDataAsString();
+  return openFixtureBundle_(JSON.parse(content));
+}
+
+// ============================================================================
+// PUBLIC API FUNCTIONS
+// ============================================================================
+
+/**
+ * Generate a fixture workbook and make it the 'fixture' environment's source (admins only)
+ * @param {Object} [options] - See generateFixtureBundle_
+ * @returns {Object} Response object with spreadsheetId, url, seed and counts
+ */
+function createFixtureWorkbook(options) {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can generate fixture data');
+    }
+
+    const bundle = generateFixtureBundle_(options);
+    const spreadsheet = SpreadsheetApp.create(`OneGov FIT Market Fixtures (seed ${bundle.seed})`);
+    const placeholder = spreadsheet.getSheets()[0];
+
+    Object.entries(bundle.sheets).forEach(([sheetName, values]) => {
+      const sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, values.length, FIXTURE_COLUMN_COUNT).setValues(values);
+      sheet.setFrozenRows(1);
+    });
+    if (placeholder) spreadsheet.deleteSheet(placeholder);
+
+    const props = PropertiesService.getScriptProperties();
+    props.setProperty('FIXTURE_SPREADSHEET_ID', spreadsheet.getId());
+    props.deleteProperty('FIXTURE_BUNDLE_FILE_ID');
+    resetAppConfig();
+
+    fixturesLogger.info('Created fixture workbook', { spreadsheetId: spreadsheet.getId(), seed: bundle.seed });
+    recordAdminAction_('createFixtureWorkbook', { spreadsheetId: spreadsheet.getId(), seed: bundle.seed });
+    return createResponse(true, {
+      spreadsheetId: spreadsheet.getId(),
+      url: spreadsheet.getUrl(),
+      seed: bundle.seed,
+      counts: bundle.counts
+    }, null);
+  } catch (error) {
+    fixturesLogger.error('Workbook generation failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Generate a fixture bundle, save it to Drive and make it the 'fixture' environment's source (admins only)
+ * @param {Object} [options] - See generateFixtureBundle_
+ * @returns {Object} Response object with fileId, url, seed and counts
+ */
+function saveFixtureBundle(options) {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can generate fixture data');
+    }
+
+    const bundle = generateFixtureBundle_(options);
+    const file = DriveApp.createFile(`onegov-fixture-bundle-seed-${bundle.seed}.json`,
+      JSON.stringify(bundle), 'application/json');
+
+    PropertiesService.getScriptProperties().setProperty('FIXTURE_BUNDLE_FILE_ID', file.getId());
+    resetAppConfig();
+
+    fixturesLogger.info('Saved fixture bundle', { fileId: file.getId(), seed: bundle.seed });
+    recordAdminAction_('saveFixtureBundle', { fileId: file.getId(), seed: bundle.seed });
+    return createResponse(true, {
+      fileId: file.getId(),
+      url: file.getUrl(),
+      seed: bundle.seed,
+      counts: bundle.counts
+    }, null);
+  } catch (error) {
+    fixturesLogger.error('Bundle generation failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
@@ -0,0 +1,733 @@
+/**
+ * @fileoverview Versioned JSON API served from doGet under /api/v1/...
+ * @module B24_restApi
+ * @version 1.0.0
+ * @description Routes web app requests whose path (e.pathInfo) starts with api/<version> to
+ *              endpoints over the DataManager, so reporting tools can pull entities,
+ *              column extracts, fiscal year trends and chart cards instead of reading the sheet.
+ *
+ *              GET <web app URL>/api/v1                      Endpoint index
+ *              GET <web app URL>/api/v1/entities             ?type= &q= &where= &sort= &fields= &page= &pageSize=
+ *              GET <web app URL>/api/v1/entities/{id}        Stable or legacy entity ID
+ *              GET <web app URL>/api/v1/columns              JSON columns that can be extracted
+ *              GET <web app URL>/api/v1/columns/{column}     ?type= &names= &limit= &include=data
+ *              GET <web app URL>/api/v1/trends/{column}      ?type= &names=
+ *              GET <web app URL>/api/v1/charts/{column}      ?type= &top= &names=
+ *              GET <web app URL>/api/v1/cache                DataManager cache status
+ *              POST <web app URL>/api/v1/batch               { operations: [{ id, op, params }] }
+ *
+ *              A batch runs up to BATCH_MAX_OPERATIONS operations (BATCH_OPERATIONS) against one
+ *              DataManager load and returns one result per operation, in request order, each
+ *              with its own success, status and error; one failing operation does not fail the
+ *              others. A bare POST to the web app URL is treated as a batch.
+ *
+ *              Every endpoint needs an API key (?key=, see B25_apiKeys); each request counts once
+ *              against the key's daily quota, whatever the number of batch operations. Endpoints
+ *              and batch operations also need a role (B26_accessControl), which the key carries.
+ *
+ *              Every response is JSON in the same envelope:
+ *              { apiVersion, success, status, data, error: { code, message, details } | null,
+ *                meta: { path, quota: { dailyQuota, remaining }, pagination? }, timestamp }
+ *              Apps Script web apps always answer HTTP 200, so clients must read 'status' and
+ *              'error.code' from the body rather than from the HTTP status line.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for REST API requests */
+const apiLogger = createLogger('API');
+
+/** @const {string} Path segment every API request starts with */
+const API_PATH_PREFIX = 'api';
+
+/** @const {string} Current API version */
+const API_VERSION = 'v1';
+
+/** @const {number} Page size of /entities when pageSize is not given */
+const API_DEFAULT_PAGE_SIZE = 50;
+
+/** @const {number} Most operations accepted in one batch request */
+const BATCH_MAX_OPERATIONS = 50;
+
+/**
+ * Machine-readable error codes and the HTTP status each one stands for
+ * @const {Object<string, Object>}
+ */
+const API_ERROR_CODES = {
+  INVALID_PARAMETER: { status: 400, message: 'Invalid request parameter' },
+  UNAUTHORIZED: { status: 401, message: 'Missing or invalid API key' },
+  FORBIDDEN: { status: 403, message: 'The API key\'s role does not allow this' },
+  NOT_FOUND: { status: 404, message: 'Resource not found' },
+  ROUTE_NOT_FOUND: { status: 404, message: 'No endpoint at this path' },
+  UNSUPPORTED_VERSION: { status: 404, message: 'Unsupported API version' },
+  METHOD_NOT_ALLOWED: { status: 405, message: 'Method not allowed on this endpoint' },
+  UNKNOWN_OPERATION: { status: 400, message: 'Unknown batch operation' },
+  QUOTA_EXCEEDED: { status: 429, message: 'Daily request quota exceeded' },
+  INTERNAL_ERROR: { status: 500, message: 'Internal error' },
+  SERVICE_UNAVAILABLE: { status: 503, message: 'Service busy, retry shortly' }
+};
+
+/**
+ * Error that maps to an API error envelope
+ * @class ApiError
+ * @extends Error
+ */
+class ApiError extends Error {
+  /**
+   * @constructor
+   * @param {string} code - Key of API_ERROR_CODES
+   * @param {string} [message] - Human readable message; the code's default if omitted
+   * @param {Object} [details] - Extra machine-readable context (parameter name, allowed values ...)
+   */
+  constructor(code, message, details) {
+    const known = API_ERROR_CODES[code] || API_ERROR_CODES.INTERNAL_ERROR;
+    super(message || known.message);
+    this.name = 'ApiError';
+    this.code = API_ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.status = known.status;
+    this.details = details || null;
+  }
+}
+
+/**
+ * Endpoints of /api/v1 and the role each needs. Path segments starting with ':' are captured
+ * as parameters.
+ * @const {Array<Object>}
+ */
+const API_V1_ROUTES = [
+  { method: 'GET', path: '', role: 'viewer', handler: apiGetIndex_, description: 'Endpoint index' },
+  { method: 'GET', path: 'entities', role: 'viewer', handler: apiListEntities_, description: 'Query entities, one page at a time' },
+  { method: 'GET', path: 'entities/:id', role: 'viewer', handler: apiGetEntity_, description: 'One entity with all JSON columns' },
+  { method: 'GET', path: 'columns', role: 'viewer', handler: apiListColumns_, description: 'JSON columns available for extracts' },
+  { method: 'GET', path: 'columns/:column', role: 'analyst', handler: apiGetColumnExtract_, description: 'One column across entities, ranked by value' },
+  { method: 'GET', path: 'trends/:column', role: 'analyst', handler: apiGetFiscalTrends_, description: 'Fiscal year totals of a column' },
+  { method: 'GET', path: 'charts/:column', role: 'analyst', handler: apiGetChartCards_, description: 'Chart buffet cards for a column' },
+  { method: 'GET', path: 'cache', role: 'analyst', handler: apiGetCacheStatus_, description: 'DataManager cache status' },
+  { method: 'POST', path: 'batch', role: 'viewer', handler: apiRunBatch_, description: 'Run several operations against one data load' }
+];
+
+/**
+ * Operations a batch request can run. Each takes the operation's params and returns its data.
+ * @const {Object<string, Function>}
+ */
+const BATCH_OPERATIONS = {
+  getEntities: params => getDataManager().getEntities(readBatchEntityType_(params)),
+  queryEntities: params => queryBatchEntities_(params),
+  getEntity: params => apiGetEntity_({ id: params.id }).data,
+  getColumnExtract: params => buildColumnExtract_({
+    column: readApiColumn_(params.columnId),
+    entityType: readBatchEntityType_(params),
+    names: params.selectedEntities || [],
+    limit: readApiPositiveInt_(params, 'limit'),
+    includeData: params.includeData === true
+  }).rows,
+  generateColumnReportsBuffet: params => generateColumnReportsBuffet(readBatchEntityType_(params, true),
+    readApiColumn_(params.columnId), params.topN || 10, params.selectedEntities || []),
+  getFiscalYearTrends: params => getDataManager().getFiscalYearTrends(readBatchEntityType_(params),
+    readApiColumn_(params.columnId), params.selectedEntities || []),
+  exportReport: params => runBatchExport_(params),
+  getCacheStatus: () => getDataManager().getCacheStatus()
+};
+
+/**
+ * Role each batch operation needs
+ * @const {Object<string, string>}
+ */
+const BATCH_OPERATION_ROLES = {
+  getEntities: 'viewer',
+  queryEntities: 'viewer',
+  getEntity: 'viewer',
+  getColumnExtract: 'analyst',
+  generateColumnReportsBuffet: 'analyst',
+  getFiscalYearTrends: 'analyst',
+  exportReport: 'analyst',
+  getCacheStatus: 'analyst'
+};
+
+/**
+ * Whether a web app request is addressed to the API
+ * @param {Object} e - doGet/doPost event
+ * @returns {boolean} True if e.pathInfo starts with api/
+ */
+function isApiRequest(e) {
+  return splitApiPath_(e && e.pathInfo)[0] === API_PATH_PREFIX;
+}
+
+/**
+ * Route an API request and render the envelope
+ * @param {Object} e - doGet/doPost event; e.pathInfo holds the path after the web app URL
+ * @param {string} [method='GET'] - HTTP method the request came in with
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON output
+ */
+function handleApiRequest(e, method) {
+  const segments = splitApiPath_(e && e.pathInfo);
+  const path = '/' + segments.join('/');
+  try {
+    const request = {
+      params: (e && e.parameter) || {},
+      body: e && e.postData ? e.postData.contents : ''
+    };
+    const result = dispatchApiRequest_(segments, method || 'GET', request);
+    return renderApiResponse_(buildApiEnvelope_(result.data, null, Object.assign({ path: path }, result.meta)));
+  } catch (error) {
+    const apiError = toApiError_(error);
+    if (apiError.status >= 500) {
+      apiLogger.error('Request failed', { path: path, error: error });
+    }
+    return renderApiResponse_(buildApiEnvelope_(null, apiError, { path: path }));
+  }
+}
+
+// ============================================================================
+// ROUTING
+// ============================================================================
+
+/**
+ * Split and decode a request path
+ * @private
+ * @param {string} pathInfo - Path after the web app URL, e.g. 'api/v1/entities/oem_duns-123'
+ * @returns {Array<string>} Non-empty decoded segments
+ */
+function splitApiPath_(pathInfo) {
+  return String(pathInfo || '')
+    .split('/')
+    .filter(segment => segment !== '')
+    .map(segment => {
+      try {
+        return decodeURIComponent(segment);
+      } catch (error) {
+        return segment;
+      }
+    });
+}
+
+/**
+ * Find the endpoint for a path and run it
+ * @private
+ * @param {Array<string>} segments - Path segments, starting with 'api'
+ * @param {string} method - HTTP method
+ * @param {Object} request - { params: query parameters (e.parameter), body: raw POST body }
+ * @returns {Object} Handler result { data, meta } with the client's quota in meta
+ * @throws {ApiError} If no endpoint matches or the API key is refused
+ */
+function dispatchApiRequest_(segments, method, request) {
+  if (segments[0] !== API_PATH_PREFIX) {
+    throw new ApiError('ROUTE_NOT_FOUND');
+  }
+  if (segments[1] !== API_VERSION) {
+    throw new ApiError('UNSUPPORTED_VERSION', `Unsupported API version '${segments[1] || ''}'`,
+      { supportedVersions: [API_VERSION] });
+  }
+
+  const resourceSegments = segments.slice(2);
+  let allowedMethods = [];
+  for (const route of API_V1_ROUTES) {
+    const pathParams = matchApiRoute_(route.path, resourceSegments);
+    if (!pathParams) continue;
+    if (route.method !== method) {
+      allowedMethods.push(route.method);
+      continue;
+    }
+    const client = authorizeApiKey(request.params.key, `${route.method} ${apiRoutePath_(route)}`);
+    const result = runWithRole(client.role, () => {
+      requireRole(route.role, apiRoutePath_(route));
+      return route.handler(pathParams, request.params, request.body);
+    }, `api-key:${client.keyId}`);
+    result.meta = Object.assign({ quota: { dailyQuota: client.dailyQuota, remaining: client.remaining } }, result.meta);
+    return result;
+  }
+
+  if (allowedMethods.length > 0) {
+    throw new ApiError('METHOD_NOT_ALLOWED', `${method} is not allowed on this endpoint`, { allowedMethods: allowedMethods });
+  }
+  throw new ApiError('ROUTE_NOT_FOUND', `No endpoint at /${segments.join('/')}`);
+}
+
+/**
+ * Turn any error into an ApiError
+ * @private
+ * @param {Error} error - Error thrown while handling a request
+ * @returns {ApiError} The error itself, FORBIDDEN for access denials, INTERNAL_ERROR otherwise
+ */
+function toApiError_(error) {
+  if (error instanceof ApiError) return error;
+  if (error instanceof AccessDeniedError) {
+    return new ApiError('FORBIDDEN', error.message, { requiredRole: error.requiredRole, role: error.actualRole });
+  }
+  return new ApiError('INTERNAL_ERROR', error.toString());
+}
+
+/**
+ * Full path of a route, as listed in the index and the usage log
+ * @private
+ * @param {Object} route - Entry of API_V1_ROUTES
+ * @returns {string} Path such as '/api/v1/entities/:id'
+ */
+function apiRoutePath_(route) {
+  return `/${API_PATH_PREFIX}/${API_VERSION}` + (route.path ? '/' + route.path : '');
+}
+
+/**
+ * Match path segments against a route pattern
+ * @private
+ * @param {string} pattern - Route path, e.g. 'entities/:id'
+ * @param {Array<string>} segments - Request segments after the version
+ * @returns {Object|null} Captured parameters, or null if the route does not match
+ */
+function matchApiRoute_(pattern, segments) {
+  const parts = pattern ? pattern.split('/') : [];
+  if (parts.length !== segments.length) return null;
+
+  const captured = {};
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i].startsWith(':')) {
+      captured[parts[i].substring(1)] = segments[i];
+    } else if (parts[i] !== segments[i]) {
+      return null;
+    }
+  }
+  return captured;
+}
+
+/**
+ * Build the response envelope
+ * @private
+ * @param {*} data - Response data (null on error)
+ * @param {ApiError|null} error - Error to report
+ * @param {Object} meta - Path and endpoint metadata
+ * @returns {Object} Envelope
+ */
+function buildApiEnvelope_(data, error, meta) {
+  return {
+    apiVersion: API_VERSION,
+    success: !error,
+    status: error ? error.status : 200,
+    data: error ? null : data,
+    error: error ? { code: error.code, message: error.message, details: error.details, correlationId: getCorrelationId() } : null,
+    meta: meta,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Render an envelope as JSON output
+ * @private
+ * @param {Object} envelope - Response envelope
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON output
+ */
+function renderApiResponse_(envelope) {
+  return ContentService.createTextOutput(JSON.stringify(envelope))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+// ============================================================================
+// PARAMETERS
+// ============================================================================
+
+/**
+ * Read the optional entity type parameter
+ * @private
+ * @param {Object} params - Query parameters
+ * @param {boolean} [required=false] - Whether the parameter must be given
+ * @returns {string|undefined} Lower-case entity type
+ * @throws {ApiError} If the type is unknown or missing when required
+ */
+function readApiEntityType_(params, required) {
+  const type = params.type ? String(params.type).toLowerCase() : undefined;
+  if (!type && required) {
+    throw new ApiError('INVALID_PARAMETER', 'Parameter type is required', { parameter: 'type', allowed: ENTITY_TYPES });
+  }
+  if (type && !ENTITY_TYPES.includes(type)) {
+    throw new ApiError('INVALID_PARAMETER', `Unknown entity type '${params.type}'`, { parameter: 'type', allowed: ENTITY_TYPES });
+  }
+  return type;
+}
+
+/**
+ * Check a column path parameter against the JSON columns
+ * @private
+ * @param {string} column - Column ID from the path
+ * @returns {string} Column ID
+ * @throws {ApiError} If the column is not a JSON column
+ */
+function readApiColumn_(column) {
+  if (!JSON_FIELD_DEFINITIONS[column]) {
+    throw new ApiError('NOT_FOUND', `Unknown column '${column}'`, { parameter: 'column', allowed: Object.keys(JSON_FIELD_DEFINITIONS) });
+  }
+  return column;
+}
+
+/**
+ * Read a positive integer parameter
+ * @private
+ * @param {Object} params - Query parameters
+ * @param {string} name - Parameter name
+ * @param {number} [fallback] - Value when the parameter is absent
+ * @returns {number|undefined} Parsed value
+ * @throws {ApiError} If the value is not a positive integer
+ */
+function readApiPositiveInt_(params, name, fallback) {
+  if (params[name] === undefined || params[name] === '') return fallback;
+  const value = Number(params[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new ApiError('INVALID_PARAMETER', `Parameter ${name} must be a positive integer`, { parameter: name });
+  }
+  return value;
+}
+
+/**
+ * Read a comma-separated list parameter
+ * @private
+ * @param {Object} params - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {Array<string>} Trimmed non-empty values
+ */
+function readApiList_(params, name) {
+  return String(params[name] || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(value => value !== '');
+}
+
+// ============================================================================
+// ENDPOINTS
+// ============================================================================
+
+/**
+ * GET /api/v1
+ * @private
+ * @returns {Object} Endpoint list
+ */
+function apiGetIndex_() {
+  return {
+    data: {
+      version: API_VERSION,
+      endpoints: API_V1_ROUTES.map(route => ({
+        method: route.method,
+        path: apiRoutePath_(route),
+        role: route.role,
+        description: route.description
+      })),
+      errorCodes: Object.keys(API_ERROR_CODES).reduce((codes, code) => {
+        codes[code] = API_ERROR_CODES[code].status;
+        return codes;
+      }, {})
+    }
+  };
+}
+
+/**
+ * GET /api/v1/entities - one page of DataManager.query
+ * @private
+ * @param {Object} pathParams - Unused
+ * @param {Object} params - type, q, where (JSON), sort, fields, page, pageSize
+ * @returns {Object} Items with pagination meta
+ */
+function apiListEntities_(pathParams, params) {
+  let where = {};
+  if (params.where) {
+    try {
+      where = JSON.parse(params.where);
+    } catch (error) {
+      throw new ApiError('INVALID_PARAMETER', 'Parameter where must be a JSON object', { parameter: 'where' });
+    }
+    if (!where || typeof where !== 'object' || Array.isArray(where)) {
+      throw new ApiError('INVALID_PARAMETER', 'Parameter where must be a JSON object', { parameter: 'where' });
+    }
+  }
+  if (params.q) {
+    where.text = params.q;
+  }
+
+  const options = {
+    entityType: readApiEntityType_(params),
+    where: where,
+    sort: readApiList_(params, 'sort'),
+    fields: params.fields ? readApiList_(params, 'fields') : undefined,
+    page: readApiPositiveInt_(params, 'page', 1),
+    pageSize: readApiPositiveInt_(params, 'pageSize', API_DEFAULT_PAGE_SIZE)
+  };
+
+  // Load first, so anything query() throws afterwards is about the parameters
+  const manager = getDataManager();
+  manager.loadAllData();
+  let result;
+  try {
+    result = manager.query(options);
+  } catch (error) {
+    throw new ApiError('INVALID_PARAMETER', error.message, { parameter: 'where' });
+  }
+
+  return {
+    data: result.items,
+    meta: {
+      pagination: {
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        totalPages: result.totalPages
+      }
+    }
+  };
+}
+
+/**
+ * GET /api/v1/entities/{id}
+ * @private
+ * @param {Object} pathParams - { id }
+ * @returns {Object} Entity
+ */
+function apiGetEntity_(pathParams) {
+  const entity = getDataManager().getEntityById(pathParams.id);
+  if (!entity) {
+    throw new ApiError('NOT_FOUND', `No entity with id '${pathParams.id}'`, { id: pathParams.id });
+  }
+  return { data: entity };
+}
+
+/**
+ * GET /api/v1/columns
+ * @private
+ * @returns {Object} Column IDs with display names and schema keys
+ */
+function apiListColumns_() {
+  return {
+    data: Object.keys(JSON_FIELD_DEFINITIONS).map(column => ({
+      id: column,
+      name: getColumnDisplayName(column),
+      schemaKey: JSON_FIELD_DEFINITIONS[column].schemaKey
+    }))
+  };
+}
+
+/**
+ * GET /api/v1/columns/{column} - the column's headline value for every entity, highest first
+ * @private
+ * @param {Object} pathParams - { column }
+ * @param {Object} params - type, names (comma-separated entity names), limit, include=data
+ * @returns {Object} Extract rows { id, name, type, value, data? }
+ */
+function apiGetColumnExtract_(pathParams, params) {
+  const extract = buildColumnExtract_({
+    column: readApiColumn_(pathParams.column),
+    entityType: readApiEntityType_(params),
+    names: readApiList_(params, 'names'),
+    limit: readApiPositiveInt_(params, 'limit'),
+    includeData: readApiList_(params, 'include').includes('data')
+  });
+
+  return {
+    data: extract.rows,
+    meta: { column: extract.column, entityType: extract.entityType || null, total: extract.total }
+  };
+}
+
+/**
+ * Headline value of one column for every entity, highest first
+ * @private
+ * @param {Object} options - { column, entityType, names, limit, includeData }
+ * @returns {Object} { column, entityType, total, rows: [{ id, name, type, value, data? }] }
+ */
+function buildColumnExtract_(options) {
+  const { column, entityType, names = [], limit, includeData } = options;
+
+  const manager = getDataManager();
+  const rows = manager.getEntities(entityType)
+    .filter(entity => names.length === 0 || names.includes(entity.name))
+    .map(entity => {
+      const row = {
+        id: entity.id,
+        name: entity.name,
+        type: entity.type,
+        value: manager.extractNumericValue(entity[column], column)
+      };
+      if (includeData) {
+        row.data = entity[column] || null;
+      }
+      return row;
+    })
+    .sort((a, b) => b.value - a.value);
+
+  return {
+    column: column,
+    entityType: entityType,
+    total: rows.length,
+    rows: limit ? rows.slice(0, limit) : rows
+  };
+}
+
+/**
+ * GET /api/v1/trends/{column}
+ * @private
+ * @param {Object} pathParams - { column }
+ * @param {Object} params - type, names (comma-separated entity names)
+ * @returns {Object} Fiscal years in ascending order with their summed value
+ */
+function apiGetFiscalTrends_(pathParams, params) {
+  const column = readApiColumn_(pathParams.column);
+  const entityType = readApiEntityType_(params);
+
+  const trends = getDataManager().getFiscalYearTrends(entityType, column, readApiList_(params, 'names'));
+  const years = Object.keys(trends).sort().map(year => ({ fiscalYear: year, value: trends[year] }));
+
+  return {
+    data: years,
+    meta: { column: column, entityType: entityType || null }
+  };
+}
+
+/**
+ * GET /api/v1/charts/{column}
+ * @private
+ * @param {Object} pathParams - { column }
+ * @param {Object} params - type (required), top, names (comma-separated entity names)
+ * @returns {Object} Chart buffet cards
+ */
+function apiGetChartCards_(pathParams, params) {
+  const column = readApiColumn_(pathParams.column);
+  const entityType = readApiEntityType_(params, true);
+  const cards = generateColumnReportsBuffet(entityType, column,
+    readApiPositiveInt_(params, 'top', 10), readApiList_(params, 'names'));
+
+  return {
+    data: cards,
+    meta: { column: column, entityType: entityType }
+  };
+}
+
+/**
+ * GET /api/v1/cache
+ * @private
+ * @returns {Object} DataManager cache status
+ */
+function apiGetCacheStatus_() {
+  return { data: getDataManager().getCacheStatus() };
+}
+
+/**
+ * POST /api/v1/batch
+ * @private
+ * @param {Object} pathParams - Unused
+ * @param {Object} params - Unused
+ * @param {string} body - JSON { operations: [{ id, op, params }] }
+ * @returns {Object} One result per operation with success and failure counts
+ * @throws {ApiError} If the body is not a valid batch
+ */
+function apiRunBatch_(pathParams, params, body) {
+  let request;
+  try {
+    request = JSON.parse(body || '');
+  } catch (error) {
+    throw new ApiError('INVALID_PARAMETER', 'Request body must be JSON', { parameter: 'body' });
+  }
+
+  const operations = request && request.operations;
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new ApiError('INVALID_PARAMETER', 'Body must have a non-empty operations array', { parameter: 'operations' });
+  }
+  if (operations.length > BATCH_MAX_OPERATIONS) {
+    throw new ApiError('INVALID_PARAMETER', `A batch can hold at most ${BATCH_MAX_OPERATIONS} operations`,
+      { parameter: 'operations', max: BATCH_MAX_OPERATIONS });
+  }
+
+  // One load for the whole batch; every operation reads the in-memory cache
+  const manager = getDataManager();
+  manager.loadAllData();
+
+  const results = operations.map((operation, index) => runBatchOperation_(operation, index));
+  const failed = results.filter(result => !result.success).length;
+
+  return {
+    data: results,
+    meta: {
+      operations: results.length,
+      succeeded: results.length - failed,
+      failed: failed,
+      dataLoadedAt: manager.cache.lastUpdated
+    }
+  };
+}
+
+/**
+ * Run one batch operation, turning any error into that operation's result
+ * @private
+ * @param {Object} operation - { id, op, params }
+ * @param {number} index - Position in the batch, the id when none is given
+ * @returns {Object} { id, op, success, status, data, error }
+ */
+function runBatchOperation_(operation, index) {
+  const id = operation && operation.id !== undefined ? operation.id : index;
+  const op = operation && operation.op;
+  try {
+    if (!Object.prototype.hasOwnProperty.call(BATCH_OPERATIONS, op)) {
+      throw new ApiError('UNKNOWN_OPERATION', `Unknown operation '${op}'`, { allowed: Object.keys(BATCH_OPERATIONS) });
+    }
+    requireRole(BATCH_OPERATION_ROLES[op], op);
+    const params = operation.params || {};
+    if (typeof params !== 'object' || Array.isArray(params)) {
+      throw new ApiError('INVALID_PARAMETER', 'Operation params must be an object', { parameter: 'params' });
+    }
+    return { id: id, op: op, success: true, status: 200, data: BATCH_OPERATIONS[op](params), error: null };
+  } catch (error) {
+    const apiError = toApiError_(error);
+    if (apiError.status >= 500) {
+      apiLogger.error('Batch operation failed', { id: id, op: op, error: error });
+    }
+    return {
+      id: id,
+      op: op || null,
+      success: false,
+      status: apiError.status,
+      data: null,
+      error: { code: apiError.code, message: apiError.message, details: apiError.details }
+    };
+  }
+}
+
+/**
+ * Read the entity type of a batch operation
+ * @private
+ * @param {Object} params - Operation params
+ * @param {boolean} [required=false] - Whether entityType must be given
+ * @returns {string|undefined} Lower-case entity type
+ */
+function readBatchEntityType_(params, required) {
+  return readApiEntityType_({ type: params.entityType }, required);
+}
+
+/**
+ * queryEntities batch operation; query errors are about the operation's params
+ * @private
+ * @param {Object} params - DataManager.query options
+ * @returns {Object} { items, total, page, pageSize, totalPages }
+ */
+function queryBatchEntities_(params) {
+  const options = Object.assign({}, params, { entityType: readBatchEntityType_(params) });
+  try {
+    return getDataManager().query(options);
+  } catch (error) {
+    throw new ApiError('INVALID_PARAMETER', error.message, { parameter: 'where' });
+  }
+}
+
+/**
+ * exportReport batch operation
+ * @private
+ * @param {Object} params - { selectedCards, exportFormat } as for exportReport
+ * @returns {Object} Export result, e.g. { url }
+ */
+function runBatchExport_(params) {
+  const formats = ['docs', 'sheets', 'slides'];
+  if (!formats.includes(params.exportFormat)) {
+    throw new ApiError('INVALID_PARAMETER', `Unknown export format '${params.exportFormat}'`,
+      { parameter: 'exportFormat', allowed: formats });
+  }
+  if (!Array.isArray(params.selectedCards)) {
+    throw new ApiError('INVALID_PARAMETER', 'selectedCards must be an array', { parameter: 'selectedCards' });
+  }
+
+  const response = exportReport(params);
+  if (!response.success) {
+    throw new ApiError('INTERNAL_ERROR', response.error);
+  }
+  return response.data;
+}
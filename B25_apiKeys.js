@@ -0,0 +1,414 @@
+/**
+ * @fileoverview API keys, daily quotas and per-key usage for the web API
+ * @module B25_apiKeys
+ * @version 1.0.0
+ * @description The web app runs as the deployer, so requests to doGet/doPost carry no client
+ *              identity of their own. Every ?action= call and every /api/v1 route therefore
+ *              needs an API key issued here, passed as the 'key' query parameter (Apps Script
+ *              does not expose request headers to web apps).
+ *
+ *              Keys look like ogk_<keyId>_<secret>. Only a SHA-256 hash of the secret is kept,
+ *              in the script property API_KEY_<KEYID>, so a key is shown once at issuance and
+ *              cannot be recovered afterwards. Requests made with a key act with the key's role
+ *              (viewer or analyst, see B26_accessControl), never as admin; keys issued before
+ *              roles existed are analysts. Each key has a daily request quota (UTC days);
+ *              requests and rejections are counted per day in API_USAGE_<KEYID>, keeping
+ *              API_USAGE_HISTORY_DAYS days. Only the newest API_USAGE_ENDPOINT_DAYS days keep a
+ *              per-endpoint breakdown, capped at API_USAGE_MAX_ENDPOINTS endpoints a day, so the
+ *              record stays under the 9 KB script property limit.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for API key management */
+const apiKeysLogger = createLogger('ApiKeys');
+
+/** @const {string} Prefix of issued keys */
+const API_KEY_PREFIX = 'ogk';
+
+/** @const {RegExp} Shape of an issued key: prefix, key ID and secret */
+const API_KEY_PATTERN = /^ogk_([0-9a-f]{12})_([0-9a-f]{32})$/;
+
+/** @const {string} Script property prefix of key records */
+const API_KEY_PROPERTY_PREFIX = 'API_KEY_';
+
+/** @const {string} Script property prefix of usage records */
+const API_USAGE_PROPERTY_PREFIX = 'API_USAGE_';
+
+/** @const {number} Daily quota of new keys unless API_DEFAULT_DAILY_QUOTA or the issuer says otherwise */
+const API_DEFAULT_DAILY_QUOTA = 1000;
+
+/** @const {Array<string>} Roles an API key can carry */
+const API_KEY_ROLES = ['viewer', 'analyst'];
+
+/** @const {number} Days of usage history kept per key */
+const API_USAGE_HISTORY_DAYS = 30;
+
+/** @const {number} Newest days whose usage keeps its per-endpoint counts */
+const API_USAGE_ENDPOINT_DAYS = 7;
+
+/** @const {number} Endpoints counted separately per day; the rest are counted under API_USAGE_OTHER_ENDPOINT */
+const API_USAGE_MAX_ENDPOINTS = 20;
+
+/** @const {string} Endpoint label for requests past API_USAGE_MAX_ENDPOINTS */
+const API_USAGE_OTHER_ENDPOINT = '(other)';
+
+/** @const {number} Largest usage record written, below the 9 KB script property limit */
+const API_USAGE_MAX_CHARS = 8000;
+
+/**
+ * Milliseconds to wait for the usage lock before turning a request away. Usage is counted under
+ * the user lock: web requests run as the deployer (appsscript.json executeAs USER_DEPLOYING), so
+ * it serializes every API request without queuing behind holders of the script lock.
+ * @const {number}
+ */
+const API_USAGE_LOCK_MS = 5000;
+
+/**
+ * Check the key of an API request and count it against the key's daily quota
+ * @param {string} key - Key presented by the client
+ * @param {string} endpoint - Endpoint label for the usage log, e.g. 'GET /api/v1/entities'
+ * @returns {Object} Client { keyId, name, role, dailyQuota, used, remaining }
+ * @throws {ApiError} UNAUTHORIZED for a missing, unknown or revoked key, QUOTA_EXCEEDED when
+ *                    today's quota is used up, SERVICE_UNAVAILABLE if usage cannot be recorded
+ */
+function authorizeApiKey(key, endpoint) {
+  if (!key) {
+    throw new ApiError('UNAUTHORIZED', 'An API key is required (parameter key)');
+  }
+
+  const match = API_KEY_PATTERN.exec(String(key).trim());
+  const record = match ? readApiKeyRecord_(match[1]) : null;
+  if (!record || record.hash !== hashApiKeySecret_(match[2])) {
+    throw new ApiError('UNAUTHORIZED', 'Invalid API key');
+  }
+  if (record.revokedAt) {
+    recordApiKeyUsage_(record.keyId, endpoint, false);
+    throw new ApiError('UNAUTHORIZED', 'API key has been revoked');
+  }
+
+  const used = recordApiKeyUsage_(record.keyId, endpoint, true, record.dailyQuota);
+  if (used === null) {
+    throw new ApiError('QUOTA_EXCEEDED', `Daily quota of ${record.dailyQuota} requests used up; it resets at 00:00 UTC`,
+      { dailyQuota: record.dailyQuota });
+  }
+
+  return {
+    keyId: record.keyId,
+    name: record.name,
+    role: record.role || 'analyst',
+    dailyQuota: record.dailyQuota,
+    used: used,
+    remaining: record.dailyQuota - used
+  };
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Hash a key secret for storage and comparison
+ * @private
+ * @param {string} secret - Secret part of the key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashApiKeySecret_(secret) {
+  const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, secret, Utilities.Charset.UTF_8);
+  return bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Read a key record
+ * @private
+ * @param {string} keyId - Key ID
+ * @returns {Object|null} Record, or null if there is no such key
+ */
+function readApiKeyRecord_(keyId) {
+  const stored = PropertiesService.getScriptProperties().getProperty(API_KEY_PROPERTY_PREFIX + String(keyId).toUpperCase());
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Write a key record
+ * @private
+ * @param {Object} record - Record with keyId
+ */
+function writeApiKeyRecord_(record) {
+  PropertiesService.getScriptProperties().setProperty(
+    API_KEY_PROPERTY_PREFIX + record.keyId.toUpperCase(), JSON.stringify(record));
+}
+
+/**
+ * Read the usage record of a key
+ * @private
+ * @param {string} keyId - Key ID
+ * @returns {Object} { lastUsedAt, days: { 'yyyy-MM-dd': { requests, rejected, endpoints } } }
+ */
+function readApiKeyUsage_(keyId) {
+  const stored = PropertiesService.getScriptProperties().getProperty(API_USAGE_PROPERTY_PREFIX + keyId.toUpperCase());
+  return stored ? JSON.parse(stored) : { lastUsedAt: null, days: {} };
+}
+
+/**
+ * Count a request for a key, unless it would go over the quota
+ * @private
+ * @param {string} keyId - Key ID
+ * @param {string} endpoint - Endpoint label
+ * @param {boolean} accepted - False to only log a rejected request
+ * @param {number} [dailyQuota] - Quota to enforce for accepted requests
+ * @returns {number|null} Requests used today including this one, or null if over quota
+ * @throws {ApiError} SERVICE_UNAVAILABLE if the usage lock cannot be taken
+ */
+function recordApiKeyUsage_(keyId, endpoint, accepted, dailyQuota) {
+  const lock = LockService.getUserLock();
+  if (!lock.tryLock(API_USAGE_LOCK_MS)) {
+    throw new ApiError('SERVICE_UNAVAILABLE', 'API usage log is busy, retry shortly');
+  }
+
+  try {
+    const now = new Date();
+    const today = now.toISOString().substring(0, 10);
+    const usage = readApiKeyUsage_(keyId);
+    const day = usage.days[today] || (usage.days[today] = { requests: 0, rejected: 0, endpoints: {} });
+
+    const overQuota = accepted && day.requests >= dailyQuota;
+    if (accepted && !overQuota) {
+      day.requests++;
+      const label = day.endpoints[endpoint] !== undefined ||
+        Object.keys(day.endpoints).length < API_USAGE_MAX_ENDPOINTS ? endpoint : API_USAGE_OTHER_ENDPOINT;
+      day.endpoints[label] = (day.endpoints[label] || 0) + 1;
+      usage.lastUsedAt = now.toISOString();
+    } else {
+      day.rejected++;
+    }
+
+    PropertiesService.getScriptProperties().setProperty(
+      API_USAGE_PROPERTY_PREFIX + keyId.toUpperCase(), JSON.stringify(trimApiKeyUsage_(usage)));
+    return overQuota ? null : day.requests;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Drop old usage so the record fits in a script property
+ * @private
+ * @param {Object} usage - Usage record (see readApiKeyUsage_), trimmed in place
+ * @returns {Object} The same record
+ */
+function trimApiKeyUsage_(usage) {
+  // Newest first; ISO dates sort chronologically
+  const dates = Object.keys(usage.days).sort().reverse();
+  dates.slice(API_USAGE_HISTORY_DAYS).forEach(date => delete usage.days[date]);
+  dates.slice(API_USAGE_ENDPOINT_DAYS, API_USAGE_HISTORY_DAYS).forEach(date => delete usage.days[date].endpoints);
+
+  // Endpoint breakdowns go first, oldest day first, then whole days; today is always kept
+  const kept = dates.slice(0, API_USAGE_HISTORY_DAYS);
+  for (let i = Math.min(API_USAGE_ENDPOINT_DAYS, kept.length) - 1;
+    i > 0 && JSON.stringify(usage).length > API_USAGE_MAX_CHARS; i--) {
+    delete usage.days[kept[i]].endpoints;
+  }
+  for (let i = kept.length - 1; i > 0 && JSON.stringify(usage).length > API_USAGE_MAX_CHARS; i--) {
+    delete usage.days[kept[i]];
+  }
+  return usage;
+}
+
+/**
+ * Daily quota for a new key
+ * @private
+ * @param {*} requested - Quota asked for by the issuer
+ * @returns {number} Non-negative integer quota
+ * @throws {Error} If the requested quota is not a non-negative integer
+ */
+function resolveApiKeyQuota_(requested) {
+  if (requested === undefined || requested === null || requested === '') {
+    const configured = parseInt(PropertiesService.getScriptProperties().getProperty('API_DEFAULT_DAILY_QUOTA'), 10);
+    return Number.isInteger(configured) && configured >= 0 ? configured : API_DEFAULT_DAILY_QUOTA;
+  }
+  const quota = Number(requested);
+  if (!Number.isInteger(quota) || quota < 0) {
+    throw new Error(`Daily quota must be a non-negative integer, got ${requested}`);
+  }
+  return quota;
+}
+
+/**
+ * Key record as shown to admins, with today's usage
+ * @private
+ * @param {Object} record - Stored record
+ * @returns {Object} Record without the hash
+ */
+function describeApiKey_(record) {
+  const usage = readApiKeyUsage_(record.keyId);
+  const today = usage.days[new Date().toISOString().substring(0, 10)];
+  return {
+    keyId: record.keyId,
+    name: record.name,
+    role: record.role || 'analyst',
+    dailyQuota: record.dailyQuota,
+    createdAt: record.createdAt,
+    createdBy: record.createdBy,
+    revokedAt: record.revokedAt,
+    revokedBy: record.revokedBy,
+    lastUsedAt: usage.lastUsedAt,
+    requestsToday: today ? today.requests : 0
+  };
+}
+
+// ============================================================================
+// PUBLIC API FUNCTIONS
+// ============================================================================
+
+/**
+ * Issue a new API key (admins only). The key is only ever returned here.
+ * @param {string} name - Client the key is for, e.g. 'BI team nightly refresh'
+ * @param {Object} [options] - { dailyQuota, role: 'viewer' or 'analyst' (default) }
+ * @returns {Object} Response object whose data is { keyId, key, name, role, dailyQuota }
+ */
+function issueApiKey(name, options) {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can manage API keys');
+    }
+    const clientName = String(name || '').trim();
+    if (!clientName) {
+      return createResponse(false, null, 'A client name is required');
+    }
+
+    const role = String((options || {}).role || 'analyst').toLowerCase();
+    if (!API_KEY_ROLES.includes(role)) {
+      return createResponse(false, null, `API keys can only have the roles ${API_KEY_ROLES.join(', ')}`);
+    }
+
+    const keyId = Utilities.getUuid().replace(/-/g, '').substring(0, 12);
+    const secret = Utilities.getUuid().replace(/-/g, '');
+    const record = {
+      keyId: keyId,
+      name: clientName,
+      role: role,
+      hash: hashApiKeySecret_(secret),
+      dailyQuota: resolveApiKeyQuota_((options || {}).dailyQuota),
+      createdAt: new Date().toISOString(),
+      createdBy: getActiveUserEmail_(),
+      revokedAt: null,
+      revokedBy: null
+    };
+    writeApiKeyRecord_(record);
+
+    apiKeysLogger.info('Issued key', { keyId: keyId, name: clientName, role: role, dailyQuota: record.dailyQuota });
+    recordAdminAction_('issueApiKey', { keyId: keyId, name: clientName, role: role });
+    return createResponse(true, {
+      keyId: keyId,
+      key: `${API_KEY_PREFIX}_${keyId}_${secret}`,
+      name: clientName,
+      role: role,
+      dailyQuota: record.dailyQuota
+    }, null);
+  } catch (error) {
+    apiKeysLogger.error('Issuing key failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Revoke an API key (admins only). The record and its usage stay for reference.
+ * @param {string} keyId - Key ID
+ * @returns {Object} Response object with the revoked key's description
+ */
+function revokeApiKey(keyId) {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can manage API keys');
+    }
+    const record = readApiKeyRecord_(keyId);
+    if (!record) {
+      return createResponse(false, null, `Unknown API key: ${keyId}`);
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      record.revokedBy = getActiveUserEmail_();
+      writeApiKeyRecord_(record);
+      apiKeysLogger.info('Revoked key', { keyId: record.keyId, name: record.name });
+      recordAdminAction_('revokeApiKey', { keyId: record.keyId, name: record.name });
+    }
+    return createResponse(true, describeApiKey_(record), null);
+  } catch (error) {
+    apiKeysLogger.error('Revoking key failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Change the daily quota of an API key (admins only)
+ * @param {string} keyId - Key ID
+ * @param {number} dailyQuota - New quota; 0 blocks the key without revoking it
+ * @returns {Object} Response object with the key's description
+ */
+function setApiKeyQuota(keyId, dailyQuota) {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can manage API keys');
+    }
+    const record = readApiKeyRecord_(keyId);
+    if (!record) {
+      return createResponse(false, null, `Unknown API key: ${keyId}`);
+    }
+
+    record.dailyQuota = resolveApiKeyQuota_(dailyQuota);
+    writeApiKeyRecord_(record);
+    recordAdminAction_('setApiKeyQuota', { keyId: record.keyId, dailyQuota: record.dailyQuota });
+    return createResponse(true, describeApiKey_(record), null);
+  } catch (error) {
+    apiKeysLogger.error('Setting quota failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * List API keys without their hashes (admins only)
+ * @returns {Object} Response object with key descriptions, newest first
+ */
+function listApiKeys() {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can manage API keys');
+    }
+    const props = PropertiesService.getScriptProperties().getProperties();
+    const keys = Object.keys(props)
+      .filter(name => name.startsWith(API_KEY_PROPERTY_PREFIX))
+      .map(name => describeApiKey_(JSON.parse(props[name])))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return createResponse(true, keys, null);
+  } catch (error) {
+    apiKeysLogger.error('Listing keys failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Daily usage of an API key, per endpoint (admins only)
+ * @param {string} keyId - Key ID
+ * @returns {Object} Response object whose data is { key, lastUsedAt, days: [{ date, requests, rejected, endpoints }] };
+ *   days older than API_USAGE_ENDPOINT_DAYS have no endpoints
+ */
+function getApiKeyUsage(keyId) {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can manage API keys');
+    }
+    const record = readApiKeyRecord_(keyId);
+    if (!record) {
+      return createResponse(false, null, `Unknown API key: ${keyId}`);
+    }
+
+    const usage = readApiKeyUsage_(record.keyId);
+    const days = Object.keys(usage.days).sort().reverse()
+      .map(date => Object.assign({ date: date }, usage.days[date]));
+    return createResponse(true, { key: describeApiKey_(record), lastUsedAt: usage.lastUsedAt, days: days }, null);
+  } catch (error) {
+    apiKeysLogger.error('Reading usage failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
@@ -0,0 +1,377 @@
+/**
+ * @fileoverview Role-based access control for OneGov FIT Market
+ * @module B26_accessControl
+ * @version 1.0.0
+ * @description Maps each viewer to a role, in increasing order of rights:
+ *
+ *                viewer    Dashboards, entity cards, search and entity details
+ *                analyst   Report builder, chart buffet, procurement tables, snapshots and exports
+ *                admin     Cache refresh, debug functions, data quality, schema drift, configuration
+ *
+ *              Roles come from the Permissions sheet (PERMISSIONS_SHEET) of the workbook named by
+ *              the PERMISSIONS_SPREADSHEET_ID script property, or of the prod source workbook if
+ *              that is not set. Each row grants a role to a user email, a Google Group email
+ *              (Type 'group') or a whole domain ('*@agency.gov'); a user gets the highest role of
+ *              all matching rows. ADMIN_EMAILS are always admins, and users no row matches get the
+ *              DEFAULT_ROLE script property ('viewer', 'analyst' or unset for no access).
+ *
+ *              Every function the pages call through google.script.run starts with a role guard,
+ *              in one of two forms:
+ *                requireRole(role, name)   Throws AccessDeniedError to the caller's failure handler.
+ *                                          Used by functions that return data.
+ *                if (!isConfigAdmin()) return createResponse(false, null, 'Only admins can ...');
+ *                                          Used by admin actions that return a response object, so
+ *                                          the refusal reaches the admin screens' success handler
+ *                                          like any other failed action.
+ *              Trigger handlers start with requireTriggerOrRole, so only their own trigger or an
+ *              admin can run them. Plumbing those functions build on (getDataManager, getSheetName
+ *              ...) and helpers that only transform their arguments are not guarded; helpers that
+ *              read or write data on behalf of a guarded function are private (trailing _). API
+ *              clients act with the role of their API key (see runWithRole).
+ *
+ *              Resolved roles are cached for PERMISSIONS_CACHE_SECONDS; refreshPermissions makes
+ *              edits to the sheet apply at once. Which rows and columns a role or user may see is
+ *              set separately, in B27_entitlements.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for roles and permissions */
+const accessControlLogger = createLogger('AccessControl');
+
+/** @const {Array<string>} Roles from least to most rights */
+const ACCESS_ROLES = ['viewer', 'analyst', 'admin'];
+
+/** @const {string} Sheet listing who gets which role */
+const PERMISSIONS_SHEET = 'Permissions';
+
+/** @const {Array<string>} Header row of the Permissions sheet */
+const PERMISSIONS_HEADERS = ['Principal', 'Type', 'Role', 'Note'];
+
+/** @const {number} How long a user's resolved role is cached (seconds) */
+const PERMISSIONS_CACHE_SECONDS = 300;
+
+/** @type {string|null} Role every check uses while runWithRole is active */
+let accessRoleOverride_ = null;
+
+/** @type {string|null} Who acts while runWithRole is active, e.g. 'api-key:<id>' */
+let accessActorOverride_ = null;
+
+/** @type {Object<string, string|null>} Roles resolved in this execution, by email */
+let accessRoleMemo_ = {};
+
+/**
+ * Error thrown when the current user lacks the role an operation needs
+ * @class AccessDeniedError
+ * @extends Error
+ */
+class AccessDeniedError extends Error {
+  /**
+   * @constructor
+   * @param {string} requiredRole - Role the operation needs
+   * @param {string|null} actualRole - Role the user has, null for no access
+   * @param {string} [operation] - Operation that was refused
+   */
+  constructor(requiredRole, actualRole, operation) {
+    super(`Access denied: ${operation || 'this operation'} needs the ${requiredRole} role` +
+      (actualRole ? ` (you are ${actualRole})` : ' (you have no access)'));
+    this.name = 'AccessDeniedError';
+    this.requiredRole = requiredRole;
+    this.actualRole = actualRole;
+  }
+}
+
+/**
+ * Role of the current user (or the runWithRole role). Takes no email so that pages cannot
+ * look up other users' roles through google.script.run.
+ * @returns {string|null} 'viewer', 'analyst', 'admin' or null for no access
+ */
+function getUserRole() {
+  return accessRoleOverride_ || resolveUserRole_(getActiveUserEmail_());
+}
+
+/**
+ * Role of a user
+ * @private
+ * @param {string} email - User email
+ * @returns {string|null} 'viewer', 'analyst', 'admin' or null for no access
+ */
+function resolveUserRole_(email) {
+  const user = String(email || '').trim().toLowerCase();
+  if (!user) return null;
+  if (Object.prototype.hasOwnProperty.call(accessRoleMemo_, user)) return accessRoleMemo_[user];
+
+  const props = PropertiesService.getScriptProperties();
+  const admins = (props.getProperty('ADMIN_EMAILS') || '').split(',').map(a => a.trim().toLowerCase());
+  let role;
+  if (admins.includes(user)) {
+    role = 'admin';
+  } else {
+    const cache = CacheService.getScriptCache();
+    const cacheKey = permissionsCacheKey_(cache, user);
+    const cached = cache.get(cacheKey);
+    if (cached !== null) {
+      role = cached || null;
+    } else {
+      role = resolveRoleFromSheet_(user) || normalizeRole_(props.getProperty('DEFAULT_ROLE'));
+      cache.put(cacheKey, role || '', PERMISSIONS_CACHE_SECONDS);
+    }
+  }
+
+  accessRoleMemo_[user] = role;
+  return role;
+}
+
+/**
+ * Who access checks currently apply to
+ * @returns {Object} { email, role, actor }; email is null inside runWithRole, where the role
+ *                   belongs to an API key rather than to the signed-in user. actor names whoever
+ *                   acts (the email, the runWithRole actor or 'system' for triggers).
+ */
+function getCurrentPrincipal() {
+  const email = accessRoleOverride_ ? null : String(getActiveUserEmail_() || '').trim().toLowerCase();
+  return {
+    email: email || null,
+    role: getUserRole(),
+    actor: email || (accessRoleOverride_ && accessActorOverride_) || 'system'
+  };
+}
+
+/**
+ * Check whether the current user has at least a role
+ * @param {string} role - Required role
+ * @returns {boolean} True if the user's role ranks at or above the required one
+ */
+function hasRole(role) {
+  return ACCESS_ROLES.indexOf(getUserRole()) >= ACCESS_ROLES.indexOf(role);
+}
+
+/**
+ * Guard for server functions: throw unless the current user has at least a role
+ * @param {string} role - Required role
+ * @param {string} [operation] - Name used in the error message
+ * @throws {AccessDeniedError} If the user's role is too low
+ */
+function requireRole(role, operation) {
+  if (!hasRole(role)) {
+    throw new AccessDeniedError(role, getUserRole(), operation);
+  }
+}
+
+/**
+ * Guard for trigger handlers, which must stay public for ScriptApp to call them: let the
+ * handler's own installed trigger through, otherwise require a role
+ * @param {Object} e - Event object; time-driven triggers pass one with triggerUid
+ * @param {string} handler - Name of the handler function
+ * @param {string} role - Role any other caller needs
+ * @throws {AccessDeniedError} If the call does not come from the trigger and the role is too low
+ */
+function requireTriggerOrRole(e, handler, role) {
+  const triggerUid = e && e.triggerUid ? String(e.triggerUid) : '';
+  const fromTrigger = !!triggerUid && ScriptApp.getProjectTriggers().some(trigger =>
+    trigger.getHandlerFunction() === handler && String(trigger.getUniqueId()) === triggerUid);
+  if (!fromTrigger) requireRole(role, handler);
+}
+
+/**
+ * Page served by doGet in place of a view the user may not open
+ * @param {string} role - Role the view needs
+ * @returns {GoogleAppsScript.HTML.HtmlOutput} Access denied page
+ */
+function createAccessDeniedPage(role) {
+  const email = getActiveUserEmail_() || 'your account';
+  const escape = text => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  return HtmlService.createHtmlOutput(
+    '<div style="font-family: sans-serif; padding: 2rem;">' +
+    '<h2>Access denied</h2>' +
+    `<p>This view needs the ${escape(role)} role, which ${escape(email)} does not have.</p>` +
+    '<p>Ask a OneGov FIT Market admin to add you to the Permissions sheet.</p>' +
+    '</div>')
+    .setTitle('OneGov FIT Market - Access denied')
+    .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
+}
+
+/**
+ * Run a function with a fixed role instead of the active user's, e.g. for an API key
+ * @param {string} role - Role to act with
+ * @param {Function} fn - Function to run
+ * @param {string} [actor] - Who acts, as recorded in the audit log (B28_auditLog)
+ * @returns {*} Whatever fn returns
+ */
+function runWithRole(role, fn, actor) {
+  const previous = { role: accessRoleOverride_, actor: accessActorOverride_ };
+  accessRoleOverride_ = normalizeRole_(role);
+  accessActorOverride_ = actor || null;
+  try {
+    return fn();
+  } finally {
+    accessRoleOverride_ = previous.role;
+    accessActorOverride_ = previous.actor;
+  }
+}
+
+// ============================================================================
+// PERMISSIONS SHEET
+// ============================================================================
+
+/**
+ * Validate a role name
+ * @private
+ * @param {*} role - Role text from the sheet or a property
+ * @returns {string|null} Lower-case role, or null if it is not a role
+ */
+function normalizeRole_(role) {
+  const normalized = String(role || '').trim().toLowerCase();
+  return ACCESS_ROLES.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Open the workbook holding the Permissions sheet
+ * @private
+ * @returns {SpreadsheetApp.Spreadsheet} Workbook
+ */
+function openPermissionsSpreadsheet_() {
+  const props = PropertiesService.getScriptProperties();
+  const id = props.getProperty('PERMISSIONS_SPREADSHEET_ID') || props.getProperty('SPREADSHEET_ID') ||
+    CONFIG_DEFAULTS.spreadsheetIds.prod;
+  return SpreadsheetApp.openById(id);
+}
+
+/**
+ * Read the rows of the Permissions sheet
+ * @private
+ * @returns {Array<Object>} Rows { principal, type, role }; empty if the sheet does not exist
+ */
+function readPermissionRows_() {
+  let sheet;
+  try {
+    sheet = openPermissionsSpreadsheet_().getSheetByName(PERMISSIONS_SHEET);
+  } catch (error) {
+    accessControlLogger.error('Opening the permissions workbook failed', error);
+    return [];
+  }
+  if (!sheet) {
+    accessControlLogger.warn('No permissions sheet, only ADMIN_EMAILS and DEFAULT_ROLE apply', { sheet: PERMISSIONS_SHEET });
+    return [];
+  }
+  if (sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, PERMISSIONS_HEADERS.length).getValues()
+    .map(row => ({
+      principal: String(row[0] || '').trim().toLowerCase(),
+      type: String(row[1] || '').trim().toLowerCase() || 'user',
+      role: normalizeRole_(row[2])
+    }))
+    .filter(row => row.principal && row.role);
+}
+
+/**
+ * Highest role the Permissions sheet grants a user
+ * @private
+ * @param {string} email - Lower-case user email
+ * @returns {string|null} Role, or null if no row matches
+ */
+function resolveRoleFromSheet_(email) {
+  let best = -1;
+
+  // Direct and domain rows first, so group lookups only run when they could raise the role
+  const rows = readPermissionRows_().sort((a, b) => (a.type === 'group') - (b.type === 'group'));
+  rows.forEach(row => {
+    const rank = ACCESS_ROLES.indexOf(row.role);
+    if (rank <= best) return;
+
+    if (principalMatches_(row, email)) best = rank;
+  });
+
+  return best >= 0 ? ACCESS_ROLES[best] : null;
+}
+
+/**
+ * Check whether a sheet row names a user: their email, '*', '*@their-domain' or a group they are in
+ * @private
+ * @param {Object} row - Row with lower-case principal and type ('user' or 'group')
+ * @param {string} email - Lower-case user email
+ * @returns {boolean} True if the row applies to the user
+ */
+function principalMatches_(row, email) {
+  if (row.type === 'group') return isGroupMember_(row.principal, email);
+  const domain = email.substring(email.indexOf('@') + 1);
+  return row.principal === email || row.principal === '*' || row.principal === `*@${domain}`;
+}
+
+/**
+ * Check Google Group membership (direct or nested)
+ * @private
+ * @param {string} groupEmail - Group address
+ * @param {string} email - User email
+ * @returns {boolean} True if the user is in the group; false if the group cannot be read
+ */
+function isGroupMember_(groupEmail, email) {
+  try {
+    return GroupsApp.getGroupByEmail(groupEmail).hasUser(email);
+  } catch (error) {
+    accessControlLogger.warn('Reading group failed', { group: groupEmail, error: error });
+    return false;
+  }
+}
+
+/**
+ * Cache key of a user's role. Keys include a generation that refreshPermissions bumps.
+ * @private
+ * @param {GoogleAppsScript.Cache.Cache} cache - Script cache
+ * @param {string} email - Lower-case user email
+ * @returns {string} Cache key
+ */
+function permissionsCacheKey_(cache, email) {
+  const generation = cache.get('onegov:rbac:generation') || '0';
+  return `onegov:rbac:${generation}:${email}`;
+}
+
+// ============================================================================
+// PUBLIC API FUNCTIONS
+// ============================================================================
+
+/**
+ * Create the Permissions sheet with its header row if it does not exist (admins only)
+ * @returns {Object} Response object whose data is { url, created }
+ */
+function setupPermissionsSheet() {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can manage permissions');
+    }
+    const spreadsheet = openPermissionsSpreadsheet_();
+    let sheet = spreadsheet.getSheetByName(PERMISSIONS_SHEET);
+    const created = !sheet;
+    if (created) {
+      sheet = spreadsheet.insertSheet(PERMISSIONS_SHEET);
+      sheet.getRange(1, 1, 1, PERMISSIONS_HEADERS.length).setValues([PERMISSIONS_HEADERS]);
+      sheet.setFrozenRows(1);
+    }
+    recordAdminAction_('setupPermissionsSheet', { created: created });
+    return createResponse(true, { url: spreadsheet.getUrl() + '#gid=' + sheet.getSheetId(), created: created }, null);
+  } catch (error) {
+    accessControlLogger.error('Setting up permissions sheet failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Drop cached roles and entitlements so edits to the Permissions and Entitlements sheets
+ * apply at once (admins only)
+ * @returns {Object} Response object
+ */
+function refreshPermissions() {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can manage permissions');
+    }
+    CacheService.getScriptCache().put('onegov:rbac:generation', String(Date.now()), 6 * 60 * 60);
+    accessRoleMemo_ = {};
+    entitlementsMemo_ = {};
+    recordAdminAction_('refreshPermissions');
+    return createResponse(true, { refreshedAt: new Date().toISOString() }, null);
+  } catch (error) {
+    accessControlLogger.error('Refreshing permissions failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
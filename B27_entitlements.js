@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Row- and column-level data entitlements for OneGov FIT Market
+ * @module B27_entitlements
+ * @version 1.0.0
+ * @description Limits which entities a user sees and which of their columns, on top of the
+ *              role checks in B26_accessControl. Rules live in the Entitlements sheet
+ *              (ENTITLEMENTS_SHEET) of the permissions workbook, one rule per row:
+ *
+ *                Principal       User email, '*', '*@agency.gov', group email or role name
+ *                Type            'user' (default), 'group' or 'role'
+ *                Entity Type     'agency', 'oem', 'vendor', a comma list, or blank for all
+ *                Rows            Where clause in OneGovDataManager.query syntax, e.g.
+ *                                {"parentCompany": "Department of Defense"}; blank for all rows
+ *                Hidden Columns  Field names or documented column letters, e.g. 'R, S, J'
+ *
+ *              A user sees the rows any of their rules with a Rows clause allow (all rows if
+ *              none has one) and loses every column any of their rules hides. Admins and users
+ *              no rule matches are not restricted. The DataManager applies the result
+ *              (applyEntitlements), so dashboards, the report builder, exports and procurement
+ *              tables only ever receive entitled data.
+ *
+ *              Rules share the permissions cache: refreshPermissions makes edits apply at once.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for data entitlements */
+const entitlementsLogger = createLogger('Entitlements');
+
+/** @const {string} Sheet listing the entitlement rules */
+const ENTITLEMENTS_SHEET = 'Entitlements';
+
+/** @const {Array<string>} Header row of the Entitlements sheet */
+const ENTITLEMENTS_HEADERS = ['Principal', 'Type', 'Entity Type', 'Rows', 'Hidden Columns', 'Note'];
+
+/** @const {Object} Where clause no entity matches, used in place of a Rows clause that cannot be read */
+const ENTITLEMENT_NO_ROWS = { id: { in: [] } };
+
+/** @type {Object<string, Object>} Entitlements resolved in this execution, by email and role */
+let entitlementsMemo_ = {};
+
+/**
+ * Entitlements of the current user (or of the API key inside runWithRole)
+ * @returns {Object} { restricted, key, types } where types maps each entity type to
+ *                   { rows: Array<Object>|null, hiddenFields: Array<string> }; rows null means all rows
+ * @throws {Error} If the Entitlements sheet exists but cannot be read
+ */
+function getEntitlements() {
+  return resolveEntitlements_(getCurrentPrincipal());
+}
+
+/**
+ * Entitlements of a principal
+ * @private
+ * @param {Object} principal - { email, role }; email is null for API keys
+ * @returns {Object} { restricted, key, types } as returned by getEntitlements
+ * @throws {Error} If the Entitlements sheet exists but cannot be read
+ */
+function resolveEntitlements_(principal) {
+  const memoKey = `${principal.email || ''}|${principal.role || ''}`;
+  if (entitlementsMemo_[memoKey]) return entitlementsMemo_[memoKey];
+
+  const unrestricted = { restricted: false, key: 'all', types: {} };
+  if (principal.role === 'admin') return (entitlementsMemo_[memoKey] = unrestricted);
+
+  const rules = readEntitlementRules_().filter(rule => rule.type === 'role' ?
+    rule.principal === principal.role : !!principal.email && principalMatches_(rule, principal.email));
+  if (rules.length === 0) return (entitlementsMemo_[memoKey] = unrestricted);
+
+  const types = {};
+  ENTITY_TYPES.forEach(entityType => {
+    const applicable = rules.filter(rule => rule.entityTypes.includes(entityType));
+    const rowRules = applicable.filter(rule => rule.rows);
+    const hidden = new Set();
+    applicable.forEach(rule => rule.hiddenColumns.forEach(column => {
+      const field = resolveEntitlementField_(column, entityType);
+      if (field) hidden.add(field);
+    }));
+    types[entityType] = {
+      rows: rowRules.length > 0 ? rowRules.map(rule => rule.rows) : null,
+      hiddenFields: Array.from(hidden).sort()
+    };
+  });
+
+  const restricted = ENTITY_TYPES.some(entityType => types[entityType].rows || types[entityType].hiddenFields.length > 0);
+  return (entitlementsMemo_[memoKey] = restricted ? { restricted: true, key: JSON.stringify(types), types: types } : unrestricted);
+}
+
+// ============================================================================
+// ENTITLEMENTS SHEET
+// ============================================================================
+
+/**
+ * Read the entitlement rules, from the permissions cache when possible
+ * @private
+ * @returns {Array<Object>} Rules { principal, type, entityTypes, rows, hiddenColumns }
+ */
+function readEntitlementRules_() {
+  const cache = CacheService.getScriptCache();
+  const cacheKey = permissionsCacheKey_(cache, 'entitlements');
+  const cached = cache.get(cacheKey);
+  if (cached !== null) return JSON.parse(cached);
+
+  const rules = readEntitlementRows_();
+  cache.put(cacheKey, JSON.stringify(rules), PERMISSIONS_CACHE_SECONDS);
+  return rules;
+}
+
+/**
+ * Parse the rows of the Entitlements sheet
+ * @private
+ * @returns {Array<Object>} Rules; empty if the sheet does not exist
+ * @throws {Error} If the permissions workbook cannot be opened, so data is never shown unfiltered by mistake
+ */
+function readEntitlementRows_() {
+  let sheet;
+  try {
+    sheet = openPermissionsSpreadsheet_().getSheetByName(ENTITLEMENTS_SHEET);
+  } catch (error) {
+    entitlementsLogger.error('Opening the permissions workbook failed', error);
+    throw new Error('Data entitlements cannot be read right now; please try again later');
+  }
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, ENTITLEMENTS_HEADERS.length).getValues()
+    .map((row, index) => ({
+      principal: String(row[0] || '').trim().toLowerCase(),
+      type: String(row[1] || '').trim().toLowerCase() || 'user',
+      entityTypes: parseEntitlementTypes_(row[2]),
+      rows: parseEntitlementRows_(row[3], index + 2),
+      hiddenColumns: String(row[4] || '').split(',').map(column => column.trim()).filter(Boolean)
+    }))
+    .filter(rule => rule.principal && (rule.rows || rule.hiddenColumns.length > 0));
+}
+
+/**
+ * Parse the Entity Type cell of a rule
+ * @private
+ * @param {*} value - Cell value
+ * @returns {Array<string>} Entity types the rule applies to
+ */
+function parseEntitlementTypes_(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (text === '' || text === '*') return ENTITY_TYPES.slice();
+  return text.split(',').map(type => type.trim()).filter(type => ENTITY_TYPES.includes(type));
+}
+
+/**
+ * Parse the Rows cell of a rule. A clause that is not a JSON object lets no rows through.
+ * @private
+ * @param {*} value - Cell value
+ * @param {number} sheetRow - Row number, for the warning
+ * @returns {Object|null} Where clause, or null for all rows
+ */
+function parseEntitlementRows_(value, sheetRow) {
+  const text = String(value || '').trim();
+  if (text === '') return null;
+  try {
+    const where = JSON.parse(text);
+    if (where && typeof where === 'object' && !Array.isArray(where)) return where;
+  } catch (error) {
+    // Reported below
+  }
+  entitlementsLogger.warn('Rows is not a JSON object; it allows no rows', { sheet: ENTITLEMENTS_SHEET, row: sheetRow });
+  return ENTITLEMENT_NO_ROWS;
+}
+
+/**
+ * Resolve a Hidden Columns entry to an entity field
+ * @private
+ * @param {string} column - Field name ('bicReseller') or documented column letter ('S')
+ * @param {string} entityType - Type of entity
+ * @returns {string|null} Field name, or null if the entry names no field that can be hidden
+ */
+function resolveEntitlementField_(column, entityType) {
+  const definitions = getEntityFieldDefinitions(entityType);
+  const fields = Object.keys(definitions);
+  const field = fields.find(name => name.toLowerCase() === column.toLowerCase()) ||
+    (/^[A-Z]{1,2}$/i.test(column) ?
+      fields.find(name => columnLetterFromIndex(definitions[name].canonicalIndex) === column.toUpperCase()) : null);
+
+  if (!field || field === 'name') {
+    entitlementsLogger.warn('Column cannot be hidden', { column: column, entityType: entityType });
+    return null;
+  }
+  return field;
+}
+
+// ============================================================================
+// PUBLIC API FUNCTIONS
+// ============================================================================
+
+/**
+ * Create the Entitlements sheet with its header row if it does not exist (admins only)
+ * @returns {Object} Response object whose data is { url, created }
+ */
+function setupEntitlementsSheet() {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can manage permissions');
+    }
+    const spreadsheet = openPermissionsSpreadsheet_();
+    let sheet = spreadsheet.getSheetByName(ENTITLEMENTS_SHEET);
+    const created = !sheet;
+    if (created) {
+      sheet = spreadsheet.insertSheet(ENTITLEMENTS_SHEET);
+      sheet.getRange(1, 1, 1, ENTITLEMENTS_HEADERS.length).setValues([ENTITLEMENTS_HEADERS]);
+      sheet.setFrozenRows(1);
+    }
+    recordAdminAction_('setupEntitlementsSheet', { created: created });
+    return createResponse(true, { url: spreadsheet.getUrl() + '#gid=' + sheet.getSheetId(), created: created }, null);
+  } catch (error) {
+    entitlementsLogger.error('Setting up entitlements sheet failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Entitlements that apply to a user, for admins checking a rule set
+ * @param {string} email - User email
+ * @returns {Object} Response object whose data is { email, role, restricted, types }
+ */
+function describeEntitlements(email) {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can manage permissions');
+    }
+    const user = String(email || '').trim().toLowerCase();
+    const role = resolveUserRole_(user);
+    const entitlements = resolveEntitlements_({ email: user || null, role: role });
+    return createResponse(true, {
+      email: user,
+      role: role,
+      restricted: entitlements.restricted,
+      types: entitlements.types
+    }, null);
+  } catch (error) {
+    entitlementsLogger.error('Describing entitlements failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
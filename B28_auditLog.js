@@ -0,0 +1,373 @@
+/**
+ * @fileoverview Audit log of views, exports, filters and admin actions
+ * @module B28_auditLog
+ * @version 1.0.0
+ * @description Records who did what: pages and entities viewed, exports created, filters
+ *              applied and admin actions run. Events are buffered in a script property and
+ *              appended to the Audit Log sheet (AUDIT_LOG_SHEET) in batches, when the buffer
+ *              holds AUDIT_BATCH_SIZE events or its oldest event is AUDIT_FLUSH_MINUTES old,
+ *              and by the hourly trigger installed by installAuditTrigger.
+ *
+ *              The sheet lives in the AUDIT_SPREADSHEET_ID workbook, or the permissions workbook
+ *              if that is not set. Rows are only ever appended; the trigger drops rows older than
+ *              AUDIT_RETENTION_DAYS (script property, default AUDIT_DEFAULT_RETENTION_DAYS).
+ *
+ *              Recording never throws: a failure is logged and the caller carries on.
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for the audit log */
+const auditLogger = createLogger('Audit');
+
+/** @const {string} Sheet the audit log is appended to */
+const AUDIT_LOG_SHEET = 'Audit Log';
+
+/** @const {Array<string>} Header row of the Audit Log sheet */
+const AUDIT_LOG_HEADERS = ['Timestamp', 'User', 'Role', 'Event', 'Target', 'Details'];
+
+/** @const {Array<string>} Kinds of event */
+const AUDIT_EVENTS = ['view', 'entity_view', 'export', 'filter', 'admin'];
+
+/** @const {string} Script property holding events not yet written to the sheet */
+const AUDIT_BUFFER_PROPERTY = 'AUDIT_BUFFER';
+
+/** @const {number} Events buffered before they are written */
+const AUDIT_BATCH_SIZE = 20;
+
+/** @const {number} Age of the oldest buffered event that forces a write (minutes) */
+const AUDIT_FLUSH_MINUTES = 10;
+
+/** @const {number} Buffer size that forces a write, below the 9 KB script property limit */
+const AUDIT_BUFFER_MAX_CHARS = 7000;
+
+/** @const {number} Longest Details value kept per event */
+const AUDIT_DETAILS_MAX_CHARS = 500;
+
+/** @const {number} Days audit rows are kept unless AUDIT_RETENTION_DAYS says otherwise */
+const AUDIT_DEFAULT_RETENTION_DAYS = 365;
+
+/** @const {number} How long recording waits for the script lock (ms) */
+const AUDIT_LOCK_MS = 5000;
+
+/** @const {string} Function run by the audit trigger */
+const AUDIT_TRIGGER_HANDLER = 'runScheduledAuditMaintenance';
+
+/**
+ * Record an audit event for the current user
+ * @private
+ * @param {string} event - One of AUDIT_EVENTS
+ * @param {string} target - What the event is about: view name, entity, export format, action name
+ * @param {Object} [details] - Extra facts, stored as JSON
+ * @returns {boolean} True if the event was recorded
+ */
+function recordAuditEvent_(event, target, details) {
+  try {
+    if (!AUDIT_EVENTS.includes(event)) {
+      throw new Error(`Unknown audit event '${event}'`);
+    }
+    const principal = getCurrentPrincipal();
+    let detailText = details ? JSON.stringify(details) : '';
+    if (detailText.length > AUDIT_DETAILS_MAX_CHARS) {
+      detailText = detailText.substring(0, AUDIT_DETAILS_MAX_CHARS - 3) + '...';
+    }
+    const entry = [new Date().toISOString(), principal.actor, principal.role || '', event,
+      String(target === undefined || target === null ? '' : target), detailText];
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(AUDIT_LOCK_MS);
+    try {
+      const buffer = readAuditBuffer_();
+      buffer.push(entry);
+      const oldest = Date.parse(buffer[0][0]);
+      if (buffer.length >= AUDIT_BATCH_SIZE || JSON.stringify(buffer).length > AUDIT_BUFFER_MAX_CHARS ||
+        Date.now() - oldest > AUDIT_FLUSH_MINUTES * 60 * 1000) {
+        appendAuditRows_(buffer);
+        writeAuditBuffer_([]);
+      } else {
+        writeAuditBuffer_(buffer);
+      }
+    } finally {
+      lock.releaseLock();
+    }
+    return true;
+  } catch (error) {
+    auditLogger.error('Recording event failed', { event: event, target: target, error: error });
+    return false;
+  }
+}
+
+/**
+ * Record an admin action
+ * @private
+ * @param {string} action - Function or action name, e.g. 'refreshDataCache'
+ * @param {Object} [details] - Extra facts, stored as JSON
+ * @returns {boolean} True if the event was recorded
+ */
+function recordAdminAction_(action, details) {
+  return recordAuditEvent_('admin', action, details);
+}
+
+// ============================================================================
+// LOG SHEET
+// ============================================================================
+
+/**
+ * Events waiting to be written
+ * @private
+ * @returns {Array<Array>} Buffered rows
+ */
+function readAuditBuffer_() {
+  const stored = PropertiesService.getScriptProperties().getProperty(AUDIT_BUFFER_PROPERTY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Replace the buffered events
+ * @private
+ * @param {Array<Array>} buffer - Rows still to be written
+ */
+function writeAuditBuffer_(buffer) {
+  const props = PropertiesService.getScriptProperties();
+  if (buffer.length === 0) {
+    props.deleteProperty(AUDIT_BUFFER_PROPERTY);
+  } else {
+    props.setProperty(AUDIT_BUFFER_PROPERTY, JSON.stringify(buffer));
+  }
+}
+
+/**
+ * Open the Audit Log sheet, creating it with its header row on first use
+ * @private
+ * @returns {SpreadsheetApp.Sheet} Log sheet
+ */
+function openAuditSheet_() {
+  const id = PropertiesService.getScriptProperties().getProperty('AUDIT_SPREADSHEET_ID');
+  const spreadsheet = id ? SpreadsheetApp.openById(id) : openPermissionsSpreadsheet_();
+  let sheet = spreadsheet.getSheetByName(AUDIT_LOG_SHEET);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(AUDIT_LOG_SHEET);
+    sheet.getRange(1, 1, 1, AUDIT_LOG_HEADERS.length).setValues([AUDIT_LOG_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Append rows below the last logged event
+ * @private
+ * @param {Array<Array>} rows - Rows in AUDIT_LOG_HEADERS order
+ */
+function appendAuditRows_(rows) {
+  if (rows.length === 0) return;
+  const sheet = openAuditSheet_();
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, AUDIT_LOG_HEADERS.length).setValues(rows);
+}
+
+/**
+ * Write every buffered event now. Callers hold the script lock.
+ * @private
+ * @returns {number} Number of events written
+ */
+function flushAuditBuffer_() {
+  const buffer = readAuditBuffer_();
+  appendAuditRows_(buffer);
+  writeAuditBuffer_([]);
+  return buffer.length;
+}
+
+/**
+ * Drop log rows older than the retention period. Rows are in time order, so they are the first ones.
+ * @private
+ * @returns {number} Number of rows removed
+ */
+function applyAuditRetention_() {
+  const configured = parseInt(PropertiesService.getScriptProperties().getProperty('AUDIT_RETENTION_DAYS'), 10);
+  const days = configured > 0 ? configured : AUDIT_DEFAULT_RETENTION_DAYS;
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const sheet = openAuditSheet_();
+  if (sheet.getLastRow() < 2) return 0;
+  const timestamps = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues();
+  let expired = 0;
+  while (expired < timestamps.length && auditTimestamp_(timestamps[expired][0]) < cutoff) expired++;
+
+  if (expired > 0) {
+    sheet.deleteRows(2, expired);
+    auditLogger.info('Removed expired rows', { rows: expired, retentionDays: days });
+  }
+  return expired;
+}
+
+/**
+ * Timestamp cell as an ISO string (Sheets may hand back a Date)
+ * @private
+ * @param {*} value - Timestamp cell
+ * @returns {string} ISO timestamp
+ */
+function auditTimestamp_(value) {
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+/**
+ * Monday (UTC) of the week a timestamp falls in
+ * @private
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Date as yyyy-mm-dd
+ */
+function auditWeekStart_(timestamp) {
+  const date = new Date(timestamp);
+  date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Time-driven trigger handler installed by installAuditTrigger: writes buffered events and
+ * applies the retention period
+ * @param {Object} [e] - Trigger event
+ * @returns {Object} Result with written and removed counts
+ */
+function runScheduledAuditMaintenance(e) {
+  const lock = LockService.getScriptLock();
+  try {
+    requireTriggerOrRole(e, AUDIT_TRIGGER_HANDLER, 'admin');
+    lock.waitLock(AUDIT_LOCK_MS);
+    try {
+      return { written: flushAuditBuffer_(), removed: applyAuditRetention_() };
+    } finally {
+      lock.releaseLock();
+    }
+  } catch (error) {
+    auditLogger.error('Scheduled maintenance failed', error);
+    return { written: 0, removed: 0, error: error.toString() };
+  }
+}
+
+// ============================================================================
+// PUBLIC API FUNCTIONS
+// ============================================================================
+
+/**
+ * Record an export the browser made on its own, e.g. a procurement table CSV download
+ * @param {string} kind - What was exported, e.g. 'procurementTable'
+ * @param {Object} [details] - Format, row count ...
+ * @returns {boolean} True if the export was recorded
+ */
+function logExportActivity(kind, details) {
+  requireRole('viewer', 'logExportActivity');
+  return recordAuditEvent_('export', kind, details);
+}
+
+/**
+ * Write buffered events to the Audit Log sheet now (admins only)
+ * @returns {Object} Response object whose data is { written }
+ */
+function flushAuditLog() {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can manage the audit log');
+    }
+    const lock = LockService.getScriptLock();
+    lock.waitLock(AUDIT_LOCK_MS);
+    try {
+      return createResponse(true, { written: flushAuditBuffer_() }, null);
+    } finally {
+      lock.releaseLock();
+    }
+  } catch (error) {
+    auditLogger.error('Flushing audit log failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Install (or replace) the hourly audit trigger (admins only)
+ * @returns {Object} Response object
+ */
+function installAuditTrigger() {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can manage the audit log');
+    }
+    ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === AUDIT_TRIGGER_HANDLER)
+      .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+    ScriptApp.newTrigger(AUDIT_TRIGGER_HANDLER).timeBased().everyHours(1).create();
+    recordAdminAction_('installAuditTrigger');
+    return createResponse(true, { handler: AUDIT_TRIGGER_HANDLER, everyHours: 1 }, null);
+  } catch (error) {
+    return createResponse(false, null, error.toString());
+  }
+}
+
+/**
+ * Usage report for admins: active users, most viewed entities and exports per week
+ * @param {number} [weeks=4] - Weeks to cover, counting the current one
+ * @returns {Object} Response object whose data is { from, weeks, activeUsers, topEntities, totals }
+ */
+function getAuditUsageReport(weeks) {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can view the usage report');
+    }
+    const weekCount = Number.isInteger(weeks) && weeks > 0 ? weeks : 4;
+    const from = new Date(Date.parse(auditWeekStart_(new Date().toISOString())) - (weekCount - 1) * 7 * 24 * 60 * 60 * 1000)
+      .toISOString().substring(0, 10);
+
+    const lock = LockService.getScriptLock();
+    lock.waitLock(AUDIT_LOCK_MS);
+    try {
+      flushAuditBuffer_();
+    } finally {
+      lock.releaseLock();
+    }
+
+    const sheet = openAuditSheet_();
+    const rows = sheet.getLastRow() < 2 ? [] :
+      sheet.getRange(2, 1, sheet.getLastRow() - 1, AUDIT_LOG_HEADERS.length).getValues()
+        .map(row => ({ timestamp: auditTimestamp_(row[0]), user: row[1], event: row[3], target: row[4], details: row[5] }))
+        .filter(row => row.timestamp >= from);
+
+    const byWeek = {};
+    const users = {};
+    const entities = {};
+    const totals = { events: rows.length };
+    AUDIT_EVENTS.forEach(event => { totals[event] = 0; });
+
+    rows.forEach(row => {
+      const week = auditWeekStart_(row.timestamp);
+      const summary = byWeek[week] || (byWeek[week] = { week: week, users: new Set(), views: 0, entityViews: 0, exports: 0, exportsByKind: {} });
+      summary.users.add(row.user);
+      totals[row.event] = (totals[row.event] || 0) + 1;
+      if (row.event === 'view') summary.views++;
+      if (row.event === 'entity_view') {
+        summary.entityViews++;
+        entities[row.target] = (entities[row.target] || 0) + 1;
+      }
+      if (row.event === 'export') {
+        summary.exports++;
+        summary.exportsByKind[row.target] = (summary.exportsByKind[row.target] || 0) + 1;
+      }
+
+      const user = users[row.user] || (users[row.user] = { user: row.user, events: 0, lastSeen: row.timestamp });
+      user.events++;
+      if (row.timestamp > user.lastSeen) user.lastSeen = row.timestamp;
+    });
+
+    return createResponse(true, {
+      from: from,
+      weeks: Object.values(byWeek)
+        .sort((a, b) => a.week.localeCompare(b.week))
+        .map(({ users: weekUsers, ...summary }) => Object.assign(summary, { activeUsers: weekUsers.size })),
+      activeUsers: Object.values(users).sort((a, b) => b.events - a.events || a.user.localeCompare(b.user)),
+      topEntities: Object.entries(entities)
+        .map(([entity, views]) => ({ entity: entity, views: views }))
+        .sort((a, b) => b.views - a.views || a.entity.localeCompare(b.entity))
+        .slice(0, 10),
+      totals: totals
+    }, null);
+  } catch (error) {
+    auditLogger.error('Building usage report failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
@@ -0,0 +1,466 @@
+/**
+ * @fileoverview Health checks and diagnostics for OneGov FIT Market
+ * @module B29_healthCheck
+ * @version 1.0.0
+ * @description Checks the things that break the dashboards, each with a pass, warn or fail result:
+ *
+ *                sheets    The source workbook opens and has the three entity sheets
+ *                headers   Every required header is present (warn when optional ones are missing)
+ *                cache     The shared entity cache holds fresh data
+ *                tables    Every FAS/BIC table URL opens from Drive (first HEALTH_TABLE_LIMIT URLs)
+ *                schema    Share of non-empty JSON cells that match their COLUMN_SCHEMAS entry
+ *                lastLoad  How long the last spreadsheet read took
+ *
+ *              The overall status is the worst check result. Uptime monitors poll
+ *              <web app URL>?action=health, which needs no API key and so returns only the status
+ *              of each check, never messages or details. It answers from a HEALTH_CACHE_SECONDS
+ *              cache, and only one request at a time refills it; the others get the previous
+ *              result meanwhile. Apps Script always answers 200, so monitors should match on
+ *              "status":"pass" in the body. Admins see every message and detail on the
+ *              diagnostics page (?page=diagnostics, F08_Diagnostics).
+ * @author OneGov FIT Market Development Team
+ */
+
+/** @const {StructuredLogger} Logger for health checks */
+const healthLogger = createLogger('Health');
+
+/** @const {Array<string>} Check results, from best to worst */
+const HEALTH_STATUSES = ['pass', 'warn', 'fail'];
+
+/** @const {number} How long ?action=health reuses a report (seconds) */
+const HEALTH_CACHE_SECONDS = 300;
+
+/** @const {string} Script cache key of the last report served to ?action=health */
+const HEALTH_CACHE_KEY = 'onegov:health';
+
+/** @const {string} Script cache key of the previous report, served while the checks run again */
+const HEALTH_PREVIOUS_KEY = 'onegov:health:previous';
+
+/** @const {number} How long the previous report is kept (seconds) */
+const HEALTH_PREVIOUS_SECONDS = 21600;
+
+/** @const {string} Script cache key set while one request runs the checks for ?action=health */
+const HEALTH_REFRESH_KEY = 'onegov:health:refreshing';
+
+/** @const {number} How long a refresh claim lasts if its request dies before clearing it (seconds) */
+const HEALTH_REFRESH_SECONDS = 360;
+
+/** @const {number} How long to wait for the script lock to claim a refresh (ms) */
+const HEALTH_LOCK_MS = 5000;
+
+/** @const {number} Table URLs opened per run, to stay well inside the execution time limit */
+const HEALTH_TABLE_LIMIT = 100;
+
+/** @const {number} Unreachable tables or failed cells listed in the details */
+const HEALTH_EXAMPLE_LIMIT = 20;
+
+/** @const {number} Valid JSON cell share below which a column warns */
+const HEALTH_SCHEMA_WARN_RATE = 0.95;
+
+/** @const {number} Valid JSON cell share below which the schema check fails */
+const HEALTH_SCHEMA_FAIL_RATE = 0.8;
+
+/** @const {number} Spreadsheet read duration above which the lastLoad check warns (ms) */
+const HEALTH_SLOW_LOAD_MS = 60000;
+
+/**
+ * Checks in the order they run. Each receives the shared context and returns
+ * { status, message, details }; a check that throws fails with the error as its message.
+ * @const {Object<string, Function>}
+ */
+const HEALTH_CHECKS = {
+  sheets: context => checkSheetReachability_(context),
+  headers: context => checkSheetHeaders_(context),
+  cache: () => checkCacheState_(),
+  tables: context => checkTableAccess_(context),
+  schema: context => checkSchemaValidity_(context),
+  lastLoad: () => checkLastLoad_()
+};
+
+/**
+ * Run every health check against the active environment
+ * @private
+ * @returns {Object} Report { status, checkedAt, environment, durationMs, checks } where each check is
+ *                   { name, status, message, durationMs, details }
+ */
+function runHealthChecks_() {
+  const startedAt = Date.now();
+  const config = getAppConfig_();
+  const context = { config: config, spreadsheet: null, sheets: {} };
+
+  const checks = Object.entries(HEALTH_CHECKS).map(([name, check]) => {
+    const checkStartedAt = Date.now();
+    let result;
+    try {
+      result = check(context);
+    } catch (error) {
+      result = { status: 'fail', message: error.message || String(error), details: null };
+    }
+    return {
+      name: name,
+      status: result.status,
+      message: result.message,
+      durationMs: Date.now() - checkStartedAt,
+      details: result.details || null
+    };
+  });
+
+  const report = {
+    status: worstHealthStatus_(checks.map(check => check.status)),
+    checkedAt: new Date(startedAt).toISOString(),
+    environment: config.environment,
+    durationMs: Date.now() - startedAt,
+    checks: checks
+  };
+  healthLogger.info('Health checked', {
+    status: report.status,
+    checks: checks.map(check => `${check.name}=${check.status}`)
+  });
+  return report;
+}
+
+/**
+ * Worst of several check results
+ * @private
+ * @param {Array<string>} statuses - Check results
+ * @returns {string} 'pass', 'warn' or 'fail'
+ */
+function worstHealthStatus_(statuses) {
+  return statuses.reduce((worst, status) =>
+    HEALTH_STATUSES.indexOf(status) > HEALTH_STATUSES.indexOf(worst) ? status : worst, 'pass');
+}
+
+/**
+ * Sheet values read by the sheets check, for the checks that follow
+ * @private
+ * @param {Object} context - Shared check context
+ * @returns {Object<string, Array<Array>>} Values by entity type, for the sheets that were found
+ * @throws {Error} If the source workbook could not be opened
+ */
+function healthSheetValues_(context) {
+  if (!context.spreadsheet) {
+    throw new Error('Source workbook is not reachable');
+  }
+  return context.sheets;
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+/**
+ * The source workbook opens and has every entity sheet
+ * @private
+ * @param {Object} context - Shared check context; receives the spreadsheet and sheet values
+ * @returns {Object} Check result
+ */
+function checkSheetReachability_(context) {
+  try {
+    context.spreadsheet = openSourceSpreadsheet();
+  } catch (error) {
+    return { status: 'fail', message: `Cannot open the source workbook: ${error.message}`, details: null };
+  }
+
+  const details = { source: context.config.bundleFileId ? 'bundle' : 'spreadsheet', sheets: {} };
+  const missing = [];
+  ENTITY_TYPES.forEach(entityType => {
+    const sheetName = context.config.sheetNames[entityType];
+    const sheet = context.spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      missing.push(sheetName);
+      details.sheets[entityType] = { sheetName: sheetName, found: false };
+      return;
+    }
+    context.sheets[entityType] = sheet.getDataRange().getValues();
+    details.sheets[entityType] = { sheetName: sheetName, found: true, rows: Math.max(context.sheets[entityType].length - 1, 0) };
+  });
+
+  if (missing.length > 0) {
+    return { status: 'fail', message: `Missing sheets: ${missing.join(', ')}`, details: details };
+  }
+  const empty = ENTITY_TYPES.filter(entityType => details.sheets[entityType].rows === 0);
+  if (empty.length > 0) {
+    return { status: 'warn', message: `No data rows in: ${empty.map(type => context.config.sheetNames[type]).join(', ')}`, details: details };
+  }
+  return { status: 'pass', message: 'Source workbook and entity sheets are reachable', details: details };
+}
+
+/**
+ * Every required header is present; optional ones that are missing warn
+ * @private
+ * @param {Object} context - Shared check context; receives the column mappings
+ * @returns {Object} Check result
+ */
+function checkSheetHeaders_(context) {
+  const values = healthSheetValues_(context);
+  context.mappings = {};
+  const details = {};
+  const problems = { fail: [], warn: [] };
+
+  Object.entries(values).forEach(([entityType, rows]) => {
+    try {
+      const mapping = buildColumnMapping(rows[0] || [], entityType);
+      context.mappings[entityType] = mapping;
+      details[entityType] = { missingOptional: mapping.missing.map(missing => missing.header) };
+      if (mapping.missing.length > 0) problems.warn.push(`${entityType} (${mapping.missing.length} optional)`);
+    } catch (error) {
+      if (!(error instanceof ColumnMappingError)) throw error;
+      details[entityType] = { error: error.message };
+      problems.fail.push(entityType);
+    }
+  });
+
+  if (problems.fail.length > 0) {
+    return { status: 'fail', message: `Required headers missing in: ${problems.fail.join(', ')}`, details: details };
+  }
+  if (problems.warn.length > 0) {
+    return { status: 'warn', message: `Optional headers missing in: ${problems.warn.join(', ')}`, details: details };
+  }
+  return { status: 'pass', message: 'All headers are present', details: details };
+}
+
+/**
+ * The shared cache holds entity data that has not expired
+ * @private
+ * @returns {Object} Check result
+ */
+function checkCacheState_() {
+  const status = getDataManager().getCacheStatus();
+  const entry = status.shared.entry;
+  const details = { ttlMs: status.ttlMs, entry: entry, stats: status.shared.stats };
+
+  if (!entry) {
+    return { status: 'warn', message: 'Shared cache is empty; the next request reads the spreadsheet', details: details };
+  }
+  if (entry.expiresAt <= Date.now()) {
+    return { status: 'warn', message: 'Shared cache entry has expired', details: details };
+  }
+  const ageMinutes = Math.round((Date.now() - entry.storedAt) / 60000);
+  return { status: 'pass', message: `Shared cache holds data stored ${ageMinutes} minutes ago`, details: details };
+}
+
+/**
+ * Every FAS/BIC table URL opens from Drive
+ * @private
+ * @param {Object} context - Shared check context, after the headers check
+ * @returns {Object} Check result
+ */
+function checkTableAccess_(context) {
+  const values = healthSheetValues_(context);
+  const tables = [];
+  const seen = {};
+  Object.entries(context.mappings || {}).forEach(([entityType, mapping]) => {
+    values[entityType].slice(1).forEach(row => {
+      ['fasDataTable', 'bicDataTable'].forEach(field => {
+        const url = mapping.columns[field] === undefined ? '' : String(row[mapping.columns[field]] || '').trim();
+        if (!url || seen[url]) return;
+        seen[url] = true;
+        tables.push({ url: url, entity: String(row[mapping.columns.name]), entityType: entityType, table: field });
+      });
+    });
+  });
+
+  if (tables.length === 0) {
+    return { status: 'pass', message: 'No FAS/BIC table URLs to check', details: { checked: 0 } };
+  }
+
+  const checked = tables.slice(0, HEALTH_TABLE_LIMIT);
+  const unreachable = checked
+    .map(table => Object.assign({ error: openHealthTable_(table.url) }, table))
+    .filter(table => table.error);
+  const details = {
+    total: tables.length,
+    checked: checked.length,
+    reachable: checked.length - unreachable.length,
+    unreachable: unreachable.slice(0, HEALTH_EXAMPLE_LIMIT)
+  };
+
+  if (unreachable.length === checked.length) {
+    return { status: 'fail', message: `None of ${checked.length} table URLs could be opened`, details: details };
+  }
+  if (unreachable.length > 0) {
+    return { status: 'warn', message: `${unreachable.length} of ${checked.length} table URLs could not be opened`, details: details };
+  }
+  const skipped = tables.length > checked.length ? ` (first ${checked.length} of ${tables.length})` : '';
+  return { status: 'pass', message: `All ${checked.length} table URLs open${skipped}`, details: details };
+}
+
+/**
+ * Try to open one procurement table the way loadTableData does
+ * @private
+ * @param {string} url - Google Drive file or Google Sheets URL
+ * @returns {string|null} Why the table cannot be opened, or null if it opens
+ */
+function openHealthTable_(url) {
+  try {
+    const driveFileIdMatch = url.match(/\/file\/d\/([a-zA-Z0-9-_]+)/);
+    if (driveFileIdMatch) {
+      DriveApp.getFileById(driveFileIdMatch[1]).getName();
+      return null;
+    }
+    const spreadsheetIdMatch = url.match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
+    if (spreadsheetIdMatch) {
+      SpreadsheetApp.openById(spreadsheetIdMatch[1]).getName();
+      return null;
+    }
+    return 'Unsupported URL format';
+  } catch (error) {
+    return error.message || String(error);
+  }
+}
+
+/**
+ * Share of non-empty JSON cells that parse and match their schema, per column
+ * @private
+ * @param {Object} context - Shared check context, after the headers check
+ * @returns {Object} Check result
+ */
+function checkSchemaValidity_(context) {
+  const values = healthSheetValues_(context);
+  const columns = {};
+  const examples = [];
+
+  Object.entries(context.mappings || {}).forEach(([entityType, mapping]) => {
+    values[entityType].slice(1).forEach((row, index) => {
+      if (!row[mapping.columns.name]) return;
+      Object.values(validateRowJsonColumns(row, mapping)).forEach(result => {
+        if (result.status === 'empty' || result.status === 'missing_column') return;
+        const column = columns[result.schemaKey] || (columns[result.schemaKey] = { checked: 0, valid: 0 });
+        column.checked++;
+        if (result.status === 'valid') {
+          column.valid++;
+        } else if (examples.length < HEALTH_EXAMPLE_LIMIT) {
+          examples.push({ entityType: entityType, row: index + 2, schemaKey: result.schemaKey, status: result.status });
+        }
+      });
+    });
+  });
+
+  let checked = 0;
+  let valid = 0;
+  Object.values(columns).forEach(column => {
+    column.rate = column.checked > 0 ? column.valid / column.checked : 1;
+    checked += column.checked;
+    valid += column.valid;
+  });
+  const rate = checked > 0 ? valid / checked : 1;
+  const weak = Object.keys(columns).filter(schemaKey => columns[schemaKey].rate < HEALTH_SCHEMA_WARN_RATE);
+  const details = { checked: checked, valid: valid, rate: rate, columns: columns, examples: examples };
+  const percent = `${(rate * 100).toFixed(1)}% of ${checked} JSON cells are valid`;
+
+  if (rate < HEALTH_SCHEMA_FAIL_RATE) {
+    return { status: 'fail', message: percent, details: details };
+  }
+  if (weak.length > 0) {
+    return { status: 'warn', message: `${percent}; below ${HEALTH_SCHEMA_WARN_RATE * 100}% in ${weak.join(', ')}`, details: details };
+  }
+  return { status: 'pass', message: percent, details: details };
+}
+
+/**
+ * Duration of the last spreadsheet read
+ * @private
+ * @returns {Object} Check result
+ */
+function checkLastLoad_() {
+  const lastLoad = getDataManager().getLastLoad();
+  if (!lastLoad) {
+    return { status: 'warn', message: 'No spreadsheet read recorded yet', details: null };
+  }
+  const seconds = (lastLoad.durationMs / 1000).toFixed(1);
+  if (lastLoad.durationMs > HEALTH_SLOW_LOAD_MS) {
+    return { status: 'warn', message: `Last spreadsheet read took ${seconds}s`, details: lastLoad };
+  }
+  return { status: 'pass', message: `Last spreadsheet read took ${seconds}s`, details: lastLoad };
+}
+
+// ============================================================================
+// PUBLIC API FUNCTIONS
+// ============================================================================
+
+/**
+ * Answer ?action=health for uptime monitors: overall and per-check status only, since callers
+ * are not authenticated
+ * @returns {ContentService.TextOutput} JSON response; success is false only when a check fails
+ */
+function serveHealthCheck() {
+  try {
+    const cache = CacheService.getScriptCache();
+    const cached = cache.get(HEALTH_CACHE_KEY);
+    const summary = cached ? JSON.parse(cached) : refreshHealthSummary_(cache);
+    if (!summary) {
+      return createWebResponse(false, { status: 'unknown', checks: [] }, 'Health checks are running; try again shortly');
+    }
+    return createWebResponse(summary.status !== 'fail', summary,
+      summary.status === 'fail' ? 'One or more health checks failed' : null);
+  } catch (error) {
+    healthLogger.error('Health check failed', error);
+    return createWebResponse(false, { status: 'fail', checks: [] }, 'Health checks could not run');
+  }
+}
+
+/**
+ * Run the checks for ?action=health unless another request already is. The script lock is only
+ * held while claiming the refresh, so API quota and audit writes, which share it, never wait
+ * for the checks to open tables.
+ * @private
+ * @param {Cache} cache - Script cache
+ * @returns {Object|null} New summary; while another request refreshes, the previous summary
+ *                        or null if there is none
+ */
+function refreshHealthSummary_(cache) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(HEALTH_LOCK_MS)) return previousHealthSummary_(cache);
+  try {
+    const cached = cache.get(HEALTH_CACHE_KEY);
+    if (cached) return JSON.parse(cached);
+    if (cache.get(HEALTH_REFRESH_KEY)) return previousHealthSummary_(cache);
+    cache.put(HEALTH_REFRESH_KEY, '1', HEALTH_REFRESH_SECONDS);
+  } finally {
+    lock.releaseLock();
+  }
+
+  try {
+    const report = runHealthChecks_();
+    const summary = {
+      status: report.status,
+      checkedAt: report.checkedAt,
+      checks: report.checks.map(check => ({ name: check.name, status: check.status }))
+    };
+    const json = JSON.stringify(summary);
+    cache.put(HEALTH_CACHE_KEY, json, HEALTH_CACHE_SECONDS);
+    cache.put(HEALTH_PREVIOUS_KEY, json, HEALTH_PREVIOUS_SECONDS);
+    return summary;
+  } finally {
+    cache.remove(HEALTH_REFRESH_KEY);
+  }
+}
+
+/**
+ * Summary from before the current refresh
+ * @private
+ * @param {Cache} cache - Script cache
+ * @returns {Object|null} Summary, or null if there is none
+ */
+function previousHealthSummary_(cache) {
+  const previous = cache.get(HEALTH_PREVIOUS_KEY);
+  return previous ? JSON.parse(previous) : null;
+}
+
+/**
+ * Run every health check now, with details, for the diagnostics page (admins only)
+ * @returns {Object} Response object whose data is the report from runHealthChecks_
+ */
+function getDiagnostics() {
+  try {
+    if (!isConfigAdmin()) {
+      return createResponse(false, null, 'Only admins can view diagnostics');
+    }
+    const report = runHealthChecks_();
+    CacheService.getScriptCache().remove(HEALTH_CACHE_KEY);
+    return createResponse(true, report, null);
+  } catch (error) {
+    healthLogger.error('Diagnostics failed', error);
+    return createResponse(false, null, error.toString());
+  }
+}
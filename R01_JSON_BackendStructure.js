@@ -32,6 +32,7 @@
  * SECTION 2: STRUCTURE_PATTERNS - The 5 distinct JSON patterns used
  * SECTION 3: COMPLETE_EXAMPLES - Full real JSON examples for each column
  * SECTION 4: EXTRACTION_HELPERS - Functions to extract data by schema
+ * SECTION 4B: NORMALIZATION - Smooth over known quirks before extraction
  * SECTION 5: VALIDATION_FUNCTIONS - Verify JSON matches expected structure  
  * SECTION 6: QUICK_REFERENCE - Cheat sheet for common operations
  * 
@@ -82,8 +83,10 @@
  * 
  * Schema Properties Explained:
  * @property {string} column - Letter designation (D-AC)
- * @property {number} columnIndex - Zero-based index for array access
+ * @property {number} columnIndex - Zero-based index in the documented layout (live
+ *                                 positions are resolved from headers, see B14_columnMapping)
  * @property {string} headerName - Exact header text in sheet
+ * @property {string[]} [headerAliases] - Other header texts accepted for this column
  * @property {string} description - What this column contains
  * @property {string} structurePattern - Which of the 5 patterns (see above)
  * @property {string} dataSource - "FAS" or "BIC" indicating data origin
@@ -91,9 +94,29 @@
  * @property {string} timeSeriesPath - Path to fiscal year data
  * @property {string} categoriesPath - Path to category breakdown
  * @property {string} categoryValueType - "object_map" or "array"
- * @property {object} itemStructure - Structure of each item in breakdown
+ * @property {object} itemStructure - Structure of each item in breakdown. Values are type
+ *                                  names ('number', 'string', 'object', 'array'); a nested
+ *                                  object is a fiscal-year map whose values have that structure
+ *                                  (empty means nestedItemStructure)
+ * @property {object} [nestedItemStructure] - Structure of each fiscal year in an item's breakdown
+ * @property {object} [nestedArrayItemStructure] - Structure of each element of an item's array field
+ * @property {object} [timeSeriesItemStructure] - Structure of each year at timeSeriesPath, when not a number
  * @property {string[]} requiredFields - Fields that must exist
  * @property {string[]} fiscalYearFields - Which FY fields to expect
+ * @property {string[]} [knownQuarters] - Quarter keys expected at categoriesPath
+ * @property {string} [categoryKeyType] - Patterns D/E: what keys the categories ('fiscal_year',
+ *                                      'quarter' or 'entity')
+ * @property {string} [itemValueField] - Item value field when it is not 'total'
+ * @property {string} [itemPercentageField] - Item percentage field when it is not 'percentage_of_total'
+ * @property {string} [nestedArrayField] - Patterns D/E: array of second-level items in each category
+ * @property {string} [nestedArrayKeyField] - Name field of each second-level item
+ * @property {string} [nestedArrayValueField] - Value field of each second-level item
+ * @property {string} [nestedArrayPercentageField] - Percentage field of each second-level item
+ * @property {Object<string, Object<string, string>>} [aliases] - Known key variants, by parent path
+ *                                      ('*' for a category, fiscal year or quarter key, '[]' for
+ *                                      array elements), mapped to the documented key (see normalizeJsonData)
+ * @property {string[]} [dynamicKeyPaths] - Object paths, besides categoriesPath and timeSeriesPath,
+ *                                      whose keys are values rather than field names
  */
 
 const COLUMN_SCHEMAS = {
@@ -155,6 +178,7 @@ const COLUMN_SCHEMAS = {
     column: 'F',
     columnIndex: 5,
     headerName: 'SUM Tier ',
+    headerAliases: ['SUM Tiers'],
     description: 'Obligations broken down by SUM (Spend Under Management) tier level.',
     structurePattern: 'PATTERN_B_SUMMARY_WITH_OBJECT_MAP',
     dataSource: 'FAS',
@@ -277,6 +301,7 @@ const COLUMN_SCHEMAS = {
     column: 'J',
     columnIndex: 9,
     headerName: 'OneGov Discounted Products',
+    headerAliases: ['Discount', 'OneGov Discount'],
     description: 'Obligations for products with OneGov discounts (AWS Credits, Azure, etc.).',
     structurePattern: 'PATTERN_B_SUMMARY_WITH_OBJECT_MAP',
     dataSource: 'FAS',
@@ -330,7 +355,8 @@ const COLUMN_SCHEMAS = {
       percentage_of_total: 'string',
       agencies_using: 'number',
       fiscal_year_breakdown: {
-        // Each year has: { obligations: number, percentage_of_year: string }
+        obligations: 'number',
+        percentage_of_year: 'string'
       }
     },
     
@@ -362,7 +388,10 @@ const COLUMN_SCHEMAS = {
       dollars_obligated: 'number',
       percentage_of_total: 'string',
       agencies_using: 'number',
-      fiscal_year_breakdown: {}
+      fiscal_year_breakdown: {
+        obligations: 'number',
+        percentage_of_year: 'string'
+      }
     },
     
     requiredFields: ['source_file', 'total_obligations', 'unique_piids', 'fiscal_years_covered', 'yearly_totals', 'top_10_piids', 'processed_date'],
@@ -404,7 +433,10 @@ const COLUMN_SCHEMAS = {
       expiredPercentage: 'expired_percentage'
     },
     
-    knownQuarters: ['Q1 FY26', 'Q2 FY26', 'Q3 FY26', 'Q4 FY26', 'Q1 FY27', 'Q2 FY27', 'Q3 FY27', 'Q4 FY27']
+    knownQuarters: ['Q1 FY26', 'Q2 FY26', 'Q3 FY26', 'Q4 FY26', 'Q1 FY27', 'Q2 FY27', 'Q3 FY27', 'Q4 FY27'],
+    
+    categoryKeyType: 'quarter',
+    itemValueField: 'total_obligations_expiring'
   },
 
   // ===========================================================================
@@ -414,6 +446,7 @@ const COLUMN_SCHEMAS = {
     column: 'N',
     columnIndex: 13,
     headerName: 'Expiring OneGov Discounted Products',
+    headerAliases: ['Discount Offerings', 'Expiring Discounted Products'],
     description: 'Detailed expiration analysis for discounted products by quarter and entity.',
     structurePattern: 'PATTERN_E_NESTED_ENTITY',
     dataSource: 'FAS',
@@ -430,6 +463,12 @@ const COLUMN_SCHEMAS = {
       top_entities_expiring: 'array' // Nested array of entities
     },
     
+    nestedArrayItemStructure: {
+      entity_name: 'string',
+      dollars_expiring: 'number',
+      contracts_expiring: 'number'
+    },
+    
     requiredFields: ['source_file', 'sheet_type', 'grouped_by', 'discount_report_status', 'summary', 'discount_contracts_expiring_by_quarter', 'processed_date'],
     
     summaryFields: {
@@ -438,7 +477,14 @@ const COLUMN_SCHEMAS = {
       totalWithoutDiscounts: 'total_without_discounts',
       discountPercentage: 'discount_percentage',
       uniqueEntitiesWithDiscounts: 'unique_entities_with_discounts'
-    }
+    },
+    
+    categoryKeyType: 'quarter',
+    itemValueField: 'total_dollars_expiring',
+    itemPercentageField: 'percentage_of_total_discounts',
+    nestedArrayField: 'top_entities_expiring',
+    nestedArrayKeyField: 'entity_name',
+    nestedArrayValueField: 'dollars_expiring'
   },
 
   // ===========================================================================
@@ -478,7 +524,15 @@ const COLUMN_SCHEMAS = {
       grandTotal: 'grand_total_obligations',
       uniqueProducts: 'unique_products',
       fiscalYearsCovered: 'fiscal_years_covered'
-    }
+    },
+    
+    categoryKeyType: 'fiscal_year',
+    itemValueField: 'total_obligations',
+    itemPercentageField: 'percentage_of_grand_total',
+    nestedArrayField: 'top_10_products',
+    nestedArrayKeyField: 'product',
+    nestedArrayValueField: 'obligations',
+    nestedArrayPercentageField: 'percentage_of_year'
   },
 
   // ===========================================================================
@@ -524,7 +578,15 @@ const COLUMN_SCHEMAS = {
       'Training & Education',
       'Data Analytics & AI/ML',
       'Insufficient Information'
-    ]
+    ],
+    
+    categoryKeyType: 'fiscal_year',
+    itemValueField: 'total_obligations',
+    itemPercentageField: 'percentage_of_grand_total',
+    nestedArrayField: 'top_10_categories',
+    nestedArrayKeyField: 'category',
+    nestedArrayValueField: 'obligations',
+    nestedArrayPercentageField: 'percentage_of_year'
   },
 
   // ===========================================================================
@@ -576,6 +638,7 @@ const COLUMN_SCHEMAS = {
     column: 'R',
     columnIndex: 17,
     headerName: 'Reseller ',
+    headerAliases: ['FAS Reseller', 'Resellers'],
     description: 'Top 15 resellers/vendors from FAS data by total obligations.',
     structurePattern: 'PATTERN_B_SUMMARY_WITH_OBJECT_MAP',
     dataSource: 'FAS',
@@ -721,7 +784,12 @@ const COLUMN_SCHEMAS = {
     },
     
     // IMPORTANT: This column uses 'total_obligations' not 'total' for item values
-    itemValueField: 'total_obligations'
+    itemValueField: 'total_obligations',
+    
+    // Some processor runs still write the value as 'total'
+    aliases: {
+      'top_10_oem_summaries.*': { total: 'total_obligations' }
+    }
   },
 
   // ===========================================================================
@@ -777,7 +845,10 @@ const COLUMN_SCHEMAS = {
     itemStructure: {
       agency_total: 'number',
       percentage_of_grand_total: 'string',
-      fiscal_year_breakdown: 'object',
+      fiscal_year_breakdown: {
+        total_spend: 'number',
+        percentage_of_year: 'string'
+      },
       top_3_products: 'array',
       top_3_products_total: 'number',
       top_3_percentage_of_agency: 'string'
@@ -787,7 +858,10 @@ const COLUMN_SCHEMAS = {
       product_name: 'string',
       total_price: 'number',
       percentage_of_agency_total: 'string',
-      fiscal_year_breakdown: 'object'
+      fiscal_year_breakdown: {
+        total_price: 'number',
+        percentage_of_agency_year: 'string'
+      }
     },
     
     requiredFields: ['source_file', 'summary', 'yearly_totals', 'top_10_agencies', 'processed_date'],
@@ -797,7 +871,15 @@ const COLUMN_SCHEMAS = {
       grandTotal: 'grand_total',
       totalAgencies: 'total_agencies',
       top10AgenciesShown: 'top_10_agencies_shown'
-    }
+    },
+    
+    categoryKeyType: 'entity',
+    itemValueField: 'agency_total',
+    itemPercentageField: 'percentage_of_grand_total',
+    nestedArrayField: 'top_3_products',
+    nestedArrayKeyField: 'product_name',
+    nestedArrayValueField: 'total_price',
+    nestedArrayPercentageField: 'percentage_of_agency_total'
   },
 
   // ===========================================================================
@@ -818,6 +900,12 @@ const COLUMN_SCHEMAS = {
     
     itemStructure: null,
     
+    timeSeriesItemStructure: {
+      amount: 'number',
+      tier: 'string',
+      formatted_amount: 'string'
+    },
+    
     requiredFields: ['mode_tier', 'overall_tier', 'total_obligated', 'formatted_total', 'average_obligations_per_year', 'fiscal_year_tiers', 'tier_counts', 'tier_summary', 'tier_definitions', 'processed_date'],
     fiscalYearFields: ['2022', '2023', '2024', '2025'],
     
@@ -829,6 +917,8 @@ const COLUMN_SCHEMAS = {
       'Below Tier 4': '< $10M'
     },
     
+    dynamicKeyPaths: ['tier_counts'],
+    
     specialFields: {
       modeTier: 'mode_tier',
       overallTier: 'overall_tier',
@@ -1162,6 +1252,11 @@ const STRUCTURE_PATTERNS = {
           // Aggregate by product name...
         });
       });
+      
+      // Or with the helpers (year -> product, quarter -> entity):
+      const years = getCategories(jsonData, 'aiProduct');          // [{ name: '2024', value, items: [...] }]
+      const topProducts = getNestedItemTotals(jsonData, 'aiProduct', 10);
+      const byFiscalYear = getFiscalYearData(jsonData, 'activeContracts'); // quarters rolled up to FY
     `,
     
     variations: {
@@ -1222,6 +1317,9 @@ const STRUCTURE_PATTERNS = {
           const productTotal = product.total_price;
         });
       });
+      
+      // Or with the helpers (agency -> product):
+      const agencyProducts = getNestedItems(jsonData, 'bicTopProductsPerAgency'); // [{ category: 'DOD', name, value, ... }]
     `
   },
 
@@ -2838,6 +2936,23 @@ function getFiscalYearData(jsonData, schemaKey) {
     return getNestedValue(jsonData, schema.timeSeriesPath);
   }
   
+  // Pattern D/E: Categories keyed by fiscal year, or by quarter rolled up to its fiscal year
+  if (schema.categoryKeyType === 'fiscal_year' || schema.categoryKeyType === 'quarter') {
+    const categories = getNestedValue(jsonData, schema.categoriesPath);
+    if (!categories || typeof categories !== 'object') return undefined;
+    
+    const fyTotals = {};
+    Object.entries(categories).forEach(([key, categoryData]) => {
+      const year = schema.categoryKeyType === 'quarter' ? quarterToFiscalYear(key) : key;
+      const value = categoryData ? categoryData[schema.itemValueField] : undefined;
+      if (year && typeof value === 'number') {
+        fyTotals[year] = (fyTotals[year] || 0) + value;
+      }
+    });
+    
+    return Object.keys(fyTotals).length > 0 ? fyTotals : undefined;
+  }
+  
   // Pattern B/C: Need to aggregate from categories
   if (schema.categoriesPath) {
     const categories = getNestedValue(jsonData, schema.categoriesPath);
@@ -2879,7 +2994,9 @@ function getFiscalYearData(jsonData, schemaKey) {
  * Get categories/items from any JSON column
  * @param {Object} jsonData - The parsed JSON data
  * @param {string} schemaKey - The key from COLUMN_SCHEMAS
- * @returns {Array} Array of { name, value, percentage, fiscalYears } objects
+ * @returns {Array} Array of { name, value, percentage, fiscalYears } objects. Pattern D/E
+ *                  categories (years, quarters, agencies) also carry `items`, their
+ *                  second-level breakdown in the same shape.
  * 
  * @example
  * const items = getCategories(jsonData, 'smallBusiness');
@@ -2887,6 +3004,13 @@ function getFiscalYearData(jsonData, schemaKey) {
  * //   { name: "SMALL BUSINESS", value: 1002704153.84, percentage: "66.89%", fiscalYears: {...} },
  * //   { name: "OTHER THAN SMALL BUSINESS", value: 496428141.64, percentage: "33.11%", fiscalYears: {...} }
  * // ]
+ * 
+ * const years = getCategories(jsonData, 'aiProduct');
+ * // Returns: [
+ * //   { name: "2022", value: 285946596.21, percentage: "19.07%", fiscalYears: { "2022": 285946596.21 },
+ * //     items: [{ name: "Amazon Web Services cloud services", value: 80164297.07, percentage: "28.03%", ... }] },
+ * //   ...
+ * // ]
  */
 function getCategories(jsonData, schemaKey) {
   const schema = COLUMN_SCHEMAS[schemaKey];
@@ -2897,7 +3021,31 @@ function getCategories(jsonData, schemaKey) {
   
   const result = [];
   
-  if (schema.categoryValueType === 'array') {
+  if (schema.categoryKeyType) {
+    // Pattern D/E: Object map of years, quarters or agencies, each with a nested array
+    Object.entries(categories).forEach(([name, data]) => {
+      if (!data || typeof data !== 'object') return;
+      const value = data[schema.itemValueField];
+      
+      const year = schema.categoryKeyType === 'fiscal_year' ? name :
+        schema.categoryKeyType === 'quarter' ? quarterToFiscalYear(name) : null;
+      
+      let fiscalYears = {};
+      if (year) {
+        fiscalYears = { [year]: value };
+      } else if (data.fiscal_year_breakdown) {
+        fiscalYears = flattenFiscalYearBreakdown_(data.fiscal_year_breakdown, schema.itemStructure.fiscal_year_breakdown);
+      }
+      
+      result.push({
+        name: name,
+        value: value,
+        percentage: data[schema.itemPercentageField || 'percentage_of_total'],
+        fiscalYears: fiscalYears,
+        items: getNestedArrayItems_(schema, data, year)
+      });
+    });
+  } else if (schema.categoryValueType === 'array') {
     // Pattern C: Array
     const keyField = schema.arrayItemKeyField;
     const valueField = schema.arrayItemValueField;
@@ -2929,6 +3077,126 @@ function getCategories(jsonData, schemaKey) {
 }
 
 
+/**
+ * Normalize the second-level array of a Pattern D/E category
+ * @private
+ * @param {Object} schema - Entry from COLUMN_SCHEMAS
+ * @param {Object} categoryData - One category (year, quarter or agency)
+ * @param {string|null} year - Fiscal year the category stands for or falls in, if any
+ * @returns {Array} Array of { name, value, percentage, fiscalYears } objects
+ */
+function getNestedArrayItems_(schema, categoryData, year) {
+  const list = categoryData[schema.nestedArrayField];
+  if (!Array.isArray(list)) return [];
+  
+  const keyField = schema.nestedArrayKeyField;
+  const valueField = schema.nestedArrayValueField;
+  const yearStructure = schema.nestedArrayItemStructure && schema.nestedArrayItemStructure.fiscal_year_breakdown;
+  
+  return list.filter(item => item && typeof item === 'object').map(item => {
+    let fiscalYears = {};
+    if (item.fiscal_year_breakdown) {
+      fiscalYears = flattenFiscalYearBreakdown_(item.fiscal_year_breakdown, yearStructure);
+    } else if (year) {
+      fiscalYears = { [year]: item[valueField] };
+    }
+    
+    return {
+      // Column O: ' product' with leading space in some records
+      name: item[keyField] !== undefined ? item[keyField] : item[' ' + keyField],
+      value: item[valueField],
+      percentage: schema.nestedArrayPercentageField ? item[schema.nestedArrayPercentageField] : undefined,
+      fiscalYears: fiscalYears
+    };
+  });
+}
+
+
+/**
+ * Reduce a fiscal_year_breakdown of objects to { year: number }
+ * @private
+ * @param {Object} breakdown - { "2024": { total_spend: 1, percentage_of_year: "1%" }, ... }
+ * @param {Object} [yearStructure] - Declared structure of each year; its first number field is the value
+ * @returns {Object} { "2024": 1, ... }
+ */
+function flattenFiscalYearBreakdown_(breakdown, yearStructure) {
+  const valueField = yearStructure && typeof yearStructure === 'object' ?
+    Object.keys(yearStructure).find(field => yearStructure[field] === 'number') : undefined;
+  
+  const years = {};
+  Object.entries(breakdown).forEach(([year, yearData]) => {
+    if (typeof yearData === 'number') {
+      years[year] = yearData;
+    } else if (yearData && valueField && typeof yearData[valueField] === 'number') {
+      years[year] = yearData[valueField];
+    }
+  });
+  return years;
+}
+
+
+/**
+ * Fiscal year of a quarter key
+ * @param {string} quarter - Quarter key such as "Q1 FY26"
+ * @returns {string|null} Four-digit fiscal year ("2026"), or null if the key is not a quarter
+ */
+function quarterToFiscalYear(quarter) {
+  const match = /^Q[1-4] FY(\d{2})$/.exec(String(quarter || '').trim());
+  return match ? '20' + match[1] : null;
+}
+
+
+/**
+ * Flatten the two levels of a Pattern D/E column into one list
+ * @param {Object} jsonData - The parsed JSON data
+ * @param {string} schemaKey - The key from COLUMN_SCHEMAS
+ * @returns {Array} Array of { category, name, value, percentage, fiscalYears } objects
+ * 
+ * @example
+ * getNestedItems(jsonData, 'bicTopProductsPerAgency');
+ * // Returns: [{ category: "DOD", name: "AMAZON WEB SERVICES ...", value: 70519297.15, ... }, ...]
+ */
+function getNestedItems(jsonData, schemaKey) {
+  const result = [];
+  getCategories(jsonData, schemaKey).forEach(category => {
+    (category.items || []).forEach(item => {
+      result.push(Object.assign({ category: category.name }, item));
+    });
+  });
+  return result;
+}
+
+
+/**
+ * Total the second-level items of a Pattern D/E column across categories,
+ * e.g. AI products across all fiscal years or BIC products across agencies
+ * @param {Object} jsonData - The parsed JSON data
+ * @param {string} schemaKey - The key from COLUMN_SCHEMAS
+ * @param {number} [n=10] - Number of top items to return
+ * @returns {Array} Array of { name, value, fiscalYears, categories } sorted by value descending
+ */
+function getNestedItemTotals(jsonData, schemaKey, n = 10) {
+  const totals = {};
+  getNestedItems(jsonData, schemaKey).forEach(item => {
+    if (item.name === undefined) return;
+    const name = String(item.name).trim();
+    if (!totals[name]) {
+      totals[name] = { name: name, value: 0, fiscalYears: {}, categories: [] };
+    }
+    const total = totals[name];
+    total.value += item.value || 0;
+    Object.entries(item.fiscalYears || {}).forEach(([year, value]) => {
+      total.fiscalYears[year] = (total.fiscalYears[year] || 0) + (value || 0);
+    });
+    if (!total.categories.includes(item.category)) total.categories.push(item.category);
+  });
+  
+  return Object.values(totals)
+    .sort((a, b) => b.value - a.value)
+    .slice(0, n);
+}
+
+
 /**
  * Get a specific category's data by name
  * @param {Object} jsonData - The parsed JSON data
@@ -3060,6 +3328,143 @@ function detectSchema(jsonData) {
 }
 
 
+// ============================================================================
+// SECTION 4B: NORMALIZATION - Smooth over known quirks before extraction
+// ============================================================================
+
+/**
+ * Path segment for a key in the '*' / '[]' path notation used by COLUMN_SCHEMAS aliases:
+ * category names, fiscal years, quarters and other value keys become '*'
+ * @param {string} schemaKey - The key from COLUMN_SCHEMAS
+ * @param {string} parentPath - Path of the object holding the key ('' for the root)
+ * @param {string} key - The key
+ * @returns {string} '*' or the key itself
+ *
+ * @example
+ * jsonPathSegment('fasOem', 'top_10_oem_summaries', 'Microsoft')  // "*"
+ * jsonPathSegment('fasOem', 'top_10_oem_summaries.*', 'total')     // "total"
+ */
+function jsonPathSegment(schemaKey, parentPath, key) {
+  const schema = COLUMN_SCHEMAS[schemaKey] || {};
+  const dynamicPaths = [schema.categoriesPath, schema.timeSeriesPath]
+    .concat(schema.dynamicKeyPaths || [])
+    .filter(Boolean);
+  const dynamic = dynamicPaths.includes(parentPath) ||
+    FISCAL_YEAR_KEY_PATTERN.test(key) || QUARTER_KEY_PATTERN.test(key);
+  return dynamic ? '*' : key;
+}
+
+
+/**
+ * Normalize parsed JSON so consumers need no special cases for the quirks listed in
+ * QUICK_REFERENCE.gotchas. Returns a new object:
+ * - keys are trimmed (' product' becomes 'product')
+ * - keys listed in schema.aliases are renamed to the documented key
+ * - percentage strings ("66.89%") become numbers (66.89)
+ * - fiscal year maps of amounts gain the record's missing years as explicit nulls (maps of
+ *   records such as fiscal_year_tiers and the categories of Pattern D are left alone)
+ * - every category item carries 'total', copied from itemValueField when that differs
+ * Normalizing twice gives the same result. Validators expect the raw format, so run them
+ * on the cell value, not on normalized data.
+ * @param {Object} jsonData - The parsed JSON data
+ * @param {string} schemaKey - The key from COLUMN_SCHEMAS
+ * @returns {Object} Normalized copy of jsonData
+ *
+ * @example
+ * normalizeJsonData({ top_10_oem_summaries: { Dell: { total: 5, percentage_of_total: "12.50%" } } }, 'fasOem')
+ * // { top_10_oem_summaries: { Dell: { total_obligations: 5, percentage_of_total: 12.5, total: 5 } } }
+ */
+function normalizeJsonData(jsonData, schemaKey) {
+  const schema = COLUMN_SCHEMAS[schemaKey];
+  if (!schema || !jsonData || typeof jsonData !== 'object') return jsonData;
+
+  const years = new Set(schema.fiscalYearFields || []);
+  collectFiscalYears_(jsonData, years);
+
+  const context = {
+    schemaKey: schemaKey,
+    schema: schema,
+    fiscalYears: Array.from(years).sort()
+  };
+  return normalizeJsonNode_(jsonData, '', context);
+}
+
+
+/**
+ * Add every fiscal year key found in a JSON value to a set
+ * @private
+ * @param {*} node - JSON value
+ * @param {Set<string>} years - Set to add to
+ */
+function collectFiscalYears_(node, years) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach(element => collectFiscalYears_(element, years));
+    return;
+  }
+  Object.keys(node).forEach(key => {
+    const trimmed = key.trim();
+    if (FISCAL_YEAR_KEY_PATTERN.test(trimmed)) years.add(trimmed);
+    collectFiscalYears_(node[key], years);
+  });
+}
+
+
+/**
+ * Normalize one JSON value (see normalizeJsonData)
+ * @private
+ * @param {*} node - JSON value
+ * @param {string} path - Path of the value in '*' / '[]' notation
+ * @param {Object} context - { schemaKey, schema, fiscalYears }
+ * @returns {*} Normalized value
+ */
+function normalizeJsonNode_(node, path, context) {
+  if (typeof node === 'string') {
+    return PERCENTAGE_STRING_PATTERN.test(node.trim()) ? parseFloat(node) : node;
+  }
+  if (!node || typeof node !== 'object') return node;
+  if (Array.isArray(node)) {
+    return node.map(element => normalizeJsonNode_(element, path + '[]', context));
+  }
+
+  const schema = context.schema;
+  const aliases = (schema.aliases && schema.aliases[path]) || {};
+  const result = {};
+
+  Object.keys(node).forEach(rawKey => {
+    const trimmed = rawKey.trim();
+    const alias = aliases[trimmed];
+    // The documented key wins when a record carries both spellings
+    const key = alias && node[alias] === undefined ? alias : trimmed;
+    if (result[key] !== undefined && key !== rawKey) return;
+
+    const segment = jsonPathSegment(context.schemaKey, path, key);
+    result[key] = normalizeJsonNode_(node[rawKey], path ? `${path}.${segment}` : segment, context);
+  });
+
+  const keys = Object.keys(result);
+  // Only maps of amounts are padded: consumers of year -> record maps (fiscal_year_tiers)
+  // read fields off every value
+  const isFiscalYearMap = path !== schema.categoriesPath &&
+    (path === schema.timeSeriesPath || keys.length > 0) &&
+    keys.every(key => FISCAL_YEAR_KEY_PATTERN.test(key) && (result[key] === null || typeof result[key] === 'number'));
+  if (isFiscalYearMap) {
+    context.fiscalYears.forEach(year => {
+      if (result[year] === undefined) result[year] = null;
+    });
+  }
+
+  const isCategoryItem = schema.categoriesPath &&
+    (path === `${schema.categoriesPath}.*` || path === `${schema.categoriesPath}[]`);
+  if (isCategoryItem && schema.itemValueField && result.total === undefined &&
+      result[schema.itemValueField] !== undefined) {
+    result.total = result[schema.itemValueField];
+  }
+
+  return result;
+}
+
+
 // ============================================================================
 // SECTION 5: VALIDATION_FUNCTIONS
 // ============================================================================
@@ -3128,6 +3533,210 @@ function validateJsonStructure(jsonData, schemaKey) {
 }
 
 
+/** Percentages are strings with a % symbol (see QUICK_REFERENCE.gotchas.percentageFormat) */
+const PERCENTAGE_STRING_PATTERN = /^-?\d+(\.\d+)?%$/;
+const FISCAL_YEAR_KEY_PATTERN = /^\d{4}$/;
+const QUARTER_KEY_PATTERN = /^Q[1-4] FY\d{2}$/;
+
+
+/**
+ * Deep validation: everything validateJsonStructure checks, plus the declared type of
+ * every field in every category or array item (itemStructure, nestedItemStructure,
+ * nestedArrayItemStructure), fiscal year and quarter keys, percentage string formats
+ * and negative values. Errors carry the full path to the offending value.
+ * @param {Object} jsonData - The parsed JSON data
+ * @param {string} schemaKey - The key from COLUMN_SCHEMAS
+ * @returns {Object} { isValid: boolean, errors: string[], warnings: string[] }
+ *
+ * @example
+ * validateJsonDeep(json, 'bicReseller').errors
+ * // ["top_15_resellers[3].fiscal_year_breakdown.2024.total_sales: expected number, got string"]
+ */
+function validateJsonDeep(jsonData, schemaKey) {
+  const result = validateJsonStructure(jsonData, schemaKey);
+  const schema = COLUMN_SCHEMAS[schemaKey];
+  if (!schema || !jsonData || typeof jsonData !== 'object') return result;
+
+  const context = { schema: schema, errors: result.errors, warnings: result.warnings };
+
+  // Time series at the root (fiscal_year_obligations, yearly_totals, fiscal_year_tiers)
+  if (schema.timeSeriesPath) {
+    const series = getNestedValue(jsonData, schema.timeSeriesPath);
+    if (series !== undefined) {
+      validateFiscalYearMap_(series, schema.timeSeriesPath, schema.timeSeriesItemStructure || 'number', context);
+    }
+  }
+
+  // Every category or array item
+  if (schema.categoriesPath && schema.itemStructure) {
+    const categories = getNestedValue(jsonData, schema.categoriesPath);
+    if (schema.categoryValueType === 'array' && Array.isArray(categories)) {
+      categories.forEach((item, i) => {
+        validateItem_(item, `${schema.categoriesPath}[${i}]`, schema.itemStructure, context, false);
+      });
+    } else if (schema.categoryValueType === 'object_map' && describeJsonType_(categories) === 'object') {
+      Object.entries(categories).forEach(([key, item]) => {
+        validateCategoryKey_(key, `${schema.categoriesPath}.${key}`, context);
+        validateItem_(item, `${schema.categoriesPath}.${key}`, schema.itemStructure, context, false);
+      });
+    }
+  }
+
+  result.isValid = result.errors.length === 0;
+  return result;
+}
+
+
+/**
+ * Check an item against a structure declaration, recursing into fiscal-year maps and arrays
+ * @private
+ * @param {*} item - Value expected to be an object
+ * @param {string} path - Path of the item, for messages
+ * @param {Object} structure - Field name -> type name or fiscal-year structure
+ * @param {Object} context - { schema, errors, warnings }
+ * @param {boolean} inFiscalYear - Whether the item is one fiscal year of a breakdown
+ */
+function validateItem_(item, path, structure, context, inFiscalYear) {
+  const actualType = describeJsonType_(item);
+  if (actualType !== 'object') {
+    context.errors.push(`${path}: expected object, got ${actualType}`);
+    return;
+  }
+
+  Object.entries(structure).forEach(([field, expected]) => {
+    const fieldPath = `${path}.${field}`;
+    const value = item[field];
+    const expectedName = typeof expected === 'string' ? expected : 'object';
+
+    if (value === undefined) {
+      // Column O: ' product' with a leading space in some records
+      if (item[' ' + field] !== undefined) {
+        context.warnings.push(`${fieldPath}: found as '${' ' + field}' with a leading space`);
+      } else {
+        context.errors.push(`${fieldPath}: missing, expected ${expectedName}`);
+      }
+      return;
+    }
+
+    if (typeof expected === 'object') {
+      const yearStructure = Object.keys(expected).length > 0 ? expected : context.schema.nestedItemStructure;
+      validateFiscalYearMap_(value, fieldPath, yearStructure || 'object', context);
+    } else if (expected === 'object' && field === 'fiscal_years') {
+      validateFiscalYearMap_(value, fieldPath, 'number', context);
+    } else if (expected === 'array' && Array.isArray(value) && context.schema.nestedArrayItemStructure) {
+      value.forEach((element, i) => {
+        validateItem_(element, `${fieldPath}[${i}]`, context.schema.nestedArrayItemStructure, context, inFiscalYear);
+      });
+    } else {
+      validateJsonValue_(value, fieldPath, expected, field, context, inFiscalYear);
+    }
+  });
+}
+
+
+/**
+ * Check a map keyed by fiscal year
+ * @private
+ * @param {*} map - Value expected to be { "2024": ..., ... }
+ * @param {string} path - Path of the map, for messages
+ * @param {string|Object} valueStructure - Type name or structure of each year's value
+ * @param {Object} context - { schema, errors, warnings }
+ */
+function validateFiscalYearMap_(map, path, valueStructure, context) {
+  const actualType = describeJsonType_(map);
+  if (actualType !== 'object') {
+    context.errors.push(`${path}: expected object, got ${actualType}`);
+    return;
+  }
+
+  Object.entries(map).forEach(([year, value]) => {
+    const yearPath = `${path}.${year}`;
+    if (!FISCAL_YEAR_KEY_PATTERN.test(year)) {
+      context.errors.push(`${yearPath}: expected a fiscal year key like "2024"`);
+      return;
+    }
+    if (context.schema.fiscalYearFields && !context.schema.fiscalYearFields.includes(year)) {
+      context.warnings.push(`${yearPath}: fiscal year not in fiscalYearFields`);
+    }
+
+    if (typeof valueStructure === 'string') {
+      validateJsonValue_(value, yearPath, valueStructure, year, context, true);
+    } else {
+      validateItem_(value, yearPath, valueStructure, context, true);
+    }
+  });
+}
+
+
+/**
+ * Check a category key: fiscal years for Pattern D year summaries, quarters for
+ * expiration breakdowns
+ * @private
+ * @param {string} key - Category key
+ * @param {string} path - Path of the category, for messages
+ * @param {Object} context - { schema, errors, warnings }
+ */
+function validateCategoryKey_(key, path, context) {
+  const schema = context.schema;
+
+  if (schema.categoryKeyType === 'fiscal_year') {
+    if (!FISCAL_YEAR_KEY_PATTERN.test(key)) {
+      context.errors.push(`${path}: expected a fiscal year key like "2024"`);
+    } else if (schema.fiscalYearFields && !schema.fiscalYearFields.includes(key)) {
+      context.warnings.push(`${path}: fiscal year not in fiscalYearFields`);
+    }
+  } else if (schema.categoryKeyType === 'quarter') {
+    if (!QUARTER_KEY_PATTERN.test(key)) {
+      context.errors.push(`${path}: expected a quarter key like "Q1 FY26"`);
+    } else if (schema.knownQuarters && !schema.knownQuarters.includes(key)) {
+      context.warnings.push(`${path}: quarter not in knownQuarters`);
+    }
+  }
+}
+
+
+/**
+ * Check a leaf value's type, percentage format and sign
+ * @private
+ * @param {*} value - The value
+ * @param {string} path - Path of the value, for messages
+ * @param {string} expected - 'number', 'string', 'object' or 'array'
+ * @param {string} field - Field name (percentage fields are format-checked)
+ * @param {Object} context - { schema, errors, warnings }
+ * @param {boolean} inFiscalYear - Negative values are expected inside fiscal year breakdowns
+ */
+function validateJsonValue_(value, path, expected, field, context, inFiscalYear) {
+  const actualType = describeJsonType_(value);
+  if (actualType !== expected) {
+    context.errors.push(`${path}: expected ${expected}, got ${actualType}`);
+    return;
+  }
+
+  if (expected === 'number') {
+    if (!isFinite(value)) {
+      context.errors.push(`${path}: expected a finite number, got ${value}`);
+    } else if (value < 0 && !inFiscalYear) {
+      context.warnings.push(`${path}: negative value ${value} outside a fiscal year breakdown`);
+    }
+  } else if (expected === 'string' && field.includes('percentage') && !PERCENTAGE_STRING_PATTERN.test(value)) {
+    context.errors.push(`${path}: expected a percentage string like "12.34%", got "${value}"`);
+  }
+}
+
+
+/**
+ * JSON type name of a value, distinguishing array and null from object
+ * @private
+ * @param {*} value - The value
+ * @returns {string} 'array', 'null', 'object', 'number', 'string', 'boolean' or 'undefined'
+ */
+function describeJsonType_(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+
 /**
  * Validate JSON string and parse it
  * @param {string} jsonString - The JSON string to validate and parse
@@ -3155,19 +3764,36 @@ function parseAndValidateJson(jsonString) {
 /**
  * Get validation report for all JSON columns in a row
  * @param {Array} rowData - Array of cell values from a sheet row
+ * @param {Object} [columnMapping] - Mapping from buildColumnMapping; without it the
+ *                                   documented columnIndex positions are assumed
+ * @param {boolean} [deep=false] - Use validateJsonDeep instead of validateJsonStructure
  * @returns {Object} Map of column letters to validation results
  */
-function validateRowJsonColumns(rowData) {
+function validateRowJsonColumns(rowData, columnMapping, deep = false) {
   const results = {};
   
+  // Live column index by schema key, when the sheet layout is known
+  const liveIndex = {};
+  if (columnMapping) {
+    Object.entries(JSON_FIELD_DEFINITIONS).forEach(([field, def]) => {
+      if (columnMapping.columns[field] !== undefined) {
+        liveIndex[def.schemaKey] = columnMapping.columns[field];
+      }
+    });
+  }
+  
   Object.entries(COLUMN_INDEX_MAP).forEach(([key, schemaKey]) => {
     // Skip numeric keys (they're duplicates of letter keys)
     if (!isNaN(key)) return;
     
     const schema = COLUMN_SCHEMAS[schemaKey];
-    const cellValue = rowData[schema.columnIndex];
+    if (columnMapping && liveIndex[schemaKey] === undefined) {
+      results[key] = { status: 'missing_column', schemaKey: schemaKey };
+      return;
+    }
+    const cellValue = rowData[columnMapping ? liveIndex[schemaKey] : schema.columnIndex];
     
-    if (!cellValue || cellValue.trim() === '') {
+    if (!cellValue || String(cellValue).trim() === '') {
       results[key] = { status: 'empty', schemaKey: schemaKey };
       return;
     }
@@ -3178,7 +3804,9 @@ function validateRowJsonColumns(rowData) {
       return;
     }
     
-    const validationResult = validateJsonStructure(parseResult.data, schemaKey);
+    const validationResult = deep ?
+      validateJsonDeep(parseResult.data, schemaKey) :
+      validateJsonStructure(parseResult.data, schemaKey);
     results[key] = {
       status: validationResult.isValid ? 'valid' : 'invalid',
       errors: validationResult.errors,
@@ -3368,6 +3996,11 @@ const QUICK_REFERENCE = {
       // Get all categories as normalized array
       const categories = getCategories(json, 'contractVehicle');
       
+      // Patterns D/E: year -> product, agency -> product
+      const productsByYear = getCategories(json, 'aiProduct');       // [{ name: '2024', items: [...] }]
+      const agencyProducts = getNestedItems(json, 'bicTopProductsPerAgency');
+      const topAIProducts = getNestedItemTotals(json, 'aiProduct', 5);
+      
       // Get fiscal year data
       const fyData = getFiscalYearData(json, 'obligations');
       
@@ -3377,6 +4010,9 @@ const QUICK_REFERENCE = {
       // Auto-detect schema
       const schemaKey = detectSchema(json);
       
+      // Path-precise type check of every item
+      const { errors } = validateJsonDeep(json, schemaKey);
+      
       // Full normalized extraction
       const normalized = extractNormalizedData(json, 'smallBusiness');
     `
@@ -3391,7 +4027,8 @@ const QUICK_REFERENCE = {
     negativeValues: "Some fiscal year values can be negative (e.g., contract deobligations)",
     missingYears: "Not all fiscal years are present in every record - check for undefined",
     percentageFormat: "Percentages are strings with % symbol (e.g., '66.89%') - parse with parseFloat()",
-    emptyCategories: "Some columns may have empty categories arrays if no data exists"
+    emptyCategories: "Some columns may have empty categories arrays if no data exists",
+    normalizedData: "OneGovDataManager.parseJSON runs normalizeJsonData: keys trimmed, schema aliases applied, percentages as numbers, missing fiscal years as null, 'total' on every category item"
   }
 };
 
@@ -3405,27 +4042,39 @@ const QUICK_REFERENCE = {
  * Run this from Apps Script editor to validate setup
  */
 function testJsonStructures() {
-  console.log('=== B01_JSON_STRUCTURES Test ===');
-  console.log(`Total schemas defined: ${Object.keys(COLUMN_SCHEMAS).length}`);
-  console.log(`Columns mapped: ${Object.keys(QUICK_REFERENCE.columnToSchema).join(', ')}`);
+  const logger = createLogger('JsonStructures');
   
   // Test extraction helpers with sample data
   const sampleObligations = COMPLETE_EXAMPLES.obligations;
   const total = getPrimaryValue(sampleObligations, 'obligations');
-  console.log(`Sample obligations total: ${total}`);
-  
   const fyData = getFiscalYearData(sampleObligations, 'obligations');
-  console.log(`Fiscal years: ${Object.keys(fyData).join(', ')}`);
   
   // Test schema detection
   const detected = detectSchema(sampleObligations);
-  console.log(`Detected schema: ${detected}`);
   
   // Test validation
   const validation = validateJsonStructure(sampleObligations, 'obligations');
-  console.log(`Validation passed: ${validation.isValid}`);
   
-  console.log('=== Test Complete ===');
+  // Deep validation of every example
+  const examples = Object.assign({}, COMPLETE_EXAMPLES, COMPLETE_EXAMPLES_PART2);
+  const deepProblems = {};
+  Object.entries(examples).forEach(([schemaKey, example]) => {
+    const deepResult = validateJsonDeep(example, schemaKey);
+    if (!deepResult.isValid || deepResult.warnings.length > 0) {
+      deepProblems[schemaKey] = deepResult.errors.concat(deepResult.warnings);
+    }
+  });
+  
+  logger.info('JSON structures checked', {
+    schemas: Object.keys(COLUMN_SCHEMAS).length,
+    columns: Object.keys(QUICK_REFERENCE.columnToSchema),
+    sampleObligationsTotal: total,
+    fiscalYears: Object.keys(fyData),
+    detectedSchema: detected,
+    validationPassed: validation.isValid,
+    examplesChecked: Object.keys(examples).length,
+    deepProblems: deepProblems
+  });
 }
 
 
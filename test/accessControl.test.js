@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Roles from the Permissions sheet and their enforcement (B26)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+function loadRbacProject(options) {
+  const project = loadProject(options);
+  const { spreadsheet } = installFixtureWorkbook(project);
+  spreadsheet.insertSheet('Permissions', [
+    ['Principal', 'Type', 'Role', 'Note'],
+    ['Analyst@Example.gov', '', 'analyst', 'Case does not matter'],
+    ['*@partner.gov', 'user', 'viewer', 'Whole domain'],
+    ['lead@partner.gov', 'user', 'analyst', ''],
+    ['bi-team@example.gov', 'group', 'analyst', ''],
+    ['ops@example.gov', 'group', 'admin', ''],
+    ['typo@example.gov', 'user', 'superuser', 'Not a role, ignored']
+  ]);
+  project.stores.groups['bi-team@example.gov'] = ['member@example.gov'];
+  project.stores.groups['ops@example.gov'] = ['oncall@example.gov'];
+  const as = email => {
+    project.stores.userEmail = email;
+    return project;
+  };
+  return { project, spreadsheet, as };
+}
+
+test('roles come from users, domains and groups in the Permissions sheet', () => {
+  const { project } = loadRbacProject();
+  const role = email => project.call('resolveUserRole_', email);
+
+  assert.equal(role('admin@example.gov'), 'admin', 'ADMIN_EMAILS are always admins');
+  assert.equal(role('analyst@example.gov'), 'analyst');
+  assert.equal(role('someone@partner.gov'), 'viewer');
+  assert.equal(role('lead@partner.gov'), 'analyst', 'the highest matching row wins');
+  assert.equal(role('member@example.gov'), 'analyst');
+  assert.equal(role('oncall@example.gov'), 'admin');
+  assert.equal(role('typo@example.gov'), null);
+  assert.equal(role('stranger@elsewhere.gov'), null);
+
+  project.stores.userEmail = 'analyst@example.gov';
+  assert.equal(project.call('hasRole', 'viewer'), true);
+  assert.equal(project.call('hasRole', 'admin'), false);
+  assert.equal(project.call('getUserRole', 'admin@example.gov'), 'analyst', 'pages cannot ask about other users');
+});
+
+test('DEFAULT_ROLE applies to users no row matches', () => {
+  const { project } = loadRbacProject({ properties: { DEFAULT_ROLE: 'Viewer' } });
+
+  assert.equal(project.call('resolveUserRole_', 'stranger@elsewhere.gov'), 'viewer');
+  assert.equal(project.call('resolveUserRole_', 'analyst@example.gov'), 'analyst');
+});
+
+test('server functions refuse users below the role they need', () => {
+  const { as } = loadRbacProject();
+
+  const viewer = as('someone@partner.gov');
+  assert.equal(viewer.plain(viewer.call('getEntities', 'agency')).data.length, 3);
+  assert.throws(() => viewer.call('getReportBuilderData'), error =>
+    error.name === 'AccessDeniedError' &&
+    error.message === 'Access denied: getReportBuilderData needs the analyst role (you are viewer)');
+  assert.throws(() => as('stranger@elsewhere.gov').call('searchEntities', 'Fixture'), /you have no access/);
+
+  const analyst = as('analyst@example.gov');
+  assert.doesNotThrow(() => analyst.call('getReportBuilderData'));
+  assert.throws(() => analyst.call('refreshDataCache'), /refreshDataCache needs the admin role/);
+  assert.throws(() => analyst.call('getConfigSummary'), /getConfigSummary needs the admin role/);
+  assert.equal(analyst.plain(analyst.call('runDataQualityAudit')).error, 'Only admins can run the data quality audit');
+
+  const admin = as('oncall@example.gov');
+  assert.equal(admin.plain(admin.call('refreshDataCache')).success, true);
+  assert.equal(admin.plain(admin.call('getCurrentUser')).role, 'admin');
+});
+
+test('pages show an access denied page instead of views the user may not open', () => {
+  const { as } = loadRbacProject();
+  const page = (project, name) => project.call('doGet', { parameter: name ? { page: name } : {} }).getContent();
+
+  const viewer = as('someone@partner.gov');
+  assert.doesNotMatch(page(viewer), /Access denied/);
+  assert.match(page(viewer, 'reportbuilder'), /needs the analyst role, which someone@partner\.gov does not have/);
+  assert.doesNotMatch(page(as('lead@partner.gov'), 'reportbuilder'), /Access denied/);
+  assert.match(page(as('member@example.gov'), 'dataquality'), /needs the admin role/);
+  assert.match(page(as('stranger@elsewhere.gov')), /Access denied/);
+});
+
+test('API keys carry a role that limits routes and batch operations', () => {
+  const { project } = loadRbacProject();
+  const viewerKey = project.plain(project.call('issueApiKey', 'Dashboard embed', { role: 'viewer' })).data;
+  assert.equal(viewerKey.role, 'viewer');
+  assert.match(project.plain(project.call('issueApiKey', 'Too much', { role: 'admin' })).error, /role/);
+
+  const get = pathInfo => project.call('doGet', { pathInfo: pathInfo, parameter: { key: viewerKey.key } }).json();
+  assert.equal(get('api/v1/entities').success, true);
+  const refused = get('api/v1/cache');
+  assert.deepEqual([refused.status, refused.error.code], [403, 'FORBIDDEN']);
+  assert.deepEqual(refused.error.details, { requiredRole: 'analyst', role: 'viewer' });
+  assert.ok(get('api/v1').data.endpoints.every(endpoint => endpoint.role));
+
+  const batch = project.call('doPost', {
+    parameter: { key: viewerKey.key },
+    postData: { contents: JSON.stringify({ operations: [{ op: 'getEntities', params: { entityType: 'oem' } }, { op: 'getCacheStatus' }] }) }
+  }).json();
+  assert.deepEqual(batch.data.map(result => result.status), [200, 403]);
+
+  const action = project.call('doGet', { parameter: { action: 'exportReport', reportData: '{}', key: viewerKey.key } }).json();
+  assert.match(action.error, /exportReport needs the analyst role/);
+});
+
+test('refreshPermissions makes sheet edits apply at once', () => {
+  const { project, spreadsheet, as } = loadRbacProject();
+  assert.equal(project.call('resolveUserRole_', 'newcomer@example.gov'), null);
+
+  spreadsheet.getSheetByName('Permissions').appendRow(['newcomer@example.gov', 'user', 'viewer', '']);
+  assert.equal(project.call('resolveUserRole_', 'newcomer@example.gov'), null, 'still cached');
+
+  assert.equal(project.plain(project.call('refreshPermissions')).success, true);
+  assert.equal(project.call('resolveUserRole_', 'newcomer@example.gov'), 'viewer');
+
+  const analyst = as('analyst@example.gov');
+  assert.equal(analyst.plain(analyst.call('refreshPermissions')).error, 'Only admins can manage permissions');
+  assert.equal(analyst.plain(analyst.call('setupPermissionsSheet')).error, 'Only admins can manage permissions');
+});
+
+test('admin actions guarded with isConfigAdmin refuse other roles with a failed response', () => {
+  const { as } = loadRbacProject();
+  const adminActions = fs.readdirSync(PROJECT_ROOT).filter(file => /^B\d+_.*\.js$/.test(file))
+    .flatMap(file => fs.readFileSync(path.join(PROJECT_ROOT, file), 'utf8').split(/\nfunction /).slice(1))
+    .filter(source => /^\s*(try \{\s*)?if \(!isConfigAdmin\(\)\)/.test(source.substring(source.indexOf('{') + 1)))
+    .map(source => source.substring(0, source.indexOf('(')));
+  assert.ok(adminActions.length >= 20, adminActions.join(', '));
+
+  const analyst = as('analyst@example.gov');
+  adminActions.forEach(name => {
+    const response = analyst.plain(analyst.call(name));
+    assert.equal(response.success, false, name);
+    assert.match(response.error, /^Only admins can /, name);
+  });
+});
+
+test('data helpers are private and trigger handlers only run for their trigger or an admin', () => {
+  const { project, as } = loadRbacProject();
+  ['auditWorkbookDataQuality', 'writeDataQualitySheet', 'detectSchemaDrift', 'writeSchemaDriftSheet',
+    'recordDataSnapshot', 'readDataSnapshot', 'getSnapshotStore', 'getEntityIdAliases', 'recordAuditEvent',
+    'recordAdminAction', 'getAppConfig', 'getSpreadsheetId', 'generateFixtureBundle', 'openFixtureBundle',
+    'loadFixtureBundleSpreadsheet'].forEach(name => {
+    assert.equal(project.run(`typeof ${name}`), 'undefined', `${name} is not callable from the pages`);
+  });
+
+  project.call('installSchemaDriftTrigger');
+  const trigger = project.stores.triggers.find(entry => entry.handler === 'runScheduledSchemaDrift');
+  const viewer = as('someone@partner.gov');
+  assert.match(viewer.plain(viewer.call('runScheduledSchemaDrift')).error, /runScheduledSchemaDrift needs the admin role/);
+  assert.match(viewer.plain(viewer.call('runScheduledSchemaDrift', { triggerUid: 'guessed' })).error, /needs the admin role/);
+  assert.match(viewer.plain(viewer.call('runScheduledSnapshot')).error, /needs the admin role/);
+  assert.match(viewer.plain(viewer.call('runScheduledAuditMaintenance')).error, /needs the admin role/);
+  assert.equal(viewer.plain(viewer.call('runScheduledSchemaDrift', { triggerUid: trigger.getUniqueId() })).recorded, true);
+});
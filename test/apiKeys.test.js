@@ -0,0 +1,155 @@
+/**
+ * @fileoverview API keys, daily quotas and usage logging (B25)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+function loadKeyProject() {
+  const project = loadProject();
+  installFixtureWorkbook(project);
+  const get = (pathInfo, parameter) => project.call('doGet', { pathInfo: pathInfo, parameter: parameter || {} }).json();
+  const issue = (name, options) => project.plain(project.call('issueApiKey', name, options));
+  return { project, get, issue };
+}
+
+test('issues keys that are shown once and stored only as a hash', () => {
+  const { project, issue } = loadKeyProject();
+
+  const issued = issue('BI team', { dailyQuota: 250 });
+  assert.equal(issued.success, true, issued.error);
+  assert.match(issued.data.key, /^ogk_[0-9a-f]{12}_[0-9a-f]{32}$/);
+  assert.equal(issued.data.dailyQuota, 250);
+
+  const stored = project.stores.scriptProperties[`API_KEY_${issued.data.keyId.toUpperCase()}`];
+  const secret = issued.data.key.split('_')[2];
+  assert.ok(stored);
+  assert.equal(stored.includes(secret), false);
+
+  const listed = project.plain(project.call('listApiKeys')).data;
+  assert.deepEqual(listed.map(key => key.name), ['BI team']);
+  assert.equal(listed[0].hash, undefined);
+  assert.equal(listed[0].createdBy, 'admin@example.gov');
+
+  assert.equal(issue('').error, 'A client name is required');
+  assert.match(issue('Bad quota', { dailyQuota: -5 }).error, /non-negative integer/);
+});
+
+test('API routes and actions refuse missing, unknown and revoked keys', () => {
+  const { project, get, issue } = loadKeyProject();
+
+  const missing = get('api/v1/entities');
+  assert.deepEqual([missing.status, missing.error.code], [401, 'UNAUTHORIZED']);
+
+  const issued = issue('Partner script').data;
+  const forged = issued.key.slice(0, -4) + '0000';
+  assert.equal(get('api/v1/entities', { key: forged }).error.message, 'Invalid API key');
+  assert.equal(get('api/v1/entities', { key: 'not-a-key' }).error.code, 'UNAUTHORIZED');
+  assert.equal(get('api/v1/entities', { key: issued.key }).success, true);
+
+  const action = project.call('doGet', { parameter: { action: 'getEntities', entityType: 'oem' } }).json();
+  assert.deepEqual([action.success, action.error], [false, 'An API key is required (parameter key)']);
+  const keyed = project.call('doGet', { parameter: { action: 'getEntities', entityType: 'oem', key: issued.key } }).json();
+  assert.equal(keyed.data.length, 3);
+
+  assert.equal(project.plain(project.call('revokeApiKey', issued.keyId)).success, true);
+  const revoked = get('api/v1/entities', { key: issued.key });
+  assert.deepEqual([revoked.status, revoked.error.message], [401, 'API key has been revoked']);
+
+  // Pages stay open; only data calls need a key
+  assert.match(project.call('doGet', { parameter: {} }).getContent(), /<html|<!DOCTYPE/i);
+});
+
+test('daily quotas cut a key off until the next UTC day', () => {
+  const { project, get, issue } = loadKeyProject();
+  const issued = issue('Noisy script', { dailyQuota: 2 }).data;
+
+  assert.equal(get('api/v1/cache', { key: issued.key }).meta.quota.remaining, 1);
+  assert.equal(get('api/v1/entities/oem_duns-oem001', { key: issued.key }).meta.quota.remaining, 0);
+  const over = get('api/v1/cache', { key: issued.key });
+  assert.deepEqual([over.status, over.error.code], [429, 'QUOTA_EXCEEDED']);
+  assert.deepEqual(over.error.details, { dailyQuota: 2 });
+
+  // Move today's usage to yesterday: the quota starts over
+  const property = `API_USAGE_${issued.keyId.toUpperCase()}`;
+  const usage = JSON.parse(project.stores.scriptProperties[property]);
+  const today = Object.keys(usage.days)[0];
+  usage.days['2000-01-01'] = usage.days[today];
+  delete usage.days[today];
+  project.stores.scriptProperties[property] = JSON.stringify(usage);
+  assert.equal(get('api/v1/cache', { key: issued.key }).success, true);
+
+  assert.equal(project.plain(project.call('setApiKeyQuota', issued.keyId, 0)).data.dailyQuota, 0);
+  assert.equal(get('api/v1/cache', { key: issued.key }).error.code, 'QUOTA_EXCEEDED');
+});
+
+test('usage is logged per key, day and endpoint', () => {
+  const { project, get, issue } = loadKeyProject();
+  const first = issue('First').data;
+  const second = issue('Second').data;
+
+  get('api/v1/entities', { key: first.key });
+  get('api/v1/entities', { key: first.key });
+  get('api/v1/entities/agency_code-agency001', { key: first.key });
+  project.call('doGet', { parameter: { action: 'getAnalytics', key: first.key } });
+  get('api/v1/cache', { key: second.key });
+
+  const usage = project.plain(project.call('getApiKeyUsage', first.keyId)).data;
+  assert.equal(usage.days.length, 1);
+  assert.equal(usage.days[0].requests, 4);
+  assert.deepEqual(usage.days[0].endpoints, {
+    'GET /api/v1/entities': 2,
+    'GET /api/v1/entities/:id': 1,
+    'GET ?action=getAnalytics': 1
+  });
+  assert.ok(usage.lastUsedAt);
+
+  const listed = project.plain(project.call('listApiKeys')).data;
+  const counts = Object.fromEntries(listed.map(key => [key.name, key.requestsToday]));
+  assert.deepEqual(counts, { First: 4, Second: 1 });
+});
+
+test('the usage record is capped so it fits in a script property', () => {
+  const { project, get, issue } = loadKeyProject();
+  const issued = issue('Busy').data;
+  const property = `API_USAGE_${issued.keyId.toUpperCase()}`;
+  const today = new Date().toISOString().substring(0, 10);
+
+  // 40 days of history, each with far more endpoints than are kept
+  const days = {};
+  for (let i = 0; i < 40; i++) {
+    const endpoints = {};
+    for (let j = 0; j < 30; j++) endpoints[`GET /api/v1/route-number-${j}`] = j + 1;
+    days[new Date(Date.parse(today) - i * 86400000).toISOString().substring(0, 10)] =
+      { requests: 500, rejected: 0, endpoints: i === 0 ? {} : endpoints };
+  }
+  for (let j = 0; j < 20; j++) days[today].endpoints[`GET /api/v1/route-number-${j}`] = 1;
+  project.stores.scriptProperties[property] = JSON.stringify({ lastUsedAt: null, days: days });
+
+  get('api/v1/cache', { key: issued.key });
+
+  const stored = project.stores.scriptProperties[property];
+  assert.ok(stored.length <= 8000, `${stored.length} chars`);
+  const usage = project.plain(project.call('getApiKeyUsage', issued.keyId)).data;
+  assert.equal(usage.days[0].date, today);
+  assert.equal(usage.days[0].requests, 501);
+  assert.equal(usage.days[0].endpoints['(other)'], 1);
+  assert.equal(usage.days[0].endpoints['GET /api/v1/cache'], undefined);
+  assert.ok(usage.days.length <= 30);
+  assert.ok(usage.days.slice(7).every(day => day.endpoints === undefined));
+});
+
+test('only admins can manage keys', () => {
+  const project = loadProject({ userEmail: 'analyst@example.gov' });
+  const refusal = 'Only admins can manage API keys';
+
+  assert.equal(project.plain(project.call('issueApiKey', 'Mine')).error, refusal);
+  assert.equal(project.plain(project.call('listApiKeys')).error, refusal);
+  assert.equal(project.plain(project.call('revokeApiKey', 'abc')).error, refusal);
+  assert.equal(project.plain(project.call('setApiKeyQuota', 'abc', 5)).error, refusal);
+  assert.equal(project.plain(project.call('getApiKeyUsage', 'abc')).error, refusal);
+});
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Audit log of views, exports, filters and admin actions (B28)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+function loadAuditProject(options) {
+  const project = loadProject(options);
+  const { spreadsheet } = installFixtureWorkbook(project);
+  spreadsheet.insertSheet('Permissions', [
+    ['Principal', 'Type', 'Role', 'Note'],
+    ['analyst@example.gov', 'user', 'analyst', ''],
+    ['*@example.gov', 'user', 'viewer', '']
+  ]);
+  const as = email => {
+    project.stores.userEmail = email;
+    return project;
+  };
+  const logRows = () => {
+    const sheet = spreadsheet.getSheetByName('Audit Log');
+    return sheet ? project.plain(sheet.getDataRange().getValues()).slice(1) : [];
+  };
+  const buffered = () => JSON.parse(project.stores.scriptProperties.AUDIT_BUFFER || '[]');
+  return { project, spreadsheet, as, logRows, buffered };
+}
+
+test('events are buffered and written to the log sheet in batches', () => {
+  const { project, as, logRows, buffered } = loadAuditProject();
+  const viewer = as('someone@example.gov');
+
+  assert.equal(viewer.call('logVisitorActivity', 'oemTab'), true);
+  assert.equal(logRows().length, 0, 'not written yet');
+  assert.deepEqual(buffered()[0].slice(1, 5), ['someone@example.gov', 'viewer', 'view', 'oemTab']);
+
+  for (let i = 1; i < project.get('AUDIT_BATCH_SIZE'); i++) viewer.call('logVisitorActivity', `tab${i}`);
+  assert.equal(logRows().length, project.get('AUDIT_BATCH_SIZE'));
+  assert.deepEqual(buffered(), []);
+
+  viewer.call('logVisitorActivity', 'late');
+  const admin = as('admin@example.gov');
+  assert.deepEqual(admin.plain(admin.call('flushAuditLog')).data, { written: 1 });
+  assert.equal(logRows().length, project.get('AUDIT_BATCH_SIZE') + 1);
+  assert.equal(as('someone@example.gov').plain(project.call('flushAuditLog')).error, 'Only admins can manage the audit log');
+});
+
+test('views, entity views, exports, filters and admin actions are recorded', () => {
+  const { project, as, logRows } = loadAuditProject();
+
+  const viewer = as('someone@example.gov');
+  viewer.call('doGet', { parameter: {} });
+  viewer.call('logVisitorActivity', 'entityDetail', { entityId: 'oem_duns-oem001', entityName: 'Fixture OEM 1', entityType: 'oem' });
+  viewer.call('getAgencyDetails', viewer.plain(viewer.call('getEntities', 'agency')).data[0].id);
+  viewer.call('queryEntities', { entityType: 'oem', where: { isOneGov: true } });
+  viewer.call('queryEntities', { entityType: 'oem', where: { isOneGov: true }, page: 2 });
+  viewer.call('logExportActivity', 'procurementTable', { table: 'fas', format: 'csv', rows: 3 });
+
+  const analyst = as('analyst@example.gov');
+  analyst.call('exportReportTable', [{ Vendor: 'Acme', Amount: 1 }], 'csv');
+  analyst.call('exportReport', { selectedCards: [{ title: 'A' }], exportFormat: 'sheets' });
+
+  const admin = as('admin@example.gov');
+  admin.call('refreshDataCache');
+  admin.call('issueApiKey', 'Embed', { role: 'viewer' });
+  admin.call('flushAuditLog');
+
+  const events = logRows().map(row => [row[1], row[3], row[4]]);
+  assert.deepEqual(events, [
+    ['someone@example.gov', 'view', 'dashboard'],
+    ['someone@example.gov', 'entity_view', 'Fixture OEM 1'],
+    ['someone@example.gov', 'entity_view', 'Fixture Agency 1'],
+    ['someone@example.gov', 'filter', 'oem'],
+    ['someone@example.gov', 'export', 'procurementTable'],
+    ['analyst@example.gov', 'export', 'reportTable'],
+    ['analyst@example.gov', 'export', 'report'],
+    ['admin@example.gov', 'admin', 'refreshDataCache'],
+    ['admin@example.gov', 'admin', 'issueApiKey']
+  ]);
+  assert.deepEqual(JSON.parse(logRows()[6][5]), { format: 'sheets', cards: 1 });
+  assert.doesNotMatch(logRows()[8][5], /ogk_/, 'key secrets are never logged');
+});
+
+test('API key calls are recorded against the key', () => {
+  const { project, logRows } = loadAuditProject();
+  const key = project.plain(project.call('issueApiKey', 'Embed', { role: 'analyst' })).data;
+
+  project.call('doGet', { parameter: { action: 'exportReport', key: key.key,
+    reportData: JSON.stringify({ selectedCards: [], exportFormat: 'docs' }) } });
+  project.call('flushAuditLog');
+
+  const exported = logRows().find(row => row[3] === 'export');
+  assert.deepEqual([exported[1], exported[2]], [`api-key:${key.keyId}`, 'analyst']);
+});
+
+test('recording never breaks the caller', () => {
+  const { project, as } = loadAuditProject({ properties: { AUDIT_SPREADSHEET_ID: 'missing-workbook' } });
+  const viewer = as('someone@example.gov');
+
+  for (let i = 0; i < project.get('AUDIT_BATCH_SIZE') - 1; i++) viewer.call('logVisitorActivity', 'tab');
+  assert.equal(viewer.call('logVisitorActivity', 'tab'), false);
+  assert.equal(viewer.plain(viewer.call('getEntities', 'oem')).success, true);
+});
+
+test('the trigger writes buffered events and drops rows past retention', () => {
+  const { project, spreadsheet, logRows } = loadAuditProject({ properties: { AUDIT_RETENTION_DAYS: '30' } });
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const sheet = spreadsheet.insertSheet('Audit Log', [
+    project.plain(project.get('AUDIT_LOG_HEADERS')),
+    [daysAgo(45), 'old@example.gov', 'viewer', 'view', 'dashboard', ''],
+    [daysAgo(31), 'old@example.gov', 'viewer', 'view', 'dashboard', ''],
+    [daysAgo(5), 'recent@example.gov', 'viewer', 'view', 'dashboard', '']
+  ]);
+  project.call('logVisitorActivity', 'oemTab');
+
+  assert.deepEqual(project.plain(project.call('runScheduledAuditMaintenance')), { written: 1, removed: 2 });
+  assert.deepEqual(logRows().map(row => row[1]), ['recent@example.gov', 'admin@example.gov']);
+  assert.equal(sheet.getDataRange().getValues()[0][0], 'Timestamp', 'the header row stays');
+
+  assert.equal(project.plain(project.call('installAuditTrigger')).success, true);
+  assert.deepEqual(project.stores.triggers.map(trigger => [trigger.handler, trigger.everyHours]),
+    [['runScheduledAuditMaintenance', 1]]);
+});
+
+test('admins get weekly usage with active users, top entities and exports', () => {
+  const { project, spreadsheet, as } = loadAuditProject();
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+  spreadsheet.insertSheet('Audit Log', [
+    project.plain(project.get('AUDIT_LOG_HEADERS')),
+    ['2020-01-06T00:00:00.000Z', 'ancient@example.gov', 'viewer', 'view', 'dashboard', ''],
+    [weekAgo, 'a@example.gov', 'viewer', 'entity_view', 'Fixture OEM 2', ''],
+    [weekAgo, 'a@example.gov', 'viewer', 'export', 'procurementTable', '']
+  ]);
+
+  const viewer = as('b@example.gov');
+  viewer.call('logVisitorActivity', 'entityDetail', { entityName: 'Fixture OEM 1' });
+  viewer.call('logVisitorActivity', 'entityDetail', { entityName: 'Fixture OEM 1' });
+  viewer.call('logVisitorActivity', 'entityDetail', { entityName: 'Fixture OEM 2' });
+  viewer.call('logExportActivity', 'procurementTable');
+  assert.match(viewer.plain(viewer.call('getAuditUsageReport')).error, /Only admins/);
+
+  const report = as('admin@example.gov').plain(project.call('getAuditUsageReport', 2)).data;
+  assert.equal(report.weeks.length, 2);
+  assert.deepEqual(report.weeks.map(week => [week.activeUsers, week.entityViews, week.exports]), [[1, 1, 1], [1, 3, 1]]);
+  assert.deepEqual(report.weeks[1].exportsByKind, { procurementTable: 1 });
+  assert.deepEqual(report.topEntities, [{ entity: 'Fixture OEM 1', views: 2 }, { entity: 'Fixture OEM 2', views: 2 }]);
+  assert.deepEqual(report.activeUsers.map(user => user.user), ['b@example.gov', 'a@example.gov']);
+  assert.equal(report.totals.export, 2);
+});
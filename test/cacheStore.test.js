@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Shared cross-execution entity cache (B13)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+/** One execution that reads the fixture workbook and fills the shared cache */
+function loadWarmProject() {
+  const first = loadProject();
+  const { spreadsheet } = installFixtureWorkbook(first);
+  const manager = first.call('getDataManager');
+  manager.loadAllData();
+  return { first, spreadsheet, manager };
+}
+
+/** A later execution of the same deployment: new globals, same sheets, properties and cache */
+const nextExecution = project => loadProject({ stores: project.stores });
+
+const cacheKeys = project => Object.keys(project.stores.scriptCache);
+
+test('a later execution reads the entities the first one cached instead of the sheet', () => {
+  const { first, spreadsheet, manager } = loadWarmProject();
+  assert.equal(manager.getCacheStatus().loads.misses, 1);
+  assert.ok(cacheKeys(first).includes('onegov:prod:v3:entities:manifest'));
+
+  // Without the sheet, only the cache can supply the OEMs
+  spreadsheet.deleteSheet(spreadsheet.getSheetByName('OEM'));
+  const second = nextExecution(first);
+  const cached = second.call('getDataManager');
+  assert.deepEqual(second.plain(cached.getOEMs()), first.plain(manager.getOEMs()));
+
+  const status = second.plain(cached.getCacheStatus());
+  assert.equal(status.lastSource, 'shared');
+  assert.deepEqual(status.loads, { memoryHits: 0, sharedHits: 1, misses: 0 });
+});
+
+test('payloads larger than one chunk round-trip through gzip and base64', () => {
+  const project = loadProject();
+  const store = project.run("new OneGovCacheStore({ namespace: 'test' })");
+  // Random hex barely compresses, so the stored payload spans several 90KB chunks
+  const value = { rows: Array.from({ length: 300 }, () => crypto.randomBytes(512).toString('hex')) };
+
+  assert.equal(store.put('big', value), true);
+  const manifest = project.plain(store.getManifest('big'));
+  assert.ok(manifest.chunks >= 3, `${manifest.chunks} chunks`);
+  assert.equal(manifest.rawBytes, JSON.stringify(value).length);
+  const chunks = cacheKeys(project).filter(key => key.startsWith(`test:v3:big:${manifest.writeId}:`));
+  assert.equal(chunks.length, manifest.chunks);
+  chunks.forEach(key => assert.ok(project.stores.scriptCache[key].length <= 90 * 1024));
+
+  assert.deepEqual(project.plain(store.get('big')), value);
+  assert.deepEqual(project.plain(store.getStats().execution), { hits: 1, misses: 0, writes: 1, errors: 0, hitRate: 1 });
+});
+
+test('a missing chunk or a manifest from an older schema version falls through to the sheet', () => {
+  const evictChunk = project => {
+    const chunk = cacheKeys(project).find(key => /^onegov:prod:v3:entities:\d+:0$/.test(key));
+    delete project.stores.scriptCache[chunk];
+  };
+  const olderVersion = project => cacheKeys(project).filter(key => key.includes(':v3:entities:')).forEach(key => {
+    project.stores.scriptCache[key.replace(':v3:', ':v2:')] = project.stores.scriptCache[key];
+    delete project.stores.scriptCache[key];
+  });
+
+  [evictChunk, olderVersion].forEach(invalidate => {
+    const { first } = loadWarmProject();
+    invalidate(first);
+
+    const second = nextExecution(first);
+    const manager = second.call('getDataManager');
+    assert.equal(manager.getOEMs().length, 3, invalidate.name);
+    const status = second.plain(manager.getCacheStatus());
+    assert.equal(status.lastSource, 'spreadsheet', invalidate.name);
+    assert.equal(status.shared.stats.execution.misses, 1, invalidate.name);
+  });
+});
+
+test('clearCache empties the store and getCacheStatus reports hits and misses across executions', () => {
+  const { first } = loadWarmProject();
+  const second = nextExecution(first);
+  const manager = second.call('getDataManager');
+  manager.loadAllData();
+
+  const shared = second.plain(manager.getCacheStatus()).shared;
+  assert.deepEqual([shared.stats.execution.hits, shared.stats.execution.misses], [1, 0]);
+  assert.deepEqual([shared.stats.cumulative.hits, shared.stats.cumulative.misses], [1, 1]);
+  assert.equal(shared.stats.cumulative.hitRate, 0.5);
+  assert.equal(shared.entry.chunks, cacheKeys(second).filter(key => /^onegov:prod:v3:entities:\d+:\d+$/.test(key)).length);
+
+  assert.equal(manager.clearCache(), true);
+  assert.deepEqual(cacheKeys(second).filter(key => key.includes(':entities:')), []);
+  const cleared = second.plain(manager.getCacheStatus());
+  assert.equal(cleared.hasData, false);
+  assert.equal(cleared.shared.entry, null);
+  assert.equal(manager.clearCache(), false, 'nothing left to remove');
+
+  const third = nextExecution(second);
+  assert.equal(third.plain(third.call('getDataCacheStatus')).hasData, false);
+  third.call('getDataManager').loadAllData();
+  assert.equal(third.plain(third.call('getDataCacheStatus')).lastSource, 'spreadsheet');
+});
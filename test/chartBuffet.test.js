@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Chart buffet (B09) card generation
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+test('formatCurrencyShort scales to K, M and B', () => {
+  // B12 loads after B09 and redefines it (whole thousands), so that is the version charts get
+  const project = loadProject();
+  const format = value => project.call('formatCurrencyShort', value);
+
+  assert.equal(format(0), '$0');
+  assert.equal(format(NaN), '$0');
+  assert.equal(format(950), '$950');
+  assert.equal(format(12500), '$13K');
+  assert.equal(format(3400000), '$3.4M');
+  assert.equal(format(1499132295.48), '$1.5B');
+  assert.equal(format(-2500000), '$-2.5M');
+});
+
+test('recommended chart types depend on entity count and column', () => {
+  const project = loadProject();
+  const types = (count, columnId) => project.plain(project.call('getRecommendedChartTypes', count, columnId));
+
+  assert.deepEqual(types(5, 'obligations'), ['verticalBar', 'horizontalBar', 'pie', 'doughnut']);
+  assert.deepEqual(types(10, 'obligations'), ['horizontalBar', 'stackedBar', 'pie']);
+  assert.deepEqual(types(3, 'topPiid'), ['funnel', 'horizontalBar', 'verticalBar']);
+});
+
+test('buffet leads with a KPI card and buckets the rest into Others', () => {
+  const project = loadProject();
+  installFixtureWorkbook(project);
+  const entities = [
+    { name: 'Alpha', value: 500 },
+    { name: 'Bravo', value: 300 },
+    { name: 'Charlie', value: 150 },
+    { name: 'Delta', value: 50 }
+  ];
+
+  const cards = project.plain(project.call('generateChartBuffet', 'oem', 'obligations', entities, {
+    topN: 2,
+    forceChartTypes: ['verticalBar', 'horizontalBar']
+  }));
+
+  const [kpi, vertical, horizontal] = cards;
+  assert.equal(kpi.cardType, 'kpi_numbers');
+  assert.equal(kpi.kpiData.count.raw, 4);
+  assert.equal(kpi.kpiData.total.raw, 1000);
+  assert.equal(kpi.kpiData.average.raw, 250);
+  assert.equal(kpi.kpiData.top.value, 'Alpha');
+
+  assert.equal(vertical.id, 'oem_obligations_verticalBar');
+  assert.equal(vertical.title, 'Obligations - Top 2 + Others');
+  assert.deepEqual(vertical.chartData.labels, ['Alpha', 'Bravo', 'Others']);
+  assert.deepEqual(vertical.chartData.datasets[0].data, [500, 300, 200]);
+  assert.deepEqual(vertical.tableData.rows.map(row => row[0]), ['Alpha', 'Bravo']);
+
+  assert.equal(horizontal.chartOptions.indexAxis, 'y');
+  assert.deepEqual(horizontal.tableData.rows.map(row => row[3]), ['62.5%', '37.5%']);
+
+  assert.deepEqual(project.plain(project.call('generateChartBuffet', 'oem', 'obligations', [], {})), []);
+});
+
+test('column reports buffet reads entities through the DataManager', () => {
+  const project = loadProject();
+  installFixtureWorkbook(project, { count: 4 });
+
+  const cards = project.plain(project.call('generateColumnReportsBuffet', 'agency', 'obligations', 3, []));
+
+  assert.ok(cards.length > 1);
+  assert.equal(cards[0].cardType, 'kpi_numbers');
+  assert.equal(cards[0].kpiData.count.raw, 3);
+  assert.equal(cards[0].kpiData.top.value, 'Fixture Agency 1');
+  cards.forEach(card => {
+    assert.equal(card.metadata.entityType, 'agency');
+    assert.equal(card.metadata.columnId, 'obligations');
+  });
+  assert.ok(cards.some(card => card.id === 'agency_obligations_verticalBar'));
+});
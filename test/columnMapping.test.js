@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Header-based column mapping for the entity sheets (B14)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook, buildFixtureHeader } = require('./fixtures');
+
+test('an inserted column shifts the fields after it, and they are still mapped and listed as moved', () => {
+  const project = loadProject();
+  const header = buildFixtureHeader(project, 'oem');
+  const inserted = [...header.slice(0, 2), 'Account Notes', ...header.slice(2)];
+
+  const mapping = project.plain(project.call('buildColumnMapping', inserted, 'oem'));
+  assert.equal(Object.keys(mapping.columns).length, header.length);
+  header.forEach((cell, index) => {
+    const field = Object.keys(mapping.columns).find(name => inserted[mapping.columns[name]] === cell);
+    assert.equal(mapping.columns[field], index < 2 ? index : index + 1, cell);
+  });
+  assert.deepEqual(mapping.missing, []);
+  assert.deepEqual(mapping.unmappedHeaders, [{ header: 'Account Notes', column: 'C', index: 2 }]);
+  assert.equal(mapping.moved.length, header.length - 2);
+  assert.deepEqual(mapping.moved.find(entry => entry.field === 'obligations'),
+    { field: 'obligations', header: 'Obligations', expectedColumn: 'D', actualColumn: 'E', required: true });
+});
+
+test('shuffled headers map every field to its new position', () => {
+  const project = loadProject();
+  const header = buildFixtureHeader(project, 'vendor');
+  const shuffled = header.slice().reverse();
+
+  const mapping = project.plain(project.call('buildColumnMapping', shuffled, 'vendor'));
+  Object.entries(mapping.columns).forEach(([field, index]) => {
+    assert.equal(shuffled[index], header[header.length - 1 - index], field);
+  });
+  assert.equal(Object.keys(mapping.columns).length, header.length);
+  assert.equal(mapping.moved.length, header.length);
+  assert.deepEqual(mapping.moved.find(entry => entry.field === 'name'),
+    { field: 'name', header: header[1], expectedColumn: 'B', actualColumn: project.call('columnLetterFromIndex', header.length - 2), required: true });
+});
+
+test('entity views read the same data after a column is inserted into the sheet', () => {
+  const project = loadProject();
+  const { spreadsheet } = installFixtureWorkbook(project);
+  const before = project.plain(project.call('getDataManager').getOEMs());
+
+  const sheet = spreadsheet.getSheetByName('OEM');
+  const rows = sheet.getDataRange().getValues().map((row, i) => [...row.slice(0, 2), i === 0 ? 'Account Notes' : 'note', ...row.slice(2)]);
+  spreadsheet.deleteSheet(sheet);
+  spreadsheet.insertSheet('OEM', rows);
+  const manager = project.call('getDataManager');
+  manager.clearCache();
+
+  const after = project.plain(manager.getOEMs());
+  assert.deepEqual(after.map(entity => [entity.id, entity.name, entity.totalObligations, entity.tier]),
+    before.map(entity => [entity.id, entity.name, entity.totalObligations, entity.tier]));
+  assert.deepEqual(after.map(entity => entity.fasOem), before.map(entity => entity.fasOem));
+});
+
+test('a sheet without the Obligations header raises ColumnMappingError naming it', () => {
+  const project = loadProject();
+  const header = buildFixtureHeader(project, 'agency').map(cell => (cell === 'Obligations' ? 'Spend' : cell));
+  const ColumnMappingError = project.get('ColumnMappingError');
+
+  assert.throws(() => project.call('buildColumnMapping', header, 'agency'), error => {
+    assert.ok(error instanceof ColumnMappingError);
+    assert.equal(error.name, 'ColumnMappingError');
+    assert.equal(error.sheetName, 'Agency');
+    assert.match(error.message, /^Required columns missing from 'Agency' sheet: 'Obligations' \(expected in column D\)/);
+    assert.match(error.message, /Unrecognized headers: 'Spend' \(D\)/);
+    assert.deepEqual(project.plain(error.missing),
+      [{ field: 'obligations', header: 'Obligations', expectedColumn: 'D', required: true }]);
+    return true;
+  });
+});
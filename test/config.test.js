@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Environment configuration and admin overrides (B15)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+test('switching to an environment without a spreadsheet is refused, not thrown', () => {
+  const project = loadProject();
+  installFixtureWorkbook(project);
+  const active = project.call('getActiveEnvironment');
+
+  const refused = project.plain(project.call('setEnvironmentOverride', 'staging'));
+  assert.equal(refused.success, false);
+  assert.match(refused.error, /No spreadsheet configured for environment 'staging'/);
+  assert.equal(project.call('getActiveEnvironment'), active);
+
+  const warnings = [];
+  project.context.console = Object.assign({}, project.context.console, { warn: entry => warnings.push(project.plain(entry)) });
+  assert.doesNotThrow(() => project.call('doGet', { parameter: { env: 'staging' } }));
+  assert.ok(warnings.some(entry => entry.message === 'Environment switch refused'));
+  assert.equal(project.call('getActiveEnvironment'), active);
+});
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview DataManager (B02) against the fixture workbook
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+function loadFixtureProject(options) {
+  const project = loadProject();
+  const fixture = installFixtureWorkbook(project, options);
+  return { project, fixture, manager: project.call('getDataManager') };
+}
+
+test('loads every entity sheet with stable natural-key IDs', () => {
+  const { project, manager } = loadFixtureProject();
+
+  ['agency', 'oem', 'vendor'].forEach(entityType => {
+    assert.equal(manager.getEntities(entityType).length, 3, entityType);
+  });
+  assert.equal(manager.getEntities().length, 9);
+
+  const oems = project.plain(manager.getOEMs());
+  assert.deepEqual(oems.map(entity => entity.id), ['oem_duns-oem001', 'oem_duns-oem002', 'oem_duns-oem003']);
+  assert.equal(project.plain(manager.getEntityById('vendor_uei-vendor002')).name, 'Fixture Vendor 2');
+  assert.equal(manager.getEntityById('vendor_uei-missing'), null);
+});
+
+test('derives canonical fields from the JSON columns', () => {
+  const { project, fixture, manager } = loadFixtureProject();
+  const [first, second, third] = project.plain(manager.getAgencies());
+  const source = fixture.entities.agency[0];
+
+  assert.equal(first.totalObligations, source.obligations.total_obligated);
+  assert.ok(first.totalObligations > second.totalObligations);
+  assert.ok(second.totalObligations > third.totalObligations);
+  assert.deepEqual(first.fiscalYearObligations, source.obligations.fiscal_year_obligations);
+  assert.equal(first.tier, source.oneGovTier.mode_tier);
+  assert.equal(first.isOneGov, true);
+  assert.equal(second.isOneGov, false);
+  assert.equal(first.aiProductCount, source.aiProduct.summary.unique_products);
+  assert.equal(first.hasAIProducts, true);
+  assert.equal(first.contractVehicleCount, Object.keys(source.contractVehicle.top_contract_summaries).length);
+});
+
+test('normalizes JSON columns while parsing', () => {
+  const { project, manager } = loadFixtureProject({
+    mutate: (entityType, entity) => {
+      if (entityType !== 'oem') return;
+      // Drifted key spellings the schema alias table knows about
+      const summaries = entity.fasOem.top_10_oem_summaries;
+      Object.values(summaries).forEach(summary => {
+        summary[' total_obligations '] = summary.total_obligations;
+        delete summary.total_obligations;
+      });
+    }
+  });
+  const oem = project.plain(manager.getOEMs()[0]);
+
+  Object.values(oem.fasOem.top_10_oem_summaries).forEach(summary => {
+    assert.equal(typeof summary.total, 'number');
+    assert.ok(summary.total > 0);
+    assert.equal(summary[' total_obligations '], undefined);
+  });
+  assert.deepEqual(project.plain(manager.parseJSON('', 'obligations')), null);
+  assert.deepEqual(project.plain(manager.parseJSON('{not json', 'obligations')), null);
+});
+
+test('query filters, sorts, projects and pages on the server', () => {
+  const { project, manager } = loadFixtureProject({ count: 5 });
+
+  const page = project.plain(manager.query({
+    entityType: 'vendor',
+    where: { totalObligations: { gte: 1 }, text: 'fixture vendor' },
+    sort: 'totalObligations',
+    fields: ['totalObligations', 'oneGovTier.mode_tier'],
+    page: 2,
+    pageSize: 2
+  }));
+
+  assert.equal(page.total, 5);
+  assert.equal(page.totalPages, 3);
+  assert.equal(page.page, 2);
+  assert.deepEqual(page.items.map(item => item.name), ['Fixture Vendor 3', 'Fixture Vendor 2']);
+  assert.deepEqual(Object.keys(page.items[0]).sort(), ['id', 'name', 'oneGovTier', 'totalObligations', 'type']);
+  assert.equal(typeof page.items[0].oneGovTier.mode_tier, 'string');
+
+  const oneGov = project.plain(manager.query({ where: { isOneGov: true } }));
+  assert.deepEqual(oneGov.items.map(item => item.name).sort(),
+    ['Fixture Agency 1', 'Fixture OEM 1', 'Fixture Vendor 1']);
+
+  assert.throws(() => manager.query({ where: { totalObligations: { near: 5 } } }), /Unsupported query operator "near"/);
+});
+
+test('getEntityDetail returns one full entity shaped like the list adapters', () => {
+  const { project } = loadFixtureProject();
+
+  const oem = project.plain(project.call('getEntityDetail', 'oem_duns-oem002'));
+  const listed = project.plain(project.call('getOEMs')).find(entity => entity.id === 'oem_duns-oem002');
+  assert.deepEqual(oem, listed);
+  assert.ok(oem.fasOem, 'carries the JSON columns the cards leave out');
+
+  const agency = project.plain(project.call('getEntityDetail', 'agency_code-agency001'));
+  assert.equal(agency.department, agency.parentCompany);
+  assert.match(project.plain(project.call('getEntityDetail', 'vendor_uei-missing')).error, /Entity not found/);
+});
+
+test('legacy row IDs resolve through aliases the admin migration records once', () => {
+  const { project, fixture, manager } = loadFixtureProject();
+  manager.getEntities();
+  assert.ok(!fixture.spreadsheet.getSheetByName('Entity ID Aliases'), 'loading data writes nothing');
+
+  const migrate = () => project.plain(project.call('migrateLegacyEntityIds'));
+  assert.deepEqual(migrate().data, { agency: 3, oem: 3, vendor: 3 });
+  assert.equal(project.call('resolveEntityId', 'oem_1'), 'oem_duns-oem001');
+
+  // After a re-sort the rows no longer match the legacy IDs; a second run must not remap them
+  const sheet = fixture.spreadsheet.getSheetByName('OEM');
+  const [header, ...rows] = sheet.getDataRange().getValues();
+  sheet.getRange(1, 1, rows.length + 1, header.length).setValues([header, ...rows.reverse()]);
+  assert.deepEqual(migrate().data, { agency: 0, oem: 0, vendor: 0 });
+  assert.equal(project.call('resolveEntityId', 'oem_1'), 'oem_duns-oem001');
+
+  project.stores.userEmail = 'someone@example.gov';
+  project.run('resetAppConfig()');
+  assert.equal(migrate().error, 'Only admins can migrate entity IDs');
+});
+
+test('search matches names and natural keys', () => {
+  const { project, manager } = loadFixtureProject();
+
+  const byName = project.plain(manager.searchEntities('Fixture OEM 2'));
+  assert.equal(byName.results[0].name, 'Fixture OEM 2');
+
+  const byKey = project.plain(manager.searchEntities('VENDOR003'));
+  assert.equal(byKey.results[0].id, 'vendor_uei-vendor003');
+});
+
+test('the search index is built on the first search and reused until data reloads', () => {
+  const { manager } = loadFixtureProject();
+
+  manager.loadAllData();
+  assert.equal(manager.searchIndex, null, 'loading data leaves the index unbuilt');
+  manager.searchEntities('Fixture');
+  const index = manager.searchIndex;
+  assert.ok(index);
+  manager.searchEntities('OEM');
+  assert.equal(manager.searchIndex, index);
+
+  manager.loadAllData(true);
+  assert.equal(manager.searchIndex, null);
+});
+
+test('the dashboard page inlines the shared entity search box', () => {
+  const { project } = loadFixtureProject();
+  const html = project.call('doGet', { parameter: {} }).getContent();
+
+  assert.match(html, /const EntitySearchBox = /);
+  assert.doesNotMatch(html, /<\?/);
+});
+
+test('getEntitiesForView shapes report builder rows', () => {
+  const { project, manager } = loadFixtureProject({ count: 4 });
+
+  const rows = project.plain(manager.getEntitiesForView('reportBuilder', {
+    entityType: 'agency',
+    columnId: 'obligations',
+    topN: 2
+  }));
+  assert.deepEqual(rows.map(row => row.name), ['Fixture Agency 1', 'Fixture Agency 2']);
+  assert.ok(rows[0].value > rows[1].value);
+
+  const selected = project.plain(manager.getEntitiesForView('reportBuilder', {
+    entityType: 'agency',
+    columnId: 'obligations',
+    selectedEntities: ['Fixture Agency 3']
+  }));
+  assert.deepEqual(selected.map(row => row.name), ['Fixture Agency 3']);
+});
+
+test('every entity reader reports the same IDs, totals and tiers as the DataManager', () => {
+  const { project, manager } = loadFixtureProject({ count: 5 });
+  const readers = {
+    agency: { simple: 'getAgencies', typed: 'getAgencyEntities' },
+    oem: { simple: 'getOEMs', typed: 'getOEMEntities' },
+    vendor: { simple: 'getVendors', typed: 'getVendorEntities' }
+  };
+  const dashboard = project.plain(project.call('getAllEntities'));
+  const pick = entity => ({
+    id: entity.id, totalObligations: entity.totalObligations, tier: entity.tier, hasAIProducts: entity.hasAIProducts
+  });
+
+  Object.entries(readers).forEach(([entityType, reader]) => {
+    const canonical = project.plain(manager.getEntities(entityType));
+    const expected = canonical.map(pick);
+    const sources = {
+      simpleCompatible: project.plain(project.call(reader.simple)),
+      typed: project.plain(project.call(reader.typed)).data,
+      getEntities: project.plain(project.call('getEntities', entityType)).data,
+      dashboard: dashboard.filter(entity => entity.type === entityType)
+    };
+    Object.entries(sources).forEach(([source, entities]) => {
+      assert.deepEqual(entities.map(pick), expected, `${entityType} ${source}`);
+    });
+
+    // Report builder reads column D directly; its value must equal the entity total
+    const totals = Object.fromEntries(canonical.map(entity => [entity.name, entity.totalObligations]));
+    const reportBuilder = project.plain(manager.getEntitiesForView('reportBuilder', {
+      entityType: entityType,
+      columnId: 'obligations',
+      topN: canonical.length
+    }));
+    assert.equal(reportBuilder.length, canonical.length, `${entityType} reportBuilder`);
+    reportBuilder.forEach(row => assert.equal(row.value, totals[row.name], `${entityType} reportBuilder ${row.name}`));
+  });
+});
+
+test('a missing entity sheet yields no entities instead of failing', () => {
+  const project = loadProject();
+  const { spreadsheet } = installFixtureWorkbook(project);
+  spreadsheet.deleteSheet(spreadsheet.getSheetByName('Vendor'));
+
+  const manager = project.call('getDataManager');
+  assert.equal(manager.getVendors().length, 0);
+  assert.equal(manager.getAgencies().length, 3);
+});
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Data quality audit of the entity sheets (B20)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+test('issues carry the natural key from its mapped column, wherever it sits', () => {
+  const project = loadProject();
+  const { spreadsheet } = installFixtureWorkbook(project, {
+    mutate: (entityType, entity) => {
+      if (entityType === 'oem') entity.obligations.total_obligated += 5000;
+    }
+  });
+
+  // Move the DUNS column from A to the end; the header mapping finds it there
+  const sheet = spreadsheet.getSheetByName('OEM');
+  const values = sheet.getDataRange().getValues().map(row => row.slice(1).concat([row[0]]));
+  sheet.clear();
+  sheet.getRange(1, 1, values.length, values[0].length).setValues(values);
+
+  const report = project.plain(project.call('auditWorkbookDataQuality_'));
+  const oemIssues = report.issues.filter(issue => issue.entityType === 'oem' && issue.row);
+  assert.ok(oemIssues.length > 0);
+  oemIssues.forEach(issue => {
+    assert.equal(values[issue.row - 1][values[0].length - 1], issue.key);
+    assert.match(String(issue.key), /OEM00\d/i);
+  });
+});
+
+test('a fixture bundle is audited from its rows, and the read-only bundle gets no sheet', () => {
+  const project = loadProject();
+  const saved = project.plain(project.call('saveFixtureBundle', { counts: { agency: 2, oem: 2, vendor: 2 } }));
+  assert.equal(saved.success, true, saved.error);
+  project.stores.scriptProperties.ACTIVE_ENVIRONMENT = 'fixture';
+  project.call('resetAppConfig');
+
+  const audit = project.plain(project.call('runDataQualityAudit'));
+  assert.equal(audit.success, true, audit.error);
+  const { summary } = audit.data;
+  assert.equal(summary.environment, 'fixture');
+  assert.deepEqual(['agency', 'oem', 'vendor'].map(entityType => summary.byEntityType[entityType].rows), [2, 2, 2]);
+  assert.equal(summary.sheetUrl, null);
+
+  const config = project.call('getAppConfig_');
+  assert.throws(() => project.call('writeDataQualitySheet_', project.call('auditWorkbookDataQuality_', config), config),
+    /Fixture bundles are read-only; the Data Quality sheet cannot be written/);
+});
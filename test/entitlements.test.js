@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Row- and column-level entitlements applied by the DataManager (B27)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+function loadEntitledProject() {
+  const project = loadProject();
+  const tables = [1, 2].map(n => project.stores.rootFolder.createFile(`fas-${n}.csv`, 'Vendor,Amount\nAcme,1\n', 'text/csv'));
+  const { spreadsheet } = installFixtureWorkbook(project, {
+    count: 4,
+    mutate: (entityType, entity, index) => {
+      if (entityType === 'agency' && index < 2) entity.fasDataTable = tables[index].getUrl();
+    }
+  });
+  spreadsheet.insertSheet('Permissions', [
+    ['Principal', 'Type', 'Role', 'Note'],
+    ['portfolio@example.gov', 'user', 'analyst', ''],
+    ['broken@example.gov', 'user', 'analyst', ''],
+    ['*@example.gov', 'user', 'viewer', '']
+  ]);
+  spreadsheet.insertSheet('Entitlements', [
+    ['Principal', 'Type', 'Entity Type', 'Rows', 'Hidden Columns', 'Note'],
+    ['portfolio@example.gov', 'user', 'agency', '{"parentCompany": "Fixture Agency Parent 2"}', '', 'Own portfolio'],
+    ['viewer', 'role', '', '', 'R, S, J', 'No reseller pricing'],
+    ['broken@example.gov', '', 'oem', '{"parentCompany": ', '', 'Unreadable, allows no rows']
+  ]);
+  const as = email => {
+    project.stores.userEmail = email;
+    return project;
+  };
+  return { project, spreadsheet, tables, as };
+}
+
+test('row rules limit the entities every reader receives', () => {
+  const { as } = loadEntitledProject();
+  const project = as('portfolio@example.gov');
+  const names = list => list.map(entity => entity.name);
+
+  assert.deepEqual(names(project.plain(project.call('getEntities', 'agency')).data), ['Fixture Agency 2', 'Fixture Agency 4']);
+  assert.equal(project.plain(project.call('getEntities', 'oem')).data.length, 4, 'other types are not limited');
+  assert.equal(project.plain(project.call('queryEntities', { entityType: 'agency' })).data.total, 2);
+
+  const search = project.plain(project.call('searchEntities', 'Fixture Agency', { types: ['agency'] })).data;
+  assert.deepEqual(names(search.results).sort(), ['Fixture Agency 2', 'Fixture Agency 4']);
+  assert.deepEqual(search.rollups.map(rollup => rollup.parentCompany), ['Fixture Agency Parent 2']);
+
+  // Readers that go to the sheet directly get the same rows
+  assert.deepEqual(project.plain(project.call('getEntityNames', 'agency')).map(option => option.value),
+    ['Fixture Agency 2', 'Fixture Agency 4']);
+  assert.deepEqual(project.plain(project.call('getReportBuilderFilters', 'agency')).parents, ['Fixture Agency Parent 2']);
+  const cards = project.plain(project.call('getReportBuilderData'));
+  const agencyKpi = cards.find(card => card.id === 'agency_obligations_kpi');
+  assert.deepEqual(agencyKpi.chartData.labels, ['Fixture Agency 2', 'Fixture Agency 4']);
+
+  const buffet = project.plain(project.call('generateColumnReportsBuffet', 'agency', 'obligations', 10));
+  assert.equal(buffet[0].kpiData.count.raw, 2);
+});
+
+test('hidden columns are blanked and derived fields follow', () => {
+  const { as } = loadEntitledProject();
+
+  const viewer = as('someone@example.gov');
+  const oem = viewer.plain(viewer.call('getEntities', 'oem')).data[0];
+  assert.deepEqual([oem.reseller, oem.bicReseller, oem.discount], [null, null, null]);
+  assert.equal(oem.hasDiscounts, false);
+  assert.ok(oem.obligations.total_obligated > 0);
+  const described = viewer.plain(viewer.run('getEntitlements()'));
+  assert.deepEqual(described.types.oem, { rows: null, hiddenFields: ['bicReseller', 'discount', 'reseller'] });
+
+  const sheet = viewer.run("getDataManager().getEntitledSpreadsheet(openSourceSpreadsheet()).getSheetByName('OEM')");
+  const values = viewer.plain(sheet.getDataRange().getValues());
+  assert.equal(values.length, 5);
+  assert.deepEqual([values[1][9], values[1][17], values[1][18]], ['', '', '']);
+  assert.notEqual(values[1][3], '');
+
+  const admin = as('admin@example.gov');
+  assert.ok(admin.plain(admin.call('getEntities', 'oem')).data[0].discount, 'admins are never restricted');
+});
+
+test('unreadable row rules allow no rows', () => {
+  const { as } = loadEntitledProject();
+  const project = as('broken@example.gov');
+
+  assert.equal(project.plain(project.call('getEntities', 'oem')).data.length, 0);
+  assert.equal(project.plain(project.call('getEntities', 'agency')).data.length, 4);
+});
+
+test('procurement tables only open for entitled entities', () => {
+  const { as, tables } = loadEntitledProject();
+  const project = as('portfolio@example.gov');
+
+  const own = project.plain(project.call('loadTableData', 'Fixture Agency 2', 'fas', tables[1].getUrl(), 1));
+  assert.equal(own.success, true);
+  const other = project.plain(project.call('loadTableData', 'Fixture Agency 1', 'fas', tables[0].getUrl(), 1));
+  assert.deepEqual([other.success, other.error], [false, 'This table is not available to you']);
+});
+
+test('API keys get the entitlements of their role', () => {
+  const { project } = loadEntitledProject();
+  const key = project.plain(project.call('issueApiKey', 'Embed', { role: 'viewer' })).data.key;
+
+  const entity = project.call('doGet', { pathInfo: 'api/v1/entities/oem_duns-oem001', parameter: { key: key } }).json();
+  assert.equal(entity.success, true);
+  assert.equal(entity.data.discount, null);
+  assert.ok(entity.data.obligations);
+});
+
+test('admins can check and refresh entitlements', () => {
+  const { project, spreadsheet, as } = loadEntitledProject();
+
+  const described = project.plain(project.call('describeEntitlements', 'portfolio@example.gov')).data;
+  assert.equal(described.restricted, true);
+  assert.deepEqual(described.types.agency.rows, [{ parentCompany: 'Fixture Agency Parent 2' }]);
+  assert.equal(project.plain(project.call('describeEntitlements', 'admin@example.gov')).data.restricted, false);
+
+  spreadsheet.getSheetByName('Entitlements').appendRow(['portfolio@example.gov', 'user', 'oem', '{"isOneGov": true}', '', '']);
+  assert.equal(project.plain(project.call('refreshPermissions')).success, true);
+  const portfolio = as('portfolio@example.gov');
+  assert.deepEqual(portfolio.plain(portfolio.call('getEntities', 'oem')).data.map(entity => entity.name), ['Fixture OEM 1']);
+
+  assert.equal(portfolio.plain(portfolio.call('describeEntitlements', 'someone@example.gov')).error,
+    'Only admins can manage permissions');
+});
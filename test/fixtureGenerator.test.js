@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Fixture generator (B23): consistency of the synthetic data and loading it
+ *               through the DataManager as the 'fixture' environment
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+
+const OPTIONS = { counts: { agency: 4, oem: 3, vendor: 2 }, seed: 7, generatedAt: '2026-01-15T00:00:00Z' };
+
+/** Largest rounding gap allowed between a total and its parts (cents per part) */
+const sumTolerance = parts => 0.01 * (parts + 1);
+
+function assertSum(total, parts, message) {
+  const sum = parts.reduce((acc, value) => acc + value, 0);
+  assert.ok(Math.abs(total - sum) <= sumTolerance(parts.length), `${message}: ${total} vs ${sum}`);
+}
+
+/**
+ * Entities of every sheet in a bundle as field objects with parsed JSON columns
+ */
+function bundleEntities(project, bundle) {
+  const entities = [];
+  [['agency', 'Agency'], ['oem', 'OEM'], ['vendor', 'Vendor']].forEach(([entityType, sheetName]) => {
+    const definitions = project.plain(project.call('getEntityFieldDefinitions', entityType));
+    bundle.sheets[sheetName].slice(1).forEach(row => {
+      const entity = { entityType };
+      Object.entries(definitions).forEach(([field, def]) => {
+        const value = row[def.canonicalIndex];
+        entity[field] = def.schemaKey ? JSON.parse(value) : value;
+      });
+      entities.push(entity);
+    });
+  });
+  return entities;
+}
+
+test('generates the requested entities deterministically per seed', () => {
+  const project = loadProject();
+  const bundle = project.plain(project.call('generateFixtureBundle_', OPTIONS));
+
+  assert.equal(bundle.format, 'onegov-fixture-bundle');
+  assert.deepEqual(bundle.counts, OPTIONS.counts);
+  assert.deepEqual(Object.keys(bundle.sheets), ['Agency', 'OEM', 'Vendor']);
+  assert.equal(bundle.sheets.Agency.length, 5);
+  assert.equal(bundle.sheets.OEM[1][1], 'Fixture OEM 001');
+
+  const again = project.plain(project.call('generateFixtureBundle_', OPTIONS));
+  assert.deepEqual(again, bundle);
+
+  const reseeded = project.plain(project.call('generateFixtureBundle_', Object.assign({}, OPTIONS, { seed: 8 })));
+  assert.notDeepEqual(reseeded.sheets, bundle.sheets);
+
+  assert.throws(() => project.call('generateFixtureBundle_', { counts: { agency: -1 } }), /integer from 0 to 500/);
+});
+
+test('every generated column passes deep validation and hides the template source', () => {
+  const project = loadProject();
+  const bundle = project.plain(project.call('generateFixtureBundle_', OPTIONS));
+  const fields = project.plain(project.get('JSON_FIELD_DEFINITIONS'));
+
+  bundleEntities(project, bundle).forEach(entity => {
+    Object.entries(fields).forEach(([field, def]) => {
+      const result = project.plain(project.call('validateJsonDeep', entity[field], def.schemaKey));
+      assert.deepEqual([result.errors, result.warnings], [[], []], `${entity.name} ${field}`);
+      if ('source_file' in entity[field]) assert.match(entity[field].source_file, /^fixture:\/\//);
+      if ('processed_date' in entity[field]) assert.equal(entity[field].processed_date, '2026-01-15T00:00:00.000Z');
+    });
+  });
+});
+
+test('fiscal years add up to totals and categories to summary totals', () => {
+  const project = loadProject();
+  const bundle = project.plain(project.call('generateFixtureBundle_', OPTIONS));
+  const template = project.plain(project.get('COMPLETE_EXAMPLES')).obligations;
+  const totals = new Set();
+
+  bundleEntities(project, bundle).forEach(entity => {
+    const { obligations, smallBusiness, sumTier, aiProduct, topRefPiid, oneGovTier, activeContracts } = entity;
+    const total = obligations.total_obligated;
+    totals.add(total);
+
+    assertSum(total, Object.values(obligations.fiscal_year_obligations), 'obligations years');
+    assert.notEqual(total, template.total_obligated);
+
+    [smallBusiness.business_size_summaries, sumTier.tier_summaries].forEach(categories => {
+      Object.values(categories).forEach(category => assertSum(category.total, Object.values(category.fiscal_years), 'category years'));
+    });
+    assertSum(smallBusiness.summary.total_all_obligations,
+      Object.values(smallBusiness.business_size_summaries).map(category => category.total), 'small business categories');
+    assertSum(sumTier.summary.total_all_obligations,
+      Object.values(sumTier.tier_summaries).map(category => category.total), 'tier categories');
+    assertSum(aiProduct.summary.grand_total_obligations,
+      Object.values(aiProduct.fiscal_year_summaries).map(year => year.total_obligations), 'AI product years');
+    assertSum(topRefPiid.total_obligations, Object.values(topRefPiid.yearly_totals), 'PIID years');
+    assertSum(oneGovTier.total_obligated, Object.values(oneGovTier.fiscal_year_tiers).map(year => year.amount), 'tier years');
+
+    // Columns that carried column D's total in the template carry the entity's total
+    assert.equal(activeContracts.summary.total_obligations, total);
+    assert.ok(Math.abs(smallBusiness.summary.total_all_obligations - total) <= 0.1);
+
+    const shares = Object.values(smallBusiness.business_size_summaries)
+      .map(category => parseFloat(category.percentage_of_total));
+    assert.ok(Math.abs(shares.reduce((sum, share) => sum + share, 0) - 100) <= 0.02);
+  });
+
+  assert.equal(totals.size, 9, 'every entity has its own total');
+});
+
+test('OneGov tiers follow the scaled yearly amounts', () => {
+  const project = loadProject();
+  const bundle = project.plain(project.call('generateFixtureBundle_', OPTIONS));
+  const tierFor = amount => project.call('fixtureTierFor_', amount);
+
+  bundleEntities(project, bundle).forEach(({ oneGovTier }) => {
+    const years = Object.values(oneGovTier.fiscal_year_tiers);
+    const counts = {};
+    years.forEach(year => {
+      assert.equal(year.tier, tierFor(year.amount));
+      assert.equal(year.formatted_amount, '$' + year.amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+      counts[year.tier] = (counts[year.tier] || 0) + 1;
+    });
+    assert.deepEqual(oneGovTier.tier_counts, counts);
+    assert.equal(oneGovTier.tier_summary.mode_frequency, counts[oneGovTier.mode_tier]);
+    assert.equal(oneGovTier.overall_tier, tierFor(Math.max(...years.map(year => year.amount))));
+  });
+});
+
+test('the DataManager loads a saved bundle as the fixture environment', () => {
+  const project = loadProject();
+  const response = project.plain(project.call('saveFixtureBundle', OPTIONS));
+  assert.equal(response.success, true, response.error);
+
+  const props = project.stores.scriptProperties;
+  assert.equal(props.FIXTURE_BUNDLE_FILE_ID, response.data.fileId);
+  props.ACTIVE_ENVIRONMENT = 'fixture';
+  project.call('resetAppConfig');
+
+  const config = project.plain(project.call('getAppConfig_'));
+  assert.equal(config.environment, 'fixture');
+  assert.equal(config.spreadsheetId, null);
+
+  const manager = project.call('getDataManager');
+  assert.equal(manager.getAgencies().length, 4);
+  assert.equal(manager.getOEMs().length, 3);
+  assert.equal(manager.getVendors().length, 2);
+
+  const agency = project.plain(manager.getAgencies()[0]);
+  assert.equal(agency.id, 'agency_code-fx001');
+  assert.equal(agency.name, 'Fixture Agency 001');
+  assert.ok(agency.totalObligations > 0);
+  assert.equal(agency.tier, agency.oneGovTier.mode_tier);
+  assert.equal(project.stores.spreadsheets['fixture-workbook'], undefined, 'prod workbook untouched');
+});
+
+test('createFixtureWorkbook writes the sheets and registers the workbook', () => {
+  const project = loadProject();
+  const response = project.plain(project.call('createFixtureWorkbook', OPTIONS));
+  assert.equal(response.success, true, response.error);
+
+  const spreadsheet = project.stores.spreadsheets[response.data.spreadsheetId];
+  assert.deepEqual(spreadsheet.getSheets().map(sheet => sheet.getName()), ['Agency', 'OEM', 'Vendor']);
+  assert.equal(spreadsheet.getSheetByName('Vendor').getLastRow(), 3);
+  assert.equal(project.stores.scriptProperties.FIXTURE_SPREADSHEET_ID, response.data.spreadsheetId);
+
+  project.stores.scriptProperties.ACTIVE_ENVIRONMENT = 'fixture';
+  project.call('resetAppConfig');
+  assert.equal(project.call('getDataManager').getEntities().length, 9);
+});
+
+test('only admins can generate fixtures', () => {
+  const project = loadProject({ userEmail: 'analyst@example.gov' });
+
+  const workbook = project.plain(project.call('createFixtureWorkbook', OPTIONS));
+  const bundle = project.plain(project.call('saveFixtureBundle', OPTIONS));
+  assert.deepEqual([workbook.success, workbook.error], [false, 'Only admins can generate fixture data']);
+  assert.deepEqual([bundle.success, bundle.error], [false, 'Only admins can generate fixture data']);
+  assert.equal(project.stores.scriptProperties.FIXTURE_SPREADSHEET_ID, undefined);
+});
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Fixture workbooks built from the R01 COMPLETE_EXAMPLES
+ * @description Creates the Agency, OEM and Vendor sheets in the project's stub spreadsheet.
+ *              Headers come from the column mapping definitions (B14), so every JSON column
+ *              carries its documented example. Obligations are scaled per row, so the first
+ *              entity of each type is the largest and rankings are deterministic.
+ */
+
+'use strict';
+
+/** Number of columns in the documented sheet layout (A through AF) */
+const FIXTURE_COLUMN_COUNT = 32;
+
+/** Timestamp written to the FAS/BIC update columns */
+const FIXTURE_TIMESTAMP = '2025-11-23T21:04:53.887Z';
+
+const ENTITY_LABELS = { agency: 'Agency', oem: 'OEM', vendor: 'Vendor' };
+const KEY_FIELDS = { agency: 'agencyCode', oem: 'duns', vendor: 'uei' };
+
+/**
+ * Header row for an entity sheet in canonical column order
+ * @param {Object} project - Handle from loadProject
+ * @param {string} entityType - 'agency', 'oem' or 'vendor'
+ * @returns {Array<string>} Header cells
+ */
+function buildFixtureHeader(project, entityType) {
+  const definitions = project.plain(project.call('getEntityFieldDefinitions', entityType));
+  const header = new Array(FIXTURE_COLUMN_COUNT).fill('');
+  Object.values(definitions).forEach(def => {
+    if (def.canonicalIndex !== undefined && def.canonicalIndex !== null) {
+      header[def.canonicalIndex] = def.headers[0];
+    }
+  });
+  return header;
+}
+
+/**
+ * Example JSON for every entity field, keyed by entity field name
+ * @param {Object} project - Handle from loadProject
+ * @returns {Object<string, Object>} Field name to example JSON (test-realm copies)
+ */
+function fixtureExamples(project) {
+  const examples = project.plain(project.run('Object.assign({}, COMPLETE_EXAMPLES, COMPLETE_EXAMPLES_PART2)'));
+  const fields = project.plain(project.get('JSON_FIELD_DEFINITIONS'));
+  const byField = {};
+  Object.entries(fields).forEach(([field, def]) => {
+    if (examples[def.schemaKey]) byField[field] = examples[def.schemaKey];
+  });
+  return byField;
+}
+
+/**
+ * Build one fixture entity as field values
+ * @param {Object} examples - From fixtureExamples
+ * @param {string} entityType - 'agency', 'oem' or 'vendor'
+ * @param {number} index - Zero-based position in the sheet
+ * @param {number} count - Entities of this type
+ * @returns {Object<string, *>} Field name to cell value (JSON columns as objects)
+ */
+function buildFixtureEntity(examples, entityType, index, count) {
+  const label = ENTITY_LABELS[entityType];
+  const scale = count - index;
+  const entity = JSON.parse(JSON.stringify(examples));
+
+  entity.obligations.total_obligated = examples.obligations.total_obligated * scale;
+  Object.keys(entity.obligations.fiscal_year_obligations).forEach(year => {
+    entity.obligations.fiscal_year_obligations[year] = examples.obligations.fiscal_year_obligations[year] * scale;
+  });
+
+  return Object.assign(entity, {
+    [KEY_FIELDS[entityType]]: `${entityType.toUpperCase()}${String(index + 1).padStart(3, '0')}`,
+    name: `Fixture ${label} ${index + 1}`,
+    parentCompany: `Fixture ${label} Parent ${(index % 2) + 1}`,
+    fasDataTable: '',
+    fasTimestamp: FIXTURE_TIMESTAMP,
+    bicDataTable: '',
+    bicTimestamp: FIXTURE_TIMESTAMP,
+    website: `https://example.gov/${entityType}/${index + 1}`,
+    linkedin: '',
+    isOneGov: index === 0 ? 'Yes' : 'No'
+  });
+}
+
+/**
+ * Turn fixture entities into sheet rows
+ * @param {Object} project - Handle from loadProject
+ * @param {string} entityType - 'agency', 'oem' or 'vendor'
+ * @param {Array<Object>} entities - From buildFixtureEntity
+ * @returns {Array<Array>} Header row followed by one row per entity
+ */
+function buildFixtureRows(project, entityType, entities) {
+  const header = buildFixtureHeader(project, entityType);
+  const definitions = project.plain(project.call('getEntityFieldDefinitions', entityType));
+  const rows = entities.map(entity => {
+    const row = new Array(FIXTURE_COLUMN_COUNT).fill('');
+    Object.entries(entity).forEach(([field, value]) => {
+      const def = definitions[field];
+      if (!def) return;
+      row[def.canonicalIndex] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    });
+    return row;
+  });
+  return [header].concat(rows);
+}
+
+/**
+ * Create the fixture workbook behind SPREADSHEET_ID
+ * @param {Object} project - Handle from loadProject
+ * @param {Object} [options] - { count: entities per type (default 3), mutate(entityType, entity, index) }
+ * @returns {Object} { spreadsheet, entities } where entities holds the field values per type
+ */
+function installFixtureWorkbook(project, options) {
+  const settings = Object.assign({ count: 3 }, options);
+  const config = project.plain(project.call('getAppConfig_'));
+  const spreadsheet = project.stores.spreadsheets[config.spreadsheetId] ||
+    project.stores.addSpreadsheet(config.spreadsheetId, 'Fixture Workbook');
+  const examples = fixtureExamples(project);
+  const entities = {};
+
+  Object.keys(ENTITY_LABELS).forEach(entityType => {
+    entities[entityType] = [];
+    for (let i = 0; i < settings.count; i++) {
+      const entity = buildFixtureEntity(examples, entityType, i, settings.count);
+      if (settings.mutate) settings.mutate(entityType, entity, i);
+      entities[entityType].push(entity);
+    }
+    spreadsheet.insertSheet(config.sheetNames[entityType], buildFixtureRows(project, entityType, entities[entityType]));
+  });
+
+  return { spreadsheet, entities };
+}
+
+module.exports = {
+  installFixtureWorkbook,
+  buildFixtureHeader,
+  buildFixtureRows,
+  fixtureExamples,
+  FIXTURE_TIMESTAMP
+};
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Health checks, ?action=health and the diagnostics page (B29)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+function loadHealthProject(mutate) {
+  const project = loadProject();
+  const tables = [1, 2].map(n => project.stores.rootFolder.createFile(`fas-${n}.csv`, 'Vendor,Amount\nAcme,1\n', 'text/csv'));
+  const { spreadsheet } = installFixtureWorkbook(project, {
+    count: 4,
+    mutate: (entityType, entity, index) => {
+      if (entityType === 'agency' && index < 2) entity.fasDataTable = tables[index].getUrl();
+      if (mutate) mutate(entityType, entity, index);
+    }
+  });
+  const diagnostics = () => {
+    const report = project.plain(project.call('getDiagnostics')).data;
+    report.byName = {};
+    report.checks.forEach(check => { report.byName[check.name] = check; });
+    return report;
+  };
+  const health = () => project.call('doGet', { parameter: { action: 'health' } }).json();
+  return { project, spreadsheet, tables, diagnostics, health };
+}
+
+test('a healthy environment passes every check once data has been loaded', () => {
+  const { project, diagnostics } = loadHealthProject();
+  const before = diagnostics();
+  assert.equal(before.byName.cache.status, 'warn');
+  assert.equal(before.byName.lastLoad.status, 'warn');
+
+  project.call('getEntities', 'oem');
+  const report = diagnostics();
+  assert.equal(report.status, 'pass');
+  assert.deepEqual(report.checks.map(check => check.name), ['sheets', 'headers', 'cache', 'tables', 'schema', 'lastLoad']);
+  assert.equal(report.byName.tables.details.reachable, 2);
+  assert.equal(report.byName.schema.details.rate, 1);
+  assert.deepEqual(report.byName.lastLoad.details.entityCounts, { agencies: 4, oems: 4, vendors: 4 });
+});
+
+test('?action=health needs no key, leaves out details and is cached', () => {
+  const { project, spreadsheet, health } = loadHealthProject();
+  project.call('getEntities', 'oem');
+
+  const first = health();
+  assert.equal(first.success, true);
+  assert.equal(first.data.status, 'pass');
+  assert.deepEqual(Object.keys(first.data).sort(), ['checkedAt', 'checks', 'status']);
+  assert.ok(first.data.checks.every(check => Object.keys(check).join() === 'name,status'), 'no messages or details');
+
+  spreadsheet.deleteSheet(spreadsheet.getSheetByName('Vendor'));
+  assert.equal(health().data.checkedAt, first.data.checkedAt, 'served from the cache');
+
+  project.call('getDiagnostics');
+  const fresh = health();
+  assert.equal(fresh.success, false);
+  assert.equal(fresh.data.status, 'fail');
+  assert.equal(fresh.data.checks.find(check => check.name === 'sheets').status, 'fail');
+  assert.doesNotMatch(JSON.stringify(fresh), /Vendor/);
+});
+
+test('only one ?action=health request runs the checks; the others get the previous result', () => {
+  const { project, spreadsheet, health } = loadHealthProject();
+  project.call('getEntities', 'oem');
+  const first = health();
+  assert.equal(first.data.status, 'pass');
+
+  spreadsheet.deleteSheet(spreadsheet.getSheetByName('Vendor'));
+  project.run("CacheService.getScriptCache().remove('onegov:health')");
+  project.run("CacheService.getScriptCache().put('onegov:health:refreshing', '1', 360)");
+  assert.equal(health().data.checkedAt, first.data.checkedAt, 'another request is refreshing');
+
+  project.run("CacheService.getScriptCache().remove('onegov:health:previous')");
+  const waiting = health();
+  assert.deepEqual([waiting.success, waiting.data.status], [false, 'unknown']);
+
+  project.run("CacheService.getScriptCache().remove('onegov:health:refreshing')");
+  assert.equal(health().data.status, 'fail');
+  assert.equal(project.run("CacheService.getScriptCache().get('onegov:health:refreshing')"), null, 'the claim is released');
+});
+
+test('missing headers and an unreachable workbook fail', () => {
+  const { project, spreadsheet, diagnostics } = loadHealthProject();
+  spreadsheet.getSheetByName('OEM').getRange(1, 2).setValue('Renamed');
+
+  const headers = diagnostics().byName.headers;
+  assert.equal(headers.status, 'fail');
+  assert.equal(headers.message, 'Required headers missing in: oem');
+
+  project.stores.scriptProperties.SPREADSHEET_ID = 'gone';
+  project.run('resetAppConfig()');
+  const report = diagnostics();
+  assert.equal(report.status, 'fail');
+  assert.match(report.byName.sheets.message, /^Cannot open the source workbook/);
+  assert.equal(report.byName.schema.message, 'Source workbook is not reachable');
+});
+
+test('unreachable tables warn, and fail when none opens', () => {
+  const { project, tables, diagnostics } = loadHealthProject((entityType, entity, index) => {
+    if (entityType === 'oem' && index === 0) entity.bicDataTable = 'https://drive.google.com/file/d/deleted-file/view';
+  });
+
+  const partly = diagnostics().byName.tables;
+  assert.equal(partly.status, 'warn');
+  assert.deepEqual(partly.details.unreachable.map(table => [table.entity, table.table]), [['Fixture OEM 1', 'bicDataTable']]);
+
+  tables.forEach(file => { delete project.stores.files[file.getId()]; });
+  assert.equal(diagnostics().byName.tables.status, 'fail');
+});
+
+test('columns with invalid JSON cells lower the schema validity rate', () => {
+  const { diagnostics } = loadHealthProject((entityType, entity, index) => {
+    if (index === 0) entity.obligations = '{"total_obligated": ';
+  });
+
+  const schema = diagnostics().byName.schema;
+  assert.equal(schema.status, 'warn');
+  assert.equal(schema.details.columns.obligations.valid, 9);
+  assert.match(schema.message, /below 95% in obligations$/);
+  assert.deepEqual(schema.details.examples[0], { entityType: 'agency', row: 2, schemaKey: 'obligations', status: 'parse_error' });
+});
+
+test('diagnostics are for admins only', () => {
+  const { project } = loadHealthProject();
+  project.stores.userEmail = 'someone@example.gov';
+  project.run('resetAppConfig()');
+
+  assert.equal(project.plain(project.call('getDiagnostics')).error, 'Only admins can view diagnostics');
+  assert.match(project.call('doGet', { parameter: { page: 'diagnostics' } }).getContent(), /Access denied/);
+  assert.equal(project.call('doGet', { parameter: { action: 'health' } }).json().data.checks.length, 6);
+});
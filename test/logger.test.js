@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Structured logging with levels, correlation IDs and redaction (B00)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+function loadLoggingProject(options) {
+  const project = loadProject(options);
+  installFixtureWorkbook(project);
+  const entries = [];
+  const capture = method => entry => entries.push({ method: method, entry: project.plain(entry) });
+  project.context.console = {
+    log: capture('log'), info: capture('info'), warn: capture('warn'), error: capture('error'), debug: capture('debug')
+  };
+  const begin = (entryPoint, correlationId) => project.call('beginLogContext', entryPoint, correlationId);
+  const logged = () => entries.map(item => item.entry);
+  return { project, entries, begin, logged };
+}
+
+test('entries are JSON objects tagged with component, severity and correlation ID', () => {
+  const { project, entries, begin, logged } = loadLoggingProject();
+  const correlationId = begin('script');
+  project.call('createLogger', 'Test').info('Something happened', { rows: 3 });
+  project.call('createLogger', 'Test').error('Something failed', project.run("new Error('boom')"));
+
+  assert.deepEqual(entries.map(item => item.method), ['info', 'error']);
+  const [info, error] = logged();
+  assert.equal(correlationId.length, 16);
+  assert.deepEqual([info.severity, info.message, info.component, info.correlationId, info.entryPoint, info.user],
+    ['INFO', 'Something happened', 'Test', correlationId, 'script', 'admin@example.gov']);
+  assert.deepEqual(info.data, { rows: 3 });
+  assert.equal(error.severity, 'ERROR');
+  assert.deepEqual([error.error.name, error.error.message], ['Error', 'boom']);
+});
+
+test('one correlation ID follows a request from doGet into the DataManager and the chart buffet', () => {
+  const { project, begin, logged } = loadLoggingProject({ properties: { LOG_LEVEL: 'debug' } });
+  const key = project.plain(project.call('issueApiKey', 'Embed', { role: 'analyst' })).data.key;
+
+  project.call('doGet', { parameter: { action: 'getEntities', key: key, correlationId: 'trace-0001' } });
+  const request = logged().filter(entry => entry.correlationId === 'trace-0001');
+  assert.ok(request.some(entry => entry.component === 'Main' && entry.message === 'doGet'));
+  assert.ok(request.some(entry => entry.component === 'DataManager'));
+
+  begin('script', 'report-0001');
+  project.call('generateColumnReports', 'oem', 'obligations', 5, []);
+  const components = new Set(logged().filter(entry => entry.correlationId === 'report-0001').map(entry => entry.component));
+  assert.deepEqual([...components].sort(), ['ChartBuffet', 'DataManager', 'ReportBuilder']);
+});
+
+test('failed responses carry the correlation ID; malformed IDs are replaced', () => {
+  const { project } = loadLoggingProject();
+
+  const failed = project.call('doGet', { parameter: { action: 'getEntities', correlationId: 'trace-0002' } }).json();
+  assert.equal(failed.success, false);
+  assert.equal(failed.correlationId, 'trace-0002');
+
+  const replaced = project.call('doGet', { parameter: { action: 'getEntities', correlationId: 'bad id!' } }).json();
+  assert.match(replaced.correlationId, /^[a-f0-9]{16}$/);
+  assert.equal(project.plain(project.call('createResponse', false, null, 'nope')).correlationId, replaced.correlationId);
+});
+
+test('the level comes from LOG_LEVEL, and LOG_DEBUG_USERS turns on debug for those users', () => {
+  const { project, begin, logged, entries } = loadLoggingProject({
+    properties: { LOG_LEVEL: 'warn', LOG_DEBUG_USERS: 'Analyst@example.gov' }
+  });
+  const logger = project.call('createLogger', 'Test');
+  const logAll = () => ['debug', 'info', 'warn', 'error'].forEach(level => logger[level](level));
+
+  begin('script');
+  logAll();
+  assert.deepEqual(logged().map(entry => entry.message), ['warn', 'error']);
+
+  entries.length = 0;
+  project.stores.userEmail = 'analyst@example.gov';
+  begin('script');
+  logAll();
+  assert.deepEqual(logged().map(entry => entry.message), ['debug', 'info', 'warn', 'error']);
+  assert.deepEqual(entries.map(item => item.method), ['log', 'info', 'warn', 'error']);
+
+  entries.length = 0;
+  project.stores.scriptProperties.LOG_LEVEL = 'off';
+  project.stores.userEmail = 'admin@example.gov';
+  begin('script');
+  logAll();
+  assert.deepEqual(entries, []);
+});
+
+test('API keys, secrets and tokens are redacted and long values cut short', () => {
+  const { project, begin, logged } = loadLoggingProject();
+  begin('script');
+  project.call('createLogger', 'Test').info('Called /api?key=ogk_abc123_def456&page=2', {
+    key: 'ogk_abc123_def456',
+    apiKey: 'anything',
+    note: 'used ogk_0a1b2c_3d4e5f today',
+    headers: { Authorization: 'Bearer abc.def', accessToken: 'ya29.secret' },
+    url: 'https://example.gov/exec?action=getEntities&key=ogk_1_2',
+    rows: Array.from({ length: 25 }, (_, i) => i),
+    text: 'x'.repeat(1200)
+  });
+
+  const [entry] = logged();
+  assert.equal(entry.message, 'Called /api?key=[redacted]&page=2');
+  assert.equal(entry.data.key, '[redacted]');
+  assert.equal(entry.data.apiKey, '[redacted]');
+  assert.equal(entry.data.note, 'used [redacted] today');
+  assert.deepEqual(entry.data.headers, { Authorization: '[redacted]', accessToken: '[redacted]' });
+  assert.equal(entry.data.url, 'https://example.gov/exec?action=getEntities&key=[redacted]');
+  assert.equal(entry.data.rows.length, 21);
+  assert.equal(entry.data.rows[20], '... 5 more');
+  assert.match(entry.data.text, /\.\.\. \(1200 chars\)$/);
+});
+
+test('admins change the level at runtime', () => {
+  const { project, begin, entries } = loadLoggingProject();
+  const logger = project.call('createLogger', 'Test');
+  begin('script');
+
+  const changed = project.plain(project.call('setLogLevel', 'debug', 'a@example.gov, B@example.gov'));
+  assert.deepEqual(changed.data, { level: 'debug', debugUsers: ['a@example.gov', 'b@example.gov'] });
+  assert.equal(project.stores.scriptProperties.LOG_LEVEL, 'debug');
+  entries.length = 0;
+  logger.debug('now visible');
+  assert.equal(entries.length, 1, 'applies to the running execution');
+
+  assert.match(project.plain(project.call('setLogLevel', 'verbose')).error, /Unknown log level 'verbose'/);
+  project.stores.userEmail = 'someone@example.gov';
+  project.run('resetAppConfig()');
+  assert.equal(project.plain(project.call('setLogLevel', 'off')).error, 'Only admins can change logging');
+  assert.equal(project.stores.scriptProperties.LOG_LEVEL, 'debug');
+});
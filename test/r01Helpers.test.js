@@ -0,0 +1,151 @@
+/**
+ * @fileoverview R01 extraction, normalization and validation helpers against COMPLETE_EXAMPLES
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+
+const project = loadProject();
+const examples = project.run('Object.assign({}, COMPLETE_EXAMPLES, COMPLETE_EXAMPLES_PART2)');
+const call = (name, ...args) => project.plain(project.call(name, ...args));
+
+test('every schema has an example that passes deep validation', () => {
+  const schemaKeys = Object.keys(project.get('COLUMN_SCHEMAS'));
+  assert.deepEqual(Object.keys(examples).sort(), schemaKeys.slice().sort());
+
+  schemaKeys.forEach(schemaKey => {
+    const result = call('validateJsonDeep', examples[schemaKey], schemaKey);
+    assert.deepEqual({ errors: result.errors, warnings: result.warnings }, { errors: [], warnings: [] }, schemaKey);
+    assert.equal(call('validateJsonStructure', examples[schemaKey], schemaKey).isValid, true, schemaKey);
+  });
+});
+
+/** Deep-validate a copy of a schema's example after applying a change to it */
+const validateChanged = (schemaKey, change) => {
+  const copy = JSON.parse(JSON.stringify(examples[schemaKey]));
+  change(copy);
+  return call('validateJsonDeep', copy, schemaKey);
+};
+
+test('a wrong type deep inside an array item is reported with its full path', () => {
+  const resellers = validateChanged('bicReseller', json => {
+    const fourth = JSON.parse(JSON.stringify(json.top_15_resellers[0]));
+    fourth.fiscal_year_breakdown['2024'].total_sales = '37,565,075.10';
+    json.top_15_resellers.push(fourth);
+  });
+  assert.deepEqual(resellers.errors, ['top_15_resellers[3].fiscal_year_breakdown.2024.total_sales: expected number, got string']);
+  assert.equal(resellers.isValid, false);
+
+  const products = validateChanged('topBicProducts', json => {
+    json.top_25_products.push(JSON.parse(JSON.stringify(json.top_25_products[0])));
+    json.top_25_products[3].fiscal_year_breakdown['2024'].total_price = '81518620.39';
+  });
+  assert.deepEqual(products.errors, ['top_25_products[3].fiscal_year_breakdown.2024.total_price: expected number, got string']);
+});
+
+test('a percentage without the % sign is an error', () => {
+  const result = validateChanged('sumTier', json => {
+    json.tier_summaries['TIER 1'].percentage_of_total = '12.34';
+  });
+  assert.deepEqual(result.errors, ['tier_summaries.TIER 1.percentage_of_total: expected a percentage string like "12.34%", got "12.34"']);
+});
+
+test('quarter keys must look like "Q1 FY26" and are warned about when not in knownQuarters', () => {
+  const malformed = validateChanged('activeContracts', json => {
+    json.expiring_by_quarter['Q5 FY26'] = json.expiring_by_quarter['Q1 FY26'];
+  });
+  assert.deepEqual(malformed.errors, ['expiring_by_quarter.Q5 FY26: expected a quarter key like "Q1 FY26"']);
+
+  const unknown = validateChanged('activeContracts', json => {
+    json.expiring_by_quarter['Q1 FY28'] = json.expiring_by_quarter['Q1 FY26'];
+  });
+  assert.deepEqual([unknown.errors, unknown.warnings], [[], ['expiring_by_quarter.Q1 FY28: quarter not in knownQuarters']]);
+});
+
+test('fiscal years outside fiscalYearFields are warned about', () => {
+  const result = validateChanged('obligations', json => {
+    json.fiscal_year_obligations['2019'] = 1000;
+  });
+  assert.deepEqual([result.errors, result.warnings], [[], ['fiscal_year_obligations.2019: fiscal year not in fiscalYearFields']]);
+  assert.equal(result.isValid, true);
+});
+
+test('negative values are only expected inside fiscal year breakdowns', () => {
+  const result = validateChanged('sumTier', json => {
+    json.tier_summaries['TIER 1'].total = -250;
+    json.tier_summaries['TIER 2'].fiscal_years['2024'] = -1200;
+  });
+  assert.deepEqual([result.errors, result.warnings], [[], ['tier_summaries.TIER 1.total: negative value -250 outside a fiscal year breakdown']]);
+});
+
+test('getPrimaryValue and getFiscalYearData read column D', () => {
+  const obligations = examples.obligations;
+
+  assert.equal(call('getPrimaryValue', obligations, 'obligations'), obligations.total_obligated);
+  assert.deepEqual(call('getFiscalYearData', obligations, 'obligations'),
+    project.plain(obligations.fiscal_year_obligations));
+  assert.equal(call('getValueForYear', obligations, 'obligations', '2024'), obligations.fiscal_year_obligations['2024']);
+  assert.equal(call('getPrimaryValue', obligations, 'noSuchSchema'), undefined);
+  assert.equal(call('detectSchema', obligations), 'obligations');
+});
+
+test('getCategories and getNestedItems walk nested fiscal year and entity patterns', () => {
+  const aiCategories = call('getCategories', examples.aiProduct, 'aiProduct');
+  assert.ok(aiCategories.length > 0);
+  aiCategories.forEach(category => {
+    assert.match(category.name, /^\d{4}$/);
+    assert.ok(Array.isArray(category.items) && category.items.length > 0, category.name);
+  });
+
+  const perAgency = call('getNestedItems', examples.bicTopProductsPerAgency, 'bicTopProductsPerAgency');
+  assert.ok(perAgency.length > 0);
+  perAgency.forEach(item => {
+    assert.equal(typeof item.category, 'string');
+    assert.equal(typeof item.value, 'number');
+  });
+
+  const totals = call('getNestedItemTotals', examples.aiProduct, 'aiProduct', 3);
+  assert.ok(totals.length <= 3);
+  for (let i = 1; i < totals.length; i++) {
+    assert.ok(totals[i - 1].value >= totals[i].value);
+  }
+
+  assert.deepEqual(call('getCategories', examples.obligations, 'obligations'), []);
+  assert.equal(String(call('quarterToFiscalYear', 'Q1 FY25')), '2025');
+});
+
+test('normalizeJsonData applies aliases, numeric percentages and fiscal year gaps', () => {
+  const drifted = {
+    source_file: 'x',
+    top_10_oem_summaries: {
+      ' Amazon ': { fiscal_years: { 2024: 10 }, total_obligations: 10, percentage_of_total: '100%' },
+      Dell: { fiscal_years: { 2023: 5 }, total_obligations: 5 }
+    }
+  };
+  const normalized = call('normalizeJsonData', drifted, 'fasOem');
+  const amazon = normalized.top_10_oem_summaries.Amazon;
+
+  assert.ok(amazon, 'key is trimmed');
+  assert.equal(amazon.total, 10);
+  assert.equal(amazon.percentage_of_total, 100);
+  assert.deepEqual(amazon.fiscal_years, { 2022: null, 2023: null, 2024: 10, 2025: null }, 'missing years are explicit nulls');
+  assert.deepEqual(normalized.top_10_oem_summaries.Dell.fiscal_years, { 2022: null, 2023: 5, 2024: null, 2025: null });
+
+  const tiers = call('normalizeJsonData', {
+    total_obligated: 5,
+    fiscal_year_tiers: { 2024: { amount: 5, tier: 'Tier 1' } },
+    yearly_totals: { 2022: 1, 2024: 5 }
+  }, 'oneGovTier');
+  assert.deepEqual(tiers.fiscal_year_tiers, { 2024: { amount: 5, tier: 'Tier 1' } }, 'year -> record maps are not padded');
+  assert.deepEqual(tiers.yearly_totals, { 2022: 1, 2023: null, 2024: 5, 2025: null });
+  assert.equal(drifted.top_10_oem_summaries[' Amazon '].total, undefined, 'input is not mutated');
+  assert.deepEqual(call('normalizeJsonData', normalized, 'fasOem'), normalized, 'idempotent');
+
+  Object.keys(examples).forEach(schemaKey => {
+    const once = call('normalizeJsonData', examples[schemaKey], schemaKey);
+    assert.deepEqual(call('normalizeJsonData', once, schemaKey), once, schemaKey);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Versioned JSON API (B24) routed from doGet and doPost
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+function loadApiProject(options) {
+  const project = loadProject();
+  installFixtureWorkbook(project, options);
+  const key = project.call('issueApiKey', 'API tests').data.key;
+  const get = (pathInfo, parameter) => {
+    const output = project.call('doGet', { pathInfo: pathInfo, parameter: Object.assign({ key: key }, parameter) });
+    assert.equal(output.getMimeType(), 'application/json');
+    return output.json();
+  };
+  return { project, key, get };
+}
+
+test('every response uses the same envelope', () => {
+  const { get } = loadApiProject();
+
+  const index = get('api/v1');
+  assert.deepEqual(Object.keys(index), ['apiVersion', 'success', 'status', 'data', 'error', 'meta', 'timestamp']);
+  assert.equal(index.success, true);
+  assert.equal(index.status, 200);
+  assert.equal(index.error, null);
+  assert.deepEqual(index.meta, { path: '/api/v1', quota: { dailyQuota: 1000, remaining: 999 } });
+  assert.ok(index.data.endpoints.some(endpoint => endpoint.path === '/api/v1/entities/:id'));
+
+  const missing = get('api/v1/nothing-here');
+  assert.deepEqual(Object.keys(missing), Object.keys(index));
+  assert.equal(missing.success, false);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.data, null);
+  assert.equal(missing.error.code, 'ROUTE_NOT_FOUND');
+});
+
+test('lists entities one page at a time with server-side filters', () => {
+  const { get } = loadApiProject({ count: 5 });
+
+  const response = get('api/v1/entities', {
+    type: 'vendor',
+    sort: '-totalObligations,name',
+    fields: 'totalObligations,tier',
+    page: '2',
+    pageSize: '2'
+  });
+  assert.equal(response.success, true, JSON.stringify(response.error));
+  assert.deepEqual(response.meta.pagination, { page: 2, pageSize: 2, total: 5, totalPages: 3 });
+  assert.deepEqual(response.data.map(item => item.name), ['Fixture Vendor 3', 'Fixture Vendor 4']);
+  assert.deepEqual(Object.keys(response.data[0]).sort(), ['id', 'name', 'tier', 'totalObligations', 'type']);
+
+  const searched = get('api/v1/entities', { q: 'Fixture OEM', where: '{"isOneGov":true}' });
+  assert.deepEqual(searched.data.map(item => item.name), ['Fixture OEM 1']);
+
+  const badType = get('api/v1/entities', { type: 'contractor' });
+  assert.equal(badType.error.code, 'INVALID_PARAMETER');
+  assert.deepEqual(badType.error.details, { parameter: 'type', allowed: ['agency', 'oem', 'vendor'] });
+
+  const badWhere = get('api/v1/entities', { where: '{"totalObligations":{"near":1}}' });
+  assert.equal(badWhere.status, 400);
+  assert.match(badWhere.error.message, /Unsupported query operator "near"/);
+
+  assert.equal(get('api/v1/entities', { where: 'not json' }).error.code, 'INVALID_PARAMETER');
+  assert.equal(get('api/v1/entities', { pageSize: '0' }).error.code, 'INVALID_PARAMETER');
+});
+
+test('returns a single entity by stable ID', () => {
+  const { get } = loadApiProject();
+
+  const response = get('api/v1/entities/oem_duns-oem002');
+  assert.equal(response.data.name, 'Fixture OEM 2');
+  assert.equal(typeof response.data.obligations.total_obligated, 'number');
+
+  const missing = get('api/v1/entities/oem_duns-nobody');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.error.code, 'NOT_FOUND');
+});
+
+test('extracts a column, its fiscal trend and its chart cards', () => {
+  const { get } = loadApiProject({ count: 4 });
+
+  const columns = get('api/v1/columns');
+  assert.ok(columns.data.some(column => column.id === 'fasOem' && column.name === 'FAS OEM'));
+
+  const extract = get('api/v1/columns/obligations', { type: 'agency', limit: '2', include: 'data' });
+  assert.equal(extract.meta.total, 4);
+  assert.deepEqual(extract.data.map(row => row.id), ['agency_code-agency001', 'agency_code-agency002']);
+  assert.equal(extract.data[0].value, extract.data[0].data.total_obligated);
+  assert.equal(get('api/v1/columns/obligations', { type: 'agency' }).data[0].data, undefined);
+
+  const trend = get('api/v1/trends/obligations', { type: 'agency', names: 'Fixture Agency 1' });
+  const years = trend.data.map(point => point.fiscalYear);
+  assert.deepEqual(years, [...years].sort());
+  assert.ok(Math.abs(trend.data.reduce((sum, point) => sum + point.value, 0) - extract.data[0].value) < 0.01);
+
+  const charts = get('api/v1/charts/obligations', { type: 'agency', top: '3' });
+  assert.equal(charts.data[0].cardType, 'kpi_numbers');
+  assert.equal(charts.data[0].kpiData.count.raw, 3);
+
+  assert.equal(get('api/v1/charts/obligations').error.code, 'INVALID_PARAMETER');
+  assert.equal(get('api/v1/trends/notAColumn').error.code, 'NOT_FOUND');
+});
+
+test('reports cache status and rejects unknown versions', () => {
+  const { get } = loadApiProject();
+
+  get('api/v1/entities');
+  const cache = get('api/v1/cache');
+  assert.equal(cache.data.hasData, true);
+  assert.equal(cache.data.entityCounts.agencies, 3);
+
+  const version = get('api/v2/entities');
+  assert.equal(version.error.code, 'UNSUPPORTED_VERSION');
+  assert.deepEqual(version.error.details, { supportedVersions: ['v1'] });
+});
+
+test('unknown actions and action failures come back as JSON output', () => {
+  const { project, key } = loadApiProject();
+
+  const unknown = project.call('doGet', { parameter: { action: 'launchRockets', key: key } });
+  assert.equal(unknown.getMimeType(), 'application/json');
+  assert.deepEqual([unknown.json().success, unknown.json().error], [false, 'Unknown action: launchRockets']);
+
+  const analytics = project.call('doGet', { parameter: { action: 'getAnalytics', key: key } });
+  assert.equal(analytics.json().success, true);
+
+  const broken = project.call('doGet', { parameter: { action: 'exportReport', reportData: '{', key: key } });
+  assert.equal(broken.json().success, false);
+});
+
+test('a batch runs every operation against one data load', () => {
+  const { project, key } = loadApiProject({ count: 4 });
+  const post = (body, pathInfo) => project.call('doPost', {
+    pathInfo: pathInfo,
+    parameter: { key: key },
+    postData: { type: 'application/json', contents: typeof body === 'string' ? body : JSON.stringify(body) }
+  }).json();
+
+  const response = post({
+    operations: [
+      { id: 'agencies', op: 'getEntities', params: { entityType: 'agency' } },
+      { id: 'fas', op: 'getColumnExtract', params: { entityType: 'oem', columnId: 'fasOem', limit: 2 } },
+      { id: 'trend', op: 'getFiscalYearTrends', params: { entityType: 'agency', columnId: 'obligations' } },
+      { id: 'cards', op: 'generateColumnReportsBuffet', params: { entityType: 'vendor', columnId: 'obligations', topN: 3 } },
+      { id: 'export', op: 'exportReport', params: { selectedCards: [], exportFormat: 'sheets' } },
+      { op: 'getCacheStatus' }
+    ]
+  });
+
+  assert.equal(response.success, true, JSON.stringify(response.error));
+  assert.equal(response.meta.path, '/api/v1/batch');
+  assert.deepEqual([response.meta.operations, response.meta.succeeded, response.meta.failed], [6, 6, 0]);
+
+  const [agencies, fas, trend, cards, exported, cache] = response.data;
+  assert.equal(agencies.id, 'agencies');
+  assert.equal(agencies.data.length, 4);
+  assert.deepEqual(fas.data.map(row => row.name), ['Fixture OEM 1', 'Fixture OEM 2']);
+  assert.ok(Object.keys(trend.data).length > 0);
+  assert.equal(cards.data[0].kpiData.count.raw, 3);
+  assert.match(exported.data.url, /^https:\/\/docs\.google\.com\/spreadsheets\//);
+  assert.equal(cache.id, 5);
+  assert.equal(cache.data.loads.misses, 1, 'one sheet read for the whole batch');
+});
+
+test('batch operations fail independently', () => {
+  const { project, key } = loadApiProject();
+  const post = body => project.call('doPost', {
+    pathInfo: 'api/v1/batch',
+    parameter: { key: key },
+    postData: { type: 'application/json', contents: typeof body === 'string' ? body : JSON.stringify(body) }
+  }).json();
+
+  const response = post({
+    operations: [
+      { id: 1, op: 'dropTables' },
+      { id: 2, op: 'getEntity', params: { id: 'agency_code-nobody' } },
+      { id: 3, op: 'exportReport', params: { selectedCards: [], exportFormat: 'pdf' } },
+      { id: 4, op: 'queryEntities', params: { where: { totalObligations: { near: 1 } } } },
+      { id: 5, op: 'getEntity', params: { id: 'agency_code-agency001' } }
+    ]
+  });
+
+  assert.equal(response.success, true);
+  assert.deepEqual([response.meta.succeeded, response.meta.failed], [1, 4]);
+  assert.deepEqual(response.data.map(result => result.error && result.error.code),
+    ['UNKNOWN_OPERATION', 'NOT_FOUND', 'INVALID_PARAMETER', 'INVALID_PARAMETER', null]);
+  assert.deepEqual(response.data.map(result => result.status), [400, 404, 400, 400, 200]);
+  assert.equal(response.data[4].data.name, 'Fixture Agency 1');
+
+  const notJson = post('{operations');
+  assert.deepEqual([notJson.success, notJson.error.code], [false, 'INVALID_PARAMETER']);
+  const empty = post({ operations: [] });
+  assert.equal(empty.error.code, 'INVALID_PARAMETER');
+  const tooMany = post({ operations: new Array(51).fill({ op: 'getCacheStatus' }) });
+  assert.deepEqual(tooMany.error.details, { parameter: 'operations', max: 50 });
+
+  const wrongMethod = project.call('doPost', { pathInfo: 'api/v1/entities', parameter: { key: key } }).json();
+  assert.deepEqual([wrongMethod.status, wrongMethod.error.code], [405, 'METHOD_NOT_ALLOWED']);
+  assert.deepEqual(wrongMethod.error.details, { allowedMethods: ['GET'] });
+});
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Schema drift detection for the JSON columns (B21)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+/** OEM fixtures whose FAS OEM summaries say 'total' instead of 'total_obligations' */
+const renameFasOemTotal = (entityType, entity) => {
+  if (entityType !== 'oem') return;
+  Object.values(entity.fasOem.top_10_oem_summaries).forEach(summary => {
+    summary.total = summary.total_obligations;
+    delete summary.total_obligations;
+  });
+};
+
+function loadDriftProject(options) {
+  const project = loadProject();
+  const fixture = installFixtureWorkbook(project, options);
+  const check = () => project.plain(project.call('runSchemaDriftCheck'));
+  const driftSheet = () => fixture.spreadsheet.getSheetByName('Schema Drift').getDataRange().getValues();
+  return { project, fixture, check, driftSheet };
+}
+
+test('the documented examples show no drift', () => {
+  const { check, driftSheet } = loadDriftProject();
+
+  const report = check().data;
+  assert.equal(report.latestProcessedDate, '2025-11-23');
+  assert.deepEqual(report.unmappedSheets, []);
+  assert.ok(report.columns.length > 0);
+  assert.deepEqual(report.columns.filter(column => column.rowsWithDrift > 0), []);
+  assert.equal(driftSheet().length, 1, 'only the header row');
+});
+
+test('a renamed key is reported as unknown and missing, with an alias suggestion', () => {
+  const { check, driftSheet } = loadDriftProject({ mutate: renameFasOemTotal });
+
+  const report = check().data;
+  const drifting = report.columns.filter(column => column.rowsWithDrift > 0);
+  assert.deepEqual(drifting.map(column => [column.field, column.rowsChecked, column.rowsWithDrift]), [['fasOem', 9, 3]]);
+  const [fasOem] = drifting;
+  assert.deepEqual(fasOem.unknownKeys.map(key => [key.path, key.rows]), [['top_10_oem_summaries.*.total', 3]]);
+  assert.deepEqual(fasOem.missingKeys.map(key => [key.path, key.rows]), [['top_10_oem_summaries.*.total_obligations', 3]]);
+  assert.equal(fasOem.unknownKeys[0].examples[0], 'OEM row 2 (Fixture OEM 1)');
+  assert.deepEqual(report.suggestedAliases.map(alias => [alias.path, alias.from, alias.to, alias.reason]), [
+    ['top_10_oem_summaries.*', 'total', 'total_obligations', "'total' is a shorter form of 'total_obligations'"]
+  ]);
+
+  const kinds = driftSheet().slice(1).map(row => row[4]);
+  assert.deepEqual(kinds, ['unknown_key', 'missing_key', 'alias_suggestion']);
+});
+
+test('a sheet missing required headers is reported as drifted while the others are still checked', () => {
+  const { project, fixture, check, driftSheet } = loadDriftProject({ mutate: renameFasOemTotal });
+  const sheet = fixture.spreadsheet.getSheetByName('Vendor');
+  const header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const nameHeader = project.plain(project.call('getEntityFieldDefinitions', 'vendor')).name.headers[0];
+  sheet.getRange(1, header.indexOf(nameHeader) + 1).setValue('Vendor Title');
+
+  const result = check();
+  assert.equal(result.success, true, result.error);
+  const [unmapped] = result.data.unmappedSheets;
+  assert.equal(result.data.unmappedSheets.length, 1);
+  assert.deepEqual([unmapped.entityType, unmapped.sheetName, unmapped.missingHeaders], ['vendor', 'Vendor', [nameHeader]]);
+  assert.match(unmapped.message, /Required columns missing from 'Vendor' sheet/);
+  assert.equal(result.data.columns.find(column => column.field === 'fasOem').rowsWithDrift, 3);
+
+  const unmappedRow = driftSheet().find(row => row[4] === 'unmapped_sheet');
+  assert.equal(unmappedRow[5], 'Vendor');
+  assert.equal(unmappedRow[6], nameHeader);
+});
+
+test('the scheduled check records a report once per processed_date unless a sheet is unmapped', () => {
+  const { project, fixture } = loadDriftProject();
+  const run = () => project.plain(project.call('runScheduledSchemaDrift'));
+
+  assert.deepEqual(run(), { recorded: true, latestProcessedDate: '2025-11-23' });
+  assert.equal(project.stores.scriptProperties.PROD_SCHEMA_DRIFT_PROCESSED_DATE, '2025-11-23');
+  assert.equal(run().recorded, false);
+
+  const sheet = fixture.spreadsheet.getSheetByName('Agency');
+  sheet.getRange(1, 1, 1, sheet.getLastColumn()).setValues([new Array(sheet.getLastColumn()).fill('')]);
+  assert.equal(run().recorded, true);
+  assert.equal(run().recorded, true);
+});
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview JSON Schema and TypeScript exports of COLUMN_SCHEMAS (B22)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+/**
+ * Check a value against the JSON Schema keywords B22 emits. No validator library is
+ * available to the project, so this covers exactly those keywords.
+ * @returns {Array<string>} Violations as 'path: problem'
+ */
+function validate(value, schema, root, path = '$') {
+  const errors = [];
+  const typeOf = v => v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v;
+  if (schema.$ref) return validate(value, root.$defs[schema.$ref.replace('#/$defs/', '')], root, path);
+  if (schema.anyOf) {
+    const ok = schema.anyOf.some(option => validate(value, option, root, path).length === 0);
+    return ok ? [] : [`${path}: matches no anyOf branch`];
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'number' && types.includes('integer'))) {
+      return [`${path}: expected ${types.join('|')}, got ${actual}`];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: not one of ${schema.enum.join(', ')}`);
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: '${value}' does not match ${schema.pattern}`);
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, root, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    (schema.required || []).filter(key => !(key in value)).forEach(key => errors.push(`${path}: missing ${key}`));
+    Object.entries(value).forEach(([key, child]) => {
+      if (schema.propertyNames && !new RegExp(schema.propertyNames.pattern).test(key)) {
+        errors.push(`${path}: key '${key}' does not match ${schema.propertyNames.pattern}`);
+      }
+      const childSchema = (schema.properties || {})[key] || schema.additionalProperties;
+      if (childSchema && typeof childSchema === 'object') errors.push(...validate(child, childSchema, root, `${path}.${key}`));
+    });
+  }
+  return errors;
+}
+
+test('column documents describe the raw cells and the entity document the normalized entity', () => {
+  const project = loadProject();
+  const { entities } = installFixtureWorkbook(project);
+  const documents = project.plain(project.call('getJsonSchemas')).data;
+  const fields = project.plain(project.get('JSON_FIELD_DEFINITIONS'));
+
+  Object.entries(fields).forEach(([field, def]) => {
+    const document = documents[`${def.schemaKey}.schema.json`];
+    assert.equal(document.$schema, 'https://json-schema.org/draft/2020-12/schema');
+    assert.equal(document.$id, `urn:onegov-fit-market:schema:${def.schemaKey}`);
+    entities.oem.forEach(entity => {
+      if (entity[field]) assert.deepEqual(validate(entity[field], document, document), [], `${field} of ${entity.name}`);
+    });
+  });
+
+  // A processor that writes numeric percentages is caught by the raw document
+  const drifted = JSON.parse(JSON.stringify(entities.oem[0].fasOem));
+  const [name] = Object.keys(drifted.top_10_oem_summaries);
+  drifted.top_10_oem_summaries[name].percentage_of_total = 12.5;
+  assert.deepEqual(validate(drifted, documents['fasOem.schema.json'], documents['fasOem.schema.json']),
+    [`$.top_10_oem_summaries.${name}.percentage_of_total: expected string, got number`]);
+
+  const entitySchema = documents['entity.schema.json'];
+  const served = project.plain(project.call('getDataManager').getEntities());
+  assert.equal(served.length, 9);
+  served.forEach(entity => assert.deepEqual(validate(entity, entitySchema, entitySchema), [], entity.id));
+});
+
+test('percentages are strings in the raw cells and numbers once normalized', () => {
+  const project = loadProject();
+  const summaries = options =>
+    project.plain(project.call('buildColumnJsonSchema', 'fasOem', options)).properties.top_10_oem_summaries.additionalProperties;
+
+  const raw = summaries();
+  assert.deepEqual(raw.required, ['fiscal_years', 'total_obligations', 'percentage_of_total']);
+  assert.equal(raw.properties.percentage_of_total.type, 'string');
+  assert.match('12.34%', new RegExp(raw.properties.percentage_of_total.pattern));
+
+  const normalized = summaries({ normalized: true });
+  assert.deepEqual(normalized.required, ['fiscal_years', 'total_obligations', 'percentage_of_total', 'total']);
+  assert.equal(normalized.properties.percentage_of_total.type, 'number');
+  assert.deepEqual(normalized.properties.fiscal_years.additionalProperties, { type: ['number', 'null'] });
+
+  assert.throws(() => project.call('buildColumnJsonSchema', 'nope'), /Unknown schema key: nope/);
+});
+
+test('API keys fetch one document by column letter, every document, or the type definitions', () => {
+  const project = loadProject();
+  installFixtureWorkbook(project);
+  const key = project.plain(project.call('issueApiKey', 'Processor', { role: 'viewer' })).data.key;
+  const get = parameter => project.call('doGet', { parameter: Object.assign({ key: key }, parameter) });
+
+  const column = get({ action: 'jsonSchema', column: 'u' });
+  assert.equal(column.getMimeType(), 'application/json');
+  assert.deepEqual([column.json().$id, column.json().title], ['urn:onegov-fit-market:schema:fasOem', 'Column U: FAS OEM']);
+  assert.equal(get({ action: 'jsonSchema', column: 'entity' }).json().$id, 'urn:onegov-fit-market:schema:entity');
+  assert.ok(get({ action: 'jsonSchema' }).json()['entity.schema.json']);
+  assert.equal(get({ action: 'jsonSchema', column: 'ZZ' }).json().error, 'Unknown column: ZZ');
+
+  const declarations = get({ action: 'typeDefinitions' }).getContent();
+  assert.match(declarations, /^declare namespace OneGovFitMarket \{$/m);
+  assert.match(declarations, /^ {2}interface FasOemColumn \{$/m);
+  assert.match(declarations, /^ {4}type: "agency" \| "oem" \| "vendor";$/m);
+  assert.match(declarations, /^ {4}fasOem\?: FasOemColumn \| null;$/m);
+
+  assert.match(project.call('doGet', { parameter: { action: 'typeDefinitions' } }).json().error, /API key/i);
+});
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Change log between a snapshot and the live data (B19)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook, buildFixtureRows } = require('./fixtures');
+
+/**
+ * Snapshot the fixture workbook, then rewrite the OEM sheet so each change kind shows up once:
+ * OEM 1 changes tier and doubles its obligations, OEM 2 gains an AI product and swaps a
+ * contract vehicle, OEM 3 is dropped and OEM 4 is new.
+ */
+function loadChangedProject() {
+  const project = loadProject({ properties: { SNAPSHOT_STORE: 'sheet' } });
+  const { spreadsheet, entities } = installFixtureWorkbook(project);
+  const created = project.plain(project.call('createDataSnapshot'));
+  assert.equal(created.success, true, created.error);
+
+  const [first, second, third] = JSON.parse(JSON.stringify(entities.oem));
+  first.oneGovTier.mode_tier = 'Tier 1';
+  first.obligations.total_obligated *= 2;
+  const [year] = Object.keys(second.aiProduct.fiscal_year_summaries);
+  second.aiProduct.fiscal_year_summaries[year].top_10_products.push({ product: 'Fixture Model', obligations: 1 });
+  const vehicles = second.contractVehicle.top_contract_summaries;
+  vehicles['FIXTURE VEHICLE'] = vehicles['NASA SEWP'];
+  delete vehicles['NASA SEWP'];
+  const added = Object.assign(third, { duns: 'OEM004', name: 'Fixture OEM 4' });
+
+  spreadsheet.deleteSheet(spreadsheet.getSheetByName('OEM'));
+  spreadsheet.insertSheet('OEM', buildFixtureRows(project, 'oem', [first, second, added]));
+  project.call('getDataManager').loadAllData(true);
+  return { project, snapshotDate: created.data.snapshotDate };
+}
+
+test('diffSnapshots lists each change kind against the live data', () => {
+  const { project, snapshotDate } = loadChangedProject();
+
+  const diff = project.plain(project.call('diffSnapshots', snapshotDate)).data;
+  assert.deepEqual([diff.from, diff.to], [snapshotDate, 'current']);
+  assert.deepEqual(diff.summary, {
+    total: 7, added: 1, removed: 1, tierChange: 1, obligationChange: 1,
+    newAIProduct: 1, contractVehicleAdded: 1, contractVehicleRemoved: 1
+  });
+  assert.deepEqual(diff.changes.map(change => [change.kind, change.entityId]), [
+    ['added', 'oem_duns-oem004'],
+    ['removed', 'oem_duns-oem003'],
+    ['tierChange', 'oem_duns-oem001'],
+    ['obligationChange', 'oem_duns-oem001'],
+    ['newAIProduct', 'oem_duns-oem002'],
+    ['contractVehicleAdded', 'oem_duns-oem002'],
+    ['contractVehicleRemoved', 'oem_duns-oem002']
+  ]);
+
+  const obligation = diff.changes.find(change => change.kind === 'obligationChange');
+  assert.equal(obligation.delta, obligation.before);
+  assert.equal(obligation.percentChange, 100);
+  assert.match(obligation.message, /^Fixture OEM 1 obligations up \$.* \(\+100\.0%\)$/);
+  assert.equal(diff.changes.find(change => change.kind === 'tierChange').message,
+    'Fixture OEM 1 moved from Tier 2 to Tier 1');
+  assert.equal(diff.changes.find(change => change.kind === 'contractVehicleRemoved').message,
+    'Fixture OEM 2 no longer on NASA SEWP');
+});
+
+test('thresholds and types narrow the change log', () => {
+  const { project, snapshotDate } = loadChangedProject();
+  const diff = options => project.plain(project.call('diffSnapshots', snapshotDate, 'current', options)).data;
+
+  assert.equal(diff({ minObligationChangePercent: 150 }).summary.obligationChange, 0);
+  assert.equal(diff({ types: ['agency', 'vendor'] }).summary.total, 0);
+});
+
+test('getWhatsNew falls back to the only snapshot, and the CSV export has one row per change', () => {
+  const { project, snapshotDate } = loadChangedProject();
+
+  const whatsNew = project.plain(project.call('getWhatsNew', 7)).data;
+  assert.equal(whatsNew.from, snapshotDate);
+  assert.equal(whatsNew.summary.total, 7);
+
+  const exported = project.plain(project.call('exportSnapshotDiff', snapshotDate, 'current', 'csv'));
+  assert.equal(exported.success, true, exported.error);
+  const lines = exported.csv.trim().split('\n');
+  assert.equal(lines.length, 8);
+  assert.match(lines[0], /change.*entity.*type.*before.*after.*delta.*percent_change.*description/i);
+  assert.match(lines[1], /added.*Fixture OEM 4.*oem/);
+});
+
+test('viewers see What\'s new but cannot compare arbitrary snapshots', () => {
+  const { project, snapshotDate } = loadChangedProject();
+  project.stores.scriptProperties.DEFAULT_ROLE = 'viewer';
+  project.stores.userEmail = 'someone@example.gov';
+  project.run('resetAppConfig()');
+
+  assert.equal(project.plain(project.call('getWhatsNew')).data.summary.total, 7);
+  assert.throws(() => project.call('diffSnapshots', snapshotDate),
+    /diffSnapshots needs the analyst role \(you are viewer\)/);
+});
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Point-in-time snapshots in the archive spreadsheet (B18)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+const { installFixtureWorkbook } = require('./fixtures');
+
+test('sheet snapshots are stored as text chunks and read back with or without the apostrophe', () => {
+  const project = loadProject({ properties: { SNAPSHOT_STORE: 'sheet' } });
+  installFixtureWorkbook(project);
+
+  const created = project.plain(project.call('createDataSnapshot'));
+  assert.equal(created.success, true, created.error);
+  const { snapshotDate, location } = created.data;
+
+  const archive = Object.values(project.stores.spreadsheets).find(spreadsheet => spreadsheet.getSheetByName(location));
+  const sheet = archive.getSheetByName(location);
+  const cells = sheet.getRange(1, 1, sheet.getLastRow(), 1).getValues();
+  assert.ok(cells.every(([chunk]) => chunk.startsWith("'")), 'every chunk is written as text');
+
+  const read = () => project.plain(project.call('readDataSnapshot_', snapshotDate));
+  const stored = read();
+  assert.equal(stored.entities.agencies.length, 3);
+
+  // Sheets keeps the apostrophe out of the stored value
+  cells.forEach(([chunk], i) => sheet.getRange(i + 1, 1).setValue(chunk.substring(1)));
+  assert.deepEqual(read(), stored);
+});
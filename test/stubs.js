@@ -0,0 +1,565 @@
+/**
+ * @fileoverview In-memory stand-ins for the Apps Script services used by the backend
+ * @description Each call to createServices returns a fresh, isolated set of services plus
+ *              the stores behind them (spreadsheets, Drive files, properties, cache, triggers, groups)
+ *              so tests can seed and inspect state. Only the methods the backend calls are
+ *              implemented; formatting setters on ranges and sheets are accepted and ignored.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+/** Repository root, where HtmlService looks up .html files */
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Simple iterator in the Drive style (hasNext / next)
+ * @param {Array} items - Items to iterate
+ * @returns {Object} Iterator
+ */
+function driveIterator(items) {
+  let index = 0;
+  return {
+    hasNext: () => index < items.length,
+    next: () => {
+      if (index >= items.length) throw new Error('Iterator exhausted');
+      return items[index++];
+    }
+  };
+}
+
+/**
+ * Blob with the Apps Script accessors
+ * @param {Buffer|string} data - Contents
+ * @param {string} [contentType] - MIME type
+ * @param {string} [name] - Blob name
+ * @returns {Object} Blob
+ */
+function createBlob(data, contentType, name) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(Array.isArray(data) ? data.map(b => b & 0xff) : String(data));
+  return {
+    getBytes: () => Array.from(buffer).map(b => (b > 127 ? b - 256 : b)),
+    getDataAsString: () => buffer.toString('utf8'),
+    getContentType: () => contentType || 'application/octet-stream',
+    getName: () => name || null,
+    setName(newName) { name = newName; return this; },
+    _buffer: buffer
+  };
+}
+
+/**
+ * Range over a block of sheet cells. Row and column are 1-based like the real API.
+ */
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(`Invalid range: row ${row}, column ${column}, ${numRows} x ${numColumns}`);
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getValues() {
+    const out = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const source = this.sheet.cells[this.row - 1 + r] || [];
+      const row = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        const value = source[this.column - 1 + c];
+        row.push(value === undefined || value === null ? '' : value);
+      }
+      out.push(row);
+    }
+    return out;
+  }
+
+  getValue() {
+    return this.getValues()[0][0];
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some(row => row.length !== this.numColumns)) {
+      throw new Error(`The number of rows or columns in the data does not match the range (${this.numRows} x ${this.numColumns})`);
+    }
+    values.forEach((row, r) => {
+      const target = this.sheet.rowAt(this.row - 1 + r);
+      row.forEach((value, c) => { target[this.column - 1 + c] = value; });
+    });
+    return this;
+  }
+
+  setValue(value) {
+    return this.setValues([[value]]);
+  }
+
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+}
+
+/**
+ * Sheet backed by a 2D array
+ */
+class FakeSheet {
+  constructor(spreadsheet, name, values, sheetId) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.sheetId = sheetId;
+    this.frozenRows = 0;
+    this.cells = (values || []).map(row => row.slice());
+  }
+
+  rowAt(index) {
+    while (this.cells.length <= index) this.cells.push([]);
+    return this.cells[index];
+  }
+
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getSheetId() { return this.sheetId; }
+  getParent() { return this.spreadsheet; }
+
+  getLastRow() {
+    for (let r = this.cells.length - 1; r >= 0; r--) {
+      if (this.cells[r].some(value => value !== '' && value !== undefined && value !== null)) return r + 1;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    return this.cells.reduce((max, row) => {
+      for (let c = row.length - 1; c >= 0; c--) {
+        if (row[c] !== '' && row[c] !== undefined && row[c] !== null) return Math.max(max, c + 1);
+      }
+      return max;
+    }, 0);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  getRange(row, column, numRows, numColumns) {
+    return new FakeRange(this, row, column, numRows || 1, numColumns || 1);
+  }
+
+  appendRow(values) {
+    this.rowAt(this.getLastRow()).splice(0, values.length, ...values);
+    return this;
+  }
+
+  deleteRows(rowPosition, howMany) {
+    this.cells.splice(rowPosition - 1, howMany);
+    return this;
+  }
+
+  clear() {
+    this.cells = [];
+    return this;
+  }
+
+  setFrozenRows(rows) {
+    this.frozenRows = rows;
+    return this;
+  }
+
+  /** Test helper: copy of every row, trimmed to the data */
+  toValues() {
+    return this.getDataRange().getValues();
+  }
+}
+
+/**
+ * Spreadsheet holding named sheets
+ */
+class FakeSpreadsheet {
+  constructor(id, name) {
+    this.id = id;
+    this.name = name || id;
+    this.sheets = [];
+    this.nextSheetId = 0;
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this.id}/edit`; }
+  getSheets() { return this.sheets.slice(); }
+  getActiveSheet() { return this.sheets[0] || this.insertSheet('Sheet1'); }
+
+  getSheetByName(name) {
+    return this.sheets.find(sheet => sheet.getName() === name) || null;
+  }
+
+  insertSheet(name, values) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists.`);
+    }
+    const sheet = new FakeSheet(this, name, values, this.nextSheetId++);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(existing => existing !== sheet);
+  }
+}
+
+/**
+ * Accept and ignore formatting setters so code under test can style ranges and sheets
+ * @param {Function} Klass - Class whose prototype gets the no-op methods
+ */
+function allowFormatting(Klass) {
+  ['setFontWeight', 'setBackground', 'setFontColor', 'setNumberFormat', 'setHorizontalAlignment',
+    'setWrap', 'setBorder', 'setFontSize', 'autoResizeColumns', 'autoResizeColumn', 'setColumnWidth',
+    'setFrozenColumns', 'setTabColor']
+    .forEach(method => {
+      if (!Klass.prototype[method]) Klass.prototype[method] = function () { return this; };
+    });
+}
+allowFormatting(FakeRange);
+allowFormatting(FakeSheet);
+
+/**
+ * Drive file held in memory
+ */
+class FakeFile {
+  constructor(id, name, content, mimeType, folder) {
+    this.id = id;
+    this.name = name;
+    this.content = content;
+    this.mimeType = mimeType || 'text/plain';
+    this.folder = folder;
+    this.updated = new Date();
+    this.trashed = false;
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getMimeType() { return this.mimeType; }
+  getUrl() { return `https://drive.google.com/file/d/${this.id}/view`; }
+  getLastUpdated() { return this.updated; }
+  getBlob() { return createBlob(this.content, this.mimeType, this.name); }
+  getParents() { return driveIterator(this.folder ? [this.folder] : []); }
+  isTrashed() { return this.trashed; }
+
+  setContent(content) {
+    this.content = content;
+    this.updated = new Date();
+    return this;
+  }
+
+  setTrashed(trashed) {
+    this.trashed = !!trashed;
+    return this;
+  }
+}
+
+/** Counter behind generated IDs; shared by every set of services so reused stores never collide */
+let idSequence = 0;
+
+/**
+ * Create a set of Apps Script services
+ * @param {Object} [options] - { userEmail, properties, timeZone, stores }. Passing the stores of an
+ *                             earlier set stands for a later execution of the same deployment.
+ * @returns {Object} { globals, stores } - globals go into the script context, stores are for tests
+ */
+function createServices(options) {
+  const settings = Object.assign({ userEmail: 'admin@example.gov', properties: {}, timeZone: 'America/Chicago' }, options);
+  const newId = prefix => `${prefix}-${++idSequence}`;
+
+  const stores = settings.stores || {
+    spreadsheets: {},
+    files: {},
+    folders: {},
+    documents: {},
+    scriptProperties: Object.assign({}, settings.properties),
+    userProperties: {},
+    scriptCache: {},
+    triggers: [],
+    groups: {},
+    userEmail: settings.userEmail
+  };
+
+  const addSpreadsheet = (id, name) => {
+    stores.spreadsheets[id] = new FakeSpreadsheet(id, name);
+    return stores.spreadsheets[id];
+  };
+
+  const SpreadsheetApp = {
+    openById(id) {
+      const spreadsheet = stores.spreadsheets[id];
+      if (!spreadsheet) throw new Error(`Unexpected error while getting the method or property openById on object SpreadsheetApp: no spreadsheet ${id}`);
+      return spreadsheet;
+    },
+    openByUrl(url) {
+      const match = String(url).match(/\/spreadsheets\/d\/([^/]+)/);
+      return SpreadsheetApp.openById(match ? match[1] : url);
+    },
+    create(name) {
+      const spreadsheet = addSpreadsheet(newId('spreadsheet'), name);
+      spreadsheet.insertSheet('Sheet1');
+      return spreadsheet;
+    },
+    flush() {}
+  };
+
+  const createFolder = (name, parent) => {
+    const id = newId('folder');
+    const folder = {
+      getId: () => id,
+      getName: () => name,
+      getUrl: () => `https://drive.google.com/drive/folders/${id}`,
+      getParents: () => driveIterator(parent ? [parent] : []),
+      getFiles: () => driveIterator(Object.values(stores.files).filter(file => file.folder === folder && !file.trashed)),
+      getFilesByName: fileName => driveIterator(Object.values(stores.files)
+        .filter(file => file.folder === folder && file.name === fileName && !file.trashed)),
+      createFile(fileNameOrBlob, content, mimeType) {
+        const isBlob = typeof fileNameOrBlob === 'object';
+        const file = new FakeFile(newId('file'),
+          isBlob ? fileNameOrBlob.getName() : fileNameOrBlob,
+          isBlob ? fileNameOrBlob.getDataAsString() : content,
+          isBlob ? fileNameOrBlob.getContentType() : mimeType,
+          folder);
+        stores.files[file.id] = file;
+        return file;
+      },
+      createFolder: childName => createFolder(childName, folder)
+    };
+    stores.folders[id] = folder;
+    return folder;
+  };
+  const rootFolder = stores.rootFolder || createFolder('My Drive', null);
+
+  const DriveApp = {
+    getRootFolder: () => rootFolder,
+    createFolder: name => rootFolder.createFolder(name),
+    createFile: (name, content, mimeType) => rootFolder.createFile(name, content, mimeType),
+    getFolderById(id) {
+      if (!stores.folders[id]) throw new Error(`No item with the given ID could be found: ${id}`);
+      return stores.folders[id];
+    },
+    getFileById(id) {
+      if (!stores.files[id]) throw new Error(`No item with the given ID could be found: ${id}`);
+      return stores.files[id];
+    },
+    getFilesByName: name => driveIterator(Object.values(stores.files).filter(file => file.name === name && !file.trashed))
+  };
+
+  const createHtmlOutput = (content, fileName) => {
+    const output = {
+      content: content,
+      title: '',
+      fileName: fileName || null,
+      getContent: () => output.content,
+      setContent(html) { output.content = html; return output; },
+      append(html) { output.content += html; return output; },
+      getTitle: () => output.title,
+      setTitle(title) { output.title = title; return output; },
+      setXFrameOptionsMode(mode) { output.xFrameOptionsMode = mode; return output; },
+      addMetaTag() { return output; },
+      setSandboxMode() { return output; },
+      setWidth() { return output; },
+      setHeight() { return output; }
+    };
+    return output;
+  };
+
+  const HtmlService = {
+    XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' },
+    SandboxMode: { IFRAME: 'IFRAME' },
+    createHtmlOutput: html => createHtmlOutput(html || ''),
+    createHtmlOutputFromFile(name) {
+      const file = path.join(PROJECT_ROOT, `${name}.html`);
+      if (!fs.existsSync(file)) throw new Error(`No HTML file named ${name} was found.`);
+      return createHtmlOutput(fs.readFileSync(file, 'utf8'), name);
+    },
+    createTemplateFromFile(name) {
+      const html = HtmlService.createHtmlOutputFromFile(name).getContent();
+      // Only the include() scriptlets the pages use are evaluated
+      const evaluate = () => html.replace(/<\?!=\s*include\('([\w-]+)'\)\s*\?>/g,
+        (match, partial) => HtmlService.createHtmlOutputFromFile(partial).getContent());
+      return { evaluate: () => createHtmlOutput(evaluate(), name) };
+    }
+  };
+
+  const ContentService = {
+    MimeType: { JSON: 'application/json', TEXT: 'text/plain', CSV: 'text/csv', JAVASCRIPT: 'application/javascript' },
+    createTextOutput(text) {
+      const output = {
+        content: text === undefined ? '' : String(text),
+        mimeType: 'text/plain',
+        getContent: () => output.content,
+        setContent(content) { output.content = content; return output; },
+        getMimeType: () => output.mimeType,
+        setMimeType(mimeType) { output.mimeType = mimeType; return output; },
+        /** Test helper: content parsed as JSON */
+        json: () => JSON.parse(output.content)
+      };
+      return output;
+    }
+  };
+
+  const DocumentApp = {
+    ParagraphHeading: { TITLE: 'TITLE', SUBTITLE: 'SUBTITLE', HEADING1: 'HEADING1', HEADING2: 'HEADING2', HEADING3: 'HEADING3', NORMAL: 'NORMAL' },
+    create(name) {
+      const id = newId('document');
+      const elements = [];
+      const paragraph = (text, kind) => {
+        const element = {
+          kind: kind,
+          text: text,
+          heading: 'NORMAL',
+          getText: () => element.text,
+          setHeading(heading) { element.heading = heading; return element; },
+          getHeading: () => element.heading,
+          setBold() { return element; },
+          setFontSize() { return element; }
+        };
+        elements.push(element);
+        return element;
+      };
+      const document = {
+        elements: elements,
+        getId: () => id,
+        getName: () => name,
+        getUrl: () => `https://docs.google.com/document/d/${id}/edit`,
+        getBody: () => ({
+          appendParagraph: text => paragraph(text, 'paragraph'),
+          appendListItem: text => paragraph(text, 'listItem'),
+          appendTable(cells) {
+            const element = paragraph((cells || []).map(row => row.join('\t')).join('\n'), 'table');
+            element.cells = cells;
+            return element;
+          },
+          appendPageBreak: () => paragraph('', 'pageBreak'),
+          appendHorizontalRule: () => paragraph('', 'horizontalRule'),
+          getText: () => elements.map(element => element.text).join('\n'),
+          clear() { elements.length = 0; }
+        }),
+        saveAndClose() { document.closed = true; }
+      };
+      stores.documents[id] = document;
+      return document;
+    }
+  };
+
+  const memoryCache = store => ({
+    get: key => (key in store ? store[key] : null),
+    getAll: keys => keys.reduce((found, key) => {
+      if (key in store) found[key] = store[key];
+      return found;
+    }, {}),
+    put(key, value) {
+      if (String(value).length > 100 * 1024) throw new Error('Argument too large: value');
+      store[key] = String(value);
+    },
+    putAll(values) { Object.entries(values).forEach(([key, value]) => this.put(key, value)); },
+    remove: key => { delete store[key]; },
+    removeAll: keys => keys.forEach(key => { delete store[key]; })
+  });
+  const CacheService = {
+    getScriptCache: () => memoryCache(stores.scriptCache),
+    getUserCache: () => memoryCache(stores.scriptCache)
+  };
+
+  const memoryProperties = store => ({
+    getProperty: key => (key in store ? store[key] : null),
+    getProperties: () => Object.assign({}, store),
+    getKeys: () => Object.keys(store),
+    setProperty(key, value) { store[key] = String(value); return this; },
+    setProperties(values) { Object.entries(values).forEach(([key, value]) => { store[key] = String(value); }); return this; },
+    deleteProperty(key) { delete store[key]; return this; }
+  });
+  const PropertiesService = {
+    getScriptProperties: () => memoryProperties(stores.scriptProperties),
+    getUserProperties: () => memoryProperties(stores.userProperties),
+    getDocumentProperties: () => null
+  };
+
+  const LockService = {
+    getScriptLock: () => ({ tryLock: () => true, waitLock() {}, releaseLock() {}, hasLock: () => true }),
+    getUserLock: () => ({ tryLock: () => true, waitLock() {}, releaseLock() {}, hasLock: () => true })
+  };
+
+  const Session = {
+    getActiveUser: () => ({ getEmail: () => stores.userEmail }),
+    getEffectiveUser: () => ({ getEmail: () => stores.userEmail }),
+    getScriptTimeZone: () => settings.timeZone
+  };
+
+  // stores.groups maps a group address to its member emails
+  const GroupsApp = {
+    getGroupByEmail(email) {
+      const members = stores.groups[email];
+      if (!members) throw new Error(`Group not found: ${email}`);
+      return { getEmail: () => email, hasUser: user => members.includes(user) };
+    }
+  };
+
+  const ScriptApp = {
+    getProjectTriggers: () => stores.triggers.slice(),
+    deleteTrigger(trigger) { stores.triggers = stores.triggers.filter(existing => existing !== trigger); },
+    getService: () => ({ getUrl: () => 'https://script.google.com/macros/s/fixture/exec' }),
+    newTrigger(handler) {
+      const uniqueId = newId('trigger');
+      const trigger = { handler: handler, getHandlerFunction: () => handler, getUniqueId: () => uniqueId };
+      const builder = {
+        timeBased() { trigger.kind = 'time'; return builder; },
+        everyDays(days) { trigger.everyDays = days; return builder; },
+        everyHours(hours) { trigger.everyHours = hours; return builder; },
+        atHour(hour) { trigger.atHour = hour; return builder; },
+        create() { stores.triggers.push(trigger); return trigger; }
+      };
+      return builder;
+    }
+  };
+
+  const Utilities = {
+    DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_512: 'sha512' },
+    Charset: { UTF_8: 'utf8', US_ASCII: 'ascii' },
+    computeDigest: (algorithm, value) => Array.from(crypto.createHash(algorithm).update(String(value)).digest())
+      .map(b => (b > 127 ? b - 256 : b)),
+    newBlob: (data, contentType, name) => createBlob(data, contentType, name),
+    gzip: blob => createBlob(zlib.gzipSync(blob._buffer), 'application/x-gzip'),
+    ungzip: blob => createBlob(zlib.gunzipSync(blob._buffer)),
+    base64Encode: data => Buffer.from(typeof data === 'string' ? data : data.map(b => b & 0xff)).toString('base64'),
+    base64Decode: text => Array.from(Buffer.from(text, 'base64')).map(b => (b > 127 ? b - 256 : b)),
+    getUuid: () => crypto.randomUUID(),
+    formatDate: (date, timeZone, format) => (format === 'yyyy-MM-dd' ?
+      date.toISOString().substring(0, 10) : date.toISOString()),
+    sleep() {}
+  };
+
+  const UrlFetchApp = {
+    fetch(url) {
+      throw new Error(`UrlFetchApp is not available in tests (${url})`);
+    }
+  };
+
+  const Logger = { log() {} };
+
+  return {
+    stores: Object.assign(stores, { addSpreadsheet: addSpreadsheet, rootFolder: rootFolder }),
+    globals: {
+      SpreadsheetApp, DriveApp, HtmlService, ContentService, DocumentApp, CacheService,
+      PropertiesService, LockService, Session, GroupsApp, ScriptApp, Utilities, UrlFetchApp, Logger
+    }
+  };
+}
+
+module.exports = {
+  createServices,
+  createBlob,
+  FakeSpreadsheet,
+  FakeSheet,
+  FakeRange,
+  FakeFile
+};
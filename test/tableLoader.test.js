@@ -0,0 +1,72 @@
+/**
+ * @fileoverview FAS/BIC table loading (B12 loadTableData) from Drive CSVs and Sheets
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProject } = require('./harness');
+
+/**
+ * CSV with a quoted header row and the given number of data rows
+ * @param {number} rows - Data rows
+ * @returns {string} CSV text
+ */
+function buildCsv(rows) {
+  const lines = ['"Order Date","Vendor Name","Obligated Amount"'];
+  for (let i = 1; i <= rows; i++) {
+    lines.push(`2025-01-${String((i % 28) + 1).padStart(2, '0')},Vendor ${i},${i * 1000}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+test('reads a Drive CSV with normalized headers and 25 rows per page', () => {
+  const project = loadProject();
+  const file = project.stores.rootFolder.createFile('fas.csv', buildCsv(30), 'text/csv');
+
+  const first = project.plain(project.call('loadTableData', file.getUrl(), 1));
+  assert.equal(first.success, true);
+  assert.equal(first.totalPages, 2);
+  assert.equal(first.currentPage, 1);
+  assert.equal(first.itemsPerPage, 25);
+  assert.equal(first.data.length, 25);
+  assert.deepEqual(first.data[0], { order_date: '2025-01-02', vendor_name: 'Vendor 1', obligated_amount: '1000' });
+
+  const second = project.plain(project.call('loadTableData', 'Fixture Agency 1', 'fas', file.getUrl(), 2));
+  assert.equal(second.success, true);
+  assert.equal(second.currentPage, 2);
+  assert.deepEqual(second.data.map(row => row.vendor_name), ['Vendor 26', 'Vendor 27', 'Vendor 28', 'Vendor 29', 'Vendor 30']);
+});
+
+test('reads the first sheet of a Google Sheets table', () => {
+  const project = loadProject();
+  const spreadsheet = project.stores.addSpreadsheet('bic-table', 'BIC Table');
+  spreadsheet.insertSheet('Data', [['Product Name', 'Total'], ['Cloud Credit', 42], ['Support', 7]]);
+
+  const result = project.plain(project.call('loadTableData', spreadsheet.getUrl(), 1));
+  assert.equal(result.success, true);
+  assert.equal(result.totalPages, 1);
+  assert.deepEqual(result.data, [
+    { product_name: 'Cloud Credit', total: '42' },
+    { product_name: 'Support', total: '7' }
+  ]);
+});
+
+test('empty files and unsupported URLs are reported, not thrown', () => {
+  const project = loadProject();
+  const empty = project.stores.rootFolder.createFile('empty.csv', '  \n', 'text/csv');
+
+  const emptyResult = project.plain(project.call('loadTableData', empty.getUrl(), 1));
+  assert.deepEqual(emptyResult, { success: true, data: [], totalPages: 0, currentPage: 1, itemsPerPage: 25 });
+
+  const missing = project.plain(project.call('loadTableData', 'https://drive.google.com/file/d/nope/view', 1));
+  assert.equal(missing.success, false);
+  assert.match(missing.error, /Failed to fetch CSV from Google Drive/);
+
+  const unsupported = project.plain(project.call('loadTableData', 'https://example.com/table.csv', 1));
+  assert.equal(unsupported.success, false);
+  assert.match(unsupported.error, /Unsupported URL format/);
+
+  assert.deepEqual(project.plain(project.call('loadTableData', '', 1)), { success: false, error: 'No table URL provided' });
+});